@@ -5,10 +5,18 @@
  *
  * AIレポート生成の全機能を提供するモジュール
  * - チャート説明の生成
- * - プロンプトテンプレート
- * - レポート生成オーケストレーション
+ * - チャートの集計データ（期間別・グループ別統計、相関係数）をトークン上限内で表に整形
+ * - プロンプトテンプレート（表示中のチャート / 全タブの総合レポート / 追加の質問）
+ *   表示中のチャートのプロンプトは prompt-templates.js のテンプレートから生成
+ * - 構造化出力（JSON スキーマ指定・検証・不一致時の再試行）
+ * - レポート生成オーケストレーション（一括生成用のリクエスト作成・送信を含む）
  *
- * 依存: gemini-api.js, utils.js (formatNumber)
+ * 依存: llm-providers.js (streamLlmContent, generateLlmContent),
+ *       prompt-templates.js (renderPromptTemplate, getPromptTemplate),
+ *       structured-report.js (STRUCTURED_REPORT_SCHEMA, parseStructuredReport),
+ *       price-forecast.js (FORECAST_METHOD_LABELS),
+ *       chart-helpers.js (formatScaleCurveSummary),
+ *       utils.js (formatNumber, calcPriceStats, calcMedian, calcBoxplotStats, calcCorrelation)
  *
  * =============================================================================
  */
@@ -18,10 +26,9 @@
 // =============================================================================
 
 const AI_REPORT_ERRORS = {
-  NO_API_KEY:
-    "APIキーが設定されていません。右上の「API設定」から設定してください。",
   CHART_CAPTURE_FAILED: "チャート画像のキャプチャに失敗しました",
   GENERATION_FAILED: "レポート生成中にエラーが発生しました",
+  STRUCTURED_INVALID: "AIの応答が指定した形式（JSON）になりませんでした",
 };
 
 // =============================================================================
@@ -48,11 +55,16 @@ const CHART_CONFIGS = {
         bar: "棒グラフ",
         table: "テーブル",
       },
+      metric: {
+        price: "",
+        movingAvg: "、平均値の移動平均線付き",
+        forecast: "、中央値の予測線と95%予測区間付き",
+      },
     },
     descriptionTemplate: (settings, labels) =>
       `価格の時系列推移チャート（${labels.timeUnit[settings.timeUnit]}、${
         labels.chartType[settings.chartType]
-      }表示）`,
+      }表示${labels.metric[settings.metric] || ""}）`,
     analysisPoints: [
       "時間経過に伴う価格トレンド（上昇・下降・横ばい）",
       "季節性や周期的なパターン",
@@ -90,8 +102,13 @@ const CHART_CONFIGS = {
         building: "建物別",
       },
       metric: {
-        avg: "平均",
-        median: "中央値",
+        avgPrice: "平均単価",
+        medianPrice: "中央単価",
+        minPrice: "最小単価",
+        maxPrice: "最大単価",
+        sumQty: "合計数量",
+        avgQty: "平均数量",
+        medianQty: "中央数量",
       },
       chartType: {
         bar: "棒グラフ",
@@ -103,7 +120,7 @@ const CHART_CONFIGS = {
     descriptionTemplate: (settings, labels) =>
       `${labels.groupBy[settings.groupBy]}の${
         labels.metric[settings.metric]
-      }価格比較（${labels.chartType[settings.chartType]}表示）`,
+      }比較（${labels.chartType[settings.chartType]}表示）`,
     analysisPoints: [
       "グループ間の価格差異と順位",
       "最も高い/安いグループの特定",
@@ -138,6 +155,7 @@ const CHART_CONFIGS = {
         floors: "地上階数",
         totalArea: "延床面積",
         constArea: "施工面積",
+        qty: "実行数量",
       },
       chartType: {
         scatter: "散布図",
@@ -149,7 +167,15 @@ const CHART_CONFIGS = {
     descriptionTemplate: (settings, labels) =>
       `${labels.xAxis[settings.xAxis]}と単価の相関分析（${
         labels.chartType[settings.chartType]
-      }表示）`,
+      }表示${
+        settings.xScale === "log" && settings.chartType !== "heatmap"
+          ? "、X軸は対数目盛"
+          : ""
+      }${
+        settings.xAxis === "qty"
+          ? "、べき乗の近似曲線（単価 = a × 数量^b）付き"
+          : ""
+      }）`,
     analysisPoints: [
       "建物規模と単価の相関関係の強さ",
       "規模による価格スケールメリットの有無",
@@ -186,13 +212,14 @@ const CHART_CONFIGS = {
  * Get chart description based on current tab and settings
  * @param {string} tab - Active tab name (timeseries, comparison, trend)
  * @param {Object} tabSettings - Settings for the current tab
- * @returns {Object} Chart description with tabName, description, analysisPoints, and readingGuide
+ * @returns {Object} Chart description with tab, tabName, description, analysisPoints, and readingGuide
  */
 function getChartDescription(tab, tabSettings) {
   const config = CHART_CONFIGS[tab];
 
   if (!config) {
     return {
+      tab,
       tabName: "不明",
       description: "チャート情報なし",
       analysisPoints: [],
@@ -201,6 +228,7 @@ function getChartDescription(tab, tabSettings) {
   }
 
   return {
+    tab,
     tabName: config.tabName,
     description: config.descriptionTemplate(tabSettings, config.labels),
     analysisPoints: config.analysisPoints,
@@ -234,67 +262,365 @@ function formatFilterInfo(filters) {
     filterInfo.push(`業者: ${filters.vendors.join(", ")}`);
   }
 
+  if (filters.priceBasis) {
+    filterInfo.push(`単価: ${filters.priceBasis}`);
+  }
+
   return filterInfo;
 }
 
+/**
+ * Build the filter conditions of the report (common filters + price basis)
+ * @private
+ * @param {Object} detailModal - Detail modal state
+ * @returns {Object} Filters for formatFilterInfo
+ */
+function getReportFilters(detailModal) {
+  return {
+    ...detailModal.commonFilters,
+    priceBasis: detailModal.priceBasis,
+  };
+}
+
 // =============================================================================
-// Prompt Template
+// Chart Data Summary (structured aggregates)
 // =============================================================================
 
 /**
- * Generate procurement analysis prompt for Gemini API
- * @param {Object} params - Parameters for prompt generation
- * @param {Object} params.group - Current group data (item, unit)
- * @param {Object} params.kpi - KPI summary
- * @param {Object} params.filters - Common filters
- * @param {Object} params.chartInfo - Chart description
- * @returns {string} Generated prompt
+ * Chart data summary configuration
  */
-function generateProcurementPrompt({ group, kpi, filters, chartInfo }) {
-  const filterInfo = formatFilterInfo(filters);
-  const filterLine =
-    filterInfo.length > 0
-      ? `- **適用フィルター**: ${filterInfo.join(", ")}`
-      : "- **適用フィルター**: なし（全データ対象）";
+const AI_REPORT_DATA_CONFIG = {
+  // 集計データ表に割り当てるトークン数の上限（全チャート合計）
+  tokenBudget: 2000,
+};
 
-  const analysisPointsList = chartInfo.analysisPoints
-    .map((point, i) => `   ${i + 1}. ${point}`)
-    .join("\n");
+/**
+ * Estimate token count of prompt text
+ * Note: 概算（ASCII 4文字 ≒ 1トークン、日本語 1文字 ≒ 1トークン）
+ * @param {string} text - Prompt text
+ * @returns {number} Estimated token count
+ */
+function estimateTokenCount(text) {
+  let ascii = 0;
+  let other = 0;
+  for (const ch of text) {
+    if (ch.charCodeAt(0) < 128) ascii++;
+    else other++;
+  }
+  return Math.ceil(ascii / 4 + other);
+}
 
-  // Calculate price spread for context
-  const priceSpread = kpi.maxPrice - kpi.minPrice;
-  const priceSpreadPercent =
-    kpi.avgPrice > 0 ? ((priceSpread / kpi.avgPrice) * 100).toFixed(1) : 0;
-  const avgMedianGap =
-    kpi.avgPrice > 0
-      ? (((kpi.avgPrice - kpi.medianPrice) / kpi.avgPrice) * 100).toFixed(1)
-      : 0;
+/**
+ * Format a markdown table row
+ * @private
+ */
+function formatTableRow(cells) {
+  return `| ${cells.join(" | ")} |`;
+}
 
-  // Build reading guide section if available
-  const readingGuide = chartInfo.readingGuide;
-  const readingGuideSection = readingGuide
-    ? `
-### §3.3 このチャート種別の読み取り手法
+/**
+ * Fit table rows into a token budget
+ * Rows are kept in priority order until the budget is exhausted,
+ * then emitted in their original order.
+ * @private
+ * @param {string[]} header - Column headers
+ * @param {Array<string[]>} rows - Table rows (display order)
+ * @param {number[]} priority - Row indices, most important first
+ * @param {number} budget - Token budget for the table
+ * @returns {{table: string, omitted: number}}
+ */
+function fitTableToTokenBudget(header, rows, priority, budget) {
+  const headerLines = [
+    formatTableRow(header),
+    formatTableRow(header.map(() => "---")),
+  ];
+  let used = estimateTokenCount(headerLines.join("\n"));
+  const kept = new Set();
+  for (const index of priority) {
+    const cost = estimateTokenCount(formatTableRow(rows[index])) + 1;
+    if (used + cost > budget) break;
+    used += cost;
+    kept.add(index);
+  }
 
-**主要パターン**: ${readingGuide.primaryPattern}
+  const lines = rows
+    .filter((_, index) => kept.has(index))
+    .map((row) => formatTableRow(row));
+  return {
+    table: [...headerLines, ...lines].join("\n"),
+    omitted: rows.length - kept.size,
+  };
+}
 
-**数値化ポイント**（ALWAYS これらを読み取る）:
-${readingGuide.measurementPoints.map((p, i) => `${i + 1}. ${p}`).join("\n")}
+/**
+ * Round and format a number for summary tables
+ * @private
+ */
+function formatSummaryNumber(value) {
+  return formatNumber(Math.round(value));
+}
 
-**視覚的手がかり**:
-${readingGuide.visualCues.map((c) => `- ${c}`).join("\n")}
+/**
+ * Summarize price forecast (from forecastPriceSeries) as note lines
+ * @private
+ */
+function summarizeForecast(forecast) {
+  const lastIndex = forecast.labels.length - 1;
+  const points = forecast.labels.map(
+    (label, i) =>
+      `${label} ¥${formatSummaryNumber(
+        forecast.forecast[i]
+      )}（¥${formatSummaryNumber(forecast.lower[i])}〜¥${formatSummaryNumber(
+        forecast.upper[i]
+      )}）`
+  );
+  const lines = [
+    `- 中央値の予測（${FORECAST_METHOD_LABELS[forecast.method]}、${
+      lastIndex + 1
+    }期間先まで、括弧内は95%予測区間）: ${points.join(" / ")}`,
+  ];
+  if (forecast.backtest) {
+    const { periods, mape, mae } = forecast.backtest;
+    lines.push(
+      `- 予測のバックテスト誤差（直近${periods}期間）: MAPE ${mape.toFixed(
+        1
+      )}%、MAE ¥${formatSummaryNumber(mae)}`
+    );
+  }
+  return lines;
+}
 
-**⚠️ よくある誤読パターン**（NEVER これらの罠に陥らない）:
-${readingGuide.commonMisreads.map((m) => `- ${m}`).join("\n")}
-`
-    : "";
+/**
+ * Summarize timeseries chart data (per-period stats from groupByTimeUnit)
+ * @private
+ */
+function summarizeTimeseriesData(data, settings, unit, budget) {
+  const { labels, minData, avgData, medianData, maxData, counts } = data;
+  if (labels.length === 0) return "";
+
+  const header = ["期間", "件数", `最小(円/${unit})`, "平均", "中央値", "最大"];
+  const rows = labels.map((label, i) => [
+    label,
+    String(counts[i]),
+    formatSummaryNumber(minData[i]),
+    formatSummaryNumber(avgData[i]),
+    formatSummaryNumber(medianData[i]),
+    formatSummaryNumber(maxData[i]),
+  ]);
+  // 直近の期間を優先して残す
+  const priority = labels.map((_, i) => labels.length - 1 - i);
+  const { table, omitted } = fitTableToTokenBudget(
+    header,
+    rows,
+    priority,
+    budget
+  );
+
+  const first = avgData[0];
+  const last = avgData[avgData.length - 1];
+  const changeRate =
+    first > 0 ? `${(((last - first) / first) * 100).toFixed(1)}%` : "-";
+  const notes = [
+    `- 期間数: ${labels.length}（${labels[0]} 〜 ${
+      labels[labels.length - 1]
+    }）`,
+    `- 平均単価の変化: ¥${formatSummaryNumber(first)} → ¥${formatSummaryNumber(
+      last
+    )}（${changeRate}）`,
+  ];
+  if (omitted > 0) {
+    notes.push(`- ※ 文字数の上限のため古い${omitted}期間を省略`);
+  }
+  if (data.forecast) {
+    notes.push(...summarizeForecast(data.forecast));
+  }
+
+  const timeUnitLabel = CHART_CONFIGS.timeseries.labels.timeUnit;
+  return `**時系列分析（${
+    timeUnitLabel[settings.timeUnit]
+  }の期間別単価）**\n${notes.join("\n")}\n\n${table}`;
+}
+
+/**
+ * Summarize comparison chart data (per-group stats from calcBoxplotStats)
+ * @private
+ */
+function summarizeComparisonData(data, settings, unit, budget) {
+  const { labels, data: metricValues, boxplotData } = data;
+  if (labels.length === 0) return "";
+
+  const labelConfig = CHART_CONFIGS.comparison.labels;
+  const isQtyMetric = settings.metric.includes("Qty");
+  const valueUnit = isQtyMetric ? unit : `円/${unit}`;
+  const header = [
+    "グループ",
+    "件数",
+    labelConfig.metric[settings.metric] || settings.metric,
+    `下ひげ(${valueUnit})`,
+    "Q1",
+    "中央値",
+    "Q3",
+    "上ひげ",
+    "外れ値",
+  ];
+  const rows = labels.map((label, i) => {
+    const stats = calcBoxplotStats(boxplotData[i]);
+    return [
+      label,
+      String(boxplotData[i].length),
+      formatSummaryNumber(metricValues[i]),
+      formatSummaryNumber(stats.min),
+      formatSummaryNumber(stats.q1),
+      formatSummaryNumber(stats.median),
+      formatSummaryNumber(stats.q3),
+      formatSummaryNumber(stats.max),
+      String(stats.outliers.length),
+    ];
+  });
+  // 件数の多いグループを優先して残す
+  const priority = labels
+    .map((_, i) => i)
+    .sort((a, b) => boxplotData[b].length - boxplotData[a].length);
+  const { table, omitted } = fitTableToTokenBudget(
+    header,
+    rows,
+    priority,
+    budget
+  );
+
+  const notes = [
+    `- グループ数: ${labels.length}（並び順はチャートと同じ）`,
+    "- 下ひげ/上ひげ: 外れ値（Q1-1.5×IQR 〜 Q3+1.5×IQR の範囲外）を除く最小/最大",
+  ];
+  if (omitted > 0) {
+    notes.push(`- ※ 文字数の上限のため件数の少ない${omitted}グループを省略`);
+  }
+
+  return `**比較分析（${labelConfig.groupBy[settings.groupBy]}の${
+    isQtyMetric ? "数量" : "単価"
+  }分布）**\n${notes.join("\n")}\n\n${table}`;
+}
+
+/**
+ * Price stats per X-axis range of the trend chart
+ * Note: ヒートマップと同じ区間（最後の区間のみ上端を含む）
+ * @param {Array<{x: number, y: number}>} scatterData - Trend chart points
+ * @param {Array<{min: number, max: number, label: string}>} xRanges - Ranges
+ * @returns {Array<{label: string, count: number, avg: number, median: number}>}
+ */
+function calcTrendRangeStats(scatterData, xRanges) {
+  return xRanges.map((range, i) => {
+    const isLastRange = i === xRanges.length - 1;
+    const prices = scatterData
+      .filter(
+        (point) =>
+          point.x >= range.min &&
+          (isLastRange ? point.x <= range.max : point.x < range.max)
+      )
+      .map((point) => point.y);
+    return {
+      label: range.label,
+      count: prices.length,
+      avg: calcPriceStats(prices).avg,
+      median: calcMedian(prices),
+    };
+  });
+}
+
+/**
+ * Summarize trend chart data (calcCorrelation and per-range stats)
+ * @private
+ */
+function summarizeTrendData(data, settings, unit, budget) {
+  const { scatterData, xRanges, xAxisLabel, scaleCurve } = data;
+  if (scatterData.length === 0) return "";
+
+  const correlation = calcCorrelation(
+    scatterData.map((point) => point.x),
+    scatterData.map((point) => point.y)
+  );
+
+  const header = [`${xAxisLabel}`, "件数", `平均(円/${unit})`, "中央値"];
+  const rows = calcTrendRangeStats(scatterData, xRanges).map((stats) => [
+    stats.label,
+    String(stats.count),
+    stats.count > 0 ? formatSummaryNumber(stats.avg) : "-",
+    stats.count > 0 ? formatSummaryNumber(stats.median) : "-",
+  ]);
+  const { table } = fitTableToTokenBudget(
+    header,
+    rows,
+    rows.map((_, i) => i),
+    budget
+  );
+
+  const notes = [
+    `- 件数: ${scatterData.length}`,
+    `- 相関係数（${xAxisLabel} × 単価）: ${
+      correlation !== null ? correlation.toFixed(3) : "算出不可"
+    }`,
+  ];
+  if (scaleCurve) {
+    notes.push(
+      `- べき乗近似（単価 = a × 数量^b、両対数の回帰）: ${formatScaleCurveSummary(
+        scaleCurve
+      )}、b の95%信頼区間 ±${(scaleCurve.standardError * 1.96).toFixed(
+        3
+      )}、決定係数 ${scaleCurve.rSquared.toFixed(3)}（${scaleCurve.n}件）`,
+      "- 価格弾力性が負なら数量が多いほど単価が下がる（ボリュームディスカウント）"
+    );
+  }
+
+  return `**傾向分析（${
+    CHART_CONFIGS.trend.labels.xAxis[settings.xAxis]
+  }別の単価）**\n${notes.join("\n")}\n\n${table}`;
+}
+
+/**
+ * Build structured aggregates of a chart for the prompt
+ * @param {string} tab - 'timeseries' | 'comparison' | 'trend'
+ * @param {Object|null} data - Chart data (prepareDetailChartData)
+ * @param {Object} settings - Tab settings used for the chart
+ * @param {string} unit - Unit of the item
+ * @param {number} [budget] - Token budget for this chart
+ * @returns {string} Markdown summary (empty if no data)
+ */
+function summarizeChartData(
+  tab,
+  data,
+  settings,
+  unit,
+  budget = AI_REPORT_DATA_CONFIG.tokenBudget
+) {
+  if (!data) return "";
+  const summarize = {
+    timeseries: summarizeTimeseriesData,
+    comparison: summarizeComparisonData,
+    trend: summarizeTrendData,
+  }[tab];
+  return summarize ? summarize(data, settings, unit || "単位", budget) : "";
+}
+
+// =============================================================================
+// Prompt Template
+// =============================================================================
+
+/**
+ * Build prompt title and role section (§1)
+ * @private
+ * @param {string} imageSubject - How the attached images are referred to
+ * @param {string[]} extraRules - Additional ALWAYS rules
+ * @returns {string} Prompt section
+ */
+function buildPromptRoleSection(imageSubject, extraRules = []) {
+  const extraRuleLines = extraRules.map((rule) => `- ${rule}\n`).join("");
 
   return `# 建設資材購買分析レポート生成
 
 ## §1 あなたの役割
 
 あなたは建設業界で15年以上の経験を持つ購買分析の専門家です。
-**添付されたチャート画像を詳細に読み取り**、データに基づく論理的な分析と実務で即座に活用できる具体的な提言を行います。
+**${imageSubject}を詳細に読み取り**、データに基づく論理的な分析と実務で即座に活用できる具体的な提言を行います。
 
 ### §1.1 チャート読み取りの絶対ルール
 
@@ -303,7 +629,7 @@ ${readingGuide.commonMisreads.map((m) => `- ${m}`).join("\n")}
 - 視覚的パターン（傾き、クラスター、外れ値）を具体的な数値や位置で説明
 - 統計データ（§2.2）とチャート視覚情報の整合性を検証
 - 日付は明確に記述（例: 「2024年3月〜4月」「2023年第4四半期」「2024年3月第1週」）
-
+${extraRuleLines}
 **NEVER（絶対禁止）**:
 - チャートに表示されていないデータを推測で補完
 - 「高い」「低い」を比較基準なしで使用
@@ -315,10 +641,36 @@ ${readingGuide.commonMisreads.map((m) => `- ${m}`).join("\n")}
 2. **統計データ（§2.2）との照合・検証**
 3. **因果関係の推論**（「〜と推測される」と明記）
 4. **具体的アクション提案**
+`;
+}
 
----
+/** ALWAYS rule added when structured aggregates are attached (§2.4) */
+const CHART_DATA_RULE =
+  "数値は§2.4の集計データから引用する（チャートからの目測値で置き換えない）";
+
+/**
+ * Build analysis target data section (§2)
+ * @private
+ * @param {Object} params - { group, kpi, filters, chartSummaries }
+ * @returns {string} Prompt section
+ */
+function buildPromptDataSection({ group, kpi, filters, chartSummaries = [] }) {
+  const filterInfo = formatFilterInfo(filters);
+  const filterLine =
+    filterInfo.length > 0
+      ? `- **適用フィルター**: ${filterInfo.join(", ")}`
+      : "- **適用フィルター**: なし（全データ対象）";
+
+  // Calculate price spread for context
+  const priceSpread = kpi.maxPrice - kpi.minPrice;
+  const priceSpreadPercent =
+    kpi.avgPrice > 0 ? ((priceSpread / kpi.avgPrice) * 100).toFixed(1) : 0;
+  const avgMedianGap =
+    kpi.avgPrice > 0
+      ? (((kpi.avgPrice - kpi.medianPrice) / kpi.avgPrice) * 100).toFixed(1)
+      : 0;
 
-## §2 分析対象データ
+  return `## §2 分析対象データ
 
 ### §2.1 基本情報
 | 項目 | 値 |
@@ -344,54 +696,78 @@ ${filterLine}
       : Number(avgMedianGap) < -5
       ? "（低価格側に偏り）"
       : "（対称的な分布）"
-  }
-
----
-
-## §3 チャート分析タスク
-
-### §3.1 チャート種別
-- **分析カテゴリ**: ${chartInfo.tabName}
-- **表示内容**: ${chartInfo.description}
-
-### §3.2 分析の着眼点
-${analysisPointsList}
-${readingGuideSection}
----
+  }${chartSummaries.length > 0 ? buildChartDataSection(chartSummaries) : ""}`;
+}
 
-## §4 出力フォーマット
+/**
+ * Build structured aggregates section (§2.4)
+ * @private
+ * @param {string[]} chartSummaries - Output of summarizeChartData
+ * @returns {string} Prompt fragment
+ */
+function buildChartDataSection(chartSummaries) {
+  return `
 
-**重要**: 出力は必ず「⚠️注意：AIによる分析のため、不正確な情報を表示することがあります。」から開始すること。自己紹介や挨拶文は一切不要。
+### §2.4 チャートの集計データ
 
-### 📋 基本情報
+チャートと同じ計算による集計値です。チャートから目測した数値ではなく、この表の値を引用すること。
 
-| 項目 | 内容 |
-|------|------|
-| 品目名 | ${group?.item || "不明"} |
-| 単位 | ${group?.unit || "不明"} |
-| 分析種別 | ${chartInfo.tabName} |
-| 時間軸 | ${chartInfo.description} |
-| 分析期間 | [チャートから読み取った期間を記載（例: 2023年4月〜2024年3月）] |
-| データ件数 | ${kpi.count}件 |
+${chartSummaries.join("\n\n")}`;
+}
 
-### 📊 チャート分析サマリー
+/**
+ * Build reading guide body for a chart type
+ * @private
+ * @param {Object} readingGuide - CHART_CONFIGS[tab].readingGuide
+ * @returns {string} Prompt fragment
+ */
+function buildReadingGuideBody(readingGuide) {
+  return `**主要パターン**: ${readingGuide.primaryPattern}
 
-> チャート画像から読み取れる最も重要な発見を1〜2文で要約。
-> 「チャートを見ると...」「グラフ上で...が確認できる」のように視覚的特徴を起点に記述。
+**数値化ポイント**（ALWAYS これらを読み取る）:
+${readingGuide.measurementPoints.map((p, i) => `${i + 1}. ${p}`).join("\n")}
 
-### 📈 詳細分析（5項目）
+**視覚的手がかり**:
+${readingGuide.visualCues.map((c) => `- ${c}`).join("\n")}
 
-以下の形式で5つの分析を記述:
+**⚠️ よくある誤読パターン**（NEVER これらの罠に陥らない）:
+${readingGuide.commonMisreads.map((m) => `- ${m}`).join("\n")}`;
+}
 
-**分析1: [発見したパターン名]**
-- **事実**: チャートから読み取れる客観的事実（傾向、位置、パターン）
-- **数値**: 具体的な金額や変化率
-- **解釈**: この傾向が意味すること
-- **価格交渉への影響**: この分析から導かれる交渉上のポイント（後述の交渉アクションの根拠となる）
+/**
+ * Get the standard reading guide of a chart type as editable text
+ * @param {string} tab - 'timeseries' | 'comparison' | 'trend'
+ * @returns {string} Prompt fragment (empty for unknown tabs)
+ */
+function getDefaultReadingGuideText(tab) {
+  const readingGuide = CHART_CONFIGS[tab]?.readingGuide;
+  return readingGuide ? buildReadingGuideBody(readingGuide) : "";
+}
 
-**分析2〜5**: 同様の形式で記述
+/**
+ * Resolve the reading guide of a chart (template override or standard)
+ * @private
+ * @param {Object} chartInfo - Chart description (getChartDescription)
+ * @param {PromptTemplate|null} template - Prompt template
+ * @returns {string} Prompt fragment (empty if the chart has no guide)
+ */
+function resolveReadingGuideBody(chartInfo, template) {
+  const override = template?.readingGuides?.[chartInfo.tab]?.trim();
+  if (override) return override;
+  return chartInfo.readingGuide
+    ? buildReadingGuideBody(chartInfo.readingGuide)
+    : "";
+}
 
-### 💼 価格交渉ガイド
+/**
+ * Build price negotiation guide and risk sections of the output format
+ * @private
+ * @param {Object} kpi - KPI summary
+ * @param {string} analysisRef - How to refer to an analysis (e.g. "分析○")
+ * @returns {string} Prompt fragment
+ */
+function buildNegotiationFormat(kpi, analysisRef) {
+  return `### 💼 価格交渉ガイド
 
 #### 推奨ターゲット単価
 | 項目 | 値 | 根拠 |
@@ -408,29 +784,471 @@ ${readingGuideSection}
 
 | # | アクション | 根拠（対応する分析） | 期待効果 |
 |---|----------|-------------------|---------|
-| 1 | [最優先アクション] | 分析○の「価格交渉への影響」より | [効果] |
-| 2 | [次点アクション] | 分析○の「価格交渉への影響」より | [効果] |
-| 3 | [補助的アクション] | 分析○の「価格交渉への影響」より | [効果] |
+| 1 | [最優先アクション] | ${analysisRef}の「価格交渉への影響」より | [効果] |
+| 2 | [次点アクション] | ${analysisRef}の「価格交渉への影響」より | [効果] |
+| 3 | [補助的アクション] | ${analysisRef}の「価格交渉への影響」より | [効果] |
 
 ### ⚠️ リスク・注意事項
 
 | 発見場所 | 詳細 | 対応策 |
 |---------|------|--------|
 | チャート | [視覚的に検出した異常] | [アクション] |
-| 統計データ | [数値的リスク] | [対策] |
+| 統計データ | [数値的リスク] | [対策] |`;
+}
+
+/**
+ * Build placeholder values of a prompt template (PROMPT_TEMPLATE_PLACEHOLDERS)
+ * @param {Object} params - Parameters for prompt generation
+ * @param {Object} params.group - Current group data (item, unit, minorCode)
+ * @param {Object} params.kpi - KPI summary
+ * @param {Object} params.filters - Common filters
+ * @param {Object} params.chartInfo - Chart description
+ * @param {string} [params.chartSummary] - Structured aggregates (summarizeChartData)
+ * @param {PromptTemplate|null} [params.template] - Template (reading guide overrides)
+ * @returns {Object<string, string>} Placeholder name → value
+ */
+function buildPromptTemplateValues({
+  group,
+  kpi,
+  filters,
+  chartInfo,
+  chartSummary = "",
+  template = null,
+}) {
+  const chartSummaries = chartSummary ? [chartSummary] : [];
+  const filterInfo = formatFilterInfo(filters);
+  const readingGuide = resolveReadingGuideBody(chartInfo, template);
+
+  return {
+    item: group?.item || "不明",
+    unit: group?.unit || "不明",
+    minorCode: group?.minorCode || "不明",
+    "kpi.count": String(kpi.count),
+    "kpi.minPrice": formatNumber(kpi.minPrice),
+    "kpi.avgPrice": formatNumber(kpi.avgPrice),
+    "kpi.medianPrice": formatNumber(kpi.medianPrice),
+    "kpi.maxPrice": formatNumber(kpi.maxPrice),
+    "kpi.priceRange": formatNumber(kpi.maxPrice - kpi.minPrice),
+    filters:
+      filterInfo.length > 0 ? filterInfo.join(", ") : "なし（全データ対象）",
+    "filters.period": `${filters.dateFrom || "開始日なし"} ～ ${
+      filters.dateTo || "終了日なし"
+    }`,
+    "filters.regions": filters.regions?.join(", ") || "すべて",
+    "filters.vendors": filters.vendors?.join(", ") || "すべて",
+    "chart.tabName": chartInfo.tabName,
+    "chart.description": chartInfo.description,
+    "chart.analysisPoints": chartInfo.analysisPoints
+      .map((point, i) => `   ${i + 1}. ${point}`)
+      .join("\n"),
+    "chart.readingGuide": readingGuide,
+    chartData: chartSummary,
+    "section.role": buildPromptRoleSection(
+      "添付されたチャート画像",
+      chartSummaries.length > 0 ? [CHART_DATA_RULE] : []
+    ),
+    "section.data": buildPromptDataSection({
+      group,
+      kpi,
+      filters,
+      chartSummaries,
+    }),
+    "section.readingGuide": readingGuide
+      ? `
+### §3.3 このチャート種別の読み取り手法
+
+${readingGuide}
+`
+      : "",
+    "section.negotiation": buildNegotiationFormat(kpi, "分析○"),
+  };
+}
+
+/**
+ * Generate procurement analysis prompt for the LLM provider
+ * @param {Object} params - Parameters for prompt generation
+ * @param {Object} params.group - Current group data (item, unit)
+ * @param {Object} params.kpi - KPI summary
+ * @param {Object} params.filters - Common filters
+ * @param {Object} params.chartInfo - Chart description
+ * @param {string} [params.chartSummary] - Structured aggregates (summarizeChartData)
+ * @param {PromptTemplate|null} [params.template] - Prompt template
+ *   (defaults to the standard template)
+ * @returns {string} Generated prompt
+ */
+function generateProcurementPrompt({ template = null, ...params }) {
+  const resolved =
+    template || getPromptTemplate(PROMPT_TEMPLATE_CONFIG.defaultId);
+  return renderPromptTemplate(
+    resolved.body,
+    buildPromptTemplateValues({ ...params, template: resolved })
+  );
+}
+
+/**
+ * Cross-chart analysis points for the full report
+ * (timeseries × comparison × trend)
+ */
+const FULL_REPORT_CROSS_POINTS = [
+  "時系列のトレンドと比較分析のグループ差が同じ要因で説明できるか",
+  "比較分析で高い/安いグループの差が、傾向分析の規模要因で説明できるか",
+  "チャート間で矛盾する示唆がないか（矛盾する場合はその理由を考察）",
+  "価格交渉の根拠として最も説得力のあるチャートの組み合わせ",
+];
+
+/**
+ * Generate consolidated procurement prompt for all chart tabs
+ * Images are attached in the same order as chartInfos.
+ * @param {Object} params - Parameters for prompt generation
+ * @param {Object} params.group - Current group data (item, unit)
+ * @param {Object} params.kpi - KPI summary
+ * @param {Object} params.filters - Common filters
+ * @param {Object[]} params.chartInfos - Chart descriptions (one per image)
+ * @param {string[]} [params.chartSummaries] - Structured aggregates per chart
+ * @param {PromptTemplate|null} [params.template] - Prompt template (only the
+ *   reading guide overrides are used; the body is specific to the full report)
+ * @returns {string} Generated prompt
+ */
+function generateFullProcurementPrompt({
+  group,
+  kpi,
+  filters,
+  chartInfos,
+  chartSummaries = [],
+  template = null,
+}) {
+  const imageLabel = (i) => `画像${i + 1}（${chartInfos[i].tabName}）`;
+  const imageTable = chartInfos
+    .map(
+      (info, i) => `| 画像${i + 1} | ${info.tabName} | ${info.description} |`
+    )
+    .join("\n");
+
+  const chartSections = chartInfos
+    .map((info, i) => {
+      const analysisPointsList = info.analysisPoints
+        .map((point, j) => `${j + 1}. ${point}`)
+        .join("\n");
+      const readingGuideBody = resolveReadingGuideBody(info, template);
+      const readingGuide = readingGuideBody
+        ? `
+
+#### 読み取り手法
+
+${readingGuideBody}`
+        : "";
+      return `### §3.${i + 1} ${imageLabel(i)}
+
+- **表示内容**: ${info.description}
+
+#### 分析の着眼点
+${analysisPointsList}${readingGuide}`;
+    })
+    .join("\n\n");
+
+  const crossSection = `§3.${chartInfos.length + 1}`;
+  const crossPointsList = FULL_REPORT_CROSS_POINTS.map(
+    (point, i) => `${i + 1}. ${point}`
+  ).join("\n");
+
+  const chartAnalysisFormat = chartInfos
+    .map(
+      (info, i) => `#### ${imageLabel(i)}
+
+**分析${i + 1}-1: [発見したパターン名]**
+- **事実**: チャートから読み取れる客観的事実（傾向、位置、パターン）
+- **数値**: 具体的な金額や変化率
+- **解釈**: この傾向が意味すること
+- **価格交渉への影響**: この分析から導かれる交渉上のポイント
+
+**分析${i + 1}-2〜${i + 1}-3**: 同様の形式で記述`
+    )
+    .join("\n\n");
+
+  const summaries = chartSummaries.filter(Boolean);
+  const rules = [
+    "分析の根拠には画像番号（例: 「画像1（時系列分析）」）を明記する",
+  ];
+  if (summaries.length > 0) rules.push(CHART_DATA_RULE);
+  const dataSection = buildPromptDataSection({
+    group,
+    kpi,
+    filters,
+    chartSummaries: summaries,
+  });
+
+  return `${buildPromptRoleSection(
+    `添付された${chartInfos.length}枚のチャート画像`,
+    rules
+  )}
+---
+
+${dataSection}
+
+---
+
+## §3 チャート分析タスク
+
+添付画像は以下の${chartInfos.length}枚です（添付順）。いずれも同じ品目・同じフィルター条件のデータです。
+
+| 画像 | 分析カテゴリ | 表示内容 |
+|------|-------------|---------|
+${imageTable}
+
+${chartSections}
+
+### ${crossSection} 横断分析の着眼点
+${crossPointsList}
+
+---
+
+## §4 出力フォーマット
+
+**重要**: 出力は必ず「⚠️注意：AIによる分析のため、不正確な情報を表示することがあります。」から開始すること。自己紹介や挨拶文は一切不要。
+
+### 📋 基本情報
+
+| 項目 | 内容 |
+|------|------|
+| 品目名 | ${group?.item || "不明"} |
+| 単位 | ${group?.unit || "不明"} |
+| 分析種別 | 総合レポート（${chartInfos
+    .map((info) => info.tabName)
+    .join("・")}） |
+| 分析期間 | [チャートから読み取った期間を記載（例: 2023年4月〜2024年3月）] |
+| データ件数 | ${kpi.count}件 |
+
+### 📊 総合サマリー
+
+> ${chartInfos.length}枚のチャートを総合して、最も重要な発見を2〜3文で要約。
+> どの画像から読み取ったかを明記すること。
+
+### 📈 詳細分析（チャート別）
+
+各画像について2〜3項目の分析を以下の形式で記述:
+
+${chartAnalysisFormat}
+
+### 🔗 横断的な考察
+
+${crossSection} の着眼点に沿って、チャート間の関係を2〜3項目で記述（各項目で根拠とした画像番号を明記）。
+
+${buildNegotiationFormat(kpi, "分析○-○")}
 
 ---
 
 ## §5 品質チェックリスト
 
-- [ ] 各分析がチャートの視覚情報を引用している
+- [ ] すべての画像について、チャートの視覚情報を引用している
+- [ ] 分析の根拠に画像番号を明記している
 - [ ] 「高い/低い」には比較基準を明記
 - [ ] 推測は「〜と推測される」と明記
-- [ ] 統計データとチャートが整合している
-- [ ] 価格交渉アクションが詳細分析の「価格交渉への影響」と整合している
+- [ ] 統計データと各チャートが整合している
+- [ ] 価格交渉アクションが詳細分析・横断的な考察と整合している
+`;
+}
+
+/**
+ * @typedef {Object} ReportChatContext
+ * @property {string} mode - 'current' | 'full'
+ * @property {string} itemKey - Item the report was generated for (group.item)
+ * @property {string} prompt - Prompt of the report (rebuilt after filter changes)
+ * @property {Array<string>} images - Chart images sent with the prompt
+ * @property {string} report - The generated report (Markdown)
+ * @property {PromptTemplate|null} template - Prompt template of the report
+ */
+
+/** Maximum characters of an earlier follow-up answer kept in the prompt */
+const FOLLOW_UP_ANSWER_MAX_LENGTH = 1500;
+
+/**
+ * Generate prompt for a follow-up question about a generated report
+ * The original prompt is kept as context, and its output format is replaced
+ * by the follow-up rules.
+ * @param {Object} params - Parameters for prompt generation
+ * @param {string} params.basePrompt - Prompt of the report (after filter changes)
+ * @param {string} params.report - The generated report
+ * @param {Array<Object>} params.exchanges - Earlier follow-ups ({ question, answer })
+ * @param {string} params.question - Follow-up question
+ * @param {Array<string>} [params.filterChanges] - Applied filter changes
+ * @returns {string} Generated prompt
+ */
+function generateFollowUpPrompt({
+  basePrompt,
+  report,
+  exchanges,
+  question,
+  filterChanges = [],
+}) {
+  const filterSection =
+    filterChanges.length > 0
+      ? `
+## 条件の変更
+
+ユーザーの依頼により、共通フィルターを次のとおり変更しました。
+最初の指示の「分析対象データ」・添付画像・集計データは**変更後の条件**のものです。
+前回のレポートは変更前の条件に基づいているため、変化した点を比較して回答すること。
+
+${filterChanges.map((change) => `- ${change}`).join("\n")}
+`
+      : "";
+
+  const historySection =
+    exchanges.length > 0
+      ? `
+## これまでの追加の質問と回答
+
+${exchanges
+  .map((exchange, i) => {
+    const answer =
+      exchange.answer.length > FOLLOW_UP_ANSWER_MAX_LENGTH
+        ? `${exchange.answer.slice(0, FOLLOW_UP_ANSWER_MAX_LENGTH)}…（以下省略）`
+        : exchange.answer;
+    return `### 質問${i + 1}\n${exchange.question}\n\n### 回答${i + 1}\n${answer}`;
+  })
+  .join("\n\n")}
+`
+      : "";
+
+  return `# レポートへの追加の質問
+
+以下は、あなたがレポートを作成したときの指示と、作成したレポートです。
+これらを前提に、最後の「追加の質問」に回答してください。
+
+---
+
+## 最初の指示（参考）
+
+<<<
+${basePrompt.trim()}
+>>>
+
+---
+
+## 作成したレポート
+
+<<<
+${report.trim()}
+>>>
+${filterSection}${historySection}
+---
+
+## 追加の質問
+
+${question}
+
+---
+
+## 回答のルール
+
+- 最初の指示の「出力フォーマット」「出力形式（JSON）」「品質チェックリスト」には従わず、質問に直接答える
+- レポート全体を書き直さない。必要な部分だけを簡潔に説明する
+- 金額・件数・割合は「分析対象データ」の集計値やKPIから引用し、チャート画像の目視で読み取った値は「約」を付ける
+- データから判断できないことは「データからは判断できない」と明記し、推測は「〜と推測される」と明記
+- Markdown で出力し、見出しは ### 以下を使う。自己紹介や挨拶文は不要
+`;
+}
+
+// =============================================================================
+// Structured Output (JSON)
+// =============================================================================
+
+/** Maximum number of schema errors quoted in the retry prompt */
+const STRUCTURED_RETRY_MAX_ERRORS = 10;
+
+/**
+ * Build the JSON output instructions appended to a report prompt
+ * Note: 項目の説明はスキーマの description から生成する
+ * @private
+ * @returns {string} Prompt fragment
+ */
+function buildStructuredOutputSection() {
+  const fields = Object.entries(STRUCTURED_REPORT_SCHEMA.properties)
+    .map(([name, field]) => `| ${name} | ${field.description} |`)
+    .join("\n");
+
+  return `
+
+---
+
+## 出力形式（JSON）
+
+**重要**: 上記の出力フォーマットの代わりに、指定の JSON スキーマに従った JSON オブジェクトのみを出力すること（前後の文章・コードブロック・注意書きは不要）。
+
+| 項目 | 内容 |
+|------|------|
+${fields}
+
+- 各項目は上記の出力フォーマットの該当する節と同じ基準で記述する
+- evidence には集計データ・統計の数値を引用する
+- targetPriceRange の min / max は税抜単価（円）の数値とし、min ≤ max とする
 `;
 }
 
+/**
+ * Convert a report request into a structured (JSON schema) request
+ * @private
+ * @param {LlmRequest} request - Markdown report request
+ * @returns {LlmRequest}
+ */
+function toStructuredRequest(request) {
+  return {
+    ...request,
+    prompt: `${request.prompt.trimEnd()}${buildStructuredOutputSection()}`,
+    responseSchema: STRUCTURED_REPORT_SCHEMA,
+  };
+}
+
+/**
+ * Request a structured report and retry while the response does not match
+ * the schema (the errors are added to the prompt of the next attempt)
+ * @private
+ * @param {LlmRequest} request - Structured request (toStructuredRequest)
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @param {Function} options.onRetry - Callback with (attempt, errors) before a retry
+ * @returns {Promise<StructuredReport>}
+ * @throws {Error} When every attempt failed validation
+ */
+async function requestStructuredReport(request, { signal, onRetry }) {
+  let errors = [];
+  for (
+    let attempt = 0;
+    attempt <= STRUCTURED_REPORT_CONFIG.maxRetries;
+    attempt++
+  ) {
+    let attemptRequest = request;
+    if (attempt > 0) {
+      onRetry(attempt, errors);
+      const errorList = errors
+        .slice(0, STRUCTURED_RETRY_MAX_ERRORS)
+        .map((error) => `- ${error}`)
+        .join("\n");
+      attemptRequest = {
+        ...request,
+        prompt: `${request.prompt}
+---
+
+## 前回の出力の誤り
+
+前回の出力は JSON スキーマに適合しませんでした。以下を修正し、スキーマに従った JSON のみを出力すること。
+
+${errorList}
+`,
+      };
+    }
+
+    const text = await generateLlmContent(attemptRequest, { signal });
+    const result = parseStructuredReport(text);
+    if (result.report) return result.report;
+    errors = result.errors;
+    console.warn("Structured report did not match the schema:", errors);
+  }
+  throw new Error(
+    `${AI_REPORT_ERRORS.STRUCTURED_INVALID}（${errors.slice(0, 3).join(" / ")}）`
+  );
+}
+
 // =============================================================================
 // Chart Capture
 // =============================================================================
@@ -451,57 +1269,317 @@ async function captureChart(chartInstance, delay = 100) {
 // =============================================================================
 
 /**
- * Generate AI report
+ * Run report generation with the selected LLM provider (shared by all modes)
+ * @private
+ * @param {Function} buildRequest - Async function returning { prompt, images }
+ *   (with responseSchema for a structured report)
+ * @param {Object} callbacks - signal and callbacks (see generateAiReport)
+ */
+async function runAiReportGeneration(
+  buildRequest,
+  {
+    signal,
+    onStart,
+    onProgress = () => {},
+    onRetry = () => {},
+    onSuccess,
+    onError,
+    onCancel = () => {},
+    onComplete,
+  }
+) {
+  // Validate provider settings (API key, endpoint)
+  const configError = getLlmConfigError();
+  if (configError) {
+    onError(configError);
+    return;
+  }
+
+  onStart();
+
+  try {
+    const request = await buildRequest();
+    // Cancelled while capturing charts
+    signal?.throwIfAborted();
+
+    if (request.responseSchema) {
+      // 構造化出力は検証が必要なため、ストリーミングせずに受信する
+      const report = await requestStructuredReport(request, {
+        signal,
+        onRetry,
+      });
+      onSuccess(JSON.stringify(report), request, report);
+      return;
+    }
+
+    // Call the selected LLM provider (streaming when supported)
+    const response = await streamLlmContent(request, {
+      signal,
+      onText: onProgress,
+    });
+    onSuccess(response, request, null);
+  } catch (error) {
+    if (error.name === "AbortError") {
+      onCancel();
+      return;
+    }
+    console.error("AI Report generation failed:", error);
+    onError(error.message || AI_REPORT_ERRORS.GENERATION_FAILED);
+  } finally {
+    onComplete();
+  }
+}
+
+/**
+ * Build the request for a single chart report
+ * @private
+ * @param {Object} detailModal - Detail modal state
+ * @param {Object} chart - { tab, settings, data, image }
+ * @param {PromptTemplate|null} template - Prompt template
+ * @returns {LlmRequest}
+ */
+function buildSingleChartRequest(
+  detailModal,
+  { tab, settings, data, image },
+  template
+) {
+  // Build chart description
+  const chartInfo = getChartDescription(tab, settings);
+  const chartSummary = summarizeChartData(
+    tab,
+    data,
+    settings,
+    detailModal.currentGroup?.unit
+  );
+
+  // Generate prompt
+  const prompt = generateProcurementPrompt({
+    group: detailModal.currentGroup,
+    kpi: detailModal.kpiSummary,
+    filters: getReportFilters(detailModal),
+    chartInfo,
+    chartSummary,
+    template,
+  });
+
+  return { prompt, images: [image] };
+}
+
+/**
+ * Build the request for the full report (all chart tabs)
+ * @private
+ * @param {Object} detailModal - Detail modal state
+ * @param {Array<Object>} charts - [{ tab, settings, data, image }]
+ * @param {PromptTemplate|null} template - Prompt template (reading guides)
+ * @returns {LlmRequest}
+ */
+function buildFullReportRequest(detailModal, charts, template) {
+  // 集計データのトークン上限はチャート数で等分
+  const budget = Math.floor(AI_REPORT_DATA_CONFIG.tokenBudget / charts.length);
+  const prompt = generateFullProcurementPrompt({
+    group: detailModal.currentGroup,
+    kpi: detailModal.kpiSummary,
+    filters: getReportFilters(detailModal),
+    chartInfos: charts.map((chart) =>
+      getChartDescription(chart.tab, chart.settings)
+    ),
+    chartSummaries: charts.map((chart) =>
+      summarizeChartData(
+        chart.tab,
+        chart.data,
+        chart.settings,
+        detailModal.currentGroup?.unit,
+        budget
+      )
+    ),
+    template,
+  });
+
+  return { prompt, images: charts.map((chart) => chart.image) };
+}
+
+/**
+ * Capture charts and fail when any image is missing
+ * @private
+ */
+async function captureReportCharts(captureCharts) {
+  const charts = await captureCharts();
+  if (charts.length === 0 || charts.some((chart) => !chart.image)) {
+    throw new Error(AI_REPORT_ERRORS.CHART_CAPTURE_FAILED);
+  }
+  return charts;
+}
+
+/**
+ * Generate AI report for the currently displayed chart
  * @param {Object} params - Parameters for report generation
  * @param {Object} params.chartInstance - Chart.js instance
+ * @param {Object|null} [params.chartData] - Data of the chart (prepareDetailChartData)
  * @param {Object} params.detailModal - Detail modal state
+ * @param {PromptTemplate|null} [params.template] - Prompt template
+ *   (defaults to the standard template)
+ * @param {boolean} [params.structured] - Request a structured (JSON) report
+ * @param {AbortSignal} [params.signal] - Abort signal (cancel button)
  * @param {Function} params.onStart - Callback when generation starts
- * @param {Function} params.onSuccess - Callback on success with response
+ * @param {Function} [params.onProgress] - Callback with accumulated text while
+ *   streaming (not called for structured reports)
+ * @param {Function} [params.onRetry] - Callback with (attempt, errors) when a
+ *   structured response did not match the schema and is requested again
+ * @param {Function} params.onSuccess - Callback on success with response (the
+ *   JSON text for structured reports), the request sent to the provider
+ *   ({ prompt, images }) and the validated StructuredReport (null for
+ *   Markdown reports)
  * @param {Function} params.onError - Callback on error with error message
+ * @param {Function} [params.onCancel] - Callback when aborted via signal
  * @param {Function} params.onComplete - Callback when generation completes
  */
 async function generateAiReport({
   chartInstance,
+  chartData = null,
   detailModal,
-  onStart,
-  onSuccess,
-  onError,
-  onComplete,
+  template = null,
+  structured = false,
+  ...callbacks
 }) {
-  // Validate API key
-  if (!getGeminiApiKey()) {
-    onError(AI_REPORT_ERRORS.NO_API_KEY);
-    return;
-  }
-
-  onStart();
-
-  try {
+  await runAiReportGeneration(async () => {
     // Capture chart image
     const chartImage = await captureChart(chartInstance);
     if (!chartImage) {
       throw new Error(AI_REPORT_ERRORS.CHART_CAPTURE_FAILED);
     }
 
-    // Build chart description
     const { activeTab } = detailModal;
-    const chartInfo = getChartDescription(activeTab, detailModal[activeTab]);
-
-    // Generate prompt
-    const prompt = generateProcurementPrompt({
-      group: detailModal.currentGroup,
-      kpi: detailModal.kpiSummary,
-      filters: detailModal.commonFilters,
-      chartInfo,
-    });
+    const request = buildSingleChartRequest(
+      detailModal,
+      {
+        tab: activeTab,
+        settings: detailModal[activeTab],
+        data: chartData,
+        image: chartImage,
+      },
+      template
+    );
+    return structured ? toStructuredRequest(request) : request;
+  }, callbacks);
+}
 
-    // Call Gemini API
-    const response = await callGeminiVisionApi([chartImage], prompt);
-    onSuccess(response);
-  } catch (error) {
-    console.error("AI Report generation failed:", error);
-    onError(error.message || AI_REPORT_ERRORS.GENERATION_FAILED);
-  } finally {
-    onComplete();
+/**
+ * Generate consolidated AI report from all chart tabs (full report mode)
+ * @param {Object} params - Parameters for report generation
+ * @param {Function} params.captureCharts - Async function returning
+ *   [{ tab, settings, data, image }] (settings as rendered, image as base64)
+ * @param {Object} params.detailModal - Detail modal state
+ * @param {PromptTemplate|null} [params.template] - Prompt template
+ *   (reading guide overrides)
+ * @param {boolean} [params.structured] - Request a structured (JSON) report
+ * @param {AbortSignal} [params.signal] - Abort signal (cancel button)
+ * @param {Function} params.onStart - Other callbacks: same as generateAiReport
+ */
+async function generateFullAiReport({
+  captureCharts,
+  detailModal,
+  template = null,
+  structured = false,
+  ...callbacks
+}) {
+  await runAiReportGeneration(async () => {
+    const charts = await captureReportCharts(captureCharts);
+    const request = buildFullReportRequest(detailModal, charts, template);
+    return structured ? toStructuredRequest(request) : request;
+  }, callbacks);
+}
+
+/**
+ * Build the full report request for batch generation (batch-report.js)
+ * @param {Object} detailModal - Detail modal state of the item
+ * @param {Array<Object>} charts - [{ tab, settings, data, image }]
+ * @param {Object} [options]
+ * @param {PromptTemplate|null} [options.template] - Prompt template
+ *   (reading guide overrides)
+ * @param {boolean} [options.structured] - Request a structured (JSON) report
+ * @returns {LlmRequest}
+ * @throws {Error} When a chart image is missing
+ */
+function buildBatchReportRequest(
+  detailModal,
+  charts,
+  { template = null, structured = false } = {}
+) {
+  if (charts.length === 0 || charts.some((chart) => !chart.image)) {
+    throw new Error(AI_REPORT_ERRORS.CHART_CAPTURE_FAILED);
+  }
+  const request = buildFullReportRequest(detailModal, charts, template);
+  return structured ? toStructuredRequest(request) : request;
+}
+
+/**
+ * Request a report without streaming (batch generation)
+ * Structured requests are validated and retried like generateAiReport.
+ * @param {LlmRequest} request - Request (buildBatchReportRequest)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @returns {Promise<{response: string, report: StructuredReport|null}>}
+ * @throws {Error} If the provider call fails (see createLlmError)
+ */
+async function requestBatchReport(request, { signal } = {}) {
+  if (request.responseSchema) {
+    const report = await requestStructuredReport(request, {
+      signal,
+      onRetry: () => {},
+    });
+    return { response: JSON.stringify(report), report };
   }
+  const response = await generateLlmContent(request, { signal });
+  return { response, report: null };
+}
+
+/**
+ * Answer a follow-up question about a generated report
+ * When the question changed the common filters, the charts are captured
+ * again and the original prompt is rebuilt from the filtered data before
+ * asking, so the answer reflects the new conditions.
+ * @param {Object} params - Parameters for the follow-up
+ * @param {ReportChatContext} params.context - Original request and report
+ * @param {Array<Object>} params.exchanges - Earlier follow-ups ({ question, answer })
+ * @param {string} params.question - Follow-up question
+ * @param {Array<string>} [params.filterChanges] - Applied filter changes (descriptions)
+ * @param {Function|null} [params.captureCharts] - Set when the filters changed:
+ *   async function returning [{ tab, settings, data, image }] for context.mode
+ * @param {Object} params.detailModal - Detail modal state (after the filter change)
+ * @param {Function} [params.onContextUpdate] - Callback with the rebuilt
+ *   { prompt, images } after the filter change
+ * @param {AbortSignal} [params.signal] - Abort signal (cancel button)
+ * @param {Function} params.onStart - Other callbacks: same as generateAiReport
+ */
+async function generateAiReportFollowUp({
+  context,
+  exchanges,
+  question,
+  filterChanges = [],
+  captureCharts = null,
+  detailModal,
+  onContextUpdate = () => {},
+  ...callbacks
+}) {
+  await runAiReportGeneration(async () => {
+    let base = context;
+    if (captureCharts) {
+      const charts = await captureReportCharts(captureCharts);
+      const template = context.template || null;
+      base =
+        context.mode === "full"
+          ? buildFullReportRequest(detailModal, charts, template)
+          : buildSingleChartRequest(detailModal, charts[0], template);
+      onContextUpdate(base);
+    }
+
+    const prompt = generateFollowUpPrompt({
+      basePrompt: base.prompt,
+      report: context.report,
+      exchanges,
+      question,
+      filterChanges,
+    });
+    return { prompt, images: base.images };
+  }, callbacks);
 }
@@ -0,0 +1,489 @@
+/**
+ * =============================================================================
+ * anomaly-detector.js - 異常値検出モジュール
+ * =============================================================================
+ *
+ * 概要:
+ *   docs/anomaly-detection-categories.md で定義された検出カテゴリを
+ *   レコードに適用し、カテゴリコード（A-1, B-6 等）をタグ付けします。
+ *   processData() で派生フィールドを付与した後に実行します。
+ *   - A: 即座除外 … 既定で価格統計（calcPriceStats / KPIサマリー）から除外
+ *   - B: 要確認   … 警告バッジとして表示
+ *   - C: 分析活用 … 参考バッジとして表示
+ *
+ *   C-3 は B-4 と同一条件のため B-4 で代表し、C-6（地域別標準単価）と
+ *   C-7（時系列変動）は多角分析モーダルの比較・時系列タブで扱います。
+ *
+ * 分類: ドメイン層 (Domain Layer)
+ *
+ * 依存関係:
+ *   - utils.js : calcMedian, calcBoxplotStats, groupRecordsBy, parseDateString
+ *
+ * =============================================================================
+ */
+
+// =============================================================================
+// Category Definitions
+// =============================================================================
+
+/**
+ * 検出カテゴリ定義
+ * scope: 'record' = レコード単位、'item' = 小工事項目単位
+ */
+const ANOMALY_CATEGORIES = {
+  "A-1": { group: "A", scope: "record", label: "極端な単価異常" },
+  "A-2": { group: "A", scope: "record", label: "数量の異常値（極端）" },
+  "A-3": { group: "A", scope: "record", label: "階数と面積の不整合" },
+  "A-4": { group: "A", scope: "record", label: "同一工事内の基本情報不整合" },
+  "A-5": { group: "A", scope: "record", label: "単位と数量の論理的矛盾" },
+  "A-6": { group: "A", scope: "record", label: "標準単価からの極端な乖離" },
+  "B-1": { group: "B", scope: "record", label: "総額の外れ値" },
+  "B-2": { group: "B", scope: "record", label: "面積の整合性異常" },
+  "B-3": { group: "B", scope: "record", label: "負の値レコード" },
+  "B-4": { group: "B", scope: "item", label: "同一項目の単価バラツキ" },
+  "B-5": { group: "B", scope: "record", label: "地域間価格の外れ値" },
+  "B-6": { group: "B", scope: "record", label: "標準単価からの中程度乖離" },
+  "B-7": { group: "B", scope: "record", label: "業者間価格差の異常" },
+  "B-8": { group: "B", scope: "record", label: "地域別標準単価からの乖離" },
+  "B-9": { group: "B", scope: "record", label: "時系列での単価急変" },
+  "C-1": { group: "C", scope: "record", label: "数量の外れ値（軽微）" },
+  "C-2": { group: "C", scope: "record", label: "総額の外れ値（中程度）" },
+  "C-4": { group: "C", scope: "item", label: "変動係数（CV）異常" },
+  "C-5": { group: "C", scope: "item", label: "業者間競争の激しい項目" },
+};
+
+/**
+ * 大カテゴリごとのバッジクラス（Bootstrap 5）
+ */
+const ANOMALY_BADGE_CLASSES = {
+  A: "bg-danger",
+  B: "bg-warning text-dark",
+  C: "bg-light text-secondary border",
+};
+
+/**
+ * 判定しきい値（定義書の「条件」節に対応）
+ * IQR由来の境界（A-1下限、A-3上限、B-2、C-1、C-2）はデータから算出する
+ */
+const ANOMALY_THRESHOLDS = {
+  PRICE_MAX: 1000000, // A-1: 100万円以上の単価
+  QTY_MIN: -100, // A-2
+  QTY_MAX: 10000, // A-2 / C-1
+  TWO_FLOOR_AREA_MIN: 100, // A-3: 2階建てで施工面積100㎡未満
+  LOT_QTY_MAX: 100, // A-5: 「式」で100超
+  SHEET_DECIMAL_PLACES: 2, // A-5: 「枚」で小数2桁以上
+  AREA_QTY_RATIO_MAX: 20, // A-5: 「ｍ２」で施工面積の20倍超
+  EXTREME_DEVIATION: 10.0, // A-6: 中央値から1000%超
+  AMOUNT_MAX: 5000000, // B-1 / C-2: 500万円
+  TOTAL_OVER_CONST_RATIO: 1.1, // B-2
+  CONST_OVER_TOTAL_RATIO: 1.3, // B-2
+  NEGATIVE_ALLOWED_ITEMS: ["環境協力金"], // B-3
+  CV_REVIEW: 100, // B-4: CV 100%超
+  REGIONAL_HIGH: 1.5, // B-5
+  REGIONAL_LOW: 0.5, // B-5
+  MODERATE_DEVIATION: 0.5, // B-6: 中央値から50%超
+  VENDOR_MEDIAN_RATIO: 2.0, // B-7
+  REGIONAL_RECORD_HIGH: 1.8, // B-8
+  REGIONAL_RECORD_LOW: 0.5, // B-8
+  PRICE_JUMP_RATIO: 1.0, // B-9: 前回比100%超の変動
+  PRICE_JUMP_DAYS: 90, // B-9: 90日以内
+  CV_EXTREME: 300, // C-4: CV 300%超
+  COMPETITIVE_VENDOR_COUNT: 10, // C-5
+  MIN_SAMPLE_SIZE: 3, // 中央値比較に必要な最小件数
+};
+
+/** 大カテゴリの優先順位（小さいほど重大） */
+const ANOMALY_GROUP_PRIORITY = { A: 0, B: 1, C: 2 };
+
+// =============================================================================
+// Private Helpers
+// =============================================================================
+
+/**
+ * IQR法による外れ値境界を算出
+ * @private
+ * @param {number[]} values - 数値配列
+ * @returns {{lower: number, upper: number}} 下限・上限フェンス
+ */
+function calcIqrFences(values) {
+  const { q1, q3 } = calcBoxplotStats(values);
+  const iqr = q3 - q1;
+  return {
+    lower: q1 - IQR_OUTLIER_MULTIPLIER * iqr,
+    upper: q3 + IQR_OUTLIER_MULTIPLIER * iqr,
+  };
+}
+
+/**
+ * 変動係数（%）を算出（母標準偏差 / 平均）
+ * @private
+ * @param {number[]} values - 数値配列
+ * @returns {number|null} CV（%）、平均が0以下の場合null
+ */
+function calcCoefficientOfVariation(values) {
+  if (values.length === 0) return null;
+  let sum = 0;
+  for (const v of values) sum += v;
+  const mean = sum / values.length;
+  if (mean <= 0) return null;
+
+  let squaredSum = 0;
+  for (const v of values) squaredSum += (v - mean) * (v - mean);
+  return (Math.sqrt(squaredSum / values.length) / mean) * 100;
+}
+
+/**
+ * 小数点以下の桁数を取得
+ * @private
+ * @param {number} value - 数値
+ * @returns {number} 小数桁数
+ */
+function countDecimalPlaces(value) {
+  const fraction = String(value).split(".")[1];
+  return fraction ? fraction.length : 0;
+}
+
+/**
+ * グループ化したレコードの価格中央値マップを作成
+ * @private
+ * @param {Array} records - レコード配列
+ * @param {Function} keyFn - グループキー関数
+ * @returns {Map<string, {median: number, count: number}>}
+ */
+function buildMedianMap(records, keyFn) {
+  const grouped = groupRecordsBy(records, keyFn);
+  const result = new Map();
+  for (const [key, groupRecords] of Object.entries(grouped)) {
+    result.set(key, {
+      median: calcMedian(groupRecords.map((r) => r.price)),
+      count: groupRecords.length,
+    });
+  }
+  return result;
+}
+
+/**
+ * 同一工事内で基本情報が複数値を持つ工事名称を抽出（A-4）
+ * @private
+ * @param {Array} records - レコード配列
+ * @returns {Set<string>} 不整合のある工事名称
+ */
+function findInconsistentProjects(records) {
+  const projects = new Map();
+  for (const r of records) {
+    let entry = projects.get(r.projectName);
+    if (!entry) {
+      entry = { constArea: new Set(), floors: new Set(), region: new Set() };
+      projects.set(r.projectName, entry);
+    }
+    entry.constArea.add(r.constArea);
+    entry.floors.add(r.floors);
+    entry.region.add(r.region);
+  }
+
+  const inconsistent = new Set();
+  for (const [name, entry] of projects) {
+    if (
+      entry.constArea.size > 1 ||
+      entry.floors.size > 1 ||
+      entry.region.size > 1
+    ) {
+      inconsistent.add(name);
+    }
+  }
+  return inconsistent;
+}
+
+/**
+ * 同一項目・同一業者で90日以内に単価が急変したレコードを抽出（B-9）
+ * @private
+ * @param {Array} records - レコード配列
+ * @returns {Set<Object>} 該当レコード
+ */
+function findPriceJumps(records) {
+  const t = ANOMALY_THRESHOLDS;
+  const jumps = new Set();
+  const grouped = groupRecordsBy(records, (r) => `${r.item}|${r.vendor}`);
+
+  for (const groupRecords of Object.values(grouped)) {
+    if (groupRecords.length < 2) continue;
+    const sorted = [...groupRecords].sort((a, b) =>
+      a.orderDate.localeCompare(b.orderDate)
+    );
+    for (let i = 1; i < sorted.length; i++) {
+      const prev = sorted[i - 1];
+      const curr = sorted[i];
+      if (prev.price <= 0) continue;
+      const prevDate = parseDateString(prev.orderDate);
+      const currDate = parseDateString(curr.orderDate);
+      if (!prevDate || !currDate) continue;
+
+      const daysDiff = (currDate - prevDate) / MILLISECONDS_PER_DAY;
+      const changeRate = Math.abs(curr.price - prev.price) / prev.price;
+      if (changeRate > t.PRICE_JUMP_RATIO && daysDiff <= t.PRICE_JUMP_DAYS) {
+        jumps.add(curr);
+      }
+    }
+  }
+  return jumps;
+}
+
+/**
+ * 小工事項目単位のフラグを判定（B-4, C-4, C-5）
+ * @private
+ * @param {Array} records - レコード配列
+ * @returns {Object} { [item]: string[] }
+ */
+function detectItemFlags(records) {
+  const t = ANOMALY_THRESHOLDS;
+  const itemFlags = {};
+  const grouped = groupRecordsBy(records, "item");
+
+  for (const [item, groupRecords] of Object.entries(grouped)) {
+    const flags = [];
+    const cv = calcCoefficientOfVariation(groupRecords.map((r) => r.price));
+    if (cv !== null && cv > t.CV_REVIEW) flags.push("B-4");
+    if (cv !== null && cv > t.CV_EXTREME) flags.push("C-4");
+
+    const vendorCount = new Set(groupRecords.map((r) => r.vendor)).size;
+    if (vendorCount >= t.COMPETITIVE_VENDOR_COUNT) flags.push("C-5");
+
+    if (flags.length > 0) itemFlags[item] = flags;
+  }
+  return itemFlags;
+}
+
+/**
+ * 中央値に対する乖離率を算出
+ * @private
+ * @param {number} value - 対象値
+ * @param {{median: number, count: number}|undefined} stat - 中央値情報
+ * @returns {number|null} 乖離率、比較不能な場合null
+ */
+function deviationFrom(value, stat) {
+  if (
+    !stat ||
+    stat.median <= 0 ||
+    stat.count < ANOMALY_THRESHOLDS.MIN_SAMPLE_SIZE
+  ) {
+    return null;
+  }
+  return Math.abs(value - stat.median) / stat.median;
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * 全レコードに異常値カテゴリをタグ付け
+ * 各レコードに anomalies（コード配列）と anomalyLevel（'A'|'B'|'C'|null）を付与
+ * @param {Array} records - processData() 済みのレコード配列（破壊的に更新）
+ * @returns {{counts: Object, itemFlags: Object}} カテゴリ別件数と項目単位フラグ
+ */
+function detectAnomalies(records) {
+  const t = ANOMALY_THRESHOLDS;
+
+  // IQR由来の境界（データ全体から算出）
+  const priceFences = calcIqrFences(records.map((r) => r.price));
+  const qtyFences = calcIqrFences(records.map((r) => r.qty));
+  const amountFences = calcIqrFences(records.map((r) => r.amount));
+  const constAreaFences = calcIqrFences(
+    records.filter((r) => r.constArea > 0).map((r) => r.constArea)
+  );
+  const areaRatioFences = calcIqrFences(
+    records
+      .filter((r) => r.constArea > 0 && r.totalArea > 0)
+      .map((r) => r.totalArea / r.constArea)
+  );
+
+  // 項目・地域・業者ごとの標準単価（中央値）
+  const itemMedians = buildMedianMap(records, (r) => r.item);
+  const itemRegionMedians = buildMedianMap(
+    records,
+    (r) => `${r.item}|${r.region}`
+  );
+  const itemVendorMedians = buildMedianMap(
+    records,
+    (r) => `${r.item}|${r.vendor}`
+  );
+
+  const inconsistentProjects = findInconsistentProjects(records);
+  const priceJumps = findPriceJumps(records);
+  const itemFlags = detectItemFlags(records);
+
+  const counts = {};
+  for (const code of Object.keys(ANOMALY_CATEGORIES)) counts[code] = 0;
+
+  for (const r of records) {
+    const codes = [];
+    const itemStat = itemMedians.get(r.item);
+    const regionStat = itemRegionMedians.get(`${r.item}|${r.region}`);
+    const vendorStat = itemVendorMedians.get(`${r.item}|${r.vendor}`);
+    const deviation = deviationFrom(r.price, itemStat);
+    const areaRatio =
+      r.constArea > 0 && r.totalArea > 0 ? r.totalArea / r.constArea : null;
+
+    // --- A: 即座除外 ---
+    if (r.price < priceFences.lower || r.price >= t.PRICE_MAX) {
+      codes.push("A-1");
+    }
+    if (r.qty < t.QTY_MIN || (r.qty > t.QTY_MAX && r.unit !== "式")) {
+      codes.push("A-2");
+    }
+    if (
+      r.floors === 2 &&
+      (r.constArea < t.TWO_FLOOR_AREA_MIN ||
+        r.constArea > constAreaFences.upper)
+    ) {
+      codes.push("A-3");
+    }
+    if (inconsistentProjects.has(r.projectName)) {
+      codes.push("A-4");
+    }
+    if (
+      (r.unit === "式" && r.qty > t.LOT_QTY_MAX) ||
+      (r.unit === "枚" &&
+        countDecimalPlaces(r.qty) >= t.SHEET_DECIMAL_PLACES) ||
+      (r.unit === "ｍ２" &&
+        r.constArea > 0 &&
+        r.qty > r.constArea * t.AREA_QTY_RATIO_MAX)
+    ) {
+      codes.push("A-5");
+    }
+    if (deviation !== null && deviation > t.EXTREME_DEVIATION) {
+      codes.push("A-6");
+    }
+
+    // --- B: 要確認 ---
+    if (r.amount > t.AMOUNT_MAX) {
+      codes.push("B-1");
+    }
+    if (
+      areaRatio !== null &&
+      (areaRatio < areaRatioFences.lower ||
+        areaRatio > areaRatioFences.upper ||
+        r.totalArea > r.constArea * t.TOTAL_OVER_CONST_RATIO ||
+        r.constArea > r.totalArea * t.CONST_OVER_TOTAL_RATIO)
+    ) {
+      codes.push("B-2");
+    }
+    if (r.qty < 0 && !t.NEGATIVE_ALLOWED_ITEMS.includes(r.item)) {
+      codes.push("B-3");
+    }
+    if (
+      regionStat &&
+      regionStat.count >= t.MIN_SAMPLE_SIZE &&
+      itemStat &&
+      itemStat.median > 0 &&
+      (regionStat.median > itemStat.median * t.REGIONAL_HIGH ||
+        regionStat.median < itemStat.median * t.REGIONAL_LOW)
+    ) {
+      codes.push("B-5");
+    }
+    if (
+      deviation !== null &&
+      deviation > t.MODERATE_DEVIATION &&
+      deviation <= t.EXTREME_DEVIATION
+    ) {
+      codes.push("B-6");
+    }
+    if (
+      vendorStat &&
+      itemStat &&
+      itemStat.median > 0 &&
+      itemStat.count >= t.MIN_SAMPLE_SIZE &&
+      vendorStat.median > itemStat.median * t.VENDOR_MEDIAN_RATIO
+    ) {
+      codes.push("B-7");
+    }
+    if (
+      regionStat &&
+      regionStat.median > 0 &&
+      regionStat.count >= t.MIN_SAMPLE_SIZE &&
+      (r.price > regionStat.median * t.REGIONAL_RECORD_HIGH ||
+        r.price < regionStat.median * t.REGIONAL_RECORD_LOW)
+    ) {
+      codes.push("B-8");
+    }
+    if (priceJumps.has(r)) {
+      codes.push("B-9");
+    }
+
+    // --- C: 分析活用 ---
+    if (r.qty > qtyFences.upper && r.qty <= t.QTY_MAX) {
+      codes.push("C-1");
+    }
+    if (r.amount > amountFences.upper && r.amount <= t.AMOUNT_MAX) {
+      codes.push("C-2");
+    }
+
+    for (const code of codes) counts[code]++;
+    r.anomalies = codes;
+    r.anomalyLevel = getAnomalyLevel(codes);
+  }
+
+  for (const flags of Object.values(itemFlags)) {
+    for (const code of flags) counts[code]++;
+  }
+
+  return { counts, itemFlags };
+}
+
+/**
+ * コード配列から最も重大な大カテゴリを取得
+ * @param {string[]} codes - カテゴリコード配列
+ * @returns {string|null} 'A' | 'B' | 'C' | null
+ */
+function getAnomalyLevel(codes) {
+  let level = null;
+  for (const code of codes) {
+    const group = ANOMALY_CATEGORIES[code]?.group;
+    if (
+      group &&
+      (level === null ||
+        ANOMALY_GROUP_PRIORITY[group] < ANOMALY_GROUP_PRIORITY[level])
+    ) {
+      level = group;
+    }
+  }
+  return level;
+}
+
+/**
+ * レコードが自動除外対象（大カテゴリA）かを判定
+ * @param {Object} record - レコード
+ * @returns {boolean} 除外対象ならtrue
+ */
+function isAutoExcluded(record) {
+  return record.anomalyLevel === "A";
+}
+
+/**
+ * 自動除外対象を取り除いたレコード配列を取得
+ * @param {Array} records - レコード配列
+ * @returns {Array} カテゴリAを除いたレコード配列
+ */
+function excludeAutoExcluded(records) {
+  return records.filter((record) => !isAutoExcluded(record));
+}
+
+/**
+ * カテゴリコードの表示ラベルを取得
+ * @param {string} code - カテゴリコード（例: 'A-1'）
+ * @returns {string} 表示ラベル
+ */
+function getAnomalyLabel(code) {
+  const category = ANOMALY_CATEGORIES[code];
+  return category ? `${code}: ${category.label}` : code;
+}
+
+/**
+ * カテゴリコードに対応するバッジクラスを取得
+ * @param {string} code - カテゴリコード
+ * @returns {string} Bootstrapクラス
+ */
+function getAnomalyBadgeClass(code) {
+  const group = ANOMALY_CATEGORIES[code]?.group;
+  return ANOMALY_BADGE_CLASSES[group] || "bg-secondary";
+}
@@ -13,7 +13,24 @@
  * 依存関係:
  *   - utils.js        : ユーティリティ関数（formatNumber, formatDateHyphen, getWeekNumber, calcPriceStats, isInRange等）
  *   - chart-helpers.js: チャート描画ヘルパー関数（buildTrendDatasets, createLineChartOptions, createValueRanges等）
- *   - data-loader.js  : データ読み込み管理モジュール（gzip展開、メモリキャッシュ）
+ *   - data-loader.js  : データ読み込み管理モジュール（gzip展開、IndexedDB永続化、メモリキャッシュ）
+ *   - anomaly-detector.js: 異常値検出モジュール（detectAnomalies, isAutoExcluded等）
+ *   - price-forecast.js: 単価の時系列予測（forecastPriceSeries）
+ *   - price-index.js  : 工事費指数と指数調整後の単価（buildPriceIndex, applyPriceIndex等）
+ *   - filter-index.js : 検索用インデックス（createFilterIndex, filterItemGroups）
+ *   - url-state.js    : URL 状態の直列化・復元（encodeUrlState, decodeUrlState）
+ *   - saved-searches.js: 保存した検索（loadSavedSearches, mergeSavedSearches等）
+ *   - table-export.js : CSV / Excel エクスポート（downloadExportSheets, EXPORT_RECORD_COLUMNS）
+ *   - llm-providers.js: AIプロバイダーの切り替え（getLlmConfigError等）
+ *   - report-fact-check.js: AIレポートの数値チェック（verifyReportFigures等）
+ *   - report-history.js: AIレポートの履歴（saveReportHistoryEntry, diffReportLines等）
+ *   - report-chat.js  : AIレポートへの追加の質問（detectReportFilterIntent）
+ *   - prompt-templates.js: AIレポートのプロンプトテンプレート（getPromptTemplate等）
+ *   - structured-report.js: AIレポートの構造化出力（formatStructuredReportMarkdown等）
+ *   - print-pack.js   : 購買会議用の印刷資料（exportPrintPackToPdf, printPrintPack）
+ *   - batch-report.js : AIレポートの一括生成（runBatchReportQueue, downloadBatchReportsZip等）
+ *   - vendor-scorecard.js: 業者スコアカード（summarizeVendors, buildVendorScorecard等）
+ *   - fair-price-model.js: 適正単価モデル（fitFairPriceModel, assessFairPrice）
  *   - Alpine.js       : リアクティブUIフレームワーク
  *   - Chart.js        : グラフ描画ライブラリ
  *   - Bootstrap       : UIコンポーネント（モーダル等）
@@ -33,6 +50,120 @@
 let filterWorkerProxy = null;
 let filterWorkerInstance = null;
 
+/**
+ * フィルター要求の連番（古い Worker 応答で新しい結果を上書きしないため）
+ * @type {number}
+ */
+let filterRequestSeq = 0;
+
+/**
+ * Worker に init() 済みのレコード配列（processData で差し替わったら再送）
+ * @type {Array|null}
+ */
+let filterWorkerRecords = null;
+
+/**
+ * メインスレッド用の検索インデックス（Worker 非対応時のフォールバック）
+ * Note: リアクティブ化を避けるため Alpine コンポーネント外で保持
+ */
+let mainFilterIndex = null;
+let mainFilterIndexRecords = null;
+
+/**
+ * データから算出した工事費指数（processData で再計算）
+ * Note: リアクティブ化を避けるため Alpine コンポーネント外で保持
+ * @type {PriceIndex|null}
+ */
+let derivedPriceIndex = null;
+
+/**
+ * 生成中のAIレポートの中断用コントローラー
+ * Note: Proxy 経由だと abort() が失敗するため Alpine コンポーネント外で保持
+ * @type {AbortController|null}
+ */
+let aiReportAbortController = null;
+
+/**
+ * AIレポート一括生成の中止用コントローラー（aiReportAbortController と同じ理由で外部に保持）
+ * @type {AbortController|null}
+ */
+let batchReportAbortController = null;
+
+/**
+ * AIレポート一括生成の対象グループ（ジョブID → グループ）
+ * Note: 大量のレコードを含むためリアクティブにしない
+ * @type {Map<string, Object>}
+ */
+let batchReportGroups = new Map();
+
+/**
+ * 業者スコアカードの集計対象レコード（開いた時点の検索条件、業者の条件を除く）
+ * Note: 大量のレコードを含むためリアクティブにしない
+ * @type {Array}
+ */
+let vendorScorecardRecords = [];
+
+/**
+ * 多角分析の時系列チャートデータ（直近1件）
+ * Note: 予測はグリッドサーチとバックテストを含むため、KPI の予測サマリーと
+ *       チャート描画で同じ集計を繰り返さないよう、対象レコードと設定が
+ *       同じ間は再利用する
+ * @type {{records: Array, key: string, data: Object}|null}
+ */
+let timeseriesChartCache = null;
+
+/**
+ * 一覧のグループごとの適正単価モデルと発注ごとの判定（推定方法の切り替えで破棄）
+ * Note: 検索条件の変更でグループが作り直されると参照されなくなる。
+ *       大量のレコードを参照するためリアクティブにしない
+ * @type {WeakMap<Object, {model: FairPriceModel|null, assessments: Map}>}
+ */
+let fairPriceModels = new WeakMap();
+
+/**
+ * 適正単価モデルのモーダルで表示中のグループ
+ * @type {Object|null}
+ */
+let fairPriceGroup = null;
+
+/**
+ * 先行表示の検索条件の適用（handleLoadProgress で開始）
+ * Note: 進捗通知のコールバック内では待機できないため Promise を保持し、
+ *       読み込み完了後に全件で再適用する前に待機する（失敗はログのみ）
+ * @type {Promise<void>|null}
+ */
+let previewFiltering = null;
+
+/**
+ * ストリーミング受信ごとの再描画をフレーム単位にまとめる
+ * @param {Function} apply - 最新のテキストを画面に反映する関数
+ * @returns {{push: Function, cancel: Function, flush: Function}}
+ *   push: テキストを受け取り次のフレームで反映 / cancel: 未反映分を破棄 /
+ *   flush: 未反映分を即座に反映
+ */
+function createFrameBatcher(apply) {
+  let pendingText = null;
+  let frameId = null;
+  const flush = () => {
+    if (frameId !== null) cancelAnimationFrame(frameId);
+    frameId = null;
+    if (pendingText !== null) apply(pendingText);
+    pendingText = null;
+  };
+  return {
+    push(text) {
+      pendingText = text;
+      if (frameId === null) {
+        frameId = requestAnimationFrame(flush);
+      }
+    },
+    cancel() {
+      pendingText = null;
+    },
+    flush,
+  };
+}
+
 /**
  * フィルターWorkerを初期化（遅延ロード、キャッシュあり）
  * Comlinkが未ロードの場合はnullを返しメインスレッドでフォールバック
@@ -72,6 +203,16 @@ const PAGINATION_CONFIG = {
   DEFAULT_LIST_LIMIT: 100,
 };
 
+/**
+ * データ読み込みの設定
+ */
+const LOAD_CONFIG = {
+  // 読み込み途中で一覧を先行表示する受信率（圧縮データ全体に対する %）
+  EARLY_RENDER_MIN_PERCENT: 20,
+  // 全体サイズが不明な場合（Content-Length なし）に先行表示する最小レコード数
+  EARLY_RENDER_MIN_RECORDS: 2000,
+};
+
 /**
  * チャート描画と可視化の設定
  */
@@ -82,6 +223,15 @@ const CHART_CONFIG = {
   BUBBLE_SIZE_QTY_FACTOR: 5, // 対数スケール用係数（log10(qty + 1) * factor）
   BUBBLE_SIZE_AMOUNT_DIVISOR: 10000,
   BUBBLE_SIZE_AMOUNT_FACTOR: 2,
+  // 傾向分析の近似曲線（数量 × 単価のべき乗近似）を描く点の数
+  SCALE_CURVE_POINTS: 60,
+  // 総合レポート用に画面外で描画するチャートのサイズ (px)
+  REPORT_CAPTURE_WIDTH: 1200,
+  REPORT_CAPTURE_HEIGHT: 600,
+  // 印刷資料用に画面外で描画するチャートのサイズ (px) と解像度の倍率
+  PRINT_CAPTURE_WIDTH: 1000,
+  PRINT_CAPTURE_HEIGHT: 500,
+  PRINT_PIXEL_RATIO: 2,
 };
 
 /**
@@ -316,35 +466,123 @@ const DEFAULT_FILTERS = {
 };
 
 /**
- * レコードがすべてのフィルター条件に一致するかをチェック
- * @param {Object} record - チェック対象のレコード
- * @param {Object} criteria - フィルター条件オブジェクト
- * @returns {boolean} すべての条件に一致する場合true
+ * 多角分析モーダルのタブ別設定の既定値
+ * Note: openDetailModal() でコピーして使用し、URL 状態の差分判定にも用いる
+ */
+const DEFAULT_DETAIL_SETTINGS = {
+  timeseries: {
+    metric: "price", // 'price' | 'movingAvg' | 'forecast'
+    timeUnit: "weekly", // 'yearly' | 'monthly' | 'weekly' | 'daily'
+    chartType: "line", // 'line' | 'area' | 'bar' | 'table'
+    movingAvgWindow: 4,
+    forecastHorizon: FORECAST_CONFIG.horizon, // 予測する期間数（3〜12）
+  },
+  comparison: {
+    groupBy: "region", // 'region' | 'vendor' | 'majorCode' | 'building'
+    metric: "avgPrice", // 'sumQty' | 'avgQty' | 'medianQty' | 'avgPrice' | 'medianPrice' | 'minPrice' | 'maxPrice'
+    chartType: "bar", // 'bar' | 'boxplot' | 'radar' | 'table'
+    sortOrder: "default", // 'default' | 'asc' | 'desc'
+  },
+  trend: {
+    xAxis: "resUnits", // 'resUnits' | 'floors' | 'totalArea' | 'constArea' | 'qty'
+    chartType: "scatter", // 'scatter' | 'bubble' | 'heatmap' | 'table'
+    bubbleSize: "qty",
+    xScale: "linear", // 'linear' | 'log'（散布図・バブルの X 軸の目盛り）
+  },
+};
+
+/**
+ * AIレポートへの追加の質問の初期状態
+ * Note: 新しいレポートごとに exchanges をコピーして使用
+ */
+const DEFAULT_AI_REPORT_CHAT = {
+  context: null, // ReportChatContext（レポート完成後に設定）
+  exchanges: [], // [{ question, filterChanges, previousFilters, answer, error, cancelled }]
+  pendingFilterChange: null, // 確認待ちの条件変更 { question, changes }
+  input: "",
+  isSending: false,
+};
+
+/**
+ * エクスポートのヘッダーブロックに出力する範囲条件（表示名, 下限, 上限）
+ */
+const EXPORT_FILTER_RANGES = [
+  ["発注日", "dateFrom", "dateTo"],
+  ["階数", "floorMin", "floorMax"],
+  ["戸並び", "unitRowMin", "unitRowMax"],
+  ["戸数", "resUnitMin", "resUnitMax"],
+  ["施工面積", "constAreaMin", "constAreaMax"],
+  ["延床面積", "totalAreaMin", "totalAreaMax"],
+];
+
+/**
+ * 共有リンクコピー完了表示の時間 (ms)
+ */
+const LINK_COPIED_DISPLAY_MS = 2000;
+
+/**
+ * フィルター入力値から判定用の条件オブジェクトを生成
+ * Note: Worker に送信するため、Alpine のリアクティブ配列はコピーして渡す
+ * @param {Object} filters - フィルター入力値（DEFAULT_FILTERS 形式）
+ * @returns {Object} filterItemGroups 用の条件 + 品目キーワード (itemKw)
+ */
+function buildFilterCriteria(filters) {
+  return {
+    itemKw: filters.item.toLowerCase(),
+    projectKw: filters.project.toLowerCase(),
+    regions: [...filters.regions],
+    majorCodes: [...filters.majorCodes],
+    vendor: filters.vendor.toLowerCase(),
+    dateFrom: filters.dateFrom.replace(/-/g, ""),
+    dateTo: filters.dateTo.replace(/-/g, ""),
+    ranges: {
+      floorMin: filters.floorMin,
+      floorMax: filters.floorMax,
+      unitRowMin: filters.unitRowMin,
+      unitRowMax: filters.unitRowMax,
+      resUnitMin: filters.resUnitMin,
+      resUnitMax: filters.resUnitMax,
+      constAreaMin: filters.constAreaMin,
+      constAreaMax: filters.constAreaMax,
+      totalAreaMin: filters.totalAreaMin,
+      totalAreaMax: filters.totalAreaMax,
+    },
+  };
+}
+
+/**
+ * メインスレッド用の検索インデックスを取得（records 差し替え時のみ再構築）
+ * @param {Array} records - レコード（リアクティブプロキシを外したもの）
+ * @returns {Object} createFilterIndex の戻り値
  */
-function recordMatchesFilters(record, criteria) {
-  const { projectKw, regions, majorCodes, vendor, dateFrom, dateTo, ranges } =
-    criteria;
-
-  if (projectKw && !record.projectName.toLowerCase().includes(projectKw))
-    return false;
-  if (regions.length && !regions.includes(record.region)) return false;
-  if (majorCodes.length && !majorCodes.includes(record.majorCode)) return false;
-  if (vendor && !record.vendor.toLowerCase().includes(vendor)) return false;
-  if (dateFrom && record.orderDate < dateFrom) return false;
-  if (dateTo && record.orderDate > dateTo) return false;
-  if (!isInRange(record.floors, ranges.floorMin, ranges.floorMax)) return false;
-  if (!isInRange(record.unitRow, ranges.unitRowMin, ranges.unitRowMax))
-    return false;
-  if (!isInRange(record.resUnits, ranges.resUnitMin, ranges.resUnitMax))
-    return false;
-  if (!isInRange(record.constArea, ranges.constAreaMin, ranges.constAreaMax))
-    return false;
-  if (!isInRange(record.totalArea, ranges.totalAreaMin, ranges.totalAreaMax))
-    return false;
-
-  return true;
+function getMainFilterIndex(records) {
+  if (mainFilterIndexRecords !== records) {
+    mainFilterIndex = createFilterIndex(records);
+    mainFilterIndexRecords = records;
+  }
+  return mainFilterIndex;
 }
 
+/**
+ * Worker に保持させるレコードのフィールド（フィルター判定と単価統計に必要な分のみ）
+ */
+const FILTER_WORKER_FIELDS = [
+  "item",
+  "spec",
+  "projectName",
+  "region",
+  "majorCode",
+  "vendor",
+  "orderDate",
+  "floors",
+  "unitRow",
+  "resUnits",
+  "constArea",
+  "totalArea",
+  "displayPrice",
+  "anomalyLevel",
+];
+
 // =============================================================================
 // Private Helper Functions (Chart Data Preparation)
 // =============================================================================
@@ -364,7 +602,7 @@ function groupRecordsByWeek(records) {
   // Single pass: group by week and compute global stats
   for (const record of records) {
     const week = record.orderWeek;
-    const price = record.price;
+    const price = record.displayPrice;
 
     if (!weekData[week]) {
       weekData[week] = { prices: [], weekStart: record.orderWeekStart };
@@ -435,6 +673,34 @@ function calculateWeeklyStats(weekData, recordsLength) {
   };
 }
 
+/**
+ * 実行数量と単価のべき乗近似（単価 = a × 数量^b、b が価格弾力性）
+ * @private
+ * @param {Array} records - 集計対象のレコード
+ * @returns {Object|null} calcPowerLawFit の戻り値（数量・単価が正の発注が3件未満の場合 null）
+ */
+function fitQuantityScaleCurve(records) {
+  return calcPowerLawFit(
+    records.map((record) => record.qty),
+    records.map((record) => record.displayPrice)
+  );
+}
+
+/**
+ * 実行数量の区間ラベル（1・2・5 刻みの対数区間）
+ * @private
+ * @param {number} qty - 実行数量
+ * @returns {string} 例: "10~20未満"（0 以下は "0以下"）
+ */
+function getQuantityRangeLabel(qty) {
+  if (!(qty > 0)) return "0以下";
+  const magnitude = 10 ** Math.floor(Math.log10(qty));
+  const ratio = qty / magnitude;
+  const [lower, upper] = ratio < 2 ? [1, 2] : ratio < 5 ? [2, 5] : [5, 10];
+  const format = (value) => formatNumber(Number(value.toPrecision(1)));
+  return `${format(magnitude * lower)}~${format(magnitude * upper)}未満`;
+}
+
 /**
  * Alpine.jsメインコンポーネント
  * データ管理、フィルタリング、チャート描画、モーダル制御を統合
@@ -446,6 +712,10 @@ function appData() {
     // Loading state
     isLoading: true,
     loadError: null,
+    // percent: 0-100 (サイズ不明時は null), recordCount: パース済み件数
+    loadProgress: { percent: null, recordCount: 0 },
+    // 読み込み途中のデータで先行表示中か
+    isPreview: false,
 
     // Pagination settings
     displayLimit: PAGINATION_CONFIG.DEFAULT_DISPLAY_LIMIT,
@@ -491,28 +761,10 @@ function appData() {
       },
       filteredByCommon: [],
 
-      // タブ1: 時系列分析
-      timeseries: {
-        metric: "price", // 'price' | 'movingAvg'
-        timeUnit: "weekly", // 'yearly' | 'monthly' | 'weekly' | 'daily'
-        chartType: "line", // 'line' | 'area' | 'bar' | 'table'
-        movingAvgWindow: 4,
-      },
-
-      // タブ2: 比較分析
-      comparison: {
-        groupBy: "region", // 'region' | 'vendor' | 'majorCode' | 'building'
-        metric: "avgPrice", // 'sumQty' | 'avgQty' | 'medianQty' | 'avgPrice' | 'medianPrice' | 'minPrice' | 'maxPrice'
-        chartType: "bar", // 'bar' | 'boxplot' | 'radar' | 'table'
-        sortOrder: "default", // 'default' | 'asc' | 'desc'
-      },
-
-      // タブ3: 傾向分析
-      trend: {
-        xAxis: "resUnits", // 'resUnits' | 'floors' | 'totalArea' | 'constArea'
-        chartType: "scatter", // 'scatter' | 'bubble' | 'heatmap' | 'table'
-        bubbleSize: "qty",
-      },
+      // タブ1: 時系列分析 / タブ2: 比較分析 / タブ3: 傾向分析
+      timeseries: { ...DEFAULT_DETAIL_SETTINGS.timeseries },
+      comparison: { ...DEFAULT_DETAIL_SETTINGS.comparison },
+      trend: { ...DEFAULT_DETAIL_SETTINGS.trend },
 
       // KPIサマリー
       kpiSummary: {
@@ -522,6 +774,12 @@ function appData() {
         maxPrice: 0,
         medianPrice: 0,
       },
+      // 時系列予測（指標が「予測」の場合のみ、price-forecast.js）
+      forecast: null,
+      // 数量と単価のべき乗近似（傾向分析の X 軸が実行数量の場合のみ）
+      scaleCurve: null,
+      // 単価の表示モード（指数調整後の場合の表示名、名目は null）
+      priceBasis: null,
 
       // ページネーション
       listLimit: PAGINATION_CONFIG.DEFAULT_LIST_LIMIT,
@@ -535,6 +793,90 @@ function appData() {
       isOpen: false,
       content: "",
       error: null,
+      cancelled: false,
+      mode: "current", // 'current' | 'full'
+      factCheck: null, // 数値チェック結果（report-fact-check.js）
+      historyEntry: null, // 履歴から開いたレポート（新規生成時は null）
+      images: [], // 履歴から開いたレポートのチャート画像
+      chat: { ...DEFAULT_AI_REPORT_CHAT, exchanges: [] }, // 追加の質問
+      structured: null, // 構造化出力（JSON）の内容（structured-report.js）
+      retry: 0, // 構造化出力の再試行回数（形式の不一致時）
+    },
+
+    // AIレポートの履歴（report-history.js）
+    reportHistory: {
+      view: null, // null（レポート表示）| 'list' | 'compare'
+      entries: [],
+      isLoading: false,
+      error: null,
+      showAllItems: false, // false: 表示中の小工事項目のみ
+      selectedIds: [], // 比較対象（最大2件）
+      compare: null, // { left, right, kpiRows, rows, stats, showFullText }
+    },
+
+    // 共有リンクをコピーした直後か（ボタン表示切り替え用）
+    linkCopied: false,
+
+    // AIレポートのプロンプトテンプレート（prompt-templates.js）
+    promptTemplates: getPromptTemplates(),
+    promptTemplateId: loadSelectedPromptTemplateId(),
+
+    // AIレポートの出力形式（'markdown' | 'json'）
+    aiReportFormat: loadAiReportFormat(),
+
+    // AIレポートの一括生成（batch-report.js）
+    batchReport: {
+      jobs: [], // BatchReportJob
+      isRunning: false,
+      concurrency: BATCH_REPORT_CONFIG.concurrency,
+      conditions: [], // 出力に記載する条件（開始時点の検索条件・AI設定）
+      error: null,
+    },
+
+    // 業者スコアカード（vendor-scorecard.js）
+    vendorScorecard: {
+      vendor: "", // 選択中の業者（record.vendor）
+      sortBy: "above", // VENDOR_RANKING_SORTS のキー
+      timeUnit: "monthly", // 推移の時間単位
+      vendors: [], // summarizeVendors の結果
+      card: null, // 選択中の業者のスコアカード
+      recordCount: 0, // 集計対象のレコード数
+    },
+    vendorScorecardChartInstance: null,
+
+    // 適正単価モデル（fair-price-model.js）
+    fairPrice: {
+      method: "ridge", // FAIR_PRICE_METHODS のキー（一覧の割高表示と共通）
+      itemName: "", // 表示中の小工事項目（minorCode-item）
+      unit: "",
+      model: null, // 表示中の品目の FairPriceModel（発注件数不足は null）
+      recordCount: 0, // 検索条件に一致する発注件数
+      overpriced: [], // 割高の発注（標準化残差の降順）
+    },
+    fairPriceChartInstance: null,
+
+    // 印刷資料（print-pack.js）
+    printPack: {
+      selectedItems: [], // 一覧で選択した品目（group.item）
+      isExporting: false,
+      progress: null, // { done, total }（作成中のみ）
+    },
+
+    // 保存した検索（saved-searches.js）
+    savedSearches: loadSavedSearches(),
+    savedSearchName: "",
+    // 適用中の保存検索の多角分析設定（モーダルを開く際の初期値、未適用は null）
+    detailPreset: null,
+
+    // 異常値検出（anomaly-detector.js）
+    includeAutoExcluded: false, // true: カテゴリA（即座除外）も統計に含める
+    anomalySummary: { counts: {}, itemFlags: {} },
+
+    // 工事費指数と単価の表示モード（price-index.js）
+    priceIndex: {
+      ...loadPriceIndexSettings(), // mode, baseMonth, source, imported
+      months: [], // 基準月の選択肢（データから算出した指数の月）
+      appliedBaseMonth: "", // 適用中の基準月（baseMonth が空の場合は最新月）
     },
 
     regionNames: [],
@@ -551,6 +893,10 @@ function appData() {
     async init() {
       this.isLoading = true;
       this.loadError = null;
+      // 初期化中のフィルター適用で URL が書き換わる前に共有状態を読み取る
+      const urlState = decodeUrlState(location.search);
+      // 共有リンクの単価の基準は先行表示から使用（ブラウザの保存設定は変更しない）
+      if (urlState.priceBasis) this.setPriceBasis(urlState.priceBasis);
 
       // UIレンダリングを確実に完了させるため、フレーム待機 + 短い遅延
       await new Promise((resolve) => requestAnimationFrame(resolve));
@@ -562,49 +908,507 @@ function appData() {
           throw new Error("DataLoader is not available");
         }
 
-        const records = await DataLoader.loadData();
+        const records = await DataLoader.loadData({
+          onProgress: (progress) => this.handleLoadProgress(progress, urlState),
+        });
         if (!records || records.length === 0) {
           throw new Error("No data available");
         }
 
+        // 先行表示の検索が終わってから全件で作り直す
+        if (previewFiltering) await previewFiltering;
         this.rawRecords = records;
 
         // データ処理
         this.processData();
         this.groupByItem();
-        this.clearFilters();
-
-        // Single-pass extraction of unique names
-        const projectSet = {};
-        const regionSet = {};
-        const majorCodeSet = {};
-        for (const record of this.rawRecords) {
-          projectSet[record.projectName] = true;
-          regionSet[record.region] = true;
-          if (record.majorCode) majorCodeSet[record.majorCode] = true;
+        this.buildFilterOptions();
+        if (this.isPreview) {
+          // 先行表示中の検索条件（共有リンク・保存した検索・入力）を全件に再適用
+          await this.applyFilters();
+          this.refreshDetailModalGroup();
+          if (!this.detailModal.isOpen) this.restoreUrlDetail(urlState.detail);
+        } else {
+          this.clearFilters();
+          // 共有リンクの状態（検索条件・多角分析モーダル）を復元
+          await this.restoreUrlState(urlState);
         }
-        this.projectNames = Object.keys(projectSet).sort();
-        this.majorCodeNames = Object.keys(majorCodeSet).sort();
-
-        // Sort regions using predefined order
-        const regions = Object.keys(regionSet);
-        this.regionNames = regions.sort((a, b) => {
-          const indexA = REGION_ORDER.indexOf(a);
-          const indexB = REGION_ORDER.indexOf(b);
-          // If not in predefined order, sort alphabetically at the end
-          if (indexA === -1 && indexB === -1) return a.localeCompare(b);
-          if (indexA === -1) return 1;
-          if (indexB === -1) return -1;
-          return indexA - indexB;
-        });
       } catch (error) {
         console.error("App initialization failed:", error);
         this.loadError = error.message;
       } finally {
+        previewFiltering = null;
+        this.isPreview = false;
         this.isLoading = false;
       }
     },
 
+    /**
+     * DataLoader の進捗通知を処理
+     * データ全体の一定割合を受信した時点で、読み込み完了を待たずに
+     * パース済みのレコードで一覧を先行表示
+     * Note: 共有リンクの検索条件は先行表示の時点から適用する
+     *       （多角分析モーダルは全件の読み込み完了後に復元）
+     * @param {Object} progress - DataLoader.loadData の onProgress 引数
+     * @param {{filters: Object, detail: Object|null}} urlState - decodeUrlState の戻り値
+     */
+    handleLoadProgress(progress, urlState) {
+      this.loadProgress = {
+        percent: progress.percent,
+        recordCount: progress.recordCount,
+      };
+
+      if (
+        progress.phase !== "network" ||
+        this.isPreview ||
+        progress.percent === 100 ||
+        progress.recordCount === 0
+      ) {
+        return;
+      }
+      const enough =
+        progress.percent === null
+          ? progress.recordCount >= LOAD_CONFIG.EARLY_RENDER_MIN_RECORDS
+          : progress.percent >= LOAD_CONFIG.EARLY_RENDER_MIN_PERCENT;
+      if (!enough) return;
+
+      // 以降のチャンクで配列が伸びるためスナップショットを使用
+      this.rawRecords = progress.records.slice();
+      this.processData();
+      this.groupByItem();
+      this.buildFilterOptions();
+      this.filters = { ...DEFAULT_FILTERS, ...urlState.filters };
+      previewFiltering = this.applyFilters().catch((error) => {
+        // 読み込み完了後に全件で再適用するため、先行表示の失敗は記録のみ
+        console.error("Early preview filtering failed:", error);
+      });
+      this.isPreview = true;
+      this.isLoading = false;
+    },
+
+    /**
+     * 検索条件の選択肢（工事名称・支店・大項目）を rawRecords から生成
+     */
+    buildFilterOptions() {
+      // Single-pass extraction of unique names
+      const projectSet = {};
+      const regionSet = {};
+      const majorCodeSet = {};
+      for (const record of this.rawRecords) {
+        projectSet[record.projectName] = true;
+        regionSet[record.region] = true;
+        if (record.majorCode) majorCodeSet[record.majorCode] = true;
+      }
+      this.projectNames = Object.keys(projectSet).sort();
+      this.majorCodeNames = Object.keys(majorCodeSet).sort();
+
+      // Sort regions using predefined order
+      const regions = Object.keys(regionSet);
+      this.regionNames = regions.sort((a, b) => {
+        const indexA = REGION_ORDER.indexOf(a);
+        const indexB = REGION_ORDER.indexOf(b);
+        // If not in predefined order, sort alphabetically at the end
+        if (indexA === -1 && indexB === -1) return a.localeCompare(b);
+        if (indexA === -1) return 1;
+        if (indexB === -1) return -1;
+        return indexA - indexB;
+      });
+    },
+
+    // ===== Shareable URL State =====
+
+    /**
+     * 現在の検索条件とモーダル状態を URL（クエリ文字列）に反映
+     * Note: 履歴を増やさないよう replaceState を使用
+     */
+    updateUrlState() {
+      const modal = this.detailModal;
+      let detail = null;
+      if (modal.isOpen && modal.currentGroup) {
+        const common = modal.commonFilters;
+        detail = {
+          item: modal.currentGroup.item,
+          activeTab: modal.activeTab,
+          commonFilters: {
+            ...common,
+            // データ範囲と同じ期間（初期値）は省略
+            dateFrom:
+              common.dateFrom === modal.initialDateFrom ? "" : common.dateFrom,
+            dateTo: common.dateTo === modal.initialDateTo ? "" : common.dateTo,
+          },
+          timeseries: modal.timeseries,
+          comparison: modal.comparison,
+          trend: modal.trend,
+        };
+      }
+
+      const query = encodeUrlState(
+        { filters: this.filters, priceBasis: this.getPriceBasis(), detail },
+        DEFAULT_DETAIL_SETTINGS
+      );
+      const url = `${location.pathname}${query ? `?${query}` : ""}${
+        location.hash
+      }`;
+      if (url !== `${location.pathname}${location.search}${location.hash}`) {
+        history.replaceState(history.state, "", url);
+      }
+    },
+
+    /**
+     * 共有リンクの状態を復元（データ読み込み後に呼ぶ）
+     * @param {{filters: Object, detail: Object|null}} urlState - decodeUrlState の戻り値
+     */
+    async restoreUrlState(urlState) {
+      const { filters, detail } = urlState;
+      if (Object.keys(filters).length > 0) {
+        this.filters = { ...DEFAULT_FILTERS, ...filters };
+        await this.applyFilters();
+      } else {
+        this.updateUrlState();
+      }
+      this.restoreUrlDetail(detail);
+    },
+
+    /**
+     * 共有リンクの多角分析モーダルを復元（検索条件の適用後に呼ぶ）
+     * @param {Object|null} detail - decodeUrlState の detail
+     */
+    restoreUrlDetail(detail) {
+      if (!detail) return;
+      const idx = this.filteredGroups.findIndex(
+        (group) => group.item === detail.item
+      );
+      if (idx === -1) {
+        console.warn(`Shared item not found: ${detail.item}`);
+        return;
+      }
+      this.openDetailModal(idx, detail);
+    },
+
+    /**
+     * 現在の画面を再現するリンクをクリップボードにコピー
+     */
+    async copyShareLink() {
+      this.updateUrlState();
+      try {
+        await navigator.clipboard.writeText(location.href);
+      } catch (error) {
+        // clipboard API が使えない環境（非HTTPS等）ではダイアログで表示
+        window.prompt("このリンクをコピーしてください", location.href);
+        return;
+      }
+      this.linkCopied = true;
+      setTimeout(() => {
+        this.linkCopied = false;
+      }, LINK_COPIED_DISPLAY_MS);
+    },
+
+    // ===== Export (CSV / Excel) =====
+
+    /**
+     * エクスポートのヘッダーブロック（出力日時・検索条件・共有リンク）を生成
+     * @returns {Array<[string, string]>} (項目名, 値) の配列
+     */
+    getExportFilterMeta() {
+      const { filters } = this;
+      const meta = [["出力日時", new Date().toLocaleString("ja-JP")]];
+      if (filters.project) meta.push(["工事名称", filters.project]);
+      if (filters.regions.length) {
+        meta.push(["支店名", filters.regions.join(", ")]);
+      }
+      if (filters.majorCodes.length) {
+        meta.push(["大工事項目", filters.majorCodes.join(", ")]);
+      }
+      for (const [label, minKey, maxKey] of EXPORT_FILTER_RANGES) {
+        const min = filters[minKey] ?? "";
+        const max = filters[maxKey] ?? "";
+        if (min !== "" || max !== "") meta.push([label, `${min} ~ ${max}`]);
+      }
+      if (filters.item) meta.push(["小工事項目名称", filters.item]);
+      if (filters.vendor) meta.push(["業者", filters.vendor]);
+      meta.push([
+        "統計",
+        this.includeAutoExcluded ? "除外対象(A)を含む" : "除外対象(A)を除く",
+      ]);
+      meta.push([
+        "実行単価",
+        this.priceBasisLabel || PRICE_MODE_LABELS.nominal,
+      ]);
+
+      // 同じ条件を画面で再現できるよう共有リンクも記録
+      this.updateUrlState();
+      meta.push(["リンク", location.href]);
+      return meta;
+    },
+
+    /**
+     * エクスポートのファイル名を生成
+     * @param {string} name - 出力内容を表す名前
+     * @returns {string} 拡張子なしのファイル名
+     */
+    getExportFilename(name) {
+      const now = new Date();
+      const date = [
+        now.getFullYear(),
+        String(now.getMonth() + 1).padStart(2, "0"),
+        String(now.getDate()).padStart(2, "0"),
+      ].join("");
+      return `kentaku_${name}_${date}`.replace(/[\\/:*?"<>|\s]+/g, "_");
+    },
+
+    /**
+     * 検索結果の全レコードをエクスポート
+     * Note: xlsx の場合は品目別サマリーのシートも出力
+     * @param {string} format - 'csv' | 'xlsx'
+     */
+    exportFilteredRecords(format) {
+      const meta = this.getExportFilterMeta();
+      const records = this.filteredGroups.flatMap(
+        (group) => group.filteredRecords
+      );
+      const sheets = [
+        {
+          name: "検索結果",
+          meta,
+          columns: EXPORT_RECORD_COLUMNS,
+          rows: records,
+        },
+        {
+          name: "品目別",
+          meta,
+          columns: [
+            { label: "小工事", value: "minorCode" },
+            { label: "小工事項目名称", value: "item" },
+            { label: "件数", value: (group) => group.filteredRecords.length },
+            { label: "最小単価", value: "minPrice" },
+            { label: "最大単価", value: "maxPrice" },
+          ],
+          rows: this.filteredGroups,
+        },
+      ];
+      downloadExportSheets(sheets, this.getExportFilename("検索結果"), format);
+    },
+
+    /**
+     * 品目カードの業者別サマリーをエクスポート
+     * @param {Object} group - 対象グループ
+     * @param {string} format - 'csv' | 'xlsx'
+     */
+    exportVendorSummary(group, format) {
+      const itemName = this.formatItemName(group);
+      const sheet = {
+        name: "業者別",
+        meta: [
+          ...this.getExportFilterMeta(),
+          ["小工事項目", itemName],
+          ["単位", group.unit || ""],
+        ],
+        columns: [
+          { label: "業者", value: "name" },
+          { label: "件数", value: "count" },
+          { label: "最小単価", value: "min" },
+          { label: "平均単価", value: "avg" },
+          { label: "最大単価", value: "max" },
+        ],
+        rows: this.getVendorSummary(group),
+      };
+      downloadExportSheets(
+        [sheet],
+        this.getExportFilename(`業者別_${itemName}`),
+        format
+      );
+    },
+
+    /**
+     * 多角分析モーダルで表示中のテーブルをエクスポート
+     * Note: xlsx の場合はグループ列付きの明細シートも出力
+     * @param {string} format - 'csv' | 'xlsx'
+     */
+    exportDetailTable(format) {
+      const modal = this.detailModal;
+      const tab = modal.activeTab;
+      const config = CHART_CONFIGS[tab];
+      const itemName = this.formatItemName(modal.currentGroup);
+      const { dateFrom, dateTo, regions, vendors } = modal.commonFilters;
+
+      // 表示中のテーブルの集計軸（時間単位 / 比較軸 / X軸）
+      const axisSetting = {
+        timeseries: ["timeUnit", modal.timeseries.timeUnit],
+        comparison: ["groupBy", modal.comparison.groupBy],
+        trend: ["xAxis", modal.trend.xAxis],
+      }[tab];
+      const axis = config.labels[axisSetting[0]][axisSetting[1]];
+
+      const meta = [
+        ...this.getExportFilterMeta(),
+        ["小工事項目", itemName],
+        ["期間", `${dateFrom} ~ ${dateTo}`],
+        ["支店（共通フィルター）", regions.join(", ") || "すべて"],
+        ["業者（共通フィルター）", vendors.join(", ") || "すべて"],
+        ["分析", `${config.tabName}（${axis}）`],
+      ];
+
+      const columns = [
+        { label: axis, value: "label" },
+        { label: "件数", value: "count" },
+        { label: "最小単価", value: "minPrice" },
+        { label: "平均単価", value: "avgPrice" },
+        { label: "最大単価", value: "maxPrice" },
+      ];
+      if (tab === "comparison") {
+        columns.push(
+          { label: "中央単価", value: "medianPrice" },
+          { label: "合計数量", value: "sumQty" },
+          { label: "平均数量", value: "avgQty" },
+          { label: "中央数量", value: "medianQty" }
+        );
+      }
+
+      const tableData = this.getDetailTableData();
+      const sheets = [
+        { name: config.tabName, meta, columns, rows: tableData },
+        {
+          name: "明細",
+          meta,
+          columns: [{ label: axis, value: "group" }, ...EXPORT_RECORD_COLUMNS],
+          rows: tableData.flatMap((row) =>
+            row.records.map((record) => ({ ...record, group: row.label }))
+          ),
+        },
+      ];
+      downloadExportSheets(
+        sheets,
+        this.getExportFilename(`${config.tabName}_${itemName}`),
+        format
+      );
+    },
+
+    // ===== Saved Searches =====
+
+    /**
+     * 現在の検索条件と多角分析の設定を名前を付けて保存
+     * Note: 同名の検索がある場合は上書き
+     */
+    saveCurrentSearch() {
+      const { activeTab, timeseries, comparison, trend } = this.detailModal;
+      const search = createSavedSearch(
+        this.savedSearchName,
+        this.filters,
+        { activeTab, timeseries, comparison, trend },
+        this.getPriceBasis()
+      );
+      if (!search) return;
+
+      const { searches } = mergeSavedSearches(this.savedSearches, [search]);
+      this.savedSearches = searches;
+      storeSavedSearches(this.savedSearches);
+      this.savedSearchName = "";
+    },
+
+    /**
+     * 保存した検索を適用して検索を実行
+     * @param {string} id - 保存した検索のID
+     */
+    async applySavedSearch(id) {
+      const search = this.savedSearches.find((entry) => entry.id === id);
+      if (!search) return;
+
+      // 保存後に追加された条件は既定値のまま（配列は新しく生成）
+      const filters = { ...DEFAULT_FILTERS, regions: [], majorCodes: [] };
+      for (const key of Object.keys(DEFAULT_FILTERS)) {
+        if (key in search.filters) filters[key] = search.filters[key];
+      }
+      this.filters = filters;
+      this.detailPreset = search.detail;
+
+      // 単価の基準を保存した検索に合わせる（基準のない旧形式は現在のまま）
+      const basis = search.priceBasis;
+      const current = this.getPriceBasis();
+      if (
+        basis &&
+        (basis.mode !== current.mode || basis.baseMonth !== current.baseMonth)
+      ) {
+        this.setPriceBasis(basis);
+        await this.updatePriceIndexSettings();
+      } else {
+        await this.applyFilters();
+      }
+    },
+
+    /**
+     * 保存した検索の名前を変更
+     * @param {string} id - 保存した検索のID
+     */
+    renameSavedSearch(id) {
+      const search = this.savedSearches.find((entry) => entry.id === id);
+      if (!search) return;
+
+      const name = window.prompt("新しい名前", search.name)?.trim();
+      if (!name || name === search.name) return;
+      if (this.savedSearches.some((entry) => entry.name === name)) {
+        alert(`「${name}」は既に保存されています`);
+        return;
+      }
+      search.name = name.slice(0, SAVED_SEARCH_CONFIG.maxNameLength);
+      search.updatedAt = new Date().toISOString();
+      storeSavedSearches(this.savedSearches);
+    },
+
+    /**
+     * 保存した検索を削除
+     * @param {string} id - 保存した検索のID
+     */
+    deleteSavedSearch(id) {
+      const search = this.savedSearches.find((entry) => entry.id === id);
+      if (!search || !window.confirm(`「${search.name}」を削除しますか？`)) {
+        return;
+      }
+      this.savedSearches = this.savedSearches.filter(
+        (entry) => entry.id !== id
+      );
+      storeSavedSearches(this.savedSearches);
+    },
+
+    /**
+     * 保存した検索を JSON ファイルとしてダウンロード
+     */
+    exportSavedSearches() {
+      downloadFile(
+        serializeSavedSearches(this.savedSearches),
+        "kentaku-saved-searches.json",
+        "application/json"
+      );
+    },
+
+    /**
+     * JSON ファイルから保存した検索を読み込み、既存の一覧に統合
+     * @param {Event} event - ファイル入力の change イベント
+     */
+    async importSavedSearches(event) {
+      const input = event.target;
+      const file = input.files?.[0];
+      if (!file) return;
+
+      try {
+        const imported = parseSavedSearches(await file.text());
+        const { searches, added, updated } = mergeSavedSearches(
+          this.savedSearches,
+          imported
+        );
+        this.savedSearches = searches;
+        storeSavedSearches(this.savedSearches);
+        alert(
+          `保存した検索を読み込みました（追加 ${added}件、上書き ${updated}件）`
+        );
+      } catch (error) {
+        console.error("Saved search import failed:", error);
+        alert("読み込みに失敗しました: " + error.message);
+      } finally {
+        // 同じファイルを再度選択できるようにリセット
+        input.value = "";
+      }
+    },
+
     /**
      * メイン検索用：支店ドロップダウンの開閉を切り替え
      * Note: Alpine.jsリアクティビティとコンポーネント分離のため、
@@ -788,10 +1592,202 @@ function appData() {
         // Pre-compute cleaned vendor name to avoid regex in hot path
         vendorNameClean: record.vendor.replace(vendorNameRegex, "").trim(),
       }));
+
+      // Tag anomaly categories (A/B/C) on every record
+      this.anomalySummary = detectAnomalies(this.records);
+
+      // 工事費指数は名目単価から算出し、表示モードの単価を設定
+      derivedPriceIndex = buildPriceIndex(this.records);
+      this.applyPriceMode();
     },
 
     /**
-     * レコードを小工事項目（item+spec）でグループ化し統計を計算
+     * 各レコードの指数調整後の単価を計算し、表示モードの単価を displayPrice に設定
+     * Note: price / amount は常に名目のまま変更しない。表示モードに従う集計
+     *       （一覧・KPI・多角分析・予測・業者スコアカード・適正単価モデル）は
+     *       displayPrice / displayAmount を、異常値の判定と工事費指数の算出は
+     *       名目の price を参照する。
+     *       全レコードを更新するため、リアクティブプロキシを介さずに行う
+     */
+    applyPriceMode() {
+      if (!derivedPriceIndex) return;
+      const records = Alpine.raw(this.records);
+      const { mode, baseMonth, source, imported } = this.priceIndex;
+      const months = derivedPriceIndex.months;
+      const appliedBaseMonth = months.includes(baseMonth)
+        ? baseMonth
+        : months[months.length - 1] || "";
+
+      applyPriceIndex(records, {
+        derived: derivedPriceIndex,
+        imported: source === "csv" ? Alpine.raw(imported) : null,
+        baseMonth: appliedBaseMonth,
+      });
+      const useAdjusted = mode === "adjusted";
+      for (const record of records) {
+        record.displayPrice = useAdjusted ? record.adjustedPrice : record.price;
+        record.displayAmount = record.qty * record.displayPrice;
+      }
+      this.priceIndex.months = months;
+      this.priceIndex.appliedBaseMonth = appliedBaseMonth;
+
+      // Worker・メインスレッドの検索インデックスに単価を再送・再構築させる
+      filterWorkerRecords = null;
+      mainFilterIndexRecords = null;
+    },
+
+    /**
+     * 共有リンク・保存した検索に記録する単価の基準
+     * Note: 基準月は「最新月」ではなく適用中の月を記録し、
+     *       データの追加後も同じ基準で再現する
+     * @returns {{mode: string, baseMonth: string}}
+     */
+    getPriceBasis() {
+      const { mode, appliedBaseMonth } = this.priceIndex;
+      return {
+        mode,
+        baseMonth: mode === "adjusted" ? appliedBaseMonth : "",
+      };
+    },
+
+    /**
+     * 共有リンク・保存した検索の単価の基準を設定（統計への反映は呼び出し側）
+     * Note: 名目の場合は基準月の設定を変更しない
+     * @param {{mode: string, baseMonth: string}} basis
+     */
+    setPriceBasis(basis) {
+      this.priceIndex.mode = basis.mode;
+      if (basis.mode === "adjusted")
+        this.priceIndex.baseMonth = basis.baseMonth;
+    },
+
+    /**
+     * 単価の表示モード・基準月の表示名（名目の場合は null）
+     * @returns {string|null}
+     */
+    get priceBasisLabel() {
+      const { mode, source, appliedBaseMonth } = this.priceIndex;
+      if (mode !== "adjusted") return null;
+      return `${PRICE_MODE_LABELS.adjusted}（基準月 ${appliedBaseMonth}、${PRICE_INDEX_SOURCE_LABELS[source]}）`;
+    },
+
+    /**
+     * 価格統計の対象レコードを取得（既定でカテゴリAを除外）
+     * @param {Array} records - 対象レコード
+     * @returns {Array} 統計対象レコード
+     */
+    getStatsRecords(records) {
+      return this.includeAutoExcluded ? records : excludeAutoExcluded(records);
+    },
+
+    /**
+     * 指定した大カテゴリに該当するレコード数を取得
+     * @param {Array} records - 対象レコード
+     * @param {string} level - 'A' | 'B' | 'C'
+     * @returns {number} 該当件数
+     */
+    countAnomalyLevel(records, level) {
+      let count = 0;
+      for (let i = 0, len = records.length; i < len; i++) {
+        if (records[i].anomalyLevel === level) count++;
+      }
+      return count;
+    },
+
+    /**
+     * カテゴリAを統計に含めるかの切り替えを反映
+     */
+    async refreshAnomalyExclusion() {
+      await this.refreshPriceStats();
+    },
+
+    /**
+     * 一覧・単価推移・多角分析の単価統計をすべて再計算
+     */
+    async refreshPriceStats() {
+      this.groupByItem();
+      await this.applyFilters();
+      if (this.detailModal.isOpen) {
+        this.detailModal.priceBasis = this.priceBasisLabel;
+        this.applyDetailCommonFilters();
+      }
+    },
+
+    /**
+     * 単価の表示モードを切り替え
+     * @param {string} mode - 'nominal' | 'adjusted'
+     */
+    async setPriceMode(mode) {
+      this.priceIndex.mode = mode;
+      await this.updatePriceIndexSettings();
+    },
+
+    /**
+     * 工事費指数の設定（表示モード・基準月・取得元）を保存して統計に反映
+     */
+    async updatePriceIndexSettings() {
+      storePriceIndexSettings(this.priceIndex);
+      this.applyPriceMode();
+      await this.refreshPriceStats();
+    },
+
+    /**
+     * 工事費指数の CSV を読み込み、取得元を「CSV取込」にする
+     * @param {Event} event - ファイル選択の change イベント
+     */
+    async importPriceIndexCsv(event) {
+      const input = event.target;
+      const file = input.files?.[0];
+      if (!file) return;
+
+      try {
+        const imported = parsePriceIndexCsv(await file.text());
+        this.priceIndex.imported = imported;
+        this.priceIndex.source = "csv";
+        await this.updatePriceIndexSettings();
+        alert(
+          `工事費指数を読み込みました（${
+            Object.keys(imported.series).length
+          }系列、${imported.months.length}か月）`
+        );
+      } catch (error) {
+        console.error("Price index import failed:", error);
+        alert("読み込みに失敗しました: " + error.message);
+      } finally {
+        // 同じファイルを再度選択できるようにリセット
+        input.value = "";
+      }
+    },
+
+    /**
+     * 取込んだ工事費指数を削除し、データから算出した指数に戻す
+     */
+    async clearImportedPriceIndex() {
+      this.priceIndex.imported = null;
+      this.priceIndex.source = "derived";
+      await this.updatePriceIndexSettings();
+    },
+
+    /**
+     * 使用中の工事費指数を CSV でダウンロード（そのまま取込める形式）
+     */
+    exportPriceIndexCsv() {
+      const { source, imported } = this.priceIndex;
+      const index =
+        source === "csv" && imported ? Alpine.raw(imported) : derivedPriceIndex;
+      downloadCsv(
+        {
+          name: "工事費指数",
+          meta: [],
+          columns: PRICE_INDEX_CSV_COLUMNS,
+          rows: getPriceIndexRows(index),
+        },
+        this.getExportFilename("工事費指数")
+      );
+    },
+
+    /**
+     * レコードを小工事項目（item+spec）でグループ化し統計を計算
      */
     groupByItem() {
       const groups = {};
@@ -811,11 +1807,14 @@ function appData() {
         group.records.sort((a, b) => a.orderDate.localeCompare(b.orderDate));
 
         // Calculate statistics using shared utility
-        const prices = group.records.map((record) => record.price);
+        const prices = this.getStatsRecords(group.records).map(
+          (record) => record.displayPrice
+        );
         const stats = calcPriceStats(prices);
 
         return {
           ...group,
+          anomalies: this.anomalySummary.itemFlags[group.item] || [],
           recordCount: group.records.length,
           minPrice: stats.min,
           maxPrice: stats.max,
@@ -830,6 +1829,7 @@ function appData() {
      */
     async applyFilters() {
       const startTime = performance.now();
+      const requestId = ++filterRequestSeq;
 
       // Try to use Web Worker
       const worker = await getFilterWorker();
@@ -837,10 +1837,14 @@ function appData() {
       if (worker) {
         // Use Web Worker for filtering (non-blocking)
         try {
-          this.filteredGroups = await worker.applyFilters(
-            this.itemGroups,
-            this.filters
+          await this.syncFilterWorkerDataset(worker);
+          const result = await worker.applyFilters(
+            buildFilterCriteria(this.filters),
+            { includeAutoExcluded: this.includeAutoExcluded }
           );
+          // 待機中に新しいフィルター要求が発行されていれば破棄
+          if (requestId !== filterRequestSeq) return;
+          this.filteredGroups = this.hydrateFilterResult(result);
           console.log(
             `Worker filter: ${(performance.now() - startTime).toFixed(0)}ms`
           );
@@ -855,83 +1859,94 @@ function appData() {
 
       // Reset pagination when filters change
       this.displayedCount = this.displayLimit;
+      this.updateUrlState();
     },
 
     /**
-     * 同期的なフィルター実装（Web Workerフォールバック用）
-     * @private
+     * Worker が保持するデータセットを現在の records と同期
+     * records が差し替わった場合のみ送信する（フィルター毎の送信はしない）
+     * @param {Object} worker - Comlink proxy
      */
-    _applyFiltersSync() {
-      const filters = this.filters;
-      const itemKw = filters.item.toLowerCase();
-
-      // Build filter criteria object for recordMatchesFilters
-      const criteria = {
-        projectKw: filters.project.toLowerCase(),
-        regions: filters.regions,
-        majorCodes: filters.majorCodes,
-        vendor: filters.vendor.toLowerCase(),
-        dateFrom: filters.dateFrom.replace(/-/g, ""),
-        dateTo: filters.dateTo.replace(/-/g, ""),
-        ranges: {
-          floorMin: filters.floorMin,
-          floorMax: filters.floorMax,
-          unitRowMin: filters.unitRowMin,
-          unitRowMax: filters.unitRowMax,
-          resUnitMin: filters.resUnitMin,
-          resUnitMax: filters.resUnitMax,
-          constAreaMin: filters.constAreaMin,
-          constAreaMax: filters.constAreaMax,
-          totalAreaMin: filters.totalAreaMin,
-          totalAreaMax: filters.totalAreaMax,
-        },
-      };
+    async syncFilterWorkerDataset(worker) {
+      // リアクティブ Proxy は構造化複製できないため生の配列を使用
+      const records = Alpine.raw(this.records);
+      if (filterWorkerRecords === records) return;
+
+      const slim = records.map((record) => {
+        const entry = {};
+        for (const field of FILTER_WORKER_FIELDS) entry[field] = record[field];
+        return entry;
+      });
+      await worker.init(slim);
+      filterWorkerRecords = records;
+    },
 
-      this.filteredGroups = this.itemGroups
-        .map((group) => {
-          // Filter matching records
-          const matchingRecords = group.records.filter((record) =>
-            recordMatchesFilters(record, criteria)
-          );
+    /**
+     * Worker のフィルター結果（レコードインデックス）を表示用グループに復元
+     * filteredRecords は参照された時点で初めて生成するため、
+     * 一覧に表示されているページ分のグループだけが実体化される。
+     * @param {Array} result - filterWorker.applyFilters の戻り値
+     * @returns {Array} filteredGroups 形式のグループ配列
+     */
+    hydrateFilterResult(result) {
+      const records = Alpine.raw(this.records);
+      const groupsByItem = {};
+      for (const group of this.itemGroups) groupsByItem[group.item] = group;
 
-          // Calculate statistics using shared utility
-          const prices = matchingRecords.map((record) => record.price);
-          const stats = calcPriceStats(prices);
+      return result.map((entry) => {
+        let filteredRecords = null;
+        return {
+          ...groupsByItem[entry.item],
+          minPrice: entry.minPrice,
+          maxPrice: entry.maxPrice,
+          vendorSummary: null, // Lazy computed
+          fairPriceSummary: null, // 割高の判定を実行した時点で設定
+          get filteredRecords() {
+            if (!filteredRecords) {
+              filteredRecords = Array.from(
+                entry.recordIndices,
+                (index) => records[index]
+              );
+            }
+            return filteredRecords;
+          },
+        };
+      });
+    },
 
-          return {
-            ...group,
-            filteredRecords: matchingRecords,
-            minPrice: stats.min,
-            maxPrice: stats.max,
-            vendorSummary: null, // Lazy computed
-          };
-        })
-        .filter((group) => {
-          if (
-            itemKw &&
-            !group.item.toLowerCase().includes(itemKw) &&
-            !group.spec.toLowerCase().includes(itemKw)
-          )
-            return false;
-          return group.filteredRecords.length > 0;
-        })
-        // Sort by record count (descending)
-        .sort((a, b) => b.filteredRecords.length - a.filteredRecords.length);
+    /**
+     * 同期的なフィルター実装（Web Workerフォールバック用）
+     * @private
+     */
+    _applyFiltersSync() {
+      // Worker と同じインデックス検索を使用（records 差し替え時のみ再構築）
+      const records = Alpine.raw(this.records);
+      const result = filterItemGroups(
+        getMainFilterIndex(records),
+        buildFilterCriteria(this.filters),
+        { includeAutoExcluded: this.includeAutoExcluded }
+      );
+      this.filteredGroups = this.hydrateFilterResult(result);
     },
 
     /**
      * すべてのフィルターをデフォルト値にリセット
      */
     async clearFilters() {
+      // 処理中の Worker フィルター結果を無効化
+      filterRequestSeq++;
       this.filters = { ...DEFAULT_FILTERS };
+      this.detailPreset = null;
       this.filteredGroups = this.itemGroups
         .map((group) => ({
           ...group,
           filteredRecords: group.records,
+          fairPriceSummary: null,
         }))
         // Sort by record count (descending)
         .sort((a, b) => b.filteredRecords.length - a.filteredRecords.length);
       this.displayedCount = this.displayLimit;
+      this.updateUrlState();
     },
 
     // ===== Pagination Getters =====
@@ -982,6 +1997,8 @@ function appData() {
       if (this.filters.item)
         filters.push(`小工事項目名称: ${this.filters.item}`);
       if (this.filters.vendor) filters.push(`業者: ${this.filters.vendor}`);
+      if (this.includeAutoExcluded) filters.push("統計: 除外対象(A)を含む");
+      if (this.priceBasisLabel) filters.push(`単価: ${this.priceBasisLabel}`);
       return filters;
     },
 
@@ -996,7 +2013,7 @@ function appData() {
     /**
      * 業者ごとに単価統計を計算（単一パス集計）
      * @param {Array} records - 集計対象レコード
-     * @returns {Array} 業者別統計配列 [{name, count, min, avg, max}]
+     * @returns {Array} 業者別統計配列 [{vendor, name, count, min, avg, max}]
      */
     computeVendorSummary(records) {
       const vendorData = {};
@@ -1008,6 +2025,7 @@ function appData() {
 
         if (!entry) {
           entry = {
+            vendor: vendorName,
             name: record.vendorNameClean, // Use pre-computed clean name
             count: 0,
             min: Infinity,
@@ -1017,7 +2035,7 @@ function appData() {
           vendorData[vendorName] = entry;
         }
 
-        const price = record.price;
+        const price = record.displayPrice;
         entry.count++;
         if (price < entry.min) entry.min = price;
         if (price > entry.max) entry.max = price;
@@ -1026,6 +2044,7 @@ function appData() {
 
       // Convert to array with computed average
       return Object.values(vendorData).map((entry) => ({
+        vendor: entry.vendor,
         name: entry.name,
         count: entry.count,
         min: entry.min,
@@ -1041,7 +2060,9 @@ function appData() {
      */
     getVendorSummary(group) {
       if (!group.vendorSummary) {
-        group.vendorSummary = this.computeVendorSummary(group.filteredRecords);
+        group.vendorSummary = this.computeVendorSummary(
+          this.getStatsRecords(group.filteredRecords)
+        );
       }
       return group.vendorSummary;
     },
@@ -1059,7 +2080,9 @@ function appData() {
       const seen = {};
       let count = 0;
       const records = group.filteredRecords;
+      const includeAll = this.includeAutoExcluded;
       for (let i = 0, len = records.length; i < len; i++) {
+        if (!includeAll && isAutoExcluded(records[i])) continue;
         const vendor = records[i].vendor;
         if (!seen[vendor]) {
           seen[vendor] = true;
@@ -1190,10 +2213,10 @@ function appData() {
      */
     showChart(idx) {
       const group = this.filteredGroups[idx];
-      const records = group.filteredRecords;
+      const records = this.getStatsRecords(group.filteredRecords);
 
       // Calculate statistics using shared utility
-      const prices = records.map((record) => record.price);
+      const prices = records.map((record) => record.displayPrice);
       const stats = calcPriceStats(prices);
 
       // Prepare weekly grouped data for table display
@@ -1226,8 +2249,30 @@ function appData() {
      * 多角分析モーダルを開く - タブ形式BIダッシュボード
      * @param {number} idx - filteredGroupsのインデックス
      */
-    openDetailModal(idx) {
-      const group = this.filteredGroups[idx];
+    openDetailModal(idx, restore = null) {
+      this.detailModal = {
+        ...this.createDetailModalState(this.filteredGroups[idx], restore),
+        isOpen: true,
+      };
+      this.detailModal.filteredByCommon = this.filterDetailRecords();
+      this.updateKpiSummary();
+      this.updateUrlState();
+      this.$nextTick(() => {
+        new bootstrap.Modal(this.$refs.detailModal).show();
+        // Render chart after modal is shown
+        this.$nextTick(() => {
+          this.renderDetailChart();
+        });
+      });
+    },
+
+    /**
+     * 多角分析モーダルの初期状態を生成（期間はデータの範囲）
+     * @param {Object} group - 対象グループ
+     * @param {Object|null} restore - 共有リンクから復元する設定
+     * @returns {Object} detailModal 形式の状態（集計前）
+     */
+    createDetailModalState(group, restore = null) {
       // Calculate date range from actual data
       const orderDates = group.filteredRecords
         .map((record) => record.orderDate)
@@ -1240,10 +2285,14 @@ function appData() {
           ? formatDateHyphen(orderDates[orderDates.length - 1])
           : "";
 
-      this.detailModal = {
-        isOpen: true,
+      // 保存した検索の設定を初期値とし、共有リンクからの復元時は
+      // URL で指定された項目だけ上書き
+      const preset = this.detailPreset || {};
+      const restored = restore || {};
+      return {
+        isOpen: false,
         currentGroup: { ...group },
-        activeTab: "timeseries",
+        activeTab: restored.activeTab || preset.activeTab || "timeseries",
         // 初期値を保存（クリア時に使用）
         initialDateFrom: minDate,
         initialDateTo: maxDate,
@@ -1252,24 +2301,23 @@ function appData() {
           dateTo: maxDate,
           regions: [],
           vendors: [],
+          ...restored.commonFilters,
         },
-        filteredByCommon: [...group.filteredRecords],
+        filteredByCommon: [],
         timeseries: {
-          metric: "price",
-          timeUnit: "weekly",
-          chartType: "line",
-          movingAvgWindow: 4,
+          ...DEFAULT_DETAIL_SETTINGS.timeseries,
+          ...preset.timeseries,
+          ...restored.timeseries,
         },
         comparison: {
-          groupBy: "region",
-          metric: "avgPrice",
-          chartType: "bar",
-          sortOrder: "default",
+          ...DEFAULT_DETAIL_SETTINGS.comparison,
+          ...preset.comparison,
+          ...restored.comparison,
         },
         trend: {
-          xAxis: "resUnits",
-          chartType: "scatter",
-          bubbleSize: "qty",
+          ...DEFAULT_DETAIL_SETTINGS.trend,
+          ...preset.trend,
+          ...restored.trend,
         },
         kpiSummary: {
           count: 0,
@@ -1278,23 +2326,68 @@ function appData() {
           maxPrice: 0,
           medianPrice: 0,
         },
+        forecast: null,
+        scaleCurve: null,
+        priceBasis: this.priceBasisLabel,
         listLimit: 100,
         listDisplayed: 100,
       };
-      this.updateKpiSummary();
-      this.$nextTick(() => {
-        new bootstrap.Modal(this.$refs.detailModal).show();
-        // Render chart after modal is shown
-        this.$nextTick(() => {
-          this.renderDetailChart();
-        });
-      });
+    },
+
+    /**
+     * 開いている多角分析モーダルを最新のグループで再集計
+     * （先行表示中に開いたモーダルを全件の読み込み完了後に更新）
+     * Note: 期間が初期値（データの範囲）のままなら新しいデータの範囲に広げる
+     */
+    refreshDetailModalGroup() {
+      const modal = this.detailModal;
+      if (!modal.isOpen || !modal.currentGroup) return;
+      const group = this.filteredGroups.find(
+        (candidate) => candidate.item === modal.currentGroup.item
+      );
+      if (!group) return;
+
+      const fresh = this.createDetailModalState(group);
+      const common = modal.commonFilters;
+      if (common.dateFrom === modal.initialDateFrom) {
+        common.dateFrom = fresh.initialDateFrom;
+      }
+      if (common.dateTo === modal.initialDateTo) {
+        common.dateTo = fresh.initialDateTo;
+      }
+      modal.initialDateFrom = fresh.initialDateFrom;
+      modal.initialDateTo = fresh.initialDateTo;
+      modal.currentGroup = fresh.currentGroup;
+      this.applyDetailCommonFilters();
+    },
+
+    /**
+     * 多角分析モーダルの状態を指定品目の初期状態に差し替えて処理を実行
+     * （印刷資料・AIレポートの一括生成で、モーダルを開かずに集計・描画する）
+     * Note: 画面に反映されないよう、差し替えはリアクティブプロキシを介さずに行い、
+     *       終了後に元の状態に戻す
+     * @param {Object} group - 対象グループ
+     * @param {Function} callback - async () => 結果（this.detailModal は差し替え後）
+     * @returns {Promise<*>} callback の結果
+     */
+    async withDetailModalState(group, callback) {
+      const app = Alpine.raw(this);
+      const saved = app.detailModal;
+      app.detailModal = this.createDetailModalState(group);
+      try {
+        app.detailModal.filteredByCommon = this.filterDetailRecords();
+        this.updateKpiSummary();
+        return await callback();
+      } finally {
+        app.detailModal = saved;
+      }
     },
 
     /**
      * 多角分析モーダルを閉じてクリーンアップ
      */
     closeDetailModal() {
+      this.cancelAiReport();
       if (this.detailChartInstance) {
         this.detailChartInstance.destroy();
         this.detailChartInstance = null;
@@ -1307,6 +2400,7 @@ function appData() {
         regions: [],
         vendors: [],
       };
+      this.updateUrlState();
     },
 
     /**
@@ -1315,12 +2409,23 @@ function appData() {
      */
     setDetailTab(tab) {
       this.detailModal.activeTab = tab;
+      this.updateUrlState();
       // Render chart if not in table mode
       if (!this.isDetailTableMode()) {
         this.$nextTick(() => this.renderDetailChart());
       }
     },
 
+    /**
+     * タブ別設定（時間軸・表示形式など）の変更時に呼ばれる
+     */
+    onDetailSettingsChange() {
+      this.updateForecastSummary();
+      this.updateScaleCurveSummary();
+      this.updateUrlState();
+      this.renderDetailChart();
+    },
+
     /**
      * 現在のタブがテーブルモードかチェック
      * @returns {boolean} テーブルモードならtrue
@@ -1336,9 +2441,10 @@ function appData() {
     },
 
     /**
-     * 多角分析モーダルの共通フィルターを適用してKPI更新
+     * 多角分析モーダルの共通フィルターに一致するレコードを取得
+     * @returns {Array} 統計対象レコード（既定でカテゴリAを除外）
      */
-    applyDetailCommonFilters() {
+    filterDetailRecords() {
       const records = this.detailModal.currentGroup?.filteredRecords || [];
       const { dateFrom, dateTo, regions, vendors } =
         this.detailModal.commonFilters;
@@ -1346,15 +2452,26 @@ function appData() {
       const dateFromYMD = dateFrom ? dateFrom.replace(/-/g, "") : "";
       const dateToYMD = dateTo ? dateTo.replace(/-/g, "") : "";
 
-      this.detailModal.filteredByCommon = records.filter((record) => {
+      const includeAll = this.includeAutoExcluded;
+
+      return records.filter((record) => {
+        if (!includeAll && isAutoExcluded(record)) return false;
         if (dateFromYMD && record.orderDate < dateFromYMD) return false;
         if (dateToYMD && record.orderDate > dateToYMD) return false;
         if (regions.length && !regions.includes(record.region)) return false;
         if (vendors.length && !vendors.includes(record.vendor)) return false;
         return true;
       });
+    },
+
+    /**
+     * 多角分析モーダルの共通フィルターを適用してKPI更新
+     */
+    applyDetailCommonFilters() {
+      this.detailModal.filteredByCommon = this.filterDetailRecords();
 
       this.updateKpiSummary();
+      this.updateUrlState();
       if (!this.isDetailTableMode()) {
         this.renderDetailChart();
       }
@@ -1378,7 +2495,7 @@ function appData() {
      */
     updateKpiSummary() {
       const records = this.detailModal.filteredByCommon || [];
-      const prices = records.map((record) => record.price);
+      const prices = records.map((record) => record.displayPrice);
       const stats = calcPriceStats(prices);
 
       this.detailModal.kpiSummary = {
@@ -1388,6 +2505,30 @@ function appData() {
         maxPrice: stats.max,
         medianPrice: calcMedian(prices),
       };
+      this.updateForecastSummary();
+      this.updateScaleCurveSummary();
+    },
+
+    /**
+     * 時系列予測を更新（KPI エリアにバックテストの誤差を表示）
+     * Note: 集計はチャート描画と共有（prepareTimeseriesChartData のキャッシュ）
+     */
+    updateForecastSummary() {
+      this.detailModal.forecast =
+        this.detailModal.timeseries.metric === "forecast"
+          ? this.prepareTimeseriesChartData(this.detailModal.filteredByCommon)
+              .forecast
+          : null;
+    },
+
+    /**
+     * 数量と単価のべき乗近似を更新（KPI エリアに価格弾力性を表示）
+     */
+    updateScaleCurveSummary() {
+      this.detailModal.scaleCurve =
+        this.detailModal.trend.xAxis === "qty"
+          ? fitQuantityScaleCurve(this.detailModal.filteredByCommon || [])
+          : null;
     },
 
     /**
@@ -1513,7 +2654,7 @@ function appData() {
 
       return sortedKeys.map((key) => {
         const groupRecords = grouped[key];
-        const prices = groupRecords.map((record) => record.price);
+        const prices = groupRecords.map((record) => record.displayPrice);
         const stats = calcPriceStats(prices);
 
         return {
@@ -1547,7 +2688,7 @@ function appData() {
       const grouped = groupRecordsBy(records, keyFn);
 
       const entries = Object.entries(grouped).map(([key, groupRecords]) => {
-        const prices = groupRecords.map((record) => record.price);
+        const prices = groupRecords.map((record) => record.displayPrice);
         const qtys = groupRecords.map((record) => record.qty);
         const priceStats = calcPriceStats(prices);
         const qtyStats = calcPriceStats(qtys);
@@ -1593,13 +2734,14 @@ function appData() {
     /**
      * 傾向分析用テーブルデータを準備（X軸値でグループ化）
      * @param {Array} records - 処理対象レコード
-     * @param {string} xAxis - 'resUnits' | 'floors' | 'totalArea' | 'constArea'
+     * @param {string} xAxis - 'resUnits' | 'floors' | 'totalArea' | 'constArea' | 'qty'
      * @returns {Array} グループ化データ（統計付き）
      */
     prepareTrendTableData(records, xAxis) {
       // Group by x-axis value
       const grouped = groupRecordsBy(records, (record) => {
         const value = record[xAxis];
+        if (xAxis === "qty") return getQuantityRangeLabel(value);
         if (xAxis === "totalArea" || xAxis === "constArea") {
           // Group area values into buckets of 100
           return `${Math.floor(value / 100) * 100}~${
@@ -1611,7 +2753,7 @@ function appData() {
 
       return Object.entries(grouped)
         .map(([key, groupRecords]) => {
-          const prices = groupRecords.map((record) => record.price);
+          const prices = groupRecords.map((record) => record.displayPrice);
           const stats = calcPriceStats(prices);
 
           return {
@@ -1624,20 +2766,20 @@ function appData() {
           };
         })
         .sort((a, b) => {
-          // Sort by the numeric part of the label
-          const numA = parseInt(a.label.replace(/[^0-9]/g, "")) || 0;
-          const numB = parseInt(b.label.replace(/[^0-9]/g, "")) || 0;
+          // Sort by the leading number of the label (数量は小数・桁区切りを含む)
+          const numA = parseFloat(a.label.replace(/,/g, "")) || 0;
+          const numB = parseFloat(b.label.replace(/,/g, "")) || 0;
           return numA - numB;
         });
     },
 
     /**
-     * 現在のタブとチャートタイプに基づいてチャートデータを準備
+     * タブの設定に基づいてチャートデータを準備
+     * @param {string} tab - 対象タブ（既定: 表示中のタブ）
      * @returns {Object|null} チャートデータ
      */
-    prepareDetailChartData() {
+    prepareDetailChartData(tab = this.detailModal.activeTab) {
       const records = this.detailModal.filteredByCommon || [];
-      const tab = this.detailModal.activeTab;
 
       if (tab === "timeseries") {
         return this.prepareTimeseriesChartData(records);
@@ -1651,11 +2793,23 @@ function appData() {
 
     /**
      * 時系列分析用チャートデータを準備
+     * Note: 同じレコード配列・設定での呼び出しはキャッシュを返す
+     *       （戻り値は変更しないこと）
      * @param {Array} records - 処理対象レコード
      * @returns {Object} 時系列チャートデータ
      */
     prepareTimeseriesChartData(records) {
-      const timeUnit = this.detailModal.timeseries.timeUnit;
+      const { timeUnit, metric, movingAvgWindow, forecastHorizon } =
+        this.detailModal.timeseries;
+      const source = Alpine.raw(records);
+      const key = [timeUnit, metric, movingAvgWindow, forecastHorizon].join();
+      if (
+        timeseriesChartCache?.records === source &&
+        timeseriesChartCache.key === key
+      ) {
+        return timeseriesChartCache.data;
+      }
+
       const grouped = groupByTimeUnit(records, timeUnit);
       const sortedKeys = Object.keys(grouped).sort();
 
@@ -1665,24 +2819,41 @@ function appData() {
       const avgData = [];
       const medianData = [];
       const maxData = [];
+      const counts = [];
 
       sortedKeys.forEach((key) => {
-        const prices = grouped[key].map((record) => record.price);
+        const prices = grouped[key].map((record) => record.displayPrice);
         const stats = calcPriceStats(prices);
+        counts.push(prices.length);
         minData.push(stats.min);
         avgData.push(stats.avg);
         medianData.push(calcMedian(prices));
         maxData.push(stats.max);
       });
 
-      return {
+      const data = {
         labels,
         minData,
         avgData,
         medianData,
         maxData,
+        counts,
         count: sortedKeys.length,
+        movingAvgData:
+          metric === "movingAvg"
+            ? calcMovingAverage(avgData, movingAvgWindow)
+            : null,
+        // 予測は外れ値の影響を受けにくい中央値の系列で行う
+        forecast:
+          metric === "forecast"
+            ? forecastPriceSeries(labels, medianData, {
+                timeUnit,
+                horizon: forecastHorizon,
+              })
+            : null,
       };
+      timeseriesChartCache = { records: source, key, data };
+      return data;
     },
 
     /**
@@ -1721,7 +2892,7 @@ function appData() {
               return qtyStats.avg;
           }
         } else {
-          const prices = groupRecords.map((r) => r.price);
+          const prices = groupRecords.map((r) => r.displayPrice);
           const priceStats = calcPriceStats(prices);
           switch (metric) {
             case "avgPrice":
@@ -1774,7 +2945,9 @@ function appData() {
 
       // For boxplot, we need the raw values per group based on metric type
       const boxplotData = entries.map((e) =>
-        e.records.map((record) => (isQtyMetric ? record.qty : record.price))
+        e.records.map((record) =>
+          isQtyMetric ? record.qty : record.displayPrice
+        )
       );
 
       return { labels, data, boxplotData };
@@ -1791,13 +2964,13 @@ function appData() {
 
       const scatterData = records.map((record) => ({
         x: record[xAxis],
-        y: record.price,
+        y: record.displayPrice,
         r:
           bubbleSize === "qty"
             ? Math.log10(Math.abs(record.qty) + 1) *
               CHART_CONFIG.BUBBLE_SIZE_QTY_FACTOR
             : Math.sqrt(
-                Math.abs(record.amount) /
+                Math.abs(record.displayAmount) /
                   CHART_CONFIG.BUBBLE_SIZE_AMOUNT_DIVISOR
               ) * CHART_CONFIG.BUBBLE_SIZE_AMOUNT_FACTOR,
         record: record,
@@ -1805,7 +2978,7 @@ function appData() {
 
       // For heatmap, create a matrix with ranges
       const xAxisValues = records.map((record) => record[xAxis]);
-      const priceValues = records.map((record) => record.price);
+      const priceValues = records.map((record) => record.displayPrice);
 
       const xRanges = createValueRanges(
         xAxisValues,
@@ -1831,10 +3004,10 @@ function appData() {
                 ? record[xAxis] <= xRange.max
                 : record[xAxis] < xRange.max);
             const yMatch =
-              record.price >= yRange.min &&
+              record.displayPrice >= yRange.min &&
               (isLastYRange
-                ? record.price <= yRange.max
-                : record.price < yRange.max);
+                ? record.displayPrice <= yRange.max
+                : record.displayPrice < yRange.max);
             return xMatch && yMatch;
           }).length;
 
@@ -1850,6 +3023,7 @@ function appData() {
         xRanges,
         priceRanges,
         xAxisLabel: getAxisLabel(xAxis),
+        scaleCurve: xAxis === "qty" ? fitQuantityScaleCurve(records) : null,
       };
     },
 
@@ -1863,7 +3037,7 @@ function appData() {
 
       // Calculate stats once per group instead of 3 times
       const statsArray = labels.map((key) =>
-        calcPriceStats(grouped[key].map((record) => record.price))
+        calcPriceStats(grouped[key].map((record) => record.displayPrice))
       );
 
       return {
@@ -1909,28 +3083,150 @@ function appData() {
         }
 
         const tab = this.detailModal.activeTab;
-        const data = this.prepareDetailChartData();
-        if (!data) return;
-
-        if (tab === "timeseries") {
-          this.renderTimeseriesChart(ctx, data);
-        } else if (tab === "comparison") {
-          this.renderComparisonTabChart(ctx, data);
-        } else if (tab === "trend") {
-          this.renderTrendTabChart(ctx, data);
-        }
+        this.detailChartInstance = this.drawDetailChart(
+          ctx,
+          tab,
+          this.detailModal[tab].chartType
+        );
+        this.updateTargetPriceLines();
       }, delay);
     },
 
+    /**
+     * 表示中の時系列チャートに構造化レポートの目標単価レンジを参照線で表示
+     * Note: 画面上のチャートのみ対象（レポート用のキャプチャには含めない）。
+     *       レポートの生成開始時・切り替え時にも呼び、線を付け替える
+     */
+    updateTargetPriceLines() {
+      // Chart.js の更新はリアクティブプロキシを介さずに行う
+      const chart = this.detailChartInstance
+        ? Alpine.raw(this.detailChartInstance)
+        : null;
+      if (!chart || this.detailModal.activeTab !== "timeseries") return;
+
+      const datasets = chart.data.datasets.filter(
+        (dataset) => !dataset.isTargetPrice
+      );
+      const range = this.aiReportTargetRange;
+      if (range) {
+        const count = chart.data.labels.length;
+        datasets.push(
+          ...[
+            ["目標単価（下限）", range.min],
+            ["目標単価（上限）", range.max],
+          ].map(([label, value]) => ({
+            ...createReferenceLine(
+              label,
+              value,
+              count,
+              CHART_COLORS.targetPrice
+            ),
+            type: "line",
+            order: 0,
+            isTargetPrice: true,
+          }))
+        );
+      }
+      chart.data.datasets = datasets;
+      chart.update("none");
+    },
+
+    /**
+     * 指定タブのチャートを canvas に描画
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {string} tab - 'timeseries' | 'comparison' | 'trend'
+     * @param {string} chartType - チャート種別（'table' 以外）
+     * @param {Object|null} data - チャートデータ（既定: prepareDetailChartData）
+     * @returns {Chart|null} Chart.js インスタンス（データなしの場合 null）
+     */
+    drawDetailChart(
+      ctx,
+      tab,
+      chartType,
+      data = this.prepareDetailChartData(tab)
+    ) {
+      if (!data) return null;
+
+      if (tab === "timeseries") {
+        return this.renderTimeseriesChart(ctx, data, chartType);
+      } else if (tab === "comparison") {
+        return this.renderComparisonTabChart(ctx, data, chartType);
+      } else if (tab === "trend") {
+        return this.renderTrendTabChart(ctx, data, chartType);
+      }
+      return null;
+    },
+
+    /**
+     * 全タブのチャートを画面外で描画してキャプチャ（総合レポート・印刷資料用）
+     * Note: テーブル表示のタブは既定のチャート種別で描画する
+     * @param {Array<string>} [tabs] - 対象のタブ（既定: 全タブ）
+     * @param {Object} [size] - 描画サイズ
+     * @param {number} [size.width] - 幅 (px)
+     * @param {number} [size.height] - 高さ (px)
+     * @param {number|null} [size.pixelRatio] - 解像度の倍率（既定: 画面と同じ）
+     * @returns {Promise<Array<{tab: string, settings: Object, data: Object, image: string|null}>>}
+     */
+    async captureAllDetailCharts(
+      tabs = Object.keys(DEFAULT_DETAIL_SETTINGS),
+      {
+        width = CHART_CONFIG.REPORT_CAPTURE_WIDTH,
+        height = CHART_CONFIG.REPORT_CAPTURE_HEIGHT,
+        pixelRatio = null,
+      } = {}
+    ) {
+      const container = document.createElement("div");
+      container.style.cssText = `position: fixed; left: -10000px; top: 0; width: ${width}px; height: ${height}px;`;
+      const canvas = document.createElement("canvas");
+      container.appendChild(canvas);
+      document.body.appendChild(container);
+
+      const charts = [];
+      try {
+        for (const tab of tabs) {
+          const settings = { ...this.detailModal[tab] };
+          if (settings.chartType === "table") {
+            settings.chartType = DEFAULT_DETAIL_SETTINGS[tab].chartType;
+          }
+          const data = this.prepareDetailChartData(tab);
+          const chart = this.drawDetailChart(
+            canvas.getContext("2d"),
+            tab,
+            settings.chartType,
+            data
+          );
+          if (chart && pixelRatio) {
+            chart.options.devicePixelRatio = pixelRatio;
+            chart.resize();
+          }
+          charts.push({
+            tab,
+            settings,
+            data,
+            image: await captureChart(chart),
+          });
+          chart?.destroy();
+        }
+      } finally {
+        container.remove();
+      }
+      return charts;
+    },
+
     /**
      * 時系列分析用チャートを描画
      * @param {CanvasRenderingContext2D} ctx - Canvas context
      * @param {Object} data - prepareTimeseriesChartDataからのデータ
+     * @param {string} chartType - 'line' | 'area' | 'bar'
+     * @returns {Chart} Chart.js インスタンス
      */
-    renderTimeseriesChart(ctx, data) {
-      const chartType = this.detailModal.timeseries.chartType;
+    renderTimeseriesChart(ctx, data, chartType) {
       const unit = this.detailModal.currentGroup?.unit || "";
-      const { labels, minData, avgData, medianData, maxData } = data;
+      const { minData, avgData, medianData, maxData, movingAvgData, forecast } =
+        data;
+      const labels = forecast
+        ? [...data.labels, ...forecast.labels]
+        : data.labels;
 
       const datasets = [];
 
@@ -1997,7 +3293,70 @@ function appData() {
         order: 4,
       });
 
-      this.detailChartInstance = new Chart(ctx, {
+      // Moving average line (metric: movingAvg)
+      if (movingAvgData) {
+        datasets.push({
+          label: `移動平均（${this.detailModal.timeseries.movingAvgWindow}期間）`,
+          data: movingAvgData,
+          type: "line",
+          borderColor: CHART_COLORS.avg.border,
+          backgroundColor: CHART_COLORS.avg.background,
+          borderWidth: 2,
+          pointRadius: 0,
+          fill: false,
+          tension: 0.3,
+          order: 0,
+        });
+      }
+
+      // Forecast line and 95% prediction interval (metric: forecast)
+      if (forecast) {
+        // 実績の最終期間から線をつなげる
+        const lastIndex = data.labels.length - 1;
+        const pad = (values) => [
+          ...Array(lastIndex).fill(null),
+          medianData[lastIndex],
+          ...values,
+        ];
+        const intervalStyle = {
+          type: "line",
+          borderColor: CHART_COLORS.forecast.border + "55",
+          backgroundColor: CHART_COLORS.forecast.background,
+          borderWidth: 1,
+          pointRadius: 0,
+          tension: 0.1,
+          order: 6,
+        };
+        datasets.push(
+          {
+            ...intervalStyle,
+            label: "予測区間（95%）下限",
+            data: pad(forecast.lower),
+            fill: false,
+          },
+          {
+            ...intervalStyle,
+            label: "予測区間（95%）上限",
+            data: pad(forecast.upper),
+            fill: "-1",
+          },
+          {
+            label: "予測（中央値）",
+            data: pad(forecast.forecast),
+            type: "line",
+            borderColor: CHART_COLORS.forecast.border,
+            backgroundColor: CHART_COLORS.forecast.border,
+            borderWidth: 2,
+            borderDash: [6, 4],
+            pointRadius: 3,
+            fill: false,
+            tension: 0.1,
+            order: 0,
+          }
+        );
+      }
+
+      return new Chart(ctx, {
         type: chartType === "bar" ? "bar" : "line",
         data: { labels, datasets },
         options: createLineChartOptions({ unit, showXTitle: true }),
@@ -2008,9 +3367,10 @@ function appData() {
      * 比較分析用チャートを描画（棒グラフ/ボックスプロット/レーダー）
      * @param {CanvasRenderingContext2D} ctx - Canvas context
      * @param {Object} data - prepareComparisonChartDataからのデータ
+     * @param {string} chartType - 'bar' | 'boxplot' | 'radar'
+     * @returns {Chart} Chart.js インスタンス
      */
-    renderComparisonTabChart(ctx, data) {
-      const chartType = this.detailModal.comparison.chartType;
+    renderComparisonTabChart(ctx, data, chartType) {
       const metric = this.detailModal.comparison.metric;
       const unit = this.detailModal.currentGroup?.unit || "";
       const { labels, data: chartData, boxplotData } = data;
@@ -2035,12 +3395,18 @@ function appData() {
         isQtyMetric ? formatNumber(value) : "¥" + formatNumber(value);
 
       if (chartType === "boxplot") {
-        this.renderBoxplotChart(ctx, labels, boxplotData, unit, isQtyMetric);
+        return this.renderBoxplotChart(
+          ctx,
+          labels,
+          boxplotData,
+          unit,
+          isQtyMetric
+        );
       } else if (chartType === "radar") {
-        this.renderRadarChart(ctx, labels, chartData, metric);
+        return this.renderRadarChart(ctx, labels, chartData, metric);
       } else {
         // Default bar chart
-        this.detailChartInstance = new Chart(ctx, {
+        return new Chart(ctx, {
           type: "bar",
           data: {
             labels,
@@ -2084,6 +3450,7 @@ function appData() {
      * @param {Array} boxplotData - 各グループの値配列
      * @param {string} unit - 単位ラベル
      * @param {boolean} isQtyMetric - 数量指標の場合true
+     * @returns {Chart} Chart.js インスタンス
      */
     renderBoxplotChart(ctx, labels, boxplotData, unit, isQtyMetric = false) {
       const yAxisTitle = isQtyMetric
@@ -2100,7 +3467,7 @@ function appData() {
         console.warn("Boxplot plugin not loaded, falling back to bar chart");
         // Fallback to bar chart showing quartiles
         const statsData = boxplotData.map((values) => calcBoxplotStats(values));
-        this.detailChartInstance = new Chart(ctx, {
+        return new Chart(ctx, {
           type: "bar",
           data: {
             labels,
@@ -2144,7 +3511,6 @@ function appData() {
             },
           },
         });
-        return;
       }
 
       // Calculate Y-axis max based on whisker max values (excluding outliers)
@@ -2153,7 +3519,7 @@ function appData() {
       const maxWhiskerValue = Math.max(...groupStats.map((stats) => stats.max));
       const yMax = maxWhiskerValue * 1.15; // Add 15% margin above max whisker
 
-      this.detailChartInstance = new Chart(ctx, {
+      return new Chart(ctx, {
         type: "boxplot",
         data: {
           labels,
@@ -2228,10 +3594,11 @@ function appData() {
      * @param {Array} data - データ値
      * @param {string} metric - メトリックタイプ
      * @param {string} unit - 単位ラベル
+     * @returns {Chart} Chart.js インスタンス
      */
     renderRadarChart(ctx, labels, data, metric) {
       const metricLabels = { avg: "平均", median: "中央値" };
-      this.detailChartInstance = new Chart(ctx, {
+      return new Chart(ctx, {
         type: "radar",
         data: {
           labels,
@@ -2273,15 +3640,22 @@ function appData() {
      * 傾向分析用チャートを描画（散布図/バブル/ヒートマップ）
      * @param {CanvasRenderingContext2D} ctx - Canvas context
      * @param {Object} data - prepareTrendChartDataからのデータ
+     * @param {string} chartType - 'scatter' | 'bubble' | 'heatmap'
+     * @returns {Chart} Chart.js インスタンス
      */
-    renderTrendTabChart(ctx, data) {
-      const chartType = this.detailModal.trend.chartType;
+    renderTrendTabChart(ctx, data, chartType) {
       const unit = this.detailModal.currentGroup?.unit || "";
-      const { scatterData, heatmapData, xRanges, priceRanges, xAxisLabel } =
-        data;
+      const {
+        scatterData,
+        heatmapData,
+        xRanges,
+        priceRanges,
+        xAxisLabel,
+        scaleCurve,
+      } = data;
 
       if (chartType === "heatmap") {
-        this.renderHeatmapChart(
+        return this.renderHeatmapChart(
           ctx,
           heatmapData,
           xRanges,
@@ -2307,23 +3681,51 @@ function appData() {
               }を表示。`
             : "";
 
+        const curveText = scaleCurve
+          ? `近似曲線（単価 = a × 数量^b）の${formatScaleCurveSummary(
+              scaleCurve
+            )}。`
+          : "";
+
         const subtitleText = correlationText
-          ? `※ ${bubbleText}${correlationText} (右上ほど単価が高く${xAxisLabel}が多い傾向、外れ値や標準的な価格帯の分布を確認)`
-          : `※ ${bubbleText}右上ほど単価が高く${xAxisLabel}が多い傾向、外れ値や標準的な価格帯の分布を確認`;
+          ? `※ ${bubbleText}${curveText}${correlationText} (右上ほど単価が高く${xAxisLabel}が多い傾向、外れ値や標準的な価格帯の分布を確認)`
+          : `※ ${bubbleText}${curveText}右上ほど単価が高く${xAxisLabel}が多い傾向、外れ値や標準的な価格帯の分布を確認`;
+
+        // 対数目盛りでは 0 以下の点を描画できないため除く
+        const isLogScale = this.detailModal.trend.xScale === "log";
+        const datasets = [
+          {
+            label: "単価",
+            data: isLogScale
+              ? scatterData.filter((point) => point.x > 0)
+              : scatterData,
+            backgroundColor: CHART_COLORS.avg.border + "88",
+            borderColor: CHART_COLORS.avg.border,
+            borderWidth: 1,
+          },
+        ];
+        // Power-law fit of price vs quantity (xAxis: qty)
+        if (scaleCurve) {
+          datasets.push({
+            type: "line",
+            label: "近似曲線（べき乗）",
+            data: createPowerLawCurvePoints(
+              scaleCurve,
+              xValues,
+              CHART_CONFIG.SCALE_CURVE_POINTS
+            ),
+            borderColor: CHART_COLORS.scaleCurve.border,
+            backgroundColor: CHART_COLORS.scaleCurve.background,
+            borderWidth: 2,
+            pointRadius: 0,
+            fill: false,
+            tension: 0,
+          });
+        }
 
-        this.detailChartInstance = new Chart(ctx, {
+        return new Chart(ctx, {
           type: chartType === "bubble" ? "bubble" : "scatter",
-          data: {
-            datasets: [
-              {
-                label: "単価",
-                data: scatterData,
-                backgroundColor: CHART_COLORS.avg.border + "88",
-                borderColor: CHART_COLORS.avg.border,
-                borderWidth: 1,
-              },
-            ],
-          },
+          data: { datasets },
           options: {
             responsive: true,
             maintainAspectRatio: false,
@@ -2334,7 +3736,7 @@ function appData() {
               axis: "xy",
             },
             plugins: {
-              legend: { display: false },
+              legend: { display: !!scaleCurve },
               subtitle: {
                 display: true,
                 text: subtitleText,
@@ -2346,6 +3748,11 @@ function appData() {
                 callbacks: {
                   label: (context) => {
                     const point = context.raw;
+                    if (context.dataset.type === "line") {
+                      return `${context.dataset.label}: ¥${formatNumber(
+                        Math.round(point.y)
+                      )}`;
+                    }
                     return [
                       `${xAxisLabel}: ${point.x}`,
                       `単価: ¥${formatNumber(point.y)}`,
@@ -2356,7 +3763,11 @@ function appData() {
             },
             scales: {
               x: {
-                title: { display: true, text: xAxisLabel },
+                type: isLogScale ? "logarithmic" : "linear",
+                title: {
+                  display: true,
+                  text: isLogScale ? `${xAxisLabel}（対数目盛）` : xAxisLabel,
+                },
               },
               y: {
                 title: { display: true, text: `実行単価 (円/${unit})` },
@@ -2376,13 +3787,14 @@ function appData() {
      * @param {Array} priceRanges - 価格の範囲ラベル
      * @param {string} xAxisLabel - X軸のラベル
      * @param {string} unit - 単位ラベル
+     * @returns {Chart} Chart.js インスタンス
      */
     renderHeatmapChart(ctx, data, xRanges, priceRanges, xAxisLabel, unit) {
       // Check if matrix plugin is available
       if (typeof Chart.controllers.matrix === "undefined") {
         console.warn("Matrix plugin not loaded, falling back to scatter chart");
         // Fallback to scatter chart
-        this.detailChartInstance = new Chart(ctx, {
+        return new Chart(ctx, {
           type: "scatter",
           data: {
             datasets: [
@@ -2408,10 +3820,9 @@ function appData() {
             },
           },
         });
-        return;
       }
 
-      this.detailChartInstance = new Chart(ctx, {
+      return new Chart(ctx, {
         type: "matrix",
         data: {
           datasets: [
@@ -2484,47 +3895,1482 @@ function appData() {
     // =========================================================================
 
     /**
-     * APIキーが設定されているかどうか
+     * 選択中のAIプロバイダーが利用可能な設定かどうか
      * @returns {boolean}
      */
     isApiKeyConfigured() {
-      return !!getGeminiApiKey();
+      return getLlmConfigError() === null;
     },
 
     /**
-     * AIレポートを生成（現在表示中のチャートのみ）
-     * ai-report.jsのgenerateAiReport関数を使用
+     * レポート生成に使うプロンプトテンプレートを選択
+     * @param {string} id - テンプレートID
      */
-    async generateAiReport() {
-      const self = this;
+    selectPromptTemplate(id) {
+      this.promptTemplateId = getPromptTemplate(id).id;
+      storeSelectedPromptTemplateId(this.promptTemplateId);
+    },
 
-      await generateAiReport({
-        chartInstance: this.detailChartInstance,
-        detailModal: this.detailModal,
-        onStart: () => {
-          self.aiReport.isGenerating = true;
-          self.aiReport.error = null;
-          self.aiReport.content = "";
-          self.aiReport.isOpen = true;
-        },
-        onSuccess: (response) => {
-          self.aiReport.content = response;
+    /**
+     * テンプレート一覧を再読み込み（API設定モーダルでの編集・インポート後）
+     * Note: 選択中のテンプレートが削除された場合は標準テンプレートに戻す
+     */
+    reloadPromptTemplates() {
+      this.promptTemplates = getPromptTemplates();
+      this.selectPromptTemplate(this.promptTemplateId);
+    },
+
+    /**
+     * AIレポートの出力形式を切り替え
+     * @param {boolean} structured - true: 構造化出力（JSON）/ false: Markdown
+     */
+    setAiReportStructured(structured) {
+      this.aiReportFormat = structured ? "json" : "markdown";
+      storeAiReportFormat(this.aiReportFormat);
+    },
+
+    /**
+     * 表示中のAIレポートの目標単価レンジ（構造化出力のみ）
+     * Note: 別の小工事項目のレポートの場合は null
+     * @returns {{min: number, max: number}|null}
+     */
+    get aiReportTargetRange() {
+      const { structured, historyEntry, chat } = this.aiReport;
+      if (!structured) return null;
+      const itemKey = historyEntry
+        ? historyEntry.itemKey
+        : chat.context?.itemKey;
+      return itemKey === this.detailModal.currentGroup?.item
+        ? structured.targetPriceRange
+        : null;
+    },
+
+    /**
+     * AIレポートを生成
+     * ai-report.jsのgenerateAiReport / generateFullAiReport関数を使用
+     * @param {string} mode - 'current'（表示中のチャート）| 'full'（全タブの総合レポート）
+     */
+    async generateAiReport(mode = "current") {
+      const self = this;
+      const template = getPromptTemplate(this.promptTemplateId);
+      const structured = this.aiReportFormat === "json";
+      const controller = new AbortController();
+      aiReportAbortController = controller;
+      const progress = createFrameBatcher((text) => {
+        self.aiReport.content = text;
+      });
+
+      const params = {
+        detailModal: this.detailModal,
+        template,
+        structured,
+        signal: controller.signal,
+        onStart: () => {
+          self.aiReport.isGenerating = true;
+          self.aiReport.error = null;
+          self.aiReport.cancelled = false;
+          self.aiReport.content = "";
+          self.aiReport.factCheck = null;
+          self.aiReport.historyEntry = null;
+          self.aiReport.images = [];
+          self.aiReport.chat = { ...DEFAULT_AI_REPORT_CHAT, exchanges: [] };
+          self.aiReport.structured = null;
+          self.aiReport.retry = 0;
+          self.aiReport.mode = mode;
+          self.aiReport.isOpen = true;
+          self.reportHistory.view = null;
+          // 前回のレポートの目標単価をキャプチャに含めない
+          self.updateTargetPriceLines();
+        },
+        onProgress: (text) => progress.push(text),
+        onRetry: (attempt) => {
+          self.aiReport.retry = attempt;
         },
+        onSuccess: (response, request, report) => {
+          progress.cancel();
+          // 構造化出力は決まったレイアウトの Markdown に整形して表示・保存する
+          const content = report
+            ? formatStructuredReportMarkdown(report, {
+                unit: self.detailModal.currentGroup?.unit || "",
+              })
+            : response;
+          self.aiReport.content = content;
+          self.aiReport.structured = report;
+          self.aiReport.factCheck = self.checkAiReportFigures(content, mode);
+          self.aiReport.chat.context = {
+            mode,
+            itemKey: self.detailModal.currentGroup?.item || "",
+            prompt: request.prompt,
+            images: request.images,
+            report: content,
+            template,
+          };
+          self.saveAiReportToHistory(content, request, mode, template);
+          self.updateTargetPriceLines();
+        },
+        // 途中で失敗した場合も受信済みの内容は残す
         onError: (errorMessage) => {
           self.aiReport.error = errorMessage;
           self.aiReport.isOpen = true;
         },
+        onCancel: () => {
+          self.aiReport.cancelled = true;
+        },
         onComplete: () => {
+          progress.flush();
+          if (aiReportAbortController === controller) {
+            aiReportAbortController = null;
+          }
           self.aiReport.isGenerating = false;
         },
+      };
+
+      if (mode === "full") {
+        await generateFullAiReport({
+          ...params,
+          captureCharts: () => this.captureAllDetailCharts(),
+        });
+      } else {
+        await generateAiReport({
+          ...params,
+          chartInstance: this.detailChartInstance,
+          chartData: this.prepareDetailChartData(),
+        });
+      }
+    },
+
+    /**
+     * AIレポートの数値をモーダルの KPI サマリー・集計値と照合
+     * @param {string} markdown - AIレポート
+     * @param {string} mode - 'current' | 'full'（照合に使うチャート）
+     * @returns {FactCheckResult}
+     */
+    checkAiReportFigures(markdown, mode) {
+      const tabs =
+        mode === "full"
+          ? Object.keys(DEFAULT_DETAIL_SETTINGS)
+          : [this.detailModal.activeTab];
+      const reference = buildFactCheckReference({
+        kpi: this.detailModal.kpiSummary,
+        charts: tabs.map((tab) => ({
+          tab,
+          settings: this.detailModal[tab],
+          data: this.prepareDetailChartData(tab),
+        })),
       });
+      return verifyReportFigures(markdown, reference);
+    },
+
+    /**
+     * AIレポートを HTML に変換（要確認の数値を強調表示）
+     * @returns {string} HTML
+     */
+    renderAiReport() {
+      const { content, factCheck } = this.aiReport;
+      return renderMarkdown(
+        content,
+        factCheck
+          ? { renderText: createFactCheckTextRenderer(factCheck.unsupported) }
+          : {}
+      );
+    },
+
+    /**
+     * 生成中のAIレポートを中止（受信済みの内容は残す）
+     */
+    cancelAiReport() {
+      if (aiReportAbortController) {
+        aiReportAbortController.abort();
+      }
     },
 
     /**
      * AIレポートパネルを閉じる
      */
     closeAiReport() {
+      this.cancelAiReport();
       this.aiReport.isOpen = false;
+      this.reportHistory.view = null;
+    },
+
+    // =========================================================================
+    // AI Report History (using report-history.js helpers)
+    // =========================================================================
+
+    /**
+     * 生成したAIレポートを履歴に保存
+     * Note: 保存に失敗してもレポート表示には影響しないため、エラーはログのみ
+     * @param {string} content - AIレポート
+     * @param {LlmRequest} request - 送信したプロンプトと画像
+     * @param {string} mode - 'current' | 'full'
+     * @param {PromptTemplate} template - 使用したプロンプトテンプレート
+     */
+    async saveAiReportToHistory(content, request, mode, template) {
+      const modal = this.detailModal;
+      const { dateFrom, dateTo, regions, vendors } = modal.commonFilters;
+      const record = createReportHistoryEntry(
+        {
+          itemKey: modal.currentGroup?.item || "",
+          itemName: this.formatItemName(modal.currentGroup),
+          unit: modal.currentGroup?.unit || "",
+          mode,
+          detail: {
+            activeTab: modal.activeTab,
+            commonFilters: modal.commonFilters,
+            timeseries: modal.timeseries,
+            comparison: modal.comparison,
+            trend: modal.trend,
+          },
+          filters: this.filters,
+          // 出力日時は createdAt で記録するため除く
+          filterMeta: [
+            ...this.getExportFilterMeta().slice(1),
+            ["期間", `${dateFrom} ~ ${dateTo}`],
+            ["支店（共通フィルター）", regions.join(", ") || "すべて"],
+            ["業者（共通フィルター）", vendors.join(", ") || "すべて"],
+            ["プロンプトテンプレート", template.name],
+          ],
+          kpi: modal.kpiSummary,
+          ...getActiveLlmModel(),
+          template,
+          structured: this.aiReport.structured,
+          prompt: request.prompt,
+          content,
+          factCheck: this.aiReport.factCheck,
+        },
+        request.images
+      );
+
+      try {
+        await saveReportHistoryEntry(record);
+      } catch (error) {
+        console.warn("AI report history not saved:", error);
+      }
+    },
+
+    /**
+     * 履歴一覧を読み込む
+     */
+    async loadReportHistory() {
+      const history = this.reportHistory;
+      history.isLoading = true;
+      history.error = null;
+      try {
+        history.entries = await listReportHistory(
+          history.showAllItems
+            ? null
+            : this.detailModal.currentGroup?.item || null
+        );
+        // 削除済みのエントリを選択から外す
+        history.selectedIds = history.selectedIds.filter((id) =>
+          history.entries.some((entry) => entry.id === id)
+        );
+      } catch (error) {
+        console.error("AI report history load failed:", error);
+        history.entries = [];
+        history.error = error.message;
+      } finally {
+        history.isLoading = false;
+      }
+    },
+
+    /**
+     * AIレポートパネルに履歴一覧を表示
+     */
+    openReportHistory() {
+      this.aiReport.isOpen = true;
+      this.reportHistory.view = "list";
+      this.reportHistory.compare = null;
+      this.loadReportHistory();
+    },
+
+    /**
+     * 履歴一覧の表示を切り替え（レポート表示に戻る）
+     */
+    toggleReportHistory() {
+      if (this.reportHistory.view) {
+        this.reportHistory.view = null;
+      } else {
+        this.openReportHistory();
+      }
+    },
+
+    /**
+     * 履歴のレポートを AIレポートパネルで開く
+     * @param {ReportHistoryEntry} entry - 履歴のエントリ
+     */
+    async openHistoryReport(entry) {
+      let images = [];
+      try {
+        images = await loadReportHistoryImages(entry.id);
+      } catch (error) {
+        console.warn("AI report history images not loaded:", error);
+      }
+      Object.assign(this.aiReport, {
+        isOpen: true,
+        content: entry.content,
+        error: null,
+        cancelled: false,
+        mode: entry.mode,
+        factCheck: entry.factCheck,
+        historyEntry: entry,
+        images,
+        chat: {
+          ...DEFAULT_AI_REPORT_CHAT,
+          exchanges: [],
+          // 画像を保存していない場合は追加の質問に対応しない
+          context:
+            entry.prompt && images.length > 0
+              ? {
+                  mode: entry.mode,
+                  itemKey: entry.itemKey,
+                  prompt: entry.prompt,
+                  images,
+                  report: entry.content,
+                  template: entry.template || null,
+                }
+              : null,
+        },
+        structured: entry.structured || null,
+        retry: 0,
+      });
+      this.reportHistory.view = null;
+      this.updateTargetPriceLines();
+    },
+
+    /**
+     * 履歴のレポートを開いて PDF に出力
+     * @param {ReportHistoryEntry} entry - 履歴のエントリ
+     */
+    async exportHistoryReport(entry) {
+      await this.openHistoryReport(entry);
+      // 出力対象の要素が描画されるのを待つ
+      await this.$nextTick();
+      await exportAiReportToPdf(entry.itemName);
+    },
+
+    /**
+     * 表示中のAIレポートを PDF に出力
+     */
+    exportCurrentAiReport() {
+      const { historyEntry } = this.aiReport;
+      return exportAiReportToPdf(
+        historyEntry
+          ? historyEntry.itemName
+          : this.formatItemName(this.detailModal.currentGroup)
+      );
+    },
+
+    /**
+     * 履歴からレポートを削除
+     * @param {ReportHistoryEntry} entry - 履歴のエントリ
+     */
+    async deleteHistoryReport(entry) {
+      const date = this.formatHistoryDate(entry.createdAt);
+      if (!confirm(`${date} のレポートを履歴から削除しますか？`)) return;
+      try {
+        await deleteReportHistoryEntry(entry.id);
+      } catch (error) {
+        console.error("AI report history delete failed:", error);
+        alert(`削除に失敗しました: ${error.message}`);
+        return;
+      }
+      if (this.aiReport.historyEntry?.id === entry.id) {
+        this.aiReport.historyEntry = null;
+      }
+      await this.loadReportHistory();
+    },
+
+    /**
+     * 比較対象の選択を切り替え（3件目を選ぶと最も古い選択を外す）
+     * @param {string} id - エントリID
+     */
+    toggleHistorySelection(id) {
+      const history = this.reportHistory;
+      if (history.selectedIds.includes(id)) {
+        history.selectedIds = history.selectedIds.filter(
+          (selected) => selected !== id
+        );
+      } else {
+        history.selectedIds = [...history.selectedIds, id].slice(-2);
+      }
+    },
+
+    /**
+     * 選択した2件のレポートを比較（古いレポートを左に表示）
+     */
+    compareHistoryReports() {
+      const history = this.reportHistory;
+      const [left, right] = history.entries
+        .filter((entry) => history.selectedIds.includes(entry.id))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      if (!left || !right) return;
+
+      const kpiRows = [
+        ["件数", "count", "件"],
+        ["最小単価", "minPrice", "円"],
+        ["平均単価", "avgPrice", "円"],
+        ["中央値", "medianPrice", "円"],
+        ["最大単価", "maxPrice", "円"],
+      ].map(([label, key, suffix]) => {
+        const before = left.kpi?.[key] ?? null;
+        const after = right.kpi?.[key] ?? null;
+        return {
+          label,
+          suffix,
+          left: before,
+          right: after,
+          delta: before === null || after === null ? null : after - before,
+        };
+      });
+
+      const rows = diffReportLines(left.content, right.content);
+      const countRows = (type) =>
+        rows.filter((row) => row.type === type).length;
+      history.compare = {
+        left,
+        right,
+        kpiRows,
+        rows,
+        stats: {
+          changed: countRows("changed"),
+          added: countRows("added"),
+          removed: countRows("removed"),
+        },
+        showFullText: false,
+      };
+      history.view = "compare";
+    },
+
+    /**
+     * 履歴の生成日時を表示用に整形
+     * @param {string} iso - ISO 8601 日時
+     * @returns {string} 例: "2026/10/19 12:00"
+     */
+    formatHistoryDate(iso) {
+      return new Date(iso).toLocaleString("ja-JP", {
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+    },
+
+    // =========================================================================
+    // AI Report Follow-up Chat (using report-chat.js helpers)
+    // =========================================================================
+
+    /**
+     * AIレポートの生成または追加の質問の回答中か
+     * @returns {boolean}
+     */
+    isAiReportBusy() {
+      return this.aiReport.isGenerating || this.aiReport.chat.isSending;
+    },
+
+    /**
+     * 追加の質問から共通フィルターの変更依頼を判定
+     * Note: 条件変更は表示中の小工事項目のレポートのみ（履歴から開いた別項目は除く）
+     * @param {string} question - 追加の質問
+     * @returns {ReportFilterIntent|null}
+     */
+    detectAiReportFilterIntent(question) {
+      const modal = this.detailModal;
+      if (this.aiReport.chat.context?.itemKey !== modal.currentGroup?.item) {
+        return null;
+      }
+      return detectReportFilterIntent(question, {
+        commonFilters: modal.commonFilters,
+        initialFilters: {
+          dateFrom: modal.initialDateFrom,
+          dateTo: modal.initialDateTo,
+        },
+        regionOptions: this.detailModalRegionOptions,
+        vendorOptions: this.detailModalVendorOptions,
+      });
+    },
+
+    /**
+     * 追加の質問を送信
+     * 共通フィルターの変更依頼と判定した場合は送信せず、変更内容を表示して
+     * 確認を求める（confirmAiReportFilterChange で送信）
+     */
+    async sendAiReportFollowUp() {
+      const chat = this.aiReport.chat;
+      const question = chat.input.trim();
+      if (!question || !chat.context || this.isAiReportBusy()) return;
+
+      const intent = this.detectAiReportFilterIntent(question);
+      if (intent) {
+        chat.pendingFilterChange = { question, changes: intent.changes };
+        return;
+      }
+      await this.submitAiReportFollowUp(question, null);
+    },
+
+    /**
+     * 確認待ちの条件変更に回答して質問を送信
+     * Note: 確認までに共通フィルターが変わっている場合に備えて判定し直す
+     * @param {boolean} apply - true: フィルターを変更して送信 / false: 変更せずに送信
+     */
+    async confirmAiReportFilterChange(apply) {
+      const chat = this.aiReport.chat;
+      const pending = chat.pendingFilterChange;
+      if (!pending || this.isAiReportBusy()) return;
+      chat.pendingFilterChange = null;
+      await this.submitAiReportFollowUp(
+        pending.question,
+        apply ? this.detectAiReportFilterIntent(pending.question) : null
+      );
+    },
+
+    /**
+     * 追加の質問を送信して回答を生成
+     * 条件変更がある場合は、先にフィルターを適用し、
+     * 変更後のチャート・集計値で回答を生成する
+     * @param {string} question - 追加の質問
+     * @param {ReportFilterIntent|null} intent - 適用する条件変更
+     */
+    async submitAiReportFollowUp(question, intent) {
+      const chat = this.aiReport.chat;
+      const modal = this.detailModal;
+      const earlier = chat.exchanges
+        .filter((exchange) => exchange.answer && !exchange.error)
+        .map(({ question, answer }) => ({ question, answer }));
+      chat.exchanges.push({
+        question,
+        filterChanges: intent ? intent.changes : [],
+        // 元に戻す用（条件変更前のフィルターと送信内容）
+        previousFilters: intent
+          ? JSON.parse(JSON.stringify(modal.commonFilters))
+          : null,
+        previousContext: intent ? chat.context : null,
+        undone: false,
+        answer: "",
+        error: null,
+        cancelled: false,
+      });
+      // リアクティブな要素を更新するため配列から取り出す
+      const exchange = chat.exchanges[chat.exchanges.length - 1];
+      chat.input = "";
+
+      if (intent) {
+        modal.commonFilters = intent.filters;
+        this.applyDetailCommonFilters();
+      }
+
+      const controller = new AbortController();
+      aiReportAbortController = controller;
+      const progress = createFrameBatcher((text) => {
+        exchange.answer = text;
+      });
+
+      await generateAiReportFollowUp({
+        context: chat.context,
+        exchanges: earlier,
+        question,
+        filterChanges: exchange.filterChanges,
+        captureCharts: intent
+          ? () =>
+              this.captureAllDetailCharts(
+                chat.context.mode === "full" ? undefined : [modal.activeTab]
+              )
+          : null,
+        detailModal: modal,
+        signal: controller.signal,
+        onContextUpdate: ({ prompt, images }) => {
+          chat.context = { ...chat.context, prompt, images };
+        },
+        onStart: () => {
+          chat.isSending = true;
+        },
+        onProgress: (text) => progress.push(text),
+        onSuccess: (response) => {
+          progress.cancel();
+          exchange.answer = response;
+        },
+        // 途中で失敗した場合も受信済みの内容は残す
+        onError: (errorMessage) => {
+          exchange.error = errorMessage;
+        },
+        onCancel: () => {
+          exchange.cancelled = true;
+        },
+        onComplete: () => {
+          progress.flush();
+          if (aiReportAbortController === controller) {
+            aiReportAbortController = null;
+          }
+          chat.isSending = false;
+        },
+      });
+    },
+
+    /**
+     * 追加の質問による共通フィルターの変更を元に戻す（最後の質問のみ）
+     * Note: 回答はそのまま残し、以降の質問は変更前の条件で送信する
+     */
+    undoAiReportFilterChange() {
+      const chat = this.aiReport.chat;
+      const exchange = chat.exchanges[chat.exchanges.length - 1];
+      if (!exchange?.previousFilters || exchange.undone || chat.isSending) {
+        return;
+      }
+      this.detailModal.commonFilters = exchange.previousFilters;
+      this.applyDetailCommonFilters();
+      chat.context = exchange.previousContext;
+      exchange.undone = true;
+    },
+
+    // =========================================================================
+    // Print Pack (using print-pack.js helpers)
+    // =========================================================================
+
+    /**
+     * 一覧で選択した品目（検索結果に含まれるもののみ、一覧の順）
+     * @returns {Array<Object>} filteredGroups の要素
+     */
+    get printPackGroups() {
+      const selected = new Set(this.printPack.selectedItems);
+      if (selected.size === 0) return [];
+      return this.filteredGroups.filter((group) => selected.has(group.item));
+    },
+
+    /**
+     * 品目が印刷資料の対象として選択されているか
+     * @param {Object} group - 対象グループ
+     * @returns {boolean}
+     */
+    isPrintPackSelected(group) {
+      return this.printPack.selectedItems.includes(group.item);
+    },
+
+    /**
+     * 品目の選択を切り替え
+     * @param {Object} group - 対象グループ
+     */
+    togglePrintPackItem(group) {
+      const { selectedItems } = this.printPack;
+      this.printPack.selectedItems = selectedItems.includes(group.item)
+        ? selectedItems.filter((item) => item !== group.item)
+        : [...selectedItems, group.item];
+    },
+
+    /**
+     * 一覧に表示中の品目をすべて選択
+     */
+    selectDisplayedPrintPackItems() {
+      this.printPack.selectedItems = [
+        ...new Set([
+          ...this.printPack.selectedItems,
+          ...this.displayedGroups.map((group) => group.item),
+        ]),
+      ];
+    },
+
+    /**
+     * 品目の選択を解除
+     */
+    clearPrintPackSelection() {
+      this.printPack.selectedItems = [];
+    },
+
+    /**
+     * 多角分析モーダルの状態から印刷資料の品目ページの内容を作成
+     * Note: チャートはモーダルの設定で、印刷用の解像度で描画し直す
+     * @returns {Promise<PrintPackItem>}
+     */
+    async collectPrintPackItem() {
+      const modal = this.detailModal;
+      const { dateFrom, dateTo, regions, vendors } = modal.commonFilters;
+      const records = modal.filteredByCommon;
+      const charts = await this.captureAllDetailCharts(undefined, {
+        width: CHART_CONFIG.PRINT_CAPTURE_WIDTH,
+        height: CHART_CONFIG.PRINT_CAPTURE_HEIGHT,
+        pixelRatio: CHART_CONFIG.PRINT_PIXEL_RATIO,
+      });
+
+      return {
+        itemName: this.formatItemName(modal.currentGroup),
+        unit: modal.currentGroup?.unit || "",
+        conditions: [
+          ["期間", `${dateFrom} ~ ${dateTo}`],
+          ["支店（共通フィルター）", regions.join(", ") || "すべて"],
+          ["業者（共通フィルター）", vendors.join(", ") || "すべて"],
+        ],
+        kpi: { ...modal.kpiSummary },
+        charts: charts.map(({ tab, settings, image }) => {
+          const { tabName, description } = getChartDescription(tab, settings);
+          return { title: tabName, description, image };
+        }),
+        vendors: this.computeVendorSummary(records),
+        weeks: prepareWeeklyTableData(records),
+      };
+    },
+
+    /**
+     * 選択した品目の印刷資料の内容を作成（多角分析の初期設定で集計）
+     * @param {Array<Object>} groups - 対象グループ
+     * @returns {Promise<Array<PrintPackItem>>}
+     */
+    async collectPrintPackItems(groups) {
+      const items = [];
+      for (const group of groups) {
+        items.push(
+          await this.withDetailModalState(group, () =>
+            this.collectPrintPackItem()
+          )
+        );
+        this.printPack.progress.done++;
+      }
+      return items;
+    },
+
+    /**
+     * 印刷資料（表紙・KPI・チャート・業者別サマリー・週次集計）を出力
+     * @param {string} output - 'pdf' | 'print'
+     * @param {string} [target] - 'current'（多角分析モーダルの品目）|
+     *   'selected'（一覧で選択した品目）
+     */
+    async exportPrintPack(output, target = "current") {
+      if (this.printPack.isExporting) return;
+      const groups = target === "selected" ? this.printPackGroups : null;
+      if (groups?.length === 0) return;
+      if (groups?.length > PRINT_PACK_CONFIG.maxItems) {
+        alert(
+          `印刷資料に含められるのは ${PRINT_PACK_CONFIG.maxItems} 品目までです（${groups.length} 品目選択中）`
+        );
+        return;
+      }
+
+      this.printPack.isExporting = true;
+      this.printPack.progress = { done: 0, total: groups ? groups.length : 1 };
+      try {
+        const items = groups
+          ? await this.collectPrintPackItems(groups)
+          : [await this.collectPrintPackItem()];
+        const pack = {
+          createdAt: new Date().toLocaleString("ja-JP"),
+          // 出力日時は createdAt で表示するため除く
+          conditions: this.getExportFilterMeta().slice(1),
+          items,
+        };
+        if (output === "print") {
+          await printPrintPack(pack);
+        } else {
+          await exportPrintPackToPdf(pack);
+        }
+      } catch (error) {
+        console.error("Print pack export failed:", error);
+        alert(`印刷資料の作成に失敗しました: ${error.message}`);
+      } finally {
+        this.printPack.isExporting = false;
+        this.printPack.progress = null;
+      }
+    },
+
+    // =========================================================================
+    // AI Report Batch Generation (using batch-report.js helpers)
+    // =========================================================================
+
+    /**
+     * 一括生成の件数（状態別）
+     * @returns {{total: number, done: number, failed: number, finished: number}}
+     *   finished: 完了・失敗・中止の合計
+     */
+    get batchReportCounts() {
+      const { jobs } = this.batchReport;
+      const count = (...statuses) =>
+        jobs.filter((job) => statuses.includes(job.status)).length;
+      return {
+        total: jobs.length,
+        done: count("done"),
+        failed: count("failed", "cancelled"),
+        finished: count("done", "failed", "cancelled"),
+      };
+    },
+
+    /**
+     * 一括生成の対象を設定してモーダルを開く
+     * Note: 生成中、または target を省略した場合は対象を変えずに開く
+     * @param {string} [target] - 'selected'（一覧で選択した品目）| 'all'（検索結果のすべて）
+     */
+    openBatchReport(target) {
+      if (target && !this.batchReport.isRunning) {
+        const groups =
+          target === "all" ? this.filteredGroups : this.printPackGroups;
+        if (groups.length === 0) return;
+        if (groups.length > BATCH_REPORT_CONFIG.maxItems) {
+          alert(
+            `一括生成できるのは ${BATCH_REPORT_CONFIG.maxItems} 品目までです（${groups.length} 品目）。条件を絞り込むか、品目を選択してください`
+          );
+          return;
+        }
+        batchReportGroups = new Map(groups.map((group) => [group.item, group]));
+        this.batchReport.jobs = groups.map((group) =>
+          createBatchReportJob({
+            id: group.item,
+            itemName: this.formatItemName(group),
+            unit: group.unit || "",
+          })
+        );
+        this.batchReport.error = null;
+      }
+      bootstrap.Modal.getOrCreateInstance(this.$refs.batchReportModal).show();
+    },
+
+    /**
+     * 待機中のジョブの生成を開始（総合レポート、選択中のテンプレート・出力形式）
+     */
+    async startBatchReport() {
+      if (this.batchReport.isRunning) return;
+      const configError = getLlmConfigError();
+      if (configError) {
+        this.batchReport.error = configError;
+        return;
+      }
+
+      const template = getPromptTemplate(this.promptTemplateId);
+      const structured = this.aiReportFormat === "json";
+      const { provider, model } = getActiveLlmModel();
+      const controller = new AbortController();
+      batchReportAbortController = controller;
+      Object.assign(this.batchReport, {
+        isRunning: true,
+        error: null,
+        conditions: [
+          ["生成日時", new Date().toLocaleString("ja-JP")],
+          ...this.getExportFilterMeta().slice(1),
+          [
+            "AIプロバイダー",
+            model ? `${provider.label}（${model}）` : provider.label,
+          ],
+          ["プロンプトテンプレート", template.name],
+        ],
+      });
+
+      try {
+        await runBatchReportQueue(this.batchReport.jobs, {
+          concurrency: Number(this.batchReport.concurrency),
+          signal: controller.signal,
+          prepare: (job) =>
+            this.withDetailModalState(batchReportGroups.get(job.id), async () =>
+              buildBatchReportRequest(
+                this.detailModal,
+                await this.captureAllDetailCharts(),
+                { template, structured }
+              )
+            ),
+          generate: async (request, job) => {
+            const { response, report } = await requestBatchReport(request, {
+              signal: controller.signal,
+            });
+            return report
+              ? formatStructuredReportMarkdown(report, { unit: job.unit })
+              : response;
+          },
+        });
+      } finally {
+        if (batchReportAbortController === controller) {
+          batchReportAbortController = null;
+        }
+        this.batchReport.isRunning = false;
+      }
+    },
+
+    /**
+     * 一括生成を中止（完了したレポートは残す）
+     */
+    cancelBatchReport() {
+      if (batchReportAbortController) {
+        batchReportAbortController.abort();
+      }
+    },
+
+    /**
+     * 失敗・中止したジョブを待機中に戻して再実行
+     */
+    retryBatchReport() {
+      for (const job of this.batchReport.jobs) {
+        if (job.status === "failed" || job.status === "cancelled") {
+          Object.assign(job, { status: "pending", attempts: 0, error: null });
+        }
+      }
+      this.startBatchReport();
+    },
+
+    /**
+     * 完了したレポートを出力
+     * @param {string} format - 'pdf'（結合した PDF）| 'zip'（Markdown の zip）
+     */
+    async downloadBatchReports(format) {
+      const { jobs, conditions } = this.batchReport;
+      try {
+        if (format === "zip") {
+          await downloadBatchReportsZip(jobs, conditions);
+        } else {
+          await exportBatchReportsToPdf(jobs, conditions);
+        }
+      } catch (error) {
+        console.error("Batch report export failed:", error);
+        alert(`レポートの出力に失敗しました: ${error.message}`);
+      }
+    },
+
+    // =========================================================================
+    // Vendor Scorecard (using vendor-scorecard.js helpers)
+    // =========================================================================
+
+    /**
+     * 業者スコアカードの集計対象レコード
+     * Note: 市場単価と支店のシェアには他社の発注が必要なため、
+     *       業者の条件を除いた検索条件で絞り込む
+     * @returns {Array} 統計対象のレコード（除外対象(A)の扱いは一覧と同じ）
+     */
+    getVendorScorecardRecords() {
+      const records = Alpine.raw(this.records);
+      const result = filterItemGroups(
+        getMainFilterIndex(records),
+        buildFilterCriteria({ ...this.filters, vendor: "" }),
+        { includeAutoExcluded: this.includeAutoExcluded }
+      );
+      return this.getStatsRecords(
+        result.flatMap((entry) =>
+          Array.from(entry.recordIndices, (index) => records[index])
+        )
+      );
+    },
+
+    /**
+     * 業者スコアカードを開く（開いた時点の検索条件で集計）
+     * @param {string} [vendor] - 表示する業者（省略時は検索条件の業者に一致する
+     *   発注件数最多の業者、検索条件がなければランキングの先頭）
+     */
+    openVendorScorecard(vendor = "") {
+      vendorScorecardRecords = this.getVendorScorecardRecords();
+      const vendors = summarizeVendors(vendorScorecardRecords);
+      const keyword = this.filters.vendor.toLowerCase();
+      const candidates = keyword
+        ? sortVendorRanking(
+            vendors.filter((entry) =>
+              entry.vendor.toLowerCase().includes(keyword)
+            ),
+            "orders"
+          )
+        : sortVendorRanking(vendors, this.vendorScorecard.sortBy);
+
+      this.vendorScorecard.vendors = vendors;
+      this.vendorScorecard.recordCount = vendorScorecardRecords.length;
+      this.selectScorecardVendor(vendor || candidates[0]?.vendor || "");
+      bootstrap.Modal.getOrCreateInstance(
+        this.$refs.vendorScorecardModal
+      ).show();
+    },
+
+    /**
+     * 業者スコアカードのランキング（選択中の並び順）
+     * @returns {Array<VendorRank>}
+     */
+    get vendorRanking() {
+      const { vendors, sortBy } = this.vendorScorecard;
+      return sortVendorRanking(vendors, sortBy);
+    },
+
+    /**
+     * スコアカードに表示する業者を選択
+     * @param {string} vendor - 業者名（record.vendor）
+     */
+    selectScorecardVendor(vendor) {
+      this.vendorScorecard.vendor = vendor;
+      this.updateVendorScorecard();
+    },
+
+    /**
+     * 選択中の業者のスコアカードを再集計してチャートを描画
+     */
+    updateVendorScorecard() {
+      const { vendor, timeUnit } = this.vendorScorecard;
+      this.vendorScorecard.card = vendor
+        ? buildVendorScorecard(vendorScorecardRecords, vendor, { timeUnit })
+        : null;
+      this.$nextTick(() => this.renderVendorScorecardChart());
+    },
+
+    /**
+     * 業者の発注件数（棒）と価格指数（線）の推移を描画
+     */
+    renderVendorScorecardChart() {
+      if (this.vendorScorecardChartInstance) {
+        this.vendorScorecardChartInstance.destroy();
+        this.vendorScorecardChartInstance = null;
+      }
+      const ctx = this.$refs.vendorScorecardChart?.getContext("2d");
+      const card = this.vendorScorecard.card;
+      if (!ctx || !card) return;
+
+      const labels = card.timeline.map((entry) => entry.period);
+      this.vendorScorecardChartInstance = new Chart(ctx, {
+        type: "bar",
+        data: {
+          labels,
+          datasets: [
+            {
+              type: "line",
+              label: "価格指数",
+              data: card.timeline.map((entry) => entry.priceIndex),
+              yAxisID: "y",
+              borderColor: CHART_COLORS.avg.border,
+              backgroundColor: CHART_COLORS.avg.border,
+              ...DATASET_STYLES.weeklyPrimary,
+              spanGaps: true,
+              order: 0,
+            },
+            {
+              type: "line",
+              label: "市場並み (100)",
+              data: Array(labels.length).fill(100),
+              yAxisID: "y",
+              borderColor: CHART_COLORS.min.border,
+              backgroundColor: CHART_COLORS.min.background,
+              ...DATASET_STYLES.referenceLine,
+              order: 1,
+            },
+            {
+              label: "発注件数",
+              data: card.timeline.map((entry) => entry.orders),
+              yAxisID: "y1",
+              borderColor: CHART_COLORS.vendorOrders.border,
+              backgroundColor: CHART_COLORS.vendorOrders.background,
+              order: 2,
+            },
+          ],
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          animation: false,
+          interaction: { intersect: false, mode: "index" },
+          plugins: {
+            legend: {
+              position: "top",
+              labels: { usePointStyle: true, padding: 20 },
+            },
+            tooltip: {
+              callbacks: {
+                label: (context) =>
+                  context.dataset.yAxisID === "y1"
+                    ? `${context.dataset.label}: ${context.raw}件`
+                    : `${context.dataset.label}: ${context.raw ?? "-"}`,
+              },
+            },
+          },
+          scales: {
+            x: { grid: { display: false } },
+            y: {
+              position: "left",
+              title: { display: true, text: "価格指数（市場 = 100）" },
+            },
+            y1: {
+              position: "right",
+              beginAtZero: true,
+              grid: { drawOnChartArea: false },
+              ticks: { precision: 0 },
+              title: { display: true, text: "発注件数" },
+            },
+          },
+        },
+      });
+    },
+
+    /**
+     * 業者スコアカードを閉じた際にチャートを破棄
+     */
+    closeVendorScorecard() {
+      if (this.vendorScorecardChartInstance) {
+        this.vendorScorecardChartInstance.destroy();
+        this.vendorScorecardChartInstance = null;
+      }
+    },
+
+    /**
+     * 選択中の業者のスコアカードをエクスポート（交渉資料用）
+     * Note: xlsx は品目別・支店別・推移・明細の4シート、CSV は品目別のみ
+     * @param {string} format - 'csv' | 'xlsx'
+     */
+    exportVendorScorecard(format) {
+      const { card, timeUnit } = this.vendorScorecard;
+      if (!card) return;
+      const { summary } = card;
+      const meta = [
+        // 業者の条件は集計に使わないため除く
+        ...this.getExportFilterMeta().filter(([label]) => label !== "業者"),
+        ["業者", card.name],
+        ["価格指数", summary.priceIndex ?? "比較対象なし"],
+        ["比較した発注", `${summary.comparableOrders} / ${summary.orders} 件`],
+      ];
+
+      const sheets = [
+        {
+          name: "品目別",
+          meta,
+          columns: [
+            { label: "小工事", value: "minorCode" },
+            { label: "小工事項目名称", value: "item" },
+            { label: "単位", value: "unit" },
+            { label: "発注件数", value: "orders" },
+            { label: "発注金額", value: "amount" },
+            { label: "業者の中央単価", value: "vendorMedian" },
+            { label: "市場の中央単価", value: "marketMedian" },
+            { label: "業者数", value: "vendorCount" },
+            { label: "価格指数", value: "priceIndex" },
+          ],
+          rows: card.items,
+        },
+        {
+          name: "支店別",
+          meta,
+          columns: [
+            { label: "支店", value: "region" },
+            { label: "発注件数", value: "orders" },
+            { label: "発注金額", value: "amount" },
+            { label: "シェア(%)", value: "share" },
+            { label: "価格指数", value: "priceIndex" },
+          ],
+          rows: card.regions,
+        },
+        {
+          name: "推移",
+          meta,
+          columns: [
+            { label: VENDOR_SCORECARD_TIME_UNITS[timeUnit], value: "period" },
+            { label: "発注件数", value: "orders" },
+            { label: "発注金額", value: "amount" },
+            { label: "価格指数", value: "priceIndex" },
+          ],
+          rows: card.timeline,
+        },
+        {
+          name: "明細",
+          meta,
+          columns: EXPORT_RECORD_COLUMNS,
+          rows: vendorScorecardRecords.filter(
+            (record) => record.vendor === card.vendor
+          ),
+        },
+      ];
+      downloadExportSheets(
+        sheets,
+        this.getExportFilename(`業者スコアカード_${card.name}`),
+        format
+      );
+    },
+
+    // =========================================================================
+    // Fair Price Model (using fair-price-model.js helpers)
+    // =========================================================================
+
+    /**
+     * グループの適正単価モデルと判定のキャッシュを取得（遅延評価）
+     * Note: 統計対象のレコード（除外対象(A)の扱いは一覧と同じ）で推定する
+     * @private
+     * @param {Object} group - 対象グループ
+     * @returns {{model: FairPriceModel|null, assessments: Map}}
+     */
+    getFairPriceEntry(group) {
+      const { method } = this.fairPrice;
+      const key = Alpine.raw(group);
+      if (!fairPriceModels.has(key)) {
+        fairPriceModels.set(key, {
+          model: fitFairPriceModel(this.getStatsRecords(key.filteredRecords), {
+            method,
+          }),
+          assessments: new Map(),
+        });
+      }
+      return fairPriceModels.get(key);
+    },
+
+    /**
+     * グループの適正単価モデルを取得
+     * @param {Object} group - 対象グループ
+     * @returns {FairPriceModel|null} 発注件数が不足する場合は null
+     */
+    getFairPriceModel(group) {
+      return this.getFairPriceEntry(group).model;
+    },
+
+    /**
+     * 発注の適正単価と乖離（一覧の表示用、キャッシュあり）
+     * @param {Object} group - 発注を含むグループ
+     * @param {Object} record - 対象レコード
+     * @returns {FairPriceAssessment|null} モデルがない場合・統計の対象外の
+     *   発注（除外対象(A)）は null
+     */
+    getFairPriceAssessment(group, record) {
+      const { model, assessments } = this.getFairPriceEntry(group);
+      const key = Alpine.raw(record);
+      if (!model || (!this.includeAutoExcluded && isAutoExcluded(key))) {
+        return null;
+      }
+      if (!assessments.has(key)) {
+        assessments.set(key, assessFairPrice(model, key));
+      }
+      return assessments.get(key);
+    },
+
+    /**
+     * グループ内の割高の発注件数
+     * @param {Object} group - 対象グループ
+     * @returns {number|null} モデルがない場合は null
+     */
+    countOverpricedOrders(group) {
+      if (!this.getFairPriceModel(group)) return null;
+      return Alpine.raw(group).filteredRecords.filter(
+        (record) =>
+          this.getFairPriceAssessment(group, record)?.level === "above"
+      ).length;
+    },
+
+    /**
+     * グループのモデルを推定し、一覧の割高表示（件数・発注ごとの判定）を有効にする
+     * Note: 推定は重いため、一覧の「割高を判定」またはモーダルを開いた
+     *       グループに限る。テンプレートからはモデルを推定せず
+     *       group.fairPriceSummary だけを参照する
+     * @param {Object} group - 対象グループ（filteredGroups の要素）
+     */
+    assessGroupFairPrice(group) {
+      group.fairPriceSummary = {
+        overpricedCount: this.countOverpricedOrders(group),
+      };
+    },
+
+    /**
+     * 推定方法を切り替え（一覧の割高表示とモーダルの両方に反映）
+     * @param {string} method - FAIR_PRICE_METHODS のキー
+     */
+    setFairPriceMethod(method) {
+      this.fairPrice.method = method;
+      fairPriceModels = new WeakMap();
+      for (const group of this.filteredGroups) {
+        if (group.fairPriceSummary) this.assessGroupFairPrice(group);
+      }
+      if (fairPriceGroup) this.updateFairPriceModel();
+    },
+
+    /**
+     * 適正単価モデルのモーダルを開く
+     * @param {Object} group - 対象グループ
+     */
+    openFairPriceModel(group) {
+      this.assessGroupFairPrice(group);
+      fairPriceGroup = Alpine.raw(group);
+      this.fairPrice.itemName = this.formatItemName(group);
+      this.fairPrice.unit = group.unit || "";
+      this.updateFairPriceModel();
+      bootstrap.Modal.getOrCreateInstance(this.$refs.fairPriceModal).show();
+    },
+
+    /**
+     * 表示中の品目のモデルと割高の発注を更新してチャートを描画
+     */
+    updateFairPriceModel() {
+      const records = fairPriceGroup.filteredRecords;
+      this.fairPrice.model = this.getFairPriceModel(fairPriceGroup);
+      this.fairPrice.recordCount = records.length;
+      this.fairPrice.overpriced = records
+        .map((record) => ({
+          ...record,
+          ...this.getFairPriceAssessment(fairPriceGroup, record),
+        }))
+        .filter((row) => row.level === "above")
+        .sort((a, b) => b.zScore - a.zScore);
+      this.$nextTick(() => this.renderFairPriceChart());
+    },
+
+    /**
+     * 残差プロット（X: 適正単価、Y: 残差）を描画
+     * 割高・割安の発注を色分けし、0 と ±overpricedZ×σ に参照線を引く
+     */
+    renderFairPriceChart() {
+      if (this.fairPriceChartInstance) {
+        this.fairPriceChartInstance.destroy();
+        this.fairPriceChartInstance = null;
+      }
+      const ctx = this.$refs.fairPriceChart?.getContext("2d");
+      const model = fairPriceGroup && this.getFairPriceModel(fairPriceGroup);
+      if (!ctx || !model) return;
+
+      const points = { above: [], neutral: [], below: [] };
+      for (const record of fairPriceGroup.filteredRecords) {
+        const assessment = this.getFairPriceAssessment(fairPriceGroup, record);
+        if (!assessment) continue;
+        points[assessment.level].push({
+          x: assessment.fairPrice,
+          y: assessment.residual,
+          record,
+          assessment,
+        });
+      }
+      const xValues = Object.values(points)
+        .flat()
+        .map((point) => point.x);
+      const [minX, maxX] = [Math.min(...xValues), Math.max(...xValues)];
+      const band = FAIR_PRICE_CONFIG.overpricedZ * model.residualStd;
+      const referenceLine = (label, y, color) => ({
+        type: "line",
+        label,
+        data: [
+          { x: minX, y },
+          { x: maxX, y },
+        ],
+        borderColor: color,
+        backgroundColor: color,
+        ...DATASET_STYLES.referenceLine,
+      });
+      const scatter = (level, color) => ({
+        label: FAIR_PRICE_LEVELS[level].label,
+        data: points[level],
+        borderColor: color,
+        backgroundColor: `${color}88`,
+        pointRadius: 3,
+      });
+
+      this.fairPriceChartInstance = new Chart(ctx, {
+        type: "scatter",
+        data: {
+          datasets: [
+            scatter("above", CHART_COLORS.max.border),
+            scatter("neutral", CHART_COLORS.avg.border),
+            scatter("below", CHART_COLORS.min.border),
+            referenceLine("残差 0", 0, CHART_COLORS.vendorOrders.border),
+            referenceLine(
+              `±${FAIR_PRICE_CONFIG.overpricedZ}σ`,
+              band,
+              CHART_COLORS.max.border
+            ),
+            // 下側の参照線は凡例に出さない
+            referenceLine("", -band, CHART_COLORS.max.border),
+          ],
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          animation: false,
+          plugins: {
+            legend: {
+              position: "top",
+              labels: {
+                usePointStyle: true,
+                padding: 20,
+                filter: (item) => item.text !== "",
+              },
+            },
+            tooltip: {
+              filter: (item) => item.dataset.type !== "line",
+              callbacks: {
+                title: (items) => items[0]?.raw.record.projectName,
+                label: ({ raw }) => [
+                  `${raw.record.orderDateFormatted} ${raw.record.region} ${raw.record.vendorNameClean}`,
+                  `単価 ¥${formatNumber(raw.record.displayPrice)} / 適正 ¥${formatNumber(
+                    raw.x
+                  )}`,
+                  `乖離 ${raw.assessment.deviation ?? "-"}%（${
+                    raw.assessment.zScore
+                  }σ）`,
+                ],
+              },
+            },
+          },
+          scales: {
+            x: {
+              title: { display: true, text: "適正単価（円）" },
+              ticks: { callback: (value) => formatNumber(value) },
+            },
+            y: {
+              title: { display: true, text: "残差（単価 − 適正単価、円）" },
+              ticks: { callback: (value) => formatNumber(value) },
+            },
+          },
+        },
+      });
+    },
+
+    /**
+     * 適正単価モデルのモーダルを閉じた際にチャートを破棄
+     */
+    closeFairPriceModel() {
+      if (this.fairPriceChartInstance) {
+        this.fairPriceChartInstance.destroy();
+        this.fairPriceChartInstance = null;
+      }
+      fairPriceGroup = null;
+    },
+
+    /**
+     * 表示中の品目の係数と発注ごとの適正単価をエクスポート
+     * Note: xlsx は係数・発注別の2シート、CSV は係数のみ
+     * @param {string} format - 'csv' | 'xlsx'
+     */
+    exportFairPriceModel(format) {
+      const { model, itemName, unit, method } = this.fairPrice;
+      if (!model || !fairPriceGroup) return;
+      const meta = [
+        ...this.getExportFilterMeta(),
+        ["小工事項目", itemName],
+        ["単位", unit],
+        ["推定方法", FAIR_PRICE_METHODS[model.method]],
+        ["発注件数", model.n],
+        ["決定係数", Math.round(model.rSquared * 1000) / 1000],
+        ["残差の標準偏差", Math.round(model.residualStd)],
+        ["基準の支店", model.referenceRegion],
+      ];
+      const round = (value) => Math.round(value * 100) / 100;
+
+      const sheets = [
+        {
+          name: "係数",
+          meta,
+          columns: [
+            { label: "説明変数", value: "label" },
+            { label: "単位", value: "unit" },
+            { label: "係数", value: (row) => round(row.estimate) },
+            { label: "標準誤差", value: (row) => round(row.standardError) },
+            { label: "95%下限", value: (row) => round(row.lower) },
+            { label: "95%上限", value: (row) => round(row.upper) },
+            {
+              label: "有意",
+              value: (row) => (row.significant ? "○" : ""),
+            },
+          ],
+          rows: model.coefficients,
+        },
+        {
+          name: "発注別",
+          meta,
+          columns: [
+            ...EXPORT_RECORD_COLUMNS,
+            // モデルは表示モードの単価で推定するため、その単価も出力
+            { label: "モデルの単価", value: "displayPrice" },
+            { label: "適正単価", value: "fairPrice" },
+            { label: "乖離率(%)", value: "deviation" },
+            { label: "標準化残差", value: "zScore" },
+            {
+              label: "判定",
+              value: (row) => FAIR_PRICE_LEVELS[row.level]?.label || "",
+            },
+          ],
+          rows: fairPriceGroup.filteredRecords.map((record) => ({
+            ...record,
+            ...this.getFairPriceAssessment(fairPriceGroup, record),
+          })),
+        },
+      ];
+      downloadExportSheets(
+        sheets,
+        this.getExportFilename(`適正単価_${itemName}`),
+        format
+      );
     },
   };
 }
@@ -0,0 +1,324 @@
+/**
+ * =============================================================================
+ * batch-report.js - AIレポートの一括生成（キュー）
+ * =============================================================================
+ *
+ * 概要:
+ *   一覧で選択した品目（または検索結果のすべて）の総合レポートをまとめて生成する
+ *   - キュー: チャートの描画（画面外、1件ずつ）と AI への送信（同時実行数・
+ *     送信間隔の制限付き）を分けて実行
+ *   - 再試行: 一時的なエラー（レート制限・通信エラー・形式の不一致など）は
+ *     待機時間を延ばしながら再試行する。認証・設定のエラーは再試行しない
+ *   - 出力: 結合した PDF、または品目ごとの Markdown をまとめた zip
+ *
+ *   チャートの描画とリクエストの作成は呼び出し側（app.js）の prepare、
+ *   AI への送信は generate で行い、本モジュールは順序・制限・状態を管理する
+ *
+ * 依存: llm-providers.js (LLM_ERROR_CODES, waitLlm), markdown-renderer.js
+ *       (renderMarkdown, escapeHtml, sanitizeFilename, exportReportToPdf),
+ *       utils.js (downloadFile), JSZip (CDN, zip 出力時のみ)
+ *
+ * 分類: ユーティリティ層 (Utility Layer)
+ *
+ * =============================================================================
+ */
+
+const BATCH_REPORT_CONFIG = {
+  // 同時に AI へ送信する件数（既定 / 上限）
+  concurrency: 2,
+  maxConcurrency: 4,
+  // AI への送信開始の最小間隔（レート制限対策）
+  minIntervalMs: 2000,
+  // 失敗時の再試行回数（初回を含まない）
+  maxRetries: 2,
+  // 再試行までの待機時間（再試行ごとに倍増）
+  retryDelayMs: 5000,
+  // レート制限エラー（429）後の待機時間
+  rateLimitDelayMs: 30000,
+  // 一度に生成できる品目数の上限
+  maxItems: 100,
+  // PDF 出力時に一時的に配置する要素の ID
+  containerId: "batch-report-content",
+};
+
+/** ジョブの状態と表示名 */
+const BATCH_REPORT_STATUS_LABELS = {
+  pending: "待機中",
+  preparing: "チャート描画中",
+  running: "生成中",
+  retrying: "再試行待ち",
+  done: "完了",
+  failed: "失敗",
+  cancelled: "中止",
+};
+
+/** ジョブの状態の表示色（Bootstrap のバッジ） */
+const BATCH_REPORT_STATUS_CLASSES = {
+  pending: "bg-light text-dark border",
+  preparing: "bg-info text-dark",
+  running: "bg-primary",
+  retrying: "bg-warning text-dark",
+  done: "bg-success",
+  failed: "bg-danger",
+  cancelled: "bg-secondary",
+};
+
+/** 再試行しないエラー（設定を直すまで成功しないもの） */
+const BATCH_REPORT_FATAL_ERRORS = [
+  LLM_ERROR_CODES.CONFIG,
+  LLM_ERROR_CODES.AUTH,
+];
+
+/**
+ * @typedef {Object} BatchReportJob
+ * @property {string} id - 小工事項目（group.item）
+ * @property {string} itemName - 表示名（minorCode-item）
+ * @property {string} unit - 単位
+ * @property {string} status - BATCH_REPORT_STATUS_LABELS のキー
+ * @property {number} attempts - AI への送信回数
+ * @property {string|null} error - 直近のエラー
+ * @property {string} content - 生成したレポート（Markdown）
+ */
+
+// =============================================================================
+// Private Helpers
+// =============================================================================
+
+/**
+ * 再試行で解消する可能性のあるエラーか
+ * @private
+ * @param {Error} error - 発生したエラー
+ * @returns {boolean}
+ */
+function isRetryableBatchError(error) {
+  return !BATCH_REPORT_FATAL_ERRORS.includes(error.code);
+}
+
+/**
+ * 再試行までの待機時間
+ * @private
+ * @param {Error} error - 発生したエラー
+ * @param {number} attempts - これまでの送信回数
+ * @returns {number} 待機時間 (ms)
+ */
+function getBatchRetryDelay(error, attempts) {
+  if (error.code === LLM_ERROR_CODES.RATE_LIMIT) {
+    return BATCH_REPORT_CONFIG.rateLimitDelayMs;
+  }
+  return BATCH_REPORT_CONFIG.retryDelayMs * 2 ** (attempts - 1);
+}
+
+/**
+ * 出力に付ける条件（項目名, 値）を Markdown のリストに変換
+ * @private
+ */
+function formatBatchConditions(conditions) {
+  return conditions.map(([label, value]) => `- ${label}: ${value}`).join("\n");
+}
+
+/**
+ * 完了したジョブのみ取得
+ * @private
+ */
+function getFinishedBatchJobs(jobs) {
+  return jobs.filter((job) => job.status === "done" && job.content);
+}
+
+/**
+ * 出力ファイル名（拡張子なし）
+ * @private
+ */
+function getBatchReportFilename(count) {
+  const timestamp = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+  return `AI分析レポート_${count}品目_${timestamp}`;
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * 一括生成のジョブを作成
+ * @param {Object} params
+ * @param {string} params.id - 小工事項目（group.item）
+ * @param {string} params.itemName - 表示名
+ * @param {string} params.unit - 単位
+ * @returns {BatchReportJob}
+ */
+function createBatchReportJob({ id, itemName, unit }) {
+  return {
+    id,
+    itemName,
+    unit,
+    status: "pending",
+    attempts: 0,
+    error: null,
+    content: "",
+  };
+}
+
+/**
+ * 待機中のジョブを順に実行
+ * ジョブの状態（status / attempts / error / content）は実行中に更新する
+ * Note: prepare は画面外の canvas と多角分析の状態を使うため 1 件ずつ実行し、
+ *       generate は同時実行数と送信間隔を制限して並行に実行する
+ * @param {Array<BatchReportJob>} jobs - ジョブ（status が 'pending' のもののみ実行）
+ * @param {Object} options
+ * @param {Function} options.prepare - async (job) => LlmRequest
+ * @param {Function} options.generate - async (request, job) => Markdown
+ * @param {number} [options.concurrency] - 同時実行数
+ * @param {AbortSignal} [options.signal] - 中止用シグナル
+ * @returns {Promise<void>} すべてのジョブが終了（完了・失敗・中止）したら解決
+ */
+async function runBatchReportQueue(
+  jobs,
+  { prepare, generate, concurrency = BATCH_REPORT_CONFIG.concurrency, signal }
+) {
+  const queue = jobs.filter((job) => job.status === "pending");
+  let preparing = Promise.resolve();
+  let nextStartAt = 0;
+
+  // 送信開始の時刻を予約して、最小間隔を空ける
+  const waitForTurn = async () => {
+    const now = Date.now();
+    const startAt = Math.max(now, nextStartAt);
+    nextStartAt = startAt + BATCH_REPORT_CONFIG.minIntervalMs;
+    await waitLlm(startAt - now, signal);
+  };
+
+  const prepareInOrder = (job) => {
+    const run = preparing.then(() => {
+      signal?.throwIfAborted();
+      job.status = "preparing";
+      return prepare(job);
+    });
+    preparing = run.catch(() => {});
+    return run;
+  };
+
+  const runJob = async (job) => {
+    const request = await prepareInOrder(job);
+    for (;;) {
+      await waitForTurn();
+      job.status = "running";
+      job.attempts++;
+      try {
+        job.content = await generate(request, job);
+        job.status = "done";
+        job.error = null;
+        return;
+      } catch (error) {
+        if (
+          error.name === "AbortError" ||
+          !isRetryableBatchError(error) ||
+          job.attempts > BATCH_REPORT_CONFIG.maxRetries
+        ) {
+          throw error;
+        }
+        console.warn(`Batch report retry (${job.itemName}):`, error);
+        job.status = "retrying";
+        job.error = error.message;
+        await waitLlm(getBatchRetryDelay(error, job.attempts), signal);
+      }
+    }
+  };
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const job = queue.shift();
+      if (signal?.aborted) {
+        job.status = "cancelled";
+        continue;
+      }
+      try {
+        await runJob(job);
+      } catch (error) {
+        if (error.name === "AbortError") {
+          job.status = "cancelled";
+        } else {
+          console.error(`Batch report failed (${job.itemName}):`, error);
+          job.status = "failed";
+          job.error = error.message || "レポートの生成に失敗しました";
+        }
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, queue.length) }, worker)
+  );
+}
+
+/**
+ * 完了したレポートを品目ごとの Markdown ファイルにまとめて zip で保存
+ * @param {Array<BatchReportJob>} jobs - ジョブ（完了したもののみ出力）
+ * @param {Array<[string, string]>} conditions - 各ファイルの先頭に記載する条件
+ * @returns {Promise<void>}
+ */
+async function downloadBatchReportsZip(jobs, conditions) {
+  if (typeof JSZip === "undefined") {
+    console.error("JSZip not loaded");
+    alert("ZIP出力ライブラリが読み込まれていません");
+    return;
+  }
+
+  const finished = getFinishedBatchJobs(jobs);
+  const zip = new JSZip();
+  finished.forEach((job, i) => {
+    const number = String(i + 1).padStart(3, "0");
+    zip.file(
+      `${number}_${sanitizeFilename(job.itemName)}.md`,
+      `# ${job.itemName}
+
+${formatBatchConditions([...conditions, ["単位", job.unit]])}
+
+${job.content}
+`
+    );
+  });
+  const blob = await zip.generateAsync({ type: "blob" });
+  downloadFile(blob, `${getBatchReportFilename(finished.length)}.zip`);
+}
+
+/**
+ * 完了したレポートを1つの PDF にまとめて保存（表紙 + 品目ごとに改ページ）
+ * Note: html2pdf.js が要素を複製して描画するため、画面外に一時的に配置する
+ * @param {Array<BatchReportJob>} jobs - ジョブ（完了したもののみ出力）
+ * @param {Array<[string, string]>} conditions - 表紙に記載する条件
+ * @returns {Promise<void>}
+ */
+async function exportBatchReportsToPdf(jobs, conditions) {
+  const finished = getFinishedBatchJobs(jobs);
+  const cover = `<h1 class="fw-bold fs-3 mb-3">AI分析レポート（${
+    finished.length
+  }品目）</h1>
+${renderMarkdown(
+  `${formatBatchConditions(conditions)}
+
+${finished.map((job, i) => `${i + 1}. ${job.itemName}`).join("\n")}`
+)}`;
+  const sections = finished.map(
+    (job) => `<section style="page-break-before: always">
+<h2 class="fw-bold fs-4 border-bottom pb-2 mb-3">${escapeHtml(
+      job.itemName
+    )}</h2>
+${renderMarkdown(job.content)}
+</section>`
+  );
+
+  const container = document.createElement("div");
+  container.id = BATCH_REPORT_CONFIG.containerId;
+  container.style.cssText =
+    "position: fixed; left: -10000px; top: 0; width: 180mm;";
+  container.innerHTML = `${cover}\n${sections.join("\n")}`;
+  document.body.appendChild(container);
+  try {
+    await exportReportToPdf(
+      BATCH_REPORT_CONFIG.containerId,
+      getBatchReportFilename(finished.length),
+      { pagebreak: { mode: ["css", "legacy"], avoid: ["tr", "blockquote"] } }
+    );
+  } finally {
+    container.remove();
+  }
+}
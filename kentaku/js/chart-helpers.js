@@ -31,6 +31,10 @@ const CHART_COLORS = {
   weeklyMin: { border: "#20c997", background: "#20c997" },
   weeklyMax: { border: "#fd7e14", background: "#fd7e14" },
   weeklyMedian: { border: "#e83e8c", background: "#e83e8c" },
+  targetPrice: { border: "#0aa2c0", background: "#0aa2c022" },
+  forecast: { border: "#d63384", background: "#d6338422" },
+  vendorOrders: { border: "#adb5bd", background: "#adb5bd88" },
+  scaleCurve: { border: "#fd7e14", background: "#fd7e1422" },
 };
 
 /**
@@ -82,6 +86,7 @@ function getAxisLabel(xAxis) {
     floors: "階数",
     totalArea: "延床面積 (㎡)",
     constArea: "施工面積 (㎡)",
+    qty: "実行数量",
   };
   return labels[xAxis] || xAxis;
 }
@@ -110,7 +115,7 @@ function prepareWeeklyTableData(records) {
       };
     }
     weekData[week].records.push(record);
-    weekData[week].prices.push(record.price);
+    weekData[week].prices.push(record.displayPrice);
   }
 
   // Sort weeks and compute statistics
@@ -171,7 +176,7 @@ function formatRangeLabel(displayMin, displayMax, fieldType) {
  *
  * @param {Array} values - Array of values
  * @param {number} buckets - Number of buckets (default from CHART_CONFIG)
- * @param {string} fieldType - Type of field ('price', 'totalArea', 'constArea', 'floors', 'resUnits')
+ * @param {string} fieldType - Type of field ('price', 'totalArea', 'constArea', 'floors', 'resUnits', 'qty')
  * @returns {Array} Array of {min, max, label}
  */
 function createValueRanges(values, buckets, fieldType) {
@@ -285,6 +290,37 @@ function buildTrendDatasets(data) {
   ];
 }
 
+/**
+ * べき乗近似（y = a × x^b）の曲線を描く点を作成
+ * X の範囲（正の値）を対数で等間隔に分割する
+ * @param {{coefficient: number, exponent: number}} fit - calcPowerLawFit の戻り値
+ * @param {number[]} xValues - X の値（0 以下は範囲の計算から除く）
+ * @param {number} count - 点の数
+ * @returns {Array<{x: number, y: number}>} Chart.js の折れ線データ
+ */
+function createPowerLawCurvePoints(fit, xValues, count) {
+  const positive = xValues.filter((value) => value > 0);
+  if (positive.length === 0) return [];
+  const { min, max } = findMinMax(positive);
+  const logMin = Math.log(min);
+  const step = (Math.log(max) - logMin) / Math.max(count - 1, 1);
+
+  return Array.from({ length: count }, (_, i) => {
+    const x = Math.exp(logMin + step * i);
+    return { x, y: fit.coefficient * x ** fit.exponent };
+  });
+}
+
+/**
+ * 数量と単価のべき乗近似の要約（価格弾力性と数量2倍時の単価の変化率）
+ * @param {{exponent: number, doublingChange: number}} fit - calcPowerLawFit の戻り値
+ * @returns {string} 例: "価格弾力性 -0.123（数量2倍で単価 -8.2%）"
+ */
+function formatScaleCurveSummary(fit) {
+  const sign = fit.doublingChange > 0 ? "+" : "";
+  return `価格弾力性 ${fit.exponent.toFixed(3)}（数量2倍で単価 ${sign}${fit.doublingChange.toFixed(1)}%）`;
+}
+
 /**
  * Create line chart options
  * @param {Object} options - Additional options { unit, showXTitle }
@@ -0,0 +1,235 @@
+/**
+ * =============================================================================
+ * columnar-format.js - カラム型バイナリ形式 (data.bin.gz) の読み込み
+ * =============================================================================
+ *
+ * 概要:
+ *   tsv-converter が出力するカラム型・辞書エンコード形式をデコード
+ *   - 数値カラム: Float64Array / Int32Array をバッファから直接参照
+ *   - 文字列カラム: 辞書 (string[]) + インデックス配列
+ *   レコード復元時は辞書の文字列インスタンスを全行で共有するため、
+ *   JSON.parse で行ごとに文字列を生成するよりメモリ使用量が少ない。
+ *   メインスレッドと Worker の両方から読み込まれるため DOM に依存しないこと。
+ *
+ *   レイアウト (gzip展開後、リトルエンディアン):
+ *     [0..3] マジック "KTC1"
+ *     [4..7] ヘッダーJSONのバイト長 (uint32)
+ *     [8..]  ヘッダーJSON { version, count, columns[], blocks[] }
+ *     以降   行ブロックごとのカラムデータ
+ *            (8バイト境界、位置はデータ部先頭からの相対)
+ *   行ブロック単位で格納されるため、展開途中でも受信済みの
+ *   ブロックから行を復元できる。
+ *   書き込み側: tools/tsv-converter/src/pipeline/writer.ts (encodeColumnar)
+ *
+ * 分類: ユーティリティ層 (Utility Layer)
+ *
+ * =============================================================================
+ */
+
+const COLUMNAR_MAGIC = "KTC1";
+const COLUMNAR_VERSION = 1;
+
+/** 辞書インデックス型 → TypedArray コンストラクタ */
+const COLUMNAR_INDEX_ARRAYS = {
+  uint8: Uint8Array,
+  uint16: Uint16Array,
+  uint32: Uint32Array,
+};
+
+/** 数値カラム型 → TypedArray コンストラクタ */
+const COLUMNAR_VALUE_ARRAYS = {
+  float64: Float64Array,
+  int32: Int32Array,
+};
+
+/**
+ * バッファがカラム型バイナリかを判定
+ * @param {Uint8Array} bytes - gzip展開後のバイト列
+ * @returns {boolean}
+ */
+function isColumnarData(bytes) {
+  if (bytes.byteLength < 8) return false;
+  for (let i = 0; i < COLUMNAR_MAGIC.length; i++) {
+    if (bytes[i] !== COLUMNAR_MAGIC.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+/**
+ * ヘッダーを読み取り、行ブロックの配置を返す
+ *
+ * 展開途中のバイト列にも使えるよう、ヘッダーが揃っていなければ null を返す。
+ * ブロックの位置はバッファ先頭からの絶対値に変換する。
+ * @param {Uint8Array} bytes - gzip展開後のバイト列（先頭から連続した一部でも可）
+ * @returns {Object|null} { count, byteLength, columns[], blocks[] }
+ *   blocks[i] = { start, count, end, offsets[] }
+ */
+function readColumnarLayout(bytes) {
+  if (bytes.byteLength < 8) return null;
+  if (!isColumnarData(bytes)) {
+    throw new Error("Invalid columnar data: magic number mismatch");
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const headerLength = view.getUint32(4, true);
+  if (bytes.byteLength < 8 + headerLength) return null;
+
+  const header = JSON.parse(
+    new TextDecoder("utf-8").decode(bytes.subarray(8, 8 + headerLength))
+  );
+  const dataStart = Math.ceil((8 + headerLength) / 8) * 8;
+
+  if (header.version !== COLUMNAR_VERSION) {
+    throw new Error(`Unsupported columnar version: ${header.version}`);
+  }
+
+  let start = 0;
+  const layoutBlocks = header.blocks.map((block) => {
+    const layoutBlock = {
+      start,
+      count: block.count,
+      end: dataStart + block.byteOffset + block.byteLength,
+      offsets: block.offsets.map((offset) => dataStart + offset),
+    };
+    start += block.count;
+    return layoutBlock;
+  });
+
+  return {
+    count: header.count,
+    byteLength: layoutBlocks.reduce(
+      (max, block) => Math.max(max, block.end),
+      dataStart
+    ),
+    columns: header.columns,
+    blocks: layoutBlocks,
+  };
+}
+
+/**
+ * 1ブロック分をテーブルにデコード（レコードは生成しない）
+ *
+ * 各カラムは TypedArray のビューで、コピーせずにバッファを参照する。
+ * @param {Uint8Array} bytes - 8バイト境界に整列したバイト列
+ *   （対象ブロックの末尾まで受信済みであること）
+ * @param {Object} layout - readColumnarLayout の戻り値
+ * @param {number} index - ブロック番号
+ * @returns {{count: number, columns: Object<string, Object>}}
+ *   columns[name] = { type, values } または { type: "dict", dictionary, indices }
+ */
+function decodeColumnarBlock(bytes, layout, index) {
+  const block = layout.blocks[index];
+  if (bytes.byteLength < block.end) {
+    throw new Error(`Columnar block ${index} is incomplete`);
+  }
+  if (bytes.byteOffset % 8 !== 0) {
+    throw new Error("Columnar data must be 8-byte aligned");
+  }
+
+  const count = block.count;
+  const columns = {};
+
+  layout.columns.forEach((column, i) => {
+    const offset = bytes.byteOffset + block.offsets[i];
+    if (column.type === "dict") {
+      const IndexArray = COLUMNAR_INDEX_ARRAYS[column.indexType];
+      if (!IndexArray) {
+        throw new Error(`Unknown index type: ${column.indexType}`);
+      }
+      columns[column.name] = {
+        type: "dict",
+        dictionary: column.dictionary,
+        indices: new IndexArray(bytes.buffer, offset, count),
+      };
+    } else {
+      const ValueArray = COLUMNAR_VALUE_ARRAYS[column.type];
+      if (!ValueArray) {
+        throw new Error(`Unknown column type: ${column.type}`);
+      }
+      columns[column.name] = {
+        type: column.type,
+        values: new ValueArray(bytes.buffer, offset, count),
+      };
+    }
+  });
+
+  return { count, columns };
+}
+
+/**
+ * カラム型バイナリ全体をテーブルにデコード（レコードは生成しない）
+ *
+ * 1ブロックのみの場合はバッファを直接参照し、
+ * 複数ブロックの場合はカラムごとに連結した TypedArray を返す。
+ * @param {Uint8Array} bytes - gzip展開後のバイト列
+ * @returns {{count: number, columns: Object<string, Object>}}
+ */
+function decodeColumnar(bytes) {
+  if (!isColumnarData(bytes)) {
+    throw new Error("Invalid columnar data: magic number mismatch");
+  }
+
+  // TypedArray のビューは 8 バイト境界が必要なため、
+  // バッファ先頭からずれている場合は整列済みのコピーを作る
+  const aligned =
+    bytes.byteOffset % 8 === 0 ? bytes : new Uint8Array(bytes.slice());
+  const layout = readColumnarLayout(aligned);
+  if (!layout || aligned.byteLength < layout.byteLength) {
+    throw new Error("Unexpected end of columnar data");
+  }
+
+  const tables = layout.blocks.map((_, i) =>
+    decodeColumnarBlock(aligned, layout, i)
+  );
+  if (tables.length === 1) return tables[0];
+
+  const columns = {};
+  for (const column of layout.columns) {
+    const key = column.type === "dict" ? "indices" : "values";
+    const ArrayType =
+      column.type === "dict"
+        ? COLUMNAR_INDEX_ARRAYS[column.indexType]
+        : COLUMNAR_VALUE_ARRAYS[column.type];
+    const merged = new ArrayType(layout.count);
+    let offset = 0;
+    for (const table of tables) {
+      merged.set(table.columns[column.name][key], offset);
+      offset += table.count;
+    }
+    columns[column.name] =
+      column.type === "dict"
+        ? { type: "dict", dictionary: column.dictionary, indices: merged }
+        : { type: column.type, values: merged };
+  }
+  return { count: layout.count, columns };
+}
+
+/**
+ * テーブルをレコード配列（行オブジェクト）に復元
+ * @param {{count: number, columns: Object}} table - decodeColumnar の戻り値
+ * @returns {Array<Object>} レコード配列
+ */
+function columnarToRecords(table) {
+  const names = Object.keys(table.columns);
+  const records = new Array(table.count);
+  for (let i = 0; i < table.count; i++) {
+    records[i] = {};
+  }
+
+  // カラム単位で走査してキャッシュ効率を上げる
+  for (const name of names) {
+    const column = table.columns[name];
+    if (column.type === "dict") {
+      const { dictionary, indices } = column;
+      for (let i = 0; i < table.count; i++) {
+        records[i][name] = dictionary[indices[i]];
+      }
+    } else {
+      const { values } = column;
+      for (let i = 0; i < table.count; i++) {
+        records[i][name] = values[i];
+      }
+    }
+  }
+  return records;
+}
@@ -0,0 +1,50 @@
+/**
+ * =============================================================================
+ * data-loader-worker.js - データ読み込み用 Web Worker
+ * =============================================================================
+ *
+ * 概要:
+ *   data.json.gz のダウンロード・展開・パースをメインスレッド外で実行。
+ *   パース済みレコードはチャンクごとにコールバックでメインスレッドへ送る。
+ *   Comlinkを使用してメインスレッドと通信します。
+ *
+ * 分類: ワーカー層 (Worker Layer)
+ *
+ * 依存関係:
+ *   - Comlink            (CDN経由でimportScripts)
+ *   - pako               (CDN経由でimportScripts)
+ *   - columnar-format.js : カラム型バイナリのデコード
+ *   - data-stream.js     : ストリーミング展開・パース
+ *
+ * =============================================================================
+ */
+
+importScripts("https://unpkg.com/comlink@4.4.1/dist/umd/comlink.min.js");
+importScripts("https://cdn.jsdelivr.net/npm/pako@2.1.0/dist/pako.min.js");
+importScripts("columnar-format.js");
+importScripts("data-stream.js");
+
+const dataLoaderWorkerApi = {
+  /**
+   * Health check
+   * @returns {string} Status message
+   */
+  ping() {
+    return "DataLoaderWorker ready";
+  },
+
+  /**
+   * gzip データをストリーミングで読み込む
+   * @param {string} url - 絶対URL (Worker のベースURLは js/ のため)
+   * @param {string} format - "columnar" | "json"
+   * @param {Function} onChunk - Comlink.proxy でラップされたコールバック
+   * @returns {Promise<Object>} { compressedBytes, rawBytes, recordCount }
+   */
+  load(url, format, onChunk) {
+    const stream =
+      format === "columnar" ? streamGzipColumnar : streamGzipRecords;
+    return stream(url, { onChunk: (chunk) => onChunk(chunk) });
+  },
+};
+
+Comlink.expose(dataLoaderWorkerApi);
@@ -5,14 +5,24 @@
  *
  * 概要:
  *   アプリケーション起動時のデータ読み込みを管理
- *   - data.json.gz (gzip圧縮) を読み込み、pako で展開
+ *   - data.bin.gz (カラム型) を優先し、無ければ data.json.gz を読み込み
+ *   - gzip をストリーミングで読み込み、逐次展開・パース
+ *     (Worker が使える場合は Worker 内で処理し、進捗をコールバックで通知)
+ *   - IndexedDB に展開済みレコードを永続化し、次回以降の訪問で再利用
+ *     (DATA_VERSION をキーに保存し、旧バージョンは自動削除)
  *   - メモリキャッシュで同一セッション内の再読み込みを高速化
  *
  * 分類: アプリケーション層 (Application Layer)
  *
  * 依存関係:
- *   - pako          : gzip展開ライブラリ (CDN)
- *   - data.json.gz  : gzip圧縮されたJSONデータ
+ *   - pako                  : gzip展開ライブラリ (CDN)
+ *   - Comlink               : Worker 通信 (CDN、未ロード時はメインスレッド)
+ *   - data-stream.js        : ストリーミング展開・パース
+ *   - data-loader-worker.js : 読み込み用 Web Worker
+ *   - columnar-format.js    : カラム型バイナリのデコード
+ *   - data.bin.gz           : カラム型・辞書エンコードのバイナリ (gzip)
+ *   - data.json.gz          : gzip圧縮されたJSONデータ (フォールバック)
+ *   - IndexedDB             : ブラウザ標準 (利用不可の場合はネットワークのみ)
  *
  * =============================================================================
  */
@@ -20,9 +30,16 @@
 const DataLoader = (function () {
   // 設定
   const CONFIG = {
+    // カラム型バイナリ (優先) と JSON (フォールバック)
+    DATA_COLUMNAR_PATH: "data/data.bin.gz",
     DATA_GZIP_PATH: "data/data.json.gz",
-    // データバージョン: data.json.gz を更新したらこの値を変更してキャッシュを破棄
+    WORKER_PATH: "js/data-loader-worker.js",
+    // データバージョン: データファイルを更新したらこの値を変更してキャッシュを破棄
     DATA_VERSION: "20260113",
+    // IndexedDB 永続キャッシュ
+    IDB_NAME: "kentaku-data",
+    IDB_STORE: "records",
+    IDB_DB_VERSION: 1,
     DEBUG:
       location.hostname === "localhost" || location.hostname === "127.0.0.1",
   };
@@ -48,6 +65,17 @@ const DataLoader = (function () {
   // メモリキャッシュ
   let cachedRecords = null;
 
+  // 読み込み元とサイズ情報 (getStats で参照)
+  // source: "network" | "indexeddb" | null, format: "columnar" | "json" | null
+  // savedAt: ネットワークから読み込んだ場合は IndexedDB への保存完了後に設定
+  let loadInfo = {
+    source: null,
+    format: null,
+    compressedBytes: 0,
+    rawBytes: 0,
+    savedAt: null,
+  };
+
   /**
    * デバッグログ（本番環境では出力しない）
    */
@@ -71,113 +99,416 @@ const DataLoader = (function () {
     return filtered;
   }
 
+  // ==========================================================================
+  // IndexedDB 永続キャッシュ
+  // ==========================================================================
+
   /**
-   * gzip圧縮されたデータを読み込み・展開
-   * @returns {Promise<Array>} レコード配列
+   * IndexedDB を開く
+   * @returns {Promise<IDBDatabase|null>} 利用不可の場合は null
    */
-  async function fetchData() {
-    log("Fetching gzip data...");
+  function openDatabase() {
+    if (typeof indexedDB === "undefined") {
+      return Promise.resolve(null);
+    }
+    return new Promise((resolve) => {
+      let request;
+      try {
+        request = indexedDB.open(CONFIG.IDB_NAME, CONFIG.IDB_DB_VERSION);
+      } catch (error) {
+        // プライベートブラウジング等で例外になる場合がある
+        log("IndexedDB unavailable:", error);
+        resolve(null);
+        return;
+      }
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CONFIG.IDB_STORE)) {
+          db.createObjectStore(CONFIG.IDB_STORE, { keyPath: "version" });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        log("IndexedDB open failed:", request.error);
+        resolve(null);
+      };
+      request.onblocked = () => resolve(null);
+    });
+  }
 
-    // [Performance] 時間計測はデバッグ時のみ実行
-    const startTime = CONFIG.DEBUG ? performance.now() : 0;
+  /**
+   * IDBRequest を Promise 化
+   * @private
+   */
+  function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
 
-    // pako が必要
-    if (typeof pako === "undefined") {
-      throw new Error("pako library is required for gzip decompression");
+  /**
+   * 現在の DATA_VERSION のエントリを IndexedDB から読み込む
+   * @returns {Promise<Object|null>} { version, records, compressedBytes, rawBytes, savedAt }
+   */
+  async function readFromIndexedDB() {
+    const db = await openDatabase();
+    if (!db) return null;
+    try {
+      const store = db
+        .transaction(CONFIG.IDB_STORE, "readonly")
+        .objectStore(CONFIG.IDB_STORE);
+      const entry = await promisifyRequest(store.get(CONFIG.DATA_VERSION));
+      return entry && Array.isArray(entry.records) ? entry : null;
+    } catch (error) {
+      log("IndexedDB read failed:", error);
+      return null;
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * レコードを現在の DATA_VERSION で保存し、旧バージョンを削除
+   * Note: 失敗してもアプリ動作には影響しないため、エラーはログのみ
+   * @param {Object} entry - { records, compressedBytes, rawBytes }
+   * @returns {Promise<boolean>} 保存に成功したか
+   */
+  async function writeToIndexedDB(entry) {
+    const db = await openDatabase();
+    if (!db) return false;
+    try {
+      const tx = db.transaction(CONFIG.IDB_STORE, "readwrite");
+      const store = tx.objectStore(CONFIG.IDB_STORE);
+      const keys = await promisifyRequest(store.getAllKeys());
+      for (const key of keys) {
+        if (key !== CONFIG.DATA_VERSION) {
+          store.delete(key);
+          log(`Evicted cached data version ${key}`);
+        }
+      }
+      store.put({ ...entry, version: CONFIG.DATA_VERSION });
+      await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+      log(`Saved ${entry.records.length} records to IndexedDB`);
+      return true;
+    } catch (error) {
+      // 容量超過 (QuotaExceededError) など
+      log("IndexedDB write failed:", error);
+      return false;
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * IndexedDB のキャッシュを全削除
+   * @returns {Promise<void>}
+   */
+  async function clearIndexedDB() {
+    const db = await openDatabase();
+    if (!db) return;
+    try {
+      const store = db
+        .transaction(CONFIG.IDB_STORE, "readwrite")
+        .objectStore(CONFIG.IDB_STORE);
+      await promisifyRequest(store.clear());
+    } catch (error) {
+      log("IndexedDB clear failed:", error);
+    } finally {
+      db.close();
     }
+  }
 
+  // ==========================================================================
+  // ネットワーク取得
+  // ==========================================================================
+
+  /**
+   * 読み込み用 Worker を生成
+   * Comlink/Worker が利用できない場合は null (メインスレッドで処理)
+   * @returns {Promise<Object|null>} { proxy, worker }
+   */
+  async function createLoaderWorker() {
+    if (typeof Comlink === "undefined" || typeof Worker === "undefined") {
+      return null;
+    }
+    let worker = null;
+    try {
+      worker = new Worker(CONFIG.WORKER_PATH);
+      const proxy = Comlink.wrap(worker);
+      await proxy.ping();
+      return { proxy, worker };
+    } catch (error) {
+      log("Loader worker unavailable, using main thread:", error);
+      if (worker) worker.terminate();
+      return null;
+    }
+  }
+
+  /**
+   * 指定形式のデータをストリーミングで読み込み・展開
+   * @param {Object|null} loader - createLoaderWorker の戻り値
+   * @param {string} format - "columnar" | "json"
+   * @param {function(Object): void} [onChunk] - streamGzip* の onChunk
+   *   (records はそのチャンクで新たにパースしたレコードのみ、format を付加)
+   * @returns {Promise<Object>} { records, compressedBytes, rawBytes }
+   * @private
+   */
+  async function streamFormat(loader, format, onChunk) {
     // キャッシュバスター: バージョン番号を付加してブラウザキャッシュを回避
-    const url = `${CONFIG.DATA_GZIP_PATH}?v=${CONFIG.DATA_VERSION}`;
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch data: ${response.status}`);
+    // Worker のベースURLは js/ になるため絶対URLに解決して渡す
+    const path =
+      format === "columnar" ? CONFIG.DATA_COLUMNAR_PATH : CONFIG.DATA_GZIP_PATH;
+    const url = new URL(`${path}?v=${CONFIG.DATA_VERSION}`, location.href).href;
+
+    const records = [];
+    const handleChunk = (chunk) => {
+      for (let i = 0, len = chunk.records.length; i < len; i++) {
+        records.push(chunk.records[i]);
+      }
+      if (onChunk) onChunk({ ...chunk, format });
+    };
+
+    let result;
+    if (loader) {
+      result = await loader.proxy.load(url, format, Comlink.proxy(handleChunk));
+    } else {
+      const stream =
+        format === "columnar" ? streamGzipColumnar : streamGzipRecords;
+      result = await stream(url, {
+        onChunk: async (chunk) => {
+          handleChunk(chunk);
+          // メインスレッド処理時は描画を止めないよう制御を返す
+          await new Promise((resolve) => setTimeout(resolve, 0));
+        },
+      });
     }
 
-    const compressedData = await response.arrayBuffer();
-    const compressedSize = compressedData.byteLength;
+    return {
+      records,
+      compressedBytes: result.compressedBytes,
+      rawBytes: result.rawBytes,
+    };
+  }
 
-    // pako で gzip 展開
-    const decompressStart = CONFIG.DEBUG ? performance.now() : 0;
-    const decompressed = pako.inflate(new Uint8Array(compressedData), {
-      to: "string",
-    });
-    const decompressTime = CONFIG.DEBUG
-      ? performance.now() - decompressStart
-      : 0;
+  /**
+   * gzip圧縮されたデータをストリーミングで読み込み・展開
+   * カラム型 (data.bin.gz) を優先し、取得・デコードに失敗した場合は
+   * JSON (data.json.gz) にフォールバックする。
+   * Worker が使える場合は Worker 内で、使えない場合はメインスレッドで
+   * チャンクごとに描画フレームを譲りながら処理する。
+   * Note: 地域フィルタ適用前のレコードを返す (永続化は全件で行うため)
+   * @param {function(Object): void} [onChunk] - streamGzip* の onChunk
+   * @returns {Promise<Object>} { records, compressedBytes, rawBytes, format }
+   */
+  async function fetchData(onChunk) {
+    log("Fetching gzip data...");
+
+    // [Performance] 時間計測はデバッグ時のみ実行
+    const startTime = CONFIG.DEBUG ? performance.now() : 0;
 
-    // JSON パース
-    const parseStart = CONFIG.DEBUG ? performance.now() : 0;
-    let records = JSON.parse(decompressed);
-    const parseTime = CONFIG.DEBUG ? performance.now() - parseStart : 0;
+    const loader = await createLoaderWorker();
+    let fetched;
+    let format = "columnar";
+    try {
+      try {
+        fetched = await streamFormat(loader, format, onChunk);
+      } catch (error) {
+        log("Columnar data unavailable, falling back to JSON:", error);
+        format = "json";
+        fetched = await streamFormat(loader, format, onChunk);
+      }
+    } finally {
+      if (loader) loader.worker.terminate();
+    }
 
     if (CONFIG.DEBUG) {
-      const totalTime = performance.now() - startTime;
-      log(
-        `Gzip: ${(compressedSize / 1024).toFixed(1)}KB → ${
-          records.length
-        } records`
-      );
       log(
-        `Times: fetch=${(decompressStart - startTime).toFixed(
-          0
-        )}ms, decompress=${decompressTime.toFixed(
-          0
-        )}ms, parse=${parseTime.toFixed(0)}ms, total=${totalTime.toFixed(0)}ms`
+        `Gzip (${format}): ${(fetched.compressedBytes / 1024).toFixed(1)}KB → ${
+          fetched.records.length
+        } records in ${(performance.now() - startTime).toFixed(0)}ms (${
+          loader ? "worker" : "main thread"
+        })`
       );
     }
 
-    // 地域フィルタを適用
-    records = applyRegionFilter(records);
+    return { ...fetched, format };
+  }
 
-    return records;
+  /**
+   * 進捗を通知
+   * @private
+   */
+  function reportProgress(onProgress, progress) {
+    if (!onProgress) return;
+    try {
+      onProgress(progress);
+    } catch (error) {
+      // 進捗表示の失敗で読み込みを中断しない
+      log("onProgress callback failed:", error);
+    }
   }
 
   /**
    * データを読み込む（メインAPI）
+   *
+   * onProgress には以下が渡される:
+   *   - phase: "cache" | "network" | "done"
+   *   - percent: 0-100 (ネットワーク取得でサイズ不明の場合は null)
+   *   - loadedBytes / totalBytes: 圧縮データの受信済み/全体バイト数
+   *   - recordCount: その時点までにパース済みのレコード数
+   *   - records: その時点までにパース済みのレコード (地域フィルタ適用済み)
+   *     Note: 読み込み中は同じ配列に追記されていくため、
+   *           保持する場合は呼び出し側でコピーすること
+   *
+   * @param {Object} [options]
+   * @param {function(Object): void} [options.onProgress] - 進捗コールバック
    * @returns {Promise<Array>} レコード配列
    */
-  async function loadData() {
+  async function loadData({ onProgress } = {}) {
     // メモリキャッシュがあれば返す
     if (cachedRecords) {
       log("Returning cached records");
+      reportProgress(onProgress, {
+        phase: "done",
+        percent: 100,
+        loadedBytes: loadInfo.compressedBytes,
+        totalBytes: loadInfo.compressedBytes,
+        recordCount: cachedRecords.length,
+        records: cachedRecords,
+      });
       return cachedRecords;
     }
 
     const startTime = CONFIG.DEBUG ? performance.now() : 0;
 
-    // fetchでデータを取得
-    cachedRecords = await fetchData();
+    // IndexedDB に同一バージョンがあればネットワーク取得を省略
+    reportProgress(onProgress, {
+      phase: "cache",
+      percent: 0,
+      loadedBytes: 0,
+      totalBytes: 0,
+      recordCount: 0,
+      records: [],
+    });
+    const stored = await readFromIndexedDB();
+    if (stored) {
+      log(`Loaded ${stored.records.length} records from IndexedDB`);
+      loadInfo = {
+        source: "indexeddb",
+        format: stored.format ?? "json",
+        compressedBytes: stored.compressedBytes ?? 0,
+        rawBytes: stored.rawBytes ?? 0,
+        savedAt: stored.savedAt ?? null,
+      };
+      cachedRecords = applyRegionFilter(stored.records);
+    } else {
+      // fetchでデータを取得 (ストリーミング)
+      // 地域フィルタはチャンクごとに1回だけ適用し、結果を追記していく
+      let streamedRecords = [];
+      let streamedFormat = null;
+      const fetched = await fetchData((chunk) => {
+        if (chunk.format !== streamedFormat) {
+          // JSON へのフォールバック時は途中まで受信したレコードを破棄
+          streamedFormat = chunk.format;
+          streamedRecords = [];
+        }
+        const records = applyRegionFilter(chunk.records);
+        for (let i = 0, len = records.length; i < len; i++) {
+          streamedRecords.push(records[i]);
+        }
+        reportProgress(onProgress, {
+          phase: "network",
+          percent: chunk.totalBytes
+            ? Math.min(
+                100,
+                Math.round((chunk.loadedBytes / chunk.totalBytes) * 100)
+              )
+            : null,
+          loadedBytes: chunk.loadedBytes,
+          totalBytes: chunk.totalBytes,
+          recordCount: streamedRecords.length,
+          records: streamedRecords,
+        });
+      });
+      const savedAt = new Date().toISOString();
+      loadInfo = {
+        source: "network",
+        format: fetched.format,
+        compressedBytes: fetched.compressedBytes,
+        rawBytes: fetched.rawBytes,
+        savedAt: null,
+      };
+
+      // 保存の完了は待たずに返す（初回表示を遅らせない）
+      // Note: put() はトランザクション開始後にレコードを複製するため、
+      //   呼び出し側はレコードを書き換えないこと（processData はコピーして加工する）。
+      //   保存中に再読み込みされた場合は、保存開始時の loadInfo だけを更新する
+      const info = loadInfo;
+      writeToIndexedDB({ ...fetched, savedAt }).then((saved) => {
+        if (saved) info.savedAt = savedAt;
+      });
+
+      cachedRecords = streamedRecords;
+    }
 
     if (CONFIG.DEBUG) {
       log(`Total load time: ${(performance.now() - startTime).toFixed(0)}ms`);
     }
+    reportProgress(onProgress, {
+      phase: "done",
+      percent: 100,
+      loadedBytes: loadInfo.compressedBytes,
+      totalBytes: loadInfo.compressedBytes,
+      recordCount: cachedRecords.length,
+      records: cachedRecords,
+    });
     return cachedRecords;
   }
 
   /**
-   * 強制的に再読み込み
+   * 強制的に再読み込み (IndexedDB キャッシュも破棄してネットワークから取得)
+   * @param {Object} [options] - loadData と同じ
    * @returns {Promise<Array>}
    */
-  async function forceRefresh() {
+  async function forceRefresh(options) {
     cachedRecords = null;
-    return loadData();
+    await clearIndexedDB();
+    return loadData(options);
   }
 
   /**
    * 統計情報を取得
-   * @returns {Promise<Object>}
+   * @returns {Promise<Object>} {
+   *   count, cached, version,
+   *   source: "network" | "indexeddb" | null,
+   *   format: "columnar" | "json" | null,
+   *   compressedBytes, rawBytes, savedAt, persisted
+   * }
    */
   async function getStats() {
     return {
       count: cachedRecords?.length ?? 0,
       cached: cachedRecords !== null,
+      version: CONFIG.DATA_VERSION,
+      source: loadInfo.source,
+      format: loadInfo.format,
+      compressedBytes: loadInfo.compressedBytes,
+      rawBytes: loadInfo.rawBytes,
+      savedAt: loadInfo.savedAt,
+      persisted: loadInfo.savedAt !== null,
     };
   }
 
   // Public API
   return {
     loadData, // メインのデータ読み込み
-    forceRefresh, // 強制再読み込み
+    forceRefresh, // 強制再読み込み (永続キャッシュも破棄)
+    clearCache: clearIndexedDB, // 永続キャッシュ削除
     getStats, // 統計情報取得
   };
 })();
@@ -0,0 +1,313 @@
+/**
+ * =============================================================================
+ * data-stream.js - gzip JSON ストリーミング読み込み
+ * =============================================================================
+ *
+ * 概要:
+ *   data.json.gz / data.bin.gz をダウンロードしながら展開・パースする共通処理
+ *   - fetch のレスポンスボディをチャンク単位で読み込み
+ *   - pako.Inflate で逐次展開
+ *   - JSON: トップレベル配列の要素 (オブジェクト) 単位で逐次 JSON.parse
+ *   - カラム型: 受信済みの行ブロック単位で columnar-format.js でデコード
+ *   メインスレッドと data-loader-worker.js の両方から読み込まれるため、
+ *   DOM / window に依存しないこと。
+ *
+ * 分類: ユーティリティ層 (Utility Layer)
+ *
+ * 依存関係:
+ *   - pako                : gzip展開ライブラリ (CDN / importScripts)
+ *   - columnar-format.js  : カラム型バイナリのデコード
+ *
+ * =============================================================================
+ */
+
+// =============================================================================
+// JSON 配列の逐次パーサー
+// =============================================================================
+
+/**
+ * JSON 配列 `[{...}, {...}, ...]` を文字列チャンク単位で受け取り、
+ * 閉じたオブジェクトから順に返すパーサーを生成
+ *
+ * Note: 文字列リテラル内の波括弧とエスケープを考慮して深さを追跡する。
+ *       1チャンク内で完結したオブジェクトはまとめて1回の JSON.parse で処理。
+ * @returns {{push: function(string): Array, finish: function(): Array}}
+ */
+function createRecordStreamParser() {
+  let buffer = "";
+  let scanPos = 0;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let objectStart = -1;
+
+  /**
+   * チャンクを追加し、完結したレコードを返す
+   * @param {string} text - 展開済みテキストチャンク
+   * @returns {Array} 新たに完結したレコード
+   */
+  function push(text) {
+    buffer += text;
+    const parts = [];
+
+    for (let i = scanPos, len = buffer.length; i < len; i++) {
+      const c = buffer.charCodeAt(i);
+      // 34 = '"', 92 = '\', 123 = '{', 125 = '}'
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (c === 92) escaped = true;
+        else if (c === 34) inString = false;
+        continue;
+      }
+      if (c === 34) {
+        inString = true;
+      } else if (c === 123) {
+        if (depth === 0) objectStart = i;
+        depth++;
+      } else if (c === 125) {
+        depth--;
+        if (depth === 0) {
+          parts.push(buffer.slice(objectStart, i + 1));
+          objectStart = -1;
+        }
+      }
+    }
+
+    // 未完了のオブジェクトのみバッファに残す
+    if (objectStart === -1) {
+      buffer = "";
+      scanPos = 0;
+    } else {
+      buffer = buffer.slice(objectStart);
+      scanPos = buffer.length;
+      objectStart = 0;
+    }
+
+    return parts.length > 0 ? JSON.parse(`[${parts.join(",")}]`) : [];
+  }
+
+  /**
+   * 入力終了を通知（途中で途切れている場合はエラー）
+   * @returns {Array} 空配列
+   */
+  function finish() {
+    if (depth !== 0 || inString) {
+      throw new Error("Unexpected end of JSON data");
+    }
+    return [];
+  }
+
+  return { push, finish };
+}
+
+// =============================================================================
+// ストリーミング読み込み
+// =============================================================================
+
+/**
+ * gzip データをストリーミングで取得・展開
+ *
+ * onData には展開済みのバイト列が順次、同期的に渡される。
+ * onChunk にはネットワークから1チャンク受信するごとに進捗が渡され、
+ * Promise を返した場合は完了を待つ (Worker からの送信時の背圧として利用)。
+ *
+ * @param {string} url - 取得URL
+ * @param {Object} handlers
+ * @param {function(Uint8Array): void} handlers.onData - 展開データ受信
+ * @param {function(Object): (void|Promise)} handlers.onChunk -
+ *   ({ loadedBytes, totalBytes }) => void
+ * @returns {Promise<Object>} { compressedBytes, rawBytes }
+ * @private
+ */
+async function readGzipStream(url, { onData, onChunk }) {
+  if (typeof pako === "undefined") {
+    throw new Error("pako library is required for gzip decompression");
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch data: ${response.status}`);
+  }
+
+  // Content-Length が無い (chunked 転送等) 場合は 0 = 不明
+  const totalBytes = Number(response.headers.get("Content-Length")) || 0;
+
+  const inflator = new pako.Inflate();
+  let loadedBytes = 0;
+  let rawBytes = 0;
+
+  inflator.onData = (chunk) => {
+    rawBytes += chunk.byteLength;
+    onData(chunk);
+  };
+
+  const inflateChunk = (bytes, isLast) => {
+    inflator.push(bytes, isLast);
+    if (inflator.err) {
+      throw new Error(`Failed to decompress data: ${inflator.msg}`);
+    }
+  };
+
+  if (response.body && typeof response.body.getReader === "function") {
+    const reader = response.body.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      loadedBytes += value.byteLength;
+      inflateChunk(value, false);
+      await onChunk({ loadedBytes, totalBytes });
+    }
+    inflateChunk(new Uint8Array(0), true);
+  } else {
+    // ReadableStream 非対応環境: 一括取得してから展開
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    loadedBytes = bytes.byteLength;
+    inflateChunk(bytes, true);
+  }
+
+  return { compressedBytes: loadedBytes, rawBytes };
+}
+
+/**
+ * gzip 圧縮された JSON 配列をストリーミングで取得・展開・パース
+ *
+ * onChunk にはネットワークから1チャンク受信するごとに、その時点で
+ * 完結したレコードと進捗が渡される。Promise を返した場合は完了を待つ。
+ *
+ * @param {string} url - 取得URL
+ * @param {Object} [options]
+ * @param {function(Object): (void|Promise)} [options.onChunk] -
+ *   ({ records, loadedBytes, totalBytes, recordCount }) => void
+ * @returns {Promise<Object>} { compressedBytes, rawBytes, recordCount }
+ */
+async function streamGzipRecords(url, { onChunk } = {}) {
+  const parser = createRecordStreamParser();
+  const decoder = new TextDecoder("utf-8");
+  let pending = [];
+  let recordCount = 0;
+  let progress = { loadedBytes: 0, totalBytes: 0 };
+
+  const emit = async () => {
+    recordCount += pending.length;
+    const records = pending;
+    pending = [];
+    if (onChunk) await onChunk({ records, ...progress, recordCount });
+  };
+
+  const result = await readGzipStream(url, {
+    onData: (chunk) => {
+      const records = parser.push(decoder.decode(chunk, { stream: true }));
+      if (records.length > 0) {
+        pending = pending.length > 0 ? pending.concat(records) : records;
+      }
+    },
+    onChunk: (chunkProgress) => {
+      progress = chunkProgress;
+      return emit();
+    },
+  });
+
+  const rest = parser.push(decoder.decode());
+  if (rest.length > 0) pending = pending.concat(rest);
+  parser.finish();
+  await emit();
+
+  return { ...result, recordCount };
+}
+
+/**
+ * gzip 圧縮されたカラム型バイナリ (data.bin.gz) をストリーミングで取得・展開
+ *
+ * ヘッダー（辞書と行ブロックの配置）が揃った時点で全体のバッファを確保し、
+ * ネットワークから1チャンク受信するごとに、末尾まで揃った行ブロックの
+ * レコードと進捗を onChunk に渡す。Promise を返した場合は完了を待つ。
+ * 依存: columnar-format.js (readColumnarLayout, decodeColumnarBlock,
+ *       columnarToRecords)
+ *
+ * @param {string} url - 取得URL
+ * @param {Object} [options]
+ * @param {function(Object): (void|Promise)} [options.onChunk] -
+ *   ({ records, loadedBytes, totalBytes, recordCount }) => void
+ * @returns {Promise<Object>} { compressedBytes, rawBytes, recordCount }
+ */
+async function streamGzipColumnar(url, { onChunk } = {}) {
+  // ヘッダー確定前の展開済みチャンク
+  let headChunks = [];
+  let layout = null;
+  let bytes = null;
+  let receivedBytes = 0;
+  let nextBlock = 0;
+  let recordCount = 0;
+  let progress = { loadedBytes: 0, totalBytes: 0 };
+
+  const appendData = (chunk) => {
+    if (layout) {
+      bytes.set(chunk, receivedBytes);
+      receivedBytes += chunk.byteLength;
+      return;
+    }
+
+    headChunks.push(chunk);
+    const head = concatBytes(headChunks);
+    layout = readColumnarLayout(head);
+    if (!layout) return;
+
+    // 8バイト境界の新規バッファに全体を展開していく
+    bytes = new Uint8Array(Math.max(layout.byteLength, head.byteLength));
+    bytes.set(head);
+    receivedBytes = head.byteLength;
+    headChunks = null;
+  };
+
+  const takeRecords = () => {
+    const records = [];
+    while (
+      layout &&
+      nextBlock < layout.blocks.length &&
+      layout.blocks[nextBlock].end <= receivedBytes
+    ) {
+      const blockRecords = columnarToRecords(
+        decodeColumnarBlock(bytes, layout, nextBlock)
+      );
+      for (const record of blockRecords) records.push(record);
+      nextBlock++;
+    }
+    recordCount += records.length;
+    return records;
+  };
+
+  const result = await readGzipStream(url, {
+    onData: appendData,
+    onChunk: (chunkProgress) => {
+      progress = chunkProgress;
+      const records = takeRecords();
+      if (onChunk) return onChunk({ records, ...progress, recordCount });
+    },
+  });
+
+  const records = takeRecords();
+  if (!layout || nextBlock < layout.blocks.length) {
+    throw new Error("Unexpected end of columnar data");
+  }
+  if (onChunk) await onChunk({ records, ...progress, recordCount });
+
+  return { ...result, recordCount };
+}
+
+/**
+ * Uint8Array の配列を1つに連結
+ * @param {Array<Uint8Array>} chunks - 連結するバイト列
+ * @returns {Uint8Array} 連結結果（新規バッファ）
+ * @private
+ */
+function concatBytes(chunks) {
+  if (chunks.length === 1) return chunks[0];
+  const total = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return bytes;
+}
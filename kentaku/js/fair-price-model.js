@@ -0,0 +1,418 @@
+/**
+ * =============================================================================
+ * fair-price-model.js - 適正単価モデル（小工事項目ごとの重回帰）
+ * =============================================================================
+ *
+ * 概要:
+ *   小工事項目ごとに、建物属性・支店・実行数量・発注日から実行単価を予測する
+ *   重回帰モデルを作り、発注ごとの適正単価と乖離を求める
+ *   - 説明変数: 階数、総戸数、戸並、延床面積、施工面積、実行数量、発注日（年）、
+ *     支店（ダミー変数。発注件数最多の支店を基準とし、発注の少ない支店は
+ *     「その他の支店」にまとめる）
+ *   - 推定: 最小二乗法（OLS）またはリッジ回帰。リッジは説明変数を標準化して
+ *     λ = ridgeAlpha × 件数 で罰則を掛ける。OLS が推定できない場合
+ *     （発注件数が説明変数の数に対して少ない、説明変数が共線）はリッジで推定する
+ *   - 係数の信頼区間: 係数の分散（リッジは (X'X+λI)⁻¹X'X(X'X+λI)⁻¹σ²）から 95% 区間
+ *   - 適正単価: モデルの予測値。残差 ÷ 残差の標準偏差が overpricedZ を超える発注を
+ *     割高（建物条件などで説明できない高さ）とする
+ *
+ *   モデルに使うレコード（検索条件・異常値の除外）は呼び出し側（app.js）で決める
+ *   単価は表示モードの単価（record.displayPrice、名目または指数調整後）を使う
+ *
+ * 依存: utils.js (parseDateString)
+ *
+ * 分類: ドメイン層 (Domain Layer)
+ *
+ * =============================================================================
+ */
+
+const FAIR_PRICE_CONFIG = {
+  // モデルを作るのに必要な発注件数
+  minRecords: 10,
+  // 支店を個別のダミー変数にする発注件数の下限（未満は「その他の支店」）
+  minRegionRecords: 5,
+  // リッジ回帰の罰則の強さ（λ = ridgeAlpha × 件数、標準化した説明変数に対して）
+  ridgeAlpha: 0.05,
+  // 係数の信頼区間の z 値（95%）
+  intervalZ: 1.96,
+  // 割高・割安とみなす標準化残差（残差 ÷ 残差の標準偏差）
+  overpricedZ: 2,
+};
+
+/** 推定方法の表示名 */
+const FAIR_PRICE_METHODS = {
+  ridge: "リッジ回帰",
+  ols: "最小二乗法（OLS）",
+};
+
+/** 数値の説明変数（unit が null の場合は小工事項目の単位） */
+const FAIR_PRICE_FEATURES = {
+  floors: { label: "階数", unit: "階" },
+  resUnits: { label: "総戸数", unit: "戸" },
+  unitRow: { label: "戸並", unit: "戸" },
+  totalArea: { label: "延床面積", unit: "㎡" },
+  constArea: { label: "施工面積", unit: "㎡" },
+  qty: { label: "実行数量", unit: null },
+  orderDate: { label: "発注日", unit: "年" },
+};
+
+/** 適正単価との乖離の水準（assessFairPrice の level ごと） */
+const FAIR_PRICE_LEVELS = {
+  above: { label: "割高", className: "text-danger" },
+  neutral: { label: "適正", className: "text-secondary" },
+  below: { label: "割安", className: "text-success" },
+};
+
+/** 発注の少ない支店をまとめたダミー変数の表示名 */
+const FAIR_PRICE_OTHER_REGIONS = "その他の支店";
+
+/**
+ * @typedef {Object} FairPriceCoefficient
+ * @property {string} key - 数値の説明変数は FAIR_PRICE_FEATURES のキー、
+ *   支店は 'region:支店名'（その他の支店は 'region:'）
+ * @property {string} label - 表示名
+ * @property {string} unit - 説明変数の単位（係数は 円/単位、支店は基準の支店との差）
+ * @property {number} estimate - 係数
+ * @property {number} standardError - 標準誤差
+ * @property {number} lower - 95% 信頼区間の下限
+ * @property {number} upper - 95% 信頼区間の上限
+ * @property {boolean} significant - 信頼区間が 0 を含まないか
+ */
+
+/**
+ * @typedef {Object} FairPriceModel
+ * @property {string} method - 推定した方法（FAIR_PRICE_METHODS のキー）
+ * @property {string} requestedMethod - 指定した方法
+ * @property {number} lambda - リッジ回帰の罰則（OLS は 0）
+ * @property {number} n - モデルに使った発注件数
+ * @property {number} excluded - 説明変数が欠けているため使わなかった発注件数
+ * @property {number} rSquared - 決定係数
+ * @property {number} residualStd - 残差の標準偏差（円）
+ * @property {number} intercept - 切片
+ * @property {string} referenceRegion - 基準の支店
+ * @property {Array<string>} otherRegions - 「その他の支店」にまとめた支店
+ * @property {Set<string>} regionKeys - 個別のダミー変数にした支店
+ * @property {Array<FairPriceCoefficient>} coefficients - 係数（変動のない説明変数は除く）
+ */
+
+/**
+ * @typedef {Object} FairPriceAssessment
+ * @property {number} fairPrice - 適正単価（予測値、円）
+ * @property {number} residual - 単価 − 適正単価（円）
+ * @property {number|null} deviation - 乖離率 (%)（適正単価が 0 以下の場合 null）
+ * @property {number} zScore - 標準化残差（残差 ÷ 残差の標準偏差）
+ * @property {string} level - 'above' | 'neutral' | 'below'
+ */
+
+// =============================================================================
+// Private Helpers
+// =============================================================================
+
+/**
+ * 発注日（YYYYMMDD）を小数の年に変換（例: 2024-07-01 → 2024.496）
+ * @private
+ * @returns {number} 不正な日付の場合は NaN
+ */
+function toDecimalYear(orderDate) {
+  const date = parseDateString(orderDate);
+  if (!date) return NaN;
+  const start = new Date(date.getFullYear(), 0, 1);
+  return date.getFullYear() + (date - start) / (365.25 * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * レコードの数値の説明変数の値
+ * @private
+ */
+function getFeatureValue(record, key) {
+  return key === "orderDate" ? toDecimalYear(record.orderDate) : record[key];
+}
+
+/**
+ * 支店のダミー変数の列名（その他の支店は 'region:'）
+ * @private
+ */
+function getRegionColumnKey(model, region) {
+  if (region === model.referenceRegion) return null;
+  return model.regionKeys.has(region) ? `region:${region}` : "region:";
+}
+
+/**
+ * 対称行列の逆行列（ガウス・ジョルダン法、部分ピボット選択）
+ * @private
+ * @param {number[][]} matrix - p × p の行列
+ * @returns {number[][]|null} 特異（共線）の場合は null
+ */
+function invertSymmetricMatrix(matrix) {
+  const p = matrix.length;
+  const a = matrix.map((row, i) => {
+    const augmented = new Float64Array(2 * p);
+    augmented.set(row);
+    augmented[p + i] = 1;
+    return augmented;
+  });
+  const scale = Math.max(...matrix.map((row, i) => Math.abs(row[i])), 1);
+
+  for (let col = 0; col < p; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < p; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < scale * 1e-10) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    const divisor = a[col][col];
+    for (let j = 0; j < 2 * p; j++) a[col][j] /= divisor;
+    for (let row = 0; row < p; row++) {
+      const factor = a[row][col];
+      if (row === col || factor === 0) continue;
+      for (let j = 0; j < 2 * p; j++) a[row][j] -= factor * a[col][j];
+    }
+  }
+  return a.map((row) => Array.from(row.subarray(p)));
+}
+
+/**
+ * 行列の積
+ * @private
+ */
+function multiplyMatrices(left, right) {
+  return left.map((row) => {
+    const product = new Float64Array(right[0].length);
+    for (let k = 0; k < row.length; k++) {
+      const value = row[k];
+      if (value === 0) continue;
+      const rightRow = right[k];
+      for (let j = 0; j < product.length; j++) {
+        product[j] += value * rightRow[j];
+      }
+    }
+    return product;
+  });
+}
+
+/**
+ * 支店の基準（発注件数最多）とダミー変数にする支店を決める
+ * @private
+ * @param {Array} records - モデルに使うレコード
+ * @returns {{referenceRegion: string, regions: string[], otherRegions: string[]}}
+ */
+function buildRegionColumns(records) {
+  const counts = new Map();
+  for (const record of records) {
+    counts.set(record.region, (counts.get(record.region) || 0) + 1);
+  }
+  const sorted = [...counts.entries()].sort(
+    (a, b) => b[1] - a[1] || a[0].localeCompare(b[0])
+  );
+  const [referenceRegion] = sorted[0];
+  const rest = sorted.slice(1);
+  return {
+    referenceRegion,
+    regions: rest
+      .filter(([, count]) => count >= FAIR_PRICE_CONFIG.minRegionRecords)
+      .map(([region]) => region),
+    otherRegions: rest
+      .filter(([, count]) => count < FAIR_PRICE_CONFIG.minRegionRecords)
+      .map(([region]) => region),
+  };
+}
+
+/**
+ * 標準化した説明変数で回帰係数と分散を推定
+ * @private
+ * @param {number[][]} z - 中心化・標準化した説明変数（n × p）
+ * @param {number[]} y - 中心化した単価
+ * @param {number} lambda - リッジ回帰の罰則（OLS は 0）
+ * @returns {{beta: number[], covarianceFactor: number[][], df: number}|null}
+ *   covarianceFactor は σ² を掛ける前の係数の分散、df は実効自由度。
+ *   推定できない場合は null
+ */
+function solveStandardizedRegression(z, y, lambda) {
+  const p = z[0].length;
+  const gram = Array.from({ length: p }, () => new Float64Array(p));
+  const moment = new Float64Array(p);
+  for (let i = 0; i < z.length; i++) {
+    const row = z[i];
+    for (let j = 0; j < p; j++) {
+      moment[j] += row[j] * y[i];
+      for (let k = j; k < p; k++) gram[j][k] += row[j] * row[k];
+    }
+  }
+  for (let j = 0; j < p; j++) {
+    for (let k = 0; k < j; k++) gram[j][k] = gram[k][j];
+  }
+
+  const penalized = gram.map((row, j) =>
+    row.map((value, k) => (j === k ? value + lambda : value))
+  );
+  const inverse = invertSymmetricMatrix(penalized);
+  if (!inverse) return null;
+
+  const beta = inverse.map((row) =>
+    row.reduce((sum, value, k) => sum + value * moment[k], 0)
+  );
+  const hat = multiplyMatrices(inverse, gram);
+  const covarianceFactor =
+    lambda > 0 ? multiplyMatrices(hat, inverse) : inverse;
+  const df = hat.reduce((sum, row, j) => sum + row[j], 0);
+  return { beta, covarianceFactor, df };
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * 小工事項目の適正単価モデルを推定
+ * @param {Array} records - 1つの小工事項目のレコード
+ * @param {Object} [options]
+ * @param {string} [options.method] - 'ridge' | 'ols'
+ * @returns {FairPriceModel|null} 発注件数が不足する場合は null
+ */
+function fitFairPriceModel(records, { method = "ridge" } = {}) {
+  const featureKeys = Object.keys(FAIR_PRICE_FEATURES);
+  const usable = [];
+  for (const record of records) {
+    const values = featureKeys.map((key) => getFeatureValue(record, key));
+    if (Number.isFinite(record.displayPrice) && values.every(Number.isFinite)) {
+      usable.push({ record, values });
+    }
+  }
+  const n = usable.length;
+  if (n < FAIR_PRICE_CONFIG.minRecords) return null;
+
+  const { referenceRegion, regions, otherRegions } = buildRegionColumns(
+    usable.map(({ record }) => record)
+  );
+  const regionKeys = new Set(regions);
+  const columns = [
+    ...featureKeys.map((key, i) => ({
+      key,
+      label: FAIR_PRICE_FEATURES[key].label,
+      unit: FAIR_PRICE_FEATURES[key].unit ?? records[0].unit,
+      valueOf: (entry) => entry.values[i],
+    })),
+    ...regions.map((region) => ({
+      key: `region:${region}`,
+      label: region,
+      unit: `基準: ${referenceRegion}`,
+      valueOf: (entry) => (entry.record.region === region ? 1 : 0),
+    })),
+    {
+      key: "region:",
+      label: FAIR_PRICE_OTHER_REGIONS,
+      unit: `基準: ${referenceRegion}`,
+      valueOf: (entry) => (otherRegions.includes(entry.record.region) ? 1 : 0),
+    },
+  ];
+
+  // 中心化・標準化（変動のない説明変数は除く）
+  const prices = usable.map(({ record }) => record.displayPrice);
+  const meanPrice = prices.reduce((sum, value) => sum + value, 0) / n;
+  const scaled = columns
+    .map((column) => {
+      const values = usable.map(column.valueOf);
+      const mean = values.reduce((sum, value) => sum + value, 0) / n;
+      const std = Math.sqrt(
+        values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / n
+      );
+      return { ...column, values, mean, std };
+    })
+    .filter((column) => column.std > 0);
+  if (scaled.length === 0) return null;
+
+  const z = usable.map((_, i) =>
+    scaled.map((column) => (column.values[i] - column.mean) / column.std)
+  );
+  const y = prices.map((price) => price - meanPrice);
+
+  // OLS は残差の自由度が 1 以上残る場合のみ（推定できなければリッジ）
+  const ridgeLambda = FAIR_PRICE_CONFIG.ridgeAlpha * n;
+  let usedMethod = method;
+  let solution =
+    method === "ols" && n - scaled.length - 1 >= 1
+      ? solveStandardizedRegression(z, y, 0)
+      : null;
+  if (!solution) {
+    usedMethod = "ridge";
+    solution = solveStandardizedRegression(z, y, ridgeLambda);
+  }
+  if (!solution) return null;
+  const { beta, covarianceFactor, df } = solution;
+
+  let rss = 0;
+  for (let i = 0; i < n; i++) {
+    const fitted = z[i].reduce((sum, value, j) => sum + value * beta[j], 0);
+    rss += (y[i] - fitted) ** 2;
+  }
+  const tss = y.reduce((sum, value) => sum + value * value, 0);
+  const residualVariance = rss / Math.max(n - df - 1, 1);
+
+  const coefficients = scaled.map((column, j) => {
+    const estimate = beta[j] / column.std;
+    const standardError =
+      Math.sqrt(Math.max(covarianceFactor[j][j] * residualVariance, 0)) /
+      column.std;
+    const margin = FAIR_PRICE_CONFIG.intervalZ * standardError;
+    return {
+      key: column.key,
+      label: column.label,
+      unit: column.unit,
+      estimate,
+      standardError,
+      lower: estimate - margin,
+      upper: estimate + margin,
+      significant: estimate - margin > 0 || estimate + margin < 0,
+    };
+  });
+
+  return {
+    method: usedMethod,
+    requestedMethod: method,
+    lambda: usedMethod === "ridge" ? ridgeLambda : 0,
+    n,
+    excluded: records.length - n,
+    rSquared: tss > 0 ? 1 - rss / tss : 0,
+    residualStd: Math.sqrt(residualVariance),
+    intercept: scaled.reduce(
+      (value, column, j) => value - coefficients[j].estimate * column.mean,
+      meanPrice
+    ),
+    referenceRegion,
+    otherRegions,
+    regionKeys,
+    coefficients,
+  };
+}
+
+/**
+ * 発注の適正単価と乖離を求める
+ * @param {FairPriceModel} model - fitFairPriceModel の戻り値
+ * @param {Object} record - 同じ小工事項目のレコード（モデルに使っていない発注も可）
+ * @returns {FairPriceAssessment|null} 説明変数が欠けている場合は null
+ */
+function assessFairPrice(model, record) {
+  const regionKey = getRegionColumnKey(model, record.region);
+  let fairPrice = model.intercept;
+  for (const coefficient of model.coefficients) {
+    const value = coefficient.key.startsWith("region:")
+      ? Number(coefficient.key === regionKey)
+      : getFeatureValue(record, coefficient.key);
+    fairPrice += coefficient.estimate * value;
+  }
+  if (!Number.isFinite(fairPrice)) return null;
+
+  const residual = record.displayPrice - fairPrice;
+  const zScore = model.residualStd > 0 ? residual / model.residualStd : 0;
+  const threshold = FAIR_PRICE_CONFIG.overpricedZ;
+  return {
+    fairPrice: Math.round(fairPrice),
+    residual: Math.round(residual),
+    deviation:
+      fairPrice > 0 ? Math.round((residual / fairPrice) * 1000) / 10 : null,
+    zScore: Math.round(zScore * 100) / 100,
+    level:
+      zScore > threshold ? "above" : zScore < -threshold ? "below" : "neutral",
+  };
+}
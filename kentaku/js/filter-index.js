@@ -0,0 +1,351 @@
+/**
+ * =============================================================================
+ * filter-index.js - 検索用インデックス
+ * =============================================================================
+ *
+ * 概要:
+ *   検索条件をレコードの線形走査ではなくインデックスで解決する
+ *   - 転置インデックス: 支店 / 大項目 / 業者 / 工事名称 → レコードID
+ *   - ソート済み配列: 発注日 / 階数 / 戸並び / 戸数 / 施工面積 / 延床面積
+ *   - 各条件をビットセット化して AND で絞り込み
+ *   filter-worker.js と app.js (Worker 非対応時のフォールバック) の両方から
+ *   読み込まれるため、DOM に依存しないこと。
+ *
+ * 分類: ユーティリティ層 (Utility Layer)
+ *
+ * =============================================================================
+ */
+
+/** 転置インデックスを作成するフィールド（完全一致 / キーワード検索用） */
+const FILTER_INDEX_TERM_FIELDS = [
+  "region",
+  "majorCode",
+  "vendor",
+  "projectName",
+];
+
+/** ソート済み配列を作成するフィールドと、対応する範囲条件 */
+const FILTER_INDEX_RANGE_FIELDS = [
+  { field: "orderDate", min: "dateFrom", max: "dateTo" },
+  { field: "floors", min: "floorMin", max: "floorMax" },
+  { field: "unitRow", min: "unitRowMin", max: "unitRowMax" },
+  { field: "resUnits", min: "resUnitMin", max: "resUnitMax" },
+  { field: "constArea", min: "constAreaMin", max: "constAreaMax" },
+  { field: "totalArea", min: "totalAreaMin", max: "totalAreaMax" },
+];
+
+// =============================================================================
+// ビットセット
+// =============================================================================
+
+/**
+ * 空のビットセットを生成
+ * @param {number} size - ビット数（レコード数）
+ * @returns {Uint32Array}
+ */
+function createBitset(size) {
+  return new Uint32Array(Math.ceil(size / 32));
+}
+
+/**
+ * ID 配列のビットを立てる
+ * @param {Uint32Array} bitset - 対象ビットセット
+ * @param {ArrayLike<number>} ids - レコードID
+ * @param {number} [start=0] - ids の開始位置
+ * @param {number} [end=ids.length] - ids の終了位置（含まない）
+ */
+function setBits(bitset, ids, start = 0, end = ids.length) {
+  for (let i = start; i < end; i++) {
+    const id = ids[i];
+    bitset[id >>> 5] |= 1 << (id & 31);
+  }
+}
+
+/**
+ * ビットが立っているかを判定
+ * @param {Uint32Array} bitset - 対象ビットセット
+ * @param {number} id - レコードID
+ * @returns {boolean}
+ */
+function hasBit(bitset, id) {
+  return (bitset[id >>> 5] & (1 << (id & 31))) !== 0;
+}
+
+/**
+ * 2つのビットセットの AND（a が null の場合は b をそのまま返す）
+ * @param {Uint32Array|null} a - 累積結果（上書きされる）
+ * @param {Uint32Array} b - 条件ビットセット
+ * @returns {Uint32Array}
+ */
+function andBitset(a, b) {
+  if (!a) return b;
+  for (let i = 0; i < a.length; i++) a[i] &= b[i];
+  return a;
+}
+
+// =============================================================================
+// インデックス構築
+// =============================================================================
+
+/**
+ * 昇順ソート済み配列で value 以上となる最初の位置
+ * @private
+ */
+function lowerBound(values, value) {
+  let lo = 0;
+  let hi = values.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (values[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * 昇順ソート済み配列で value より大きくなる最初の位置
+ * @private
+ */
+function upperBound(values, value) {
+  let lo = 0;
+  let hi = values.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (values[mid] <= value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * レコードを品目でグループ化（app.js の groupByItem と同じ規則）
+ * @param {Array} records - レコード配列
+ * @returns {Array<{item: string, spec: string, indices: Uint32Array}>}
+ * @private
+ */
+function buildItemGroupIndices(records) {
+  const groups = new Map();
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i];
+    let group = groups.get(record.item);
+    if (!group) {
+      group = { item: record.item, spec: record.spec, indices: [] };
+      groups.set(record.item, group);
+    }
+    group.indices.push(i);
+  }
+
+  return Array.from(groups.values(), (group) => {
+    // 安定ソートで groupByItem と同じ並び順にする
+    group.indices.sort((a, b) =>
+      records[a].orderDate.localeCompare(records[b].orderDate)
+    );
+    return { ...group, indices: Uint32Array.from(group.indices) };
+  });
+}
+
+/**
+ * 検索用インデックスを構築（データ読み込み後に1回）
+ * @param {Array} records - レコード配列（配列の位置をレコードIDとする）
+ * @returns {Object} queryFilterIndex / filterItemGroups に渡すインデックス
+ */
+function createFilterIndex(records) {
+  const count = records.length;
+
+  // 転置インデックス: 値 → レコードID（キーワード検索用に小文字化した値も保持）
+  const terms = {};
+  for (const field of FILTER_INDEX_TERM_FIELDS) {
+    const map = new Map();
+    for (let i = 0; i < count; i++) {
+      const value = records[i][field];
+      let ids = map.get(value);
+      if (!ids) {
+        ids = [];
+        map.set(value, ids);
+      }
+      ids.push(i);
+    }
+    terms[field] = Array.from(map, ([value, ids]) => ({
+      value,
+      lower: String(value).toLowerCase(),
+      ids: Uint32Array.from(ids),
+    }));
+  }
+
+  // ソート済み配列: 値の昇順に並べたレコードIDと値
+  const sorted = {};
+  for (const { field } of FILTER_INDEX_RANGE_FIELDS) {
+    const ids = Array.from({ length: count }, (_, i) => i);
+    ids.sort((a, b) => {
+      const va = records[a][field];
+      const vb = records[b][field];
+      return va < vb ? -1 : va > vb ? 1 : 0;
+    });
+    sorted[field] = {
+      ids: Uint32Array.from(ids),
+      values: ids.map((id) => records[id][field]),
+    };
+  }
+
+  // 単価レンジは表示モードの単価（名目 / 指数調整後）で集計
+  const prices = new Float64Array(count);
+  const autoExcluded = new Uint8Array(count);
+  for (let i = 0; i < count; i++) {
+    prices[i] = records[i].displayPrice;
+    autoExcluded[i] = records[i].anomalyLevel === "A" ? 1 : 0;
+  }
+
+  return {
+    count,
+    terms,
+    sorted,
+    prices,
+    autoExcluded,
+    groups: buildItemGroupIndices(records),
+  };
+}
+
+// =============================================================================
+// 検索
+// =============================================================================
+
+/**
+ * 範囲条件が指定されているか（未入力の数値欄は null または ""）
+ * @private
+ */
+function hasBound(value) {
+  return value !== null && value !== undefined && value !== "";
+}
+
+/**
+ * 転置インデックスの条件をビットセット化
+ * @private
+ */
+function termBitset(index, field, matches) {
+  const bitset = createBitset(index.count);
+  for (const term of index.terms[field]) {
+    if (matches(term)) setBits(bitset, term.ids);
+  }
+  return bitset;
+}
+
+/**
+ * 検索条件に一致するレコードのビットセットを取得
+ * @param {Object} index - createFilterIndex の戻り値
+ * @param {Object} criteria - app.js の buildFilterCriteria() で生成した条件
+ * @returns {Uint32Array|null} 一致レコードのビットセット（条件なしは null）
+ */
+function queryFilterIndex(index, criteria) {
+  const { projectKw, regions, majorCodes, vendor, ranges } = criteria;
+  let bits = null;
+
+  if (regions.length) {
+    const selected = new Set(regions);
+    bits = andBitset(
+      bits,
+      termBitset(index, "region", (t) => selected.has(t.value))
+    );
+  }
+  if (majorCodes.length) {
+    const selected = new Set(majorCodes);
+    bits = andBitset(
+      bits,
+      termBitset(index, "majorCode", (t) => selected.has(t.value))
+    );
+  }
+  if (vendor) {
+    bits = andBitset(
+      bits,
+      termBitset(index, "vendor", (t) => t.lower.includes(vendor))
+    );
+  }
+  if (projectKw) {
+    bits = andBitset(
+      bits,
+      termBitset(index, "projectName", (t) => t.lower.includes(projectKw))
+    );
+  }
+
+  // 範囲条件: 発注日は YYYYMMDD 文字列、その他は数値
+  const bounds = {
+    ...ranges,
+    dateFrom: criteria.dateFrom,
+    dateTo: criteria.dateTo,
+  };
+  for (const { field, min, max } of FILTER_INDEX_RANGE_FIELDS) {
+    const minValue = bounds[min];
+    const maxValue = bounds[max];
+    const hasMin = hasBound(minValue);
+    const hasMax = hasBound(maxValue);
+    if (!hasMin && !hasMax) continue;
+
+    const { ids, values } = index.sorted[field];
+    const start = hasMin ? lowerBound(values, minValue) : 0;
+    const end = hasMax ? upperBound(values, maxValue) : values.length;
+    const bitset = createBitset(index.count);
+    if (start < end) setBits(bitset, ids, start, end);
+    bits = andBitset(bits, bitset);
+  }
+
+  return bits;
+}
+
+/**
+ * 検索条件で品目グループを絞り込み、単価レンジを集計
+ * @param {Object} index - createFilterIndex の戻り値
+ * @param {Object} criteria - app.js の buildFilterCriteria() で生成した条件
+ * @param {Object} options - 統計オプション
+ * @param {boolean} options.includeAutoExcluded - カテゴリA（即座除外）を単価レンジに含めるか
+ * @returns {Array<Object>} 件数降順のグループ
+ *   { item, recordIndices: Uint32Array, minPrice, maxPrice }
+ */
+function filterItemGroups(index, criteria, options = {}) {
+  const includeAll = !!options.includeAutoExcluded;
+  const itemKw = criteria.itemKw;
+  const bits = queryFilterIndex(index, criteria);
+  const { prices, autoExcluded } = index;
+  const result = [];
+
+  for (const g of index.groups) {
+    // Check item keyword filter
+    if (
+      itemKw &&
+      !g.item.toLowerCase().includes(itemKw) &&
+      !g.spec.toLowerCase().includes(itemKw)
+    ) {
+      continue;
+    }
+
+    // Inline stats computation: avoid intermediate array allocation
+    let min = Infinity;
+    let max = -Infinity;
+    const matching = new Uint32Array(g.indices.length);
+    let count = 0;
+
+    for (let i = 0; i < g.indices.length; i++) {
+      const id = g.indices[i];
+      if (bits && !hasBit(bits, id)) continue;
+      matching[count++] = id;
+      // Category A (auto-exclude) records stay listed but skip price stats
+      if (!includeAll && autoExcluded[id]) continue;
+      if (prices[id] < min) min = prices[id];
+      if (prices[id] > max) max = prices[id];
+    }
+
+    if (count === 0) {
+      continue;
+    }
+
+    result.push({
+      item: g.item,
+      recordIndices: matching.slice(0, count),
+      minPrice: min === Infinity ? 0 : min,
+      maxPrice: max === -Infinity ? 0 : max,
+    });
+  }
+
+  // Sort by record count (descending)
+  result.sort((a, b) => b.recordIndices.length - a.recordIndices.length);
+
+  return result;
+}
@@ -4,9 +4,11 @@
  * =============================================================================
  *
  * Gemini Vision APIとの連携機能を提供するモジュール
- * - APIキー管理（メモリ保存）
- * - Vision API呼び出し
- * - API設定モーダルコンポーネント
+ * - Vision API呼び出し（一括 / ストリーミング、JSON スキーマ指定の構造化出力）
+ * - モデル一覧の取得
+ * - LLMプロバイダーとして登録（llm-providers.js）
+ *
+ * 依存: llm-providers.js (registerLlmProvider, fetchLlm)
  *
  * =============================================================================
  */
@@ -19,86 +21,11 @@
  * Gemini API endpoint configuration
  */
 const GEMINI_API_CONFIG = {
-  model: "gemini-3-flash-preview",
+  defaultModel: "gemini-3-flash-preview",
   baseUrl: "https://generativelanguage.googleapis.com/v1beta/models",
   storageKey: "gemini_api_key",
 };
 
-// =============================================================================
-// API Key Management (Session Storage)
-// =============================================================================
-
-/**
- * Get the stored Gemini API key from sessionStorage
- * @returns {string|null} The API key or null if not set
- */
-function getGeminiApiKey() {
-  try {
-    return sessionStorage.getItem(GEMINI_API_CONFIG.storageKey);
-  } catch (e) {
-    console.warn("sessionStorage not available:", e);
-    return null;
-  }
-}
-
-/**
- * Set the Gemini API key to sessionStorage
- * @param {string|null} key - The API key to store
- */
-function setGeminiApiKey(key) {
-  try {
-    if (key) {
-      sessionStorage.setItem(GEMINI_API_CONFIG.storageKey, key);
-    } else {
-      sessionStorage.removeItem(GEMINI_API_CONFIG.storageKey);
-    }
-  } catch (e) {
-    console.warn("sessionStorage not available:", e);
-  }
-}
-
-// =============================================================================
-// Alpine.js Component for API Settings Modal
-// =============================================================================
-
-/**
- * Alpine.js component for API settings modal
- * @returns {Object} Alpine.js component
- */
-function apiSettingsData() {
-  return {
-    apiKeyInput: getGeminiApiKey() || "",
-    showPassword: false,
-
-    get isApiKeySet() {
-      return !!getGeminiApiKey();
-    },
-
-    togglePasswordVisibility() {
-      this.showPassword = !this.showPassword;
-      const input = document.getElementById("geminiApiKey");
-      if (input) {
-        input.type = this.showPassword ? "text" : "password";
-      }
-    },
-
-    saveApiKey() {
-      if (this.apiKeyInput) {
-        setGeminiApiKey(this.apiKeyInput);
-        const modal = bootstrap.Modal.getInstance(
-          document.getElementById("apiSettingsModal")
-        );
-        if (modal) modal.hide();
-      }
-    },
-
-    clearApiKey() {
-      setGeminiApiKey(null);
-      this.apiKeyInput = "";
-    },
-  };
-}
-
 // =============================================================================
 // Gemini Vision API
 // =============================================================================
@@ -107,10 +34,11 @@ function apiSettingsData() {
  * Build API request body for Gemini Vision API
  * @param {string} prompt - Text prompt
  * @param {Array<string>} base64Images - Array of base64 encoded images
+ * @param {Object} [responseSchema] - JSON schema of the response
  * @returns {Object} Request body
  */
-function buildVisionRequestBody(prompt, base64Images) {
-  return {
+function buildVisionRequestBody(prompt, base64Images, responseSchema) {
+  const body = {
     contents: [
       {
         parts: [
@@ -125,41 +53,145 @@ function buildVisionRequestBody(prompt, base64Images) {
       },
     ],
   };
+  if (responseSchema) {
+    body.generationConfig = {
+      responseMimeType: "application/json",
+      responseJsonSchema: responseSchema,
+    };
+  }
+  return body;
+}
+
+/**
+ * Extract text from a generateContent response (or one streamed chunk)
+ * @param {Object} data - Response JSON
+ * @returns {string} Concatenated text parts
+ */
+function extractGeminiText(data) {
+  const parts = data.candidates?.[0]?.content?.parts || [];
+  return parts.map((part) => part.text || "").join("");
 }
 
 /**
  * Call Gemini Vision API with images
  * @param {Array<string>} base64Images - Array of base64 encoded images
  * @param {string} prompt - The prompt to send to the API
- * @returns {Promise<string>} The API response text
- * @throws {Error} If API key is not set or API call fails
+ * @param {LlmSettings} settings - Model and API key
+ * @param {AbortSignal} [signal] - Abort signal
+ * @param {Object} [responseSchema] - JSON schema of the response
+ * @returns {Promise<string>} The API response text (empty if no candidates)
+ * @throws {Error} If the API call fails (see createLlmError)
  */
-async function callGeminiVisionApi(base64Images, prompt) {
-  const apiKey = getGeminiApiKey();
-  if (!apiKey) {
-    throw new Error(
-      "APIキーが設定されていません。右上の「API設定」から設定してください。"
-    );
-  }
+async function callGeminiVisionApi(
+  base64Images,
+  prompt,
+  settings,
+  signal,
+  responseSchema
+) {
+  const url = `${GEMINI_API_CONFIG.baseUrl}/${settings.model}:generateContent?key=${settings.apiKey}`;
+  const body = buildVisionRequestBody(prompt, base64Images, responseSchema);
+
+  const response = await fetchLlm(GEMINI_PROVIDER, url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal,
+  });
 
-  const url = `${GEMINI_API_CONFIG.baseUrl}/${GEMINI_API_CONFIG.model}:generateContent?key=${apiKey}`;
-  const body = buildVisionRequestBody(prompt, base64Images);
+  return extractGeminiText(await response.json());
+}
 
-  const response = await fetch(url, {
+/**
+ * Call Gemini Vision API with streaming (streamGenerateContent, SSE)
+ * @param {Array<string>} base64Images - Array of base64 encoded images
+ * @param {string} prompt - The prompt to send to the API
+ * @param {LlmSettings} settings - Model and API key
+ * @param {LlmCallOptions} options - { signal, onText }
+ * @param {Object} [responseSchema] - JSON schema of the response
+ * @returns {Promise<string>} The full response text
+ * @throws {Error} If the API call fails (see createLlmError)
+ */
+async function streamGeminiVisionApi(
+  base64Images,
+  prompt,
+  settings,
+  { signal, onText },
+  responseSchema
+) {
+  const url = `${GEMINI_API_CONFIG.baseUrl}/${settings.model}:streamGenerateContent?alt=sse&key=${settings.apiKey}`;
+  const body = buildVisionRequestBody(prompt, base64Images, responseSchema);
+
+  const response = await fetchLlm(GEMINI_PROVIDER, url, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify(body),
+    signal,
   });
 
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    throw new Error(
-      errorData.error?.message || `API Error: ${response.status}`
+  let text = "";
+  await readLlmEventStream(response, (data) => {
+    const chunk = JSON.parse(data);
+    if (chunk.error) {
+      throw createLlmError(
+        LLM_ERROR_CODES.HTTP,
+        chunk.error.message || "ストリーミング中にエラーが発生しました",
+        { provider: GEMINI_PROVIDER.id }
+      );
+    }
+    const delta = extractGeminiText(chunk);
+    if (delta) {
+      text += delta;
+      onText(text);
+    }
+  });
+  return text;
+}
+
+/**
+ * List Gemini models that support generateContent
+ * @param {LlmSettings} settings - API key
+ * @returns {Promise<Array<string>>} Model names without the "models/" prefix
+ */
+async function listGeminiModels(settings) {
+  if (!settings.apiKey) {
+    throw createLlmError(
+      LLM_ERROR_CODES.CONFIG,
+      "モデル一覧の取得にはAPIキーが必要です。"
     );
   }
 
-  const data = await response.json();
-  return (
-    data.candidates?.[0]?.content?.parts?.[0]?.text || "レスポンスが空です"
+  const response = await fetchLlm(
+    GEMINI_PROVIDER,
+    `${GEMINI_API_CONFIG.baseUrl}?key=${settings.apiKey}&pageSize=1000`,
+    { method: "GET" }
   );
+  const data = await response.json();
+  return (data.models || [])
+    .filter((model) =>
+      model.supportedGenerationMethods?.includes("generateContent")
+    )
+    .map((model) => model.name.replace(/^models\//, ""));
 }
+
+// =============================================================================
+// Provider Registration
+// =============================================================================
+
+/** @type {LlmProvider} */
+const GEMINI_PROVIDER = {
+  id: "gemini",
+  label: "Google Gemini",
+  defaultModel: GEMINI_API_CONFIG.defaultModel,
+  requiresApiKey: true,
+  apiKeyUrl: "https://aistudio.google.com/app/apikey",
+  apiKeyStorageKey: GEMINI_API_CONFIG.storageKey,
+  destination: "Google (generativelanguage.googleapis.com)",
+  listModels: listGeminiModels,
+  generate: ({ prompt, images, responseSchema }, settings, { signal } = {}) =>
+    callGeminiVisionApi(images, prompt, settings, signal, responseSchema),
+  stream: ({ prompt, images, responseSchema }, settings, options) =>
+    streamGeminiVisionApi(images, prompt, settings, options, responseSchema),
+};
+
+registerLlmProvider(GEMINI_PROVIDER);
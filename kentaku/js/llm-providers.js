@@ -0,0 +1,691 @@
+/**
+ * =============================================================================
+ * LLM Provider Layer
+ * =============================================================================
+ *
+ * AIレポートの生成先（LLMプロバイダー）を切り替えるための共通インターフェース
+ * - プロバイダーの登録・取得（Gemini / OpenAI互換 / モック）
+ * - プロバイダー・モデル・接続先の設定管理
+ * - エラーの共通化（設定不備・認証・レート制限・通信エラー）
+ * - ストリーミング応答（SSE）の読み取り
+ * - API設定モーダルコンポーネント
+ *
+ * 各プロバイダーは gemini-api.js / openai-compatible-api.js で
+ * registerLlmProvider() により登録される。ai-report.js はプロバイダーを
+ * 意識せず generateLlmContent() を呼び出す。
+ *
+ * =============================================================================
+ */
+
+/**
+ * @typedef {Object} LlmRequest
+ * @property {string} prompt - テキストプロンプト
+ * @property {Array<string>} images - base64 PNG 画像（data URL 可）
+ * @property {Object} [responseSchema] - 応答の JSON スキーマ（指定時は JSON で応答させる）
+ */
+
+/**
+ * @typedef {Object} LlmSettings
+ * @property {string} model - モデル名
+ * @property {string} baseUrl - 接続先 URL（OpenAI互換のみ）
+ * @property {string|null} apiKey - APIキー
+ */
+
+/**
+ * @typedef {Object} LlmProvider
+ * @property {string} id - プロバイダーID
+ * @property {string} label - 表示名
+ * @property {string} defaultModel - 既定のモデル
+ * @property {string} [defaultBaseUrl] - 既定の接続先（指定可能なプロバイダーのみ）
+ * @property {boolean} requiresApiKey - APIキーが必須か
+ * @property {string|null} apiKeyUrl - APIキーの取得ページ
+ * @property {string} [apiKeyStorageKey] - APIキーの保存キー（省略時は llm_api_key_<id>）
+ * @property {string|null} destination - データ送信先の説明（外部送信しない場合 null）
+ * @property {function(LlmSettings): Promise<string[]>} listModels - 利用可能なモデル一覧
+ * @property {function(LlmRequest, LlmSettings, LlmCallOptions): Promise<string>} generate - テキスト生成
+ * @property {function(LlmRequest, LlmSettings, LlmCallOptions): Promise<string>} [stream]
+ *   - ストリーミング生成（受信のたびに onText を呼び、最後に全文を返す）
+ */
+
+/**
+ * @typedef {Object} LlmCallOptions
+ * @property {AbortSignal} [signal] - 中断用シグナル
+ * @property {function(string): void} [onText] - 受信済みの全文を受け取るコールバック（stream のみ）
+ */
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+const LLM_CONFIG = {
+  /** 選択肢の表示順 */
+  providerOrder: ["gemini", "openai", "mock"],
+  defaultProvider: "gemini",
+  /** プロバイダー・モデル・接続先（APIキー以外）の保存先 */
+  settingsStorageKey: "kentaku_llm_settings",
+};
+
+/** エラー種別 */
+const LLM_ERROR_CODES = {
+  CONFIG: "config",
+  AUTH: "auth",
+  RATE_LIMIT: "rate_limit",
+  NETWORK: "network",
+  HTTP: "http",
+  EMPTY: "empty",
+};
+
+/** @type {Object<string, LlmProvider>} */
+const LLM_PROVIDERS = {};
+
+// =============================================================================
+// Provider Registry
+// =============================================================================
+
+/**
+ * プロバイダーを登録
+ * @param {LlmProvider} provider - 登録するプロバイダー
+ */
+function registerLlmProvider(provider) {
+  LLM_PROVIDERS[provider.id] = provider;
+}
+
+/**
+ * 登録済みプロバイダーを表示順で取得
+ * @returns {Array<LlmProvider>}
+ */
+function getLlmProviders() {
+  const ordered = LLM_CONFIG.providerOrder.filter((id) => LLM_PROVIDERS[id]);
+  const others = Object.keys(LLM_PROVIDERS).filter(
+    (id) => !ordered.includes(id)
+  );
+  return [...ordered, ...others].map((id) => LLM_PROVIDERS[id]);
+}
+
+// =============================================================================
+// Errors
+// =============================================================================
+
+/**
+ * プロバイダー共通のエラーを生成
+ * @param {string} code - LLM_ERROR_CODES の値
+ * @param {string} message - 表示用メッセージ
+ * @param {Object} [details] - { status, provider }
+ * @returns {Error} code / status / provider を持つ Error
+ */
+function createLlmError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = details.status ?? null;
+  error.provider = details.provider ?? null;
+  return error;
+}
+
+/**
+ * HTTPエラー応答を共通エラーに変換
+ * Note: Gemini / OpenAI は { error: { message } }、Ollama は { error: "..." }
+ * @param {Response} response - fetch の応答
+ * @param {LlmProvider} provider - 呼び出し元プロバイダー
+ * @returns {Promise<Error>}
+ */
+async function createLlmErrorFromResponse(response, provider) {
+  const data = await response.json().catch(() => ({}));
+  const detail =
+    typeof data.error === "string" ? data.error : data.error?.message;
+  const status = response.status;
+  const details = { status, provider: provider.id };
+
+  if (status === 401 || status === 403) {
+    return createLlmError(
+      LLM_ERROR_CODES.AUTH,
+      `${provider.label}: 認証に失敗しました。APIキーを確認してください。${
+        detail ? `（${detail}）` : ""
+      }`,
+      details
+    );
+  }
+  if (status === 429) {
+    return createLlmError(
+      LLM_ERROR_CODES.RATE_LIMIT,
+      `${provider.label}: リクエストが多すぎます。しばらく待ってから再度お試しください。`,
+      details
+    );
+  }
+  return createLlmError(
+    LLM_ERROR_CODES.HTTP,
+    detail || `${provider.label}: API Error: ${status}`,
+    details
+  );
+}
+
+/**
+ * fetch を実行し、通信エラー・HTTPエラーを共通エラーに変換
+ * @param {LlmProvider} provider - 呼び出し元プロバイダー
+ * @param {string} url - リクエストURL
+ * @param {RequestInit} init - fetch オプション
+ * @returns {Promise<Response>} 成功した応答
+ * @throws {Error} createLlmError で生成したエラー
+ */
+async function fetchLlm(provider, url, init) {
+  let response;
+  try {
+    response = await fetch(url, init);
+  } catch (error) {
+    // 中断はそのまま呼び出し元へ
+    if (error.name === "AbortError") throw error;
+    throw createLlmError(
+      LLM_ERROR_CODES.NETWORK,
+      `${provider.label}: 接続できませんでした（${
+        new URL(url).origin
+      }）。接続先とCORS設定を確認してください。`,
+      { provider: provider.id }
+    );
+  }
+  if (!response.ok) {
+    throw await createLlmErrorFromResponse(response, provider);
+  }
+  return response;
+}
+
+// =============================================================================
+// Server-Sent Events
+// =============================================================================
+
+/**
+ * SSE 形式の応答を読み取り、イベントごとに data を渡す
+ * Note: 複数行の data はイベント単位で改行連結する（SSE 仕様）
+ * @param {Response} response - fetch の応答（text/event-stream）
+ * @param {function(string): void} onData - イベントの data 文字列を受け取る
+ * @returns {Promise<void>} ストリーム終端で解決
+ */
+async function readLlmEventStream(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder("utf-8");
+  let buffer = "";
+  let dataLines = [];
+
+  const dispatch = () => {
+    if (dataLines.length > 0) onData(dataLines.join("\n"));
+    dataLines = [];
+  };
+  const handleLine = (line) => {
+    if (line === "") {
+      dispatch();
+    } else if (line.startsWith("data:")) {
+      dataLines.push(line.slice(5).replace(/^ /, ""));
+    }
+    // event: / id: / retry: / コメント行は使用しない
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+    const lines = buffer.split(/\r\n|\r|\n/);
+    // 最終行は途中の可能性があるため次のチャンクへ持ち越す
+    buffer = done ? "" : lines.pop();
+    lines.forEach(handleLine);
+    if (done) break;
+  }
+  dispatch();
+}
+
+/**
+ * 中断可能な待機
+ * @param {number} ms - 待機時間
+ * @param {AbortSignal} [signal] - 中断用シグナル
+ * @returns {Promise<void>}
+ */
+function waitLlm(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("Aborted", "AbortError"));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(new DOMException("Aborted", "AbortError"));
+      },
+      { once: true }
+    );
+  });
+}
+
+// =============================================================================
+// Settings (localStorage / sessionStorage)
+// =============================================================================
+
+/**
+ * 保存された設定を読み込む
+ * @private
+ * @returns {{provider: string, providers: Object<string, Object>}}
+ */
+function readLlmSettingsStore() {
+  try {
+    const json = localStorage.getItem(LLM_CONFIG.settingsStorageKey);
+    const stored = json ? JSON.parse(json) : {};
+    return {
+      provider: stored.provider || LLM_CONFIG.defaultProvider,
+      providers: stored.providers || {},
+    };
+  } catch (e) {
+    console.warn("localStorage not available:", e);
+    return { provider: LLM_CONFIG.defaultProvider, providers: {} };
+  }
+}
+
+/**
+ * APIキーの保存キー
+ * @private
+ */
+function getLlmApiKeyStorageKey(providerId) {
+  return (
+    LLM_PROVIDERS[providerId]?.apiKeyStorageKey || `llm_api_key_${providerId}`
+  );
+}
+
+/**
+ * プロバイダーのAPIキーを取得（sessionStorage）
+ * @param {string} providerId - プロバイダーID
+ * @returns {string|null}
+ */
+function getLlmApiKey(providerId) {
+  try {
+    return sessionStorage.getItem(getLlmApiKeyStorageKey(providerId));
+  } catch (e) {
+    console.warn("sessionStorage not available:", e);
+    return null;
+  }
+}
+
+/**
+ * プロバイダーのAPIキーを保存（null で削除）
+ * @param {string} providerId - プロバイダーID
+ * @param {string|null} key - APIキー
+ */
+function setLlmApiKey(providerId, key) {
+  try {
+    const storageKey = getLlmApiKeyStorageKey(providerId);
+    if (key) {
+      sessionStorage.setItem(storageKey, key);
+    } else {
+      sessionStorage.removeItem(storageKey);
+    }
+  } catch (e) {
+    console.warn("sessionStorage not available:", e);
+  }
+}
+
+/**
+ * 選択中のプロバイダーIDを取得（未登録の場合は既定値）
+ * @returns {string}
+ */
+function getActiveLlmProviderId() {
+  const { provider } = readLlmSettingsStore();
+  return LLM_PROVIDERS[provider] ? provider : LLM_CONFIG.defaultProvider;
+}
+
+/**
+ * プロバイダーの設定（モデル・接続先・APIキー）を取得
+ * @param {string} providerId - プロバイダーID
+ * @returns {LlmSettings}
+ */
+function getLlmSettings(providerId) {
+  const provider = LLM_PROVIDERS[providerId];
+  const stored = readLlmSettingsStore().providers[providerId] || {};
+  return {
+    model: stored.model || provider.defaultModel,
+    baseUrl: stored.baseUrl || provider.defaultBaseUrl || "",
+    apiKey: getLlmApiKey(providerId),
+  };
+}
+
+/**
+ * 選択中のプロバイダーとモデル（レポート履歴の記録用、APIキーは含まない）
+ * @returns {{provider: {id: string, label: string}, model: string}}
+ */
+function getActiveLlmModel() {
+  const providerId = getActiveLlmProviderId();
+  const provider = LLM_PROVIDERS[providerId];
+  return {
+    provider: { id: providerId, label: provider?.label || providerId },
+    model: provider ? getLlmSettings(providerId).model : "",
+  };
+}
+
+/**
+ * 選択プロバイダーとその設定を保存
+ * @param {string} providerId - プロバイダーID
+ * @param {{model: string, baseUrl: string}} settings - モデル・接続先
+ */
+function saveLlmSettings(providerId, { model, baseUrl }) {
+  const store = readLlmSettingsStore();
+  store.provider = providerId;
+  store.providers[providerId] = { model, baseUrl };
+  try {
+    localStorage.setItem(LLM_CONFIG.settingsStorageKey, JSON.stringify(store));
+  } catch (e) {
+    console.warn("localStorage not available:", e);
+  }
+}
+
+// =============================================================================
+// Generation
+// =============================================================================
+
+/**
+ * 選択中のプロバイダーの設定不備を取得
+ * @returns {string|null} エラーメッセージ（利用可能な場合 null）
+ */
+function getLlmConfigError() {
+  const provider = LLM_PROVIDERS[getActiveLlmProviderId()];
+  if (!provider) {
+    return "AIプロバイダーが読み込まれていません。";
+  }
+  const settings = getLlmSettings(provider.id);
+  if (provider.requiresApiKey && !settings.apiKey) {
+    return "APIキーが設定されていません。右上の「API設定」から設定してください。";
+  }
+  if (provider.defaultBaseUrl !== undefined && !settings.baseUrl) {
+    return "接続先URLが設定されていません。右上の「API設定」から設定してください。";
+  }
+  return null;
+}
+
+/**
+ * 選択中のプロバイダーを設定込みで取得
+ * @private
+ * @throws {Error} 設定不備の場合
+ */
+function resolveLlmProvider() {
+  const configError = getLlmConfigError();
+  if (configError) {
+    throw createLlmError(LLM_ERROR_CODES.CONFIG, configError);
+  }
+  const providerId = getActiveLlmProviderId();
+  return {
+    provider: LLM_PROVIDERS[providerId],
+    settings: getLlmSettings(providerId),
+  };
+}
+
+/**
+ * 空の応答をエラーにする
+ * @private
+ */
+function ensureLlmText(text, provider) {
+  if (!text) {
+    throw createLlmError(LLM_ERROR_CODES.EMPTY, "レスポンスが空です", {
+      provider: provider.id,
+    });
+  }
+  return text;
+}
+
+/**
+ * 選択中のプロバイダーでテキストを生成
+ * @param {LlmRequest} request - プロンプトと画像
+ * @param {LlmCallOptions} [options] - { signal }
+ * @returns {Promise<string>} 生成テキスト
+ * @throws {Error} createLlmError で生成したエラー（中断時は AbortError）
+ */
+async function generateLlmContent(request, options = {}) {
+  const { provider, settings } = resolveLlmProvider();
+  const text = await provider.generate(request, settings, options);
+  return ensureLlmText(text, provider);
+}
+
+/**
+ * 選択中のプロバイダーでテキストをストリーミング生成
+ * Note: stream 非対応のプロバイダーは generate の結果を一度に通知する
+ * @param {LlmRequest} request - プロンプトと画像
+ * @param {LlmCallOptions} options - { signal, onText }
+ * @returns {Promise<string>} 生成テキスト（全文）
+ * @throws {Error} createLlmError で生成したエラー（中断時は AbortError）。
+ *   途中で失敗した場合も、それまでの受信分は onText で通知済み
+ */
+async function streamLlmContent(request, options) {
+  const { provider, settings } = resolveLlmProvider();
+  if (!provider.stream) {
+    const text = await provider.generate(request, settings, options);
+    if (text) options.onText(text);
+    return ensureLlmText(text, provider);
+  }
+  const text = await provider.stream(request, settings, options);
+  return ensureLlmText(text, provider);
+}
+
+// =============================================================================
+// Mock Provider (offline testing)
+// =============================================================================
+
+/** モック応答までの待機時間 (ms) - 生成中表示の確認用 */
+const MOCK_LLM_DELAY_MS = 300;
+
+/** ストリーミング時のチャンク長（文字数）と間隔 (ms) */
+const MOCK_LLM_CHUNK_LENGTH = 24;
+const MOCK_LLM_CHUNK_DELAY_MS = 40;
+
+/**
+ * 文字列のハッシュ（FNV-1a 32bit）
+ * @private
+ */
+function hashLlmPrompt(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * モックの応答本文を生成（同じ入力には同じ内容）
+ * @private
+ */
+function buildMockLlmReport({ prompt, images }) {
+  const item =
+    prompt
+      .split("\n")
+      .find((line) => line.startsWith("| 品目名 |"))
+      ?.split("|")[2]
+      ?.trim() || "不明";
+
+  return `⚠️注意：AIによる分析のため、不正確な情報を表示することがあります。
+
+### 📋 基本情報
+
+| 項目 | 内容 |
+|------|------|
+| 品目名 | ${item} |
+| プロバイダー | モック |
+| 入力 | プロンプト ${prompt.length}文字 / 画像 ${images.length}枚 |
+| 入力ハッシュ | ${hashLlmPrompt(prompt)} |
+
+### 📊 チャート分析サマリー
+
+> これはモックプロバイダーによる固定の応答です。同じ入力には常に同じ内容を返します。
+`;
+}
+
+/**
+ * JSON スキーマに沿ったモックの応答を生成（同じ入力には同じ内容）
+ * Note: 数値はプロンプトの中央値（なければ 1,000）から出現順に 5% ずつ増やす
+ *       （範囲の下限 ≤ 上限となるように）
+ * @private
+ */
+function buildMockLlmJson({ prompt, responseSchema }) {
+  const median = prompt.match(/中央値[^¥\n]*¥([\d,]+)/)?.[1];
+  const base = median ? Number(median.replace(/,/g, "")) : 1000;
+  const hash = hashLlmPrompt(prompt);
+  let numberCount = 0;
+
+  const build = (schema, name) => {
+    if (schema.type === "object") {
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, child]) => [
+          key,
+          build(child, key),
+        ])
+      );
+    }
+    if (schema.type === "array") {
+      const length = Math.max(schema.minItems || 0, 2);
+      return Array.from({ length }, () => build(schema.items, name));
+    }
+    if (schema.type === "number" || schema.type === "integer") {
+      return Math.round(base * (0.95 + 0.05 * numberCount++));
+    }
+    if (schema.type === "boolean") return false;
+    return `［モック ${hash}］${schema.description || name}`;
+  };
+  return JSON.stringify(build(responseSchema, "value"), null, 2);
+}
+
+/**
+ * モックの応答を生成（JSON スキーマ指定時は JSON、それ以外は Markdown）
+ * @private
+ */
+function buildMockLlmResponse(request) {
+  return request.responseSchema
+    ? buildMockLlmJson(request)
+    : buildMockLlmReport(request);
+}
+
+/**
+ * 同じ入力に対して常に同じ Markdown（JSON スキーマ指定時は JSON）を返すプロバイダー
+ * Note: 外部送信なし。UI・PDF出力・後処理の動作確認に使用する
+ * @type {LlmProvider}
+ */
+const MOCK_LLM_PROVIDER = {
+  id: "mock",
+  label: "モック（オフライン）",
+  defaultModel: "mock-deterministic",
+  requiresApiKey: false,
+  apiKeyUrl: null,
+  destination: null,
+
+  async listModels() {
+    return ["mock-deterministic"];
+  },
+
+  async generate(request, settings, { signal } = {}) {
+    await waitLlm(MOCK_LLM_DELAY_MS, signal);
+    return buildMockLlmResponse(request);
+  },
+
+  async stream(request, settings, { signal, onText }) {
+    const report = buildMockLlmResponse(request);
+    let text = "";
+    for (let i = 0; i < report.length; i += MOCK_LLM_CHUNK_LENGTH) {
+      await waitLlm(MOCK_LLM_CHUNK_DELAY_MS, signal);
+      text += report.slice(i, i + MOCK_LLM_CHUNK_LENGTH);
+      onText(text);
+    }
+    return text;
+  },
+};
+
+registerLlmProvider(MOCK_LLM_PROVIDER);
+
+// =============================================================================
+// Alpine.js Component for API Settings Modal
+// =============================================================================
+
+/**
+ * Alpine.js component for API settings modal
+ * @returns {Object} Alpine.js component
+ */
+function apiSettingsData() {
+  const providerId = getActiveLlmProviderId();
+  const settings = getLlmSettings(providerId);
+
+  return {
+    providers: getLlmProviders(),
+    providerId,
+    modelInput: settings.model,
+    baseUrlInput: settings.baseUrl,
+    apiKeyInput: settings.apiKey || "",
+    showPassword: false,
+    isApiKeySet: !!settings.apiKey,
+
+    // モデル一覧の取得状態
+    models: [],
+    modelsLoading: false,
+    modelsError: null,
+
+    get provider() {
+      return LLM_PROVIDERS[this.providerId];
+    },
+
+    get usesBaseUrl() {
+      return this.provider.defaultBaseUrl !== undefined;
+    },
+
+    /**
+     * プロバイダーを切り替え、保存済みの設定を読み込む
+     */
+    selectProvider() {
+      const next = getLlmSettings(this.providerId);
+      this.modelInput = next.model;
+      this.baseUrlInput = next.baseUrl;
+      this.apiKeyInput = next.apiKey || "";
+      this.isApiKeySet = !!next.apiKey;
+      this.models = [];
+      this.modelsError = null;
+    },
+
+    togglePasswordVisibility() {
+      this.showPassword = !this.showPassword;
+      const input = document.getElementById("geminiApiKey");
+      if (input) {
+        input.type = this.showPassword ? "text" : "password";
+      }
+    },
+
+    /**
+     * 入力中の設定でモデル一覧を取得
+     */
+    async loadModels() {
+      this.modelsLoading = true;
+      this.modelsError = null;
+      try {
+        this.models = await this.provider.listModels({
+          model: this.modelInput,
+          baseUrl: this.baseUrlInput.trim(),
+          apiKey: this.apiKeyInput || null,
+        });
+        if (this.models.length > 0 && !this.models.includes(this.modelInput)) {
+          this.modelInput = this.models[0];
+        }
+      } catch (error) {
+        console.error("Model listing failed:", error);
+        this.modelsError = error.message;
+      } finally {
+        this.modelsLoading = false;
+      }
+    },
+
+    saveApiKey() {
+      if (this.provider.requiresApiKey && !this.apiKeyInput) return;
+      saveLlmSettings(this.providerId, {
+        model: this.modelInput.trim() || this.provider.defaultModel,
+        baseUrl: this.baseUrlInput.trim(),
+      });
+      setLlmApiKey(this.providerId, this.apiKeyInput || null);
+      this.isApiKeySet = !!this.apiKeyInput;
+      const modal = bootstrap.Modal.getInstance(
+        document.getElementById("apiSettingsModal")
+      );
+      if (modal) modal.hide();
+    },
+
+    clearApiKey() {
+      setLlmApiKey(this.providerId, null);
+      this.apiKeyInput = "";
+      this.isApiKeySet = false;
+    },
+  };
+}
@@ -164,6 +164,12 @@ function customizeRenderer(mdInstance) {
 
   // Horizontal rule
   rules.hr = () => `<hr class="${MARKDOWN_STYLES.hr}">`;
+
+  // Text (optional per-render hook, e.g. fact-check highlighting)
+  rules.text = (tokens, idx, options, env) => {
+    const content = tokens[idx].content;
+    return env?.renderText ? env.renderText(content) : escapeHtml(content);
+  };
 }
 
 // =============================================================================
@@ -244,15 +250,20 @@ function renderMarkdownSimple(markdown) {
  * Convert Markdown text to HTML with Bootstrap styling
  * Uses markdown-it if available, falls back to simple renderer
  * @param {string} markdown - Markdown text
+ * @param {Object} [options] - Render options
+ * @param {Function} [options.renderText] - (text) => escaped HTML for text nodes
+ *   (markdown-it only; ignored by the fallback renderer)
  * @returns {string} HTML string
  */
-function renderMarkdown(markdown) {
+function renderMarkdown(markdown, options = {}) {
   if (!markdown) return "";
 
   const mdInstance = initMarkdownIt();
 
   if (mdInstance) {
-    const html = mdInstance.render(markdown);
+    const html = mdInstance.render(markdown, {
+      renderText: options.renderText,
+    });
     return `<div class="ai-report-content">${html}</div>`;
   }
 
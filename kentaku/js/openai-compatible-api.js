@@ -0,0 +1,234 @@
+/**
+ * =============================================================================
+ * OpenAI-Compatible API Integration Module
+ * =============================================================================
+ *
+ * OpenAI互換の Chat Completions API との連携機能を提供するモジュール
+ * - 接続先URLを指定可能（Ollama / vLLM / LM Studio 等のローカル実行環境）
+ * - テキスト + 画像（image_url の data URL）によるレポート生成（一括 / ストリーミング）
+ * - JSON スキーマ指定の構造化出力（response_format: json_schema）
+ * - モデル一覧の取得（GET /models）
+ * - LLMプロバイダーとして登録（llm-providers.js）
+ *
+ * Note: ブラウザから直接呼び出すため、接続先でCORSを許可する必要がある
+ *       （例: Ollama は OLLAMA_ORIGINS 環境変数）
+ *
+ * 依存: llm-providers.js (registerLlmProvider, fetchLlm)
+ *
+ * =============================================================================
+ */
+
+// =============================================================================
+// API Configuration
+// =============================================================================
+
+/**
+ * OpenAI-compatible endpoint configuration
+ */
+const OPENAI_COMPATIBLE_CONFIG = {
+  // Ollama の既定ポート（OpenAI互換エンドポイント）
+  defaultBaseUrl: "http://localhost:11434/v1",
+  defaultModel: "llama3.2-vision",
+};
+
+// =============================================================================
+// OpenAI-Compatible API
+// =============================================================================
+
+/**
+ * Build request headers (Authorization is optional for local endpoints)
+ * @param {string|null} apiKey - API key
+ * @returns {Object} Request headers
+ */
+function buildOpenAiHeaders(apiKey) {
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  return headers;
+}
+
+/**
+ * Normalize base URL (strip trailing slashes)
+ * @param {string} baseUrl - Base URL entered by the user
+ * @returns {string} Normalized base URL
+ */
+function normalizeOpenAiBaseUrl(baseUrl) {
+  return baseUrl.trim().replace(/\/+$/, "");
+}
+
+/**
+ * Build Chat Completions request body with images
+ * @param {string} prompt - Text prompt
+ * @param {Array<string>} base64Images - Array of base64 encoded images
+ * @param {string} model - Model name
+ * @param {Object} [responseSchema] - JSON schema of the response
+ *   (response_format: json_schema, strict)
+ * @returns {Object} Request body
+ */
+function buildChatCompletionBody(prompt, base64Images, model, responseSchema) {
+  const body = {
+    model,
+    messages: [
+      {
+        role: "user",
+        content: [
+          { type: "text", text: prompt },
+          ...base64Images.map((img) => ({
+            type: "image_url",
+            image_url: {
+              url: img.startsWith("data:")
+                ? img
+                : `data:image/png;base64,${img}`,
+            },
+          })),
+        ],
+      },
+    ],
+  };
+  if (responseSchema) {
+    body.response_format = {
+      type: "json_schema",
+      json_schema: { name: "report", schema: responseSchema, strict: true },
+    };
+  }
+  return body;
+}
+
+/**
+ * Call OpenAI-compatible Chat Completions API
+ * @param {Array<string>} base64Images - Array of base64 encoded images
+ * @param {string} prompt - The prompt to send to the API
+ * @param {LlmSettings} settings - Model, base URL and optional API key
+ * @param {AbortSignal} [signal] - Abort signal
+ * @param {Object} [responseSchema] - JSON schema of the response
+ * @returns {Promise<string>} The response text (empty if no choices)
+ * @throws {Error} If the API call fails (see createLlmError)
+ */
+async function callOpenAiCompatibleApi(
+  base64Images,
+  prompt,
+  settings,
+  signal,
+  responseSchema
+) {
+  const url = `${normalizeOpenAiBaseUrl(settings.baseUrl)}/chat/completions`;
+  const response = await fetchLlm(OPENAI_COMPATIBLE_PROVIDER, url, {
+    method: "POST",
+    headers: buildOpenAiHeaders(settings.apiKey),
+    body: JSON.stringify(
+      buildChatCompletionBody(
+        prompt,
+        base64Images,
+        settings.model,
+        responseSchema
+      )
+    ),
+    signal,
+  });
+
+  const data = await response.json();
+  return data.choices?.[0]?.message?.content || "";
+}
+
+/**
+ * Call OpenAI-compatible Chat Completions API with streaming (SSE)
+ * @param {Array<string>} base64Images - Array of base64 encoded images
+ * @param {string} prompt - The prompt to send to the API
+ * @param {LlmSettings} settings - Model, base URL and optional API key
+ * @param {LlmCallOptions} options - { signal, onText }
+ * @param {Object} [responseSchema] - JSON schema of the response
+ * @returns {Promise<string>} The full response text
+ * @throws {Error} If the API call fails (see createLlmError)
+ */
+async function streamOpenAiCompatibleApi(
+  base64Images,
+  prompt,
+  settings,
+  { signal, onText },
+  responseSchema
+) {
+  const url = `${normalizeOpenAiBaseUrl(settings.baseUrl)}/chat/completions`;
+  const response = await fetchLlm(OPENAI_COMPATIBLE_PROVIDER, url, {
+    method: "POST",
+    headers: buildOpenAiHeaders(settings.apiKey),
+    body: JSON.stringify({
+      ...buildChatCompletionBody(
+        prompt,
+        base64Images,
+        settings.model,
+        responseSchema
+      ),
+      stream: true,
+    }),
+    signal,
+  });
+
+  let text = "";
+  await readLlmEventStream(response, (data) => {
+    // 終端マーカー
+    if (data === "[DONE]") return;
+    const chunk = JSON.parse(data);
+    if (chunk.error) {
+      throw createLlmError(
+        LLM_ERROR_CODES.HTTP,
+        chunk.error.message || String(chunk.error),
+        { provider: OPENAI_COMPATIBLE_PROVIDER.id }
+      );
+    }
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (delta) {
+      text += delta;
+      onText(text);
+    }
+  });
+  return text;
+}
+
+/**
+ * List models served by the endpoint
+ * @param {LlmSettings} settings - Base URL and optional API key
+ * @returns {Promise<Array<string>>} Model IDs
+ */
+async function listOpenAiCompatibleModels(settings) {
+  if (!settings.baseUrl) {
+    throw createLlmError(
+      LLM_ERROR_CODES.CONFIG,
+      "接続先URLを入力してください。"
+    );
+  }
+
+  const response = await fetchLlm(
+    OPENAI_COMPATIBLE_PROVIDER,
+    `${normalizeOpenAiBaseUrl(settings.baseUrl)}/models`,
+    { method: "GET", headers: buildOpenAiHeaders(settings.apiKey) }
+  );
+  const data = await response.json();
+  return (data.data || []).map((model) => model.id).sort();
+}
+
+// =============================================================================
+// Provider Registration
+// =============================================================================
+
+/** @type {LlmProvider} */
+const OPENAI_COMPATIBLE_PROVIDER = {
+  id: "openai",
+  label: "OpenAI互換（Ollama / vLLM 等）",
+  defaultModel: OPENAI_COMPATIBLE_CONFIG.defaultModel,
+  defaultBaseUrl: OPENAI_COMPATIBLE_CONFIG.defaultBaseUrl,
+  requiresApiKey: false,
+  apiKeyUrl: null,
+  destination: "設定した接続先URL",
+  listModels: listOpenAiCompatibleModels,
+  generate: ({ prompt, images, responseSchema }, settings, { signal } = {}) =>
+    callOpenAiCompatibleApi(images, prompt, settings, signal, responseSchema),
+  stream: ({ prompt, images, responseSchema }, settings, options) =>
+    streamOpenAiCompatibleApi(
+      images,
+      prompt,
+      settings,
+      options,
+      responseSchema
+    ),
+};
+
+registerLlmProvider(OPENAI_COMPATIBLE_PROVIDER);
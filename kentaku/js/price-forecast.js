@@ -0,0 +1,321 @@
+/**
+ * =============================================================================
+ * price-forecast.js - 単価の時系列予測
+ * =============================================================================
+ *
+ * 概要:
+ *   期間別（groupByTimeUnit）の単価系列から将来の単価を予測する
+ *   - モデル: 加法型 Holt-Winters（トレンド + 季節性）。季節周期の2倍に
+ *     満たない系列は Holt の線形トレンド法（季節性なし）
+ *   - 平滑化係数: 1期先予測の二乗誤差が最小になる組み合わせをグリッド探索
+ *   - 予測区間: 1期先予測の残差から h 期先の分散を近似（95%）
+ *   - バックテスト: 直近の期間を除いて学習し、除いた期間の実績と比較
+ *
+ *   発注のない期間は前後の期間から線形補間して等間隔の系列にする
+ *   （バックテストの誤差は発注のある期間のみで計算）
+ *
+ * 依存: なし
+ *
+ * 分類: ドメイン層 (Domain Layer)
+ *
+ * =============================================================================
+ */
+
+const FORECAST_CONFIG = {
+  // 予測する期間数（既定 / 下限 / 上限）
+  horizon: 6,
+  minHorizon: 3,
+  maxHorizon: 12,
+  // 予測に必要な期間数（補間後）
+  minPeriods: 6,
+  // 学習に使う期間数の上限（直近から）
+  maxPeriods: 520,
+  // 時間単位ごとの季節周期（0 = 季節性なし）
+  seasonLength: { yearly: 0, monthly: 12, weekly: 52, daily: 7 },
+  // 平滑化係数の探索候補
+  smoothingGrid: [0.05, 0.1, 0.2, 0.3, 0.5, 0.7, 0.9],
+  // 予測区間の z 値（95%）
+  intervalZ: 1.96,
+};
+
+/** 予測モデルの表示名 */
+const FORECAST_METHOD_LABELS = {
+  holtWinters: "Holt-Winters（トレンド + 季節性）",
+  holt: "Holt（トレンド）",
+};
+
+/**
+ * @typedef {Object} ForecastBacktest
+ * @property {number} periods - 検証した期間数（発注のある期間）
+ * @property {number} mape - 平均絶対パーセント誤差 (%)
+ * @property {number} mae - 平均絶対誤差（円）
+ */
+
+/**
+ * @typedef {Object} PriceForecast
+ * @property {string} method - FORECAST_METHOD_LABELS のキー
+ * @property {number} basePeriods - 学習に使った期間数（補間後）
+ * @property {Array<string>} labels - 予測する期間のキー
+ * @property {Array<number>} forecast - 予測値
+ * @property {Array<number>} lower - 予測区間の下限
+ * @property {Array<number>} upper - 予測区間の上限
+ * @property {ForecastBacktest|null} backtest - バックテストの誤差（期間不足の場合 null）
+ */
+
+// =============================================================================
+// Private Helpers
+// =============================================================================
+
+/**
+ * 次の期間のキーを取得（groupByTimeUnit のキー形式）
+ * @private
+ * @param {string} key - 期間のキー
+ * @param {string} timeUnit - 'yearly' | 'monthly' | 'weekly' | 'daily'
+ * @returns {string}
+ */
+function getNextPeriodKey(key, timeUnit) {
+  const pad = (value) => String(value).padStart(2, "0");
+  if (timeUnit === "yearly") return String(Number(key) + 1);
+  if (timeUnit === "monthly") {
+    const [year, month] = key.split("-").map(Number);
+    return month === 12 ? `${year + 1}-01` : `${year}-${pad(month + 1)}`;
+  }
+  // weekly: YYYY/MM/DD（週の月曜日）、daily: YYYY-MM-DD
+  const separator = timeUnit === "weekly" ? "/" : "-";
+  const [year, month, day] = key.split(separator).map(Number);
+  const date = new Date(year, month - 1, day + (timeUnit === "weekly" ? 7 : 1));
+  return [
+    date.getFullYear(),
+    pad(date.getMonth() + 1),
+    pad(date.getDate()),
+  ].join(separator);
+}
+
+/**
+ * 発注のない期間を線形補間して等間隔の系列にする
+ * @private
+ * @param {Array<string>} labels - 期間のキー（昇順）
+ * @param {Array<number>} values - 期間ごとの値
+ * @param {string} timeUnit - 時間単位
+ * @returns {{values: number[], observed: Array<number|null>}}
+ *   observed は発注のある期間の値（補間した期間は null）
+ */
+function fillPeriodGaps(labels, values, timeUnit) {
+  const valueByKey = new Map(labels.map((label, i) => [label, values[i]]));
+  const last = labels[labels.length - 1];
+  const observed = [];
+  for (let key = labels[0]; ; key = getNextPeriodKey(key, timeUnit)) {
+    observed.push(valueByKey.has(key) ? valueByKey.get(key) : null);
+    if (key >= last) break;
+  }
+
+  const filled = [...observed];
+  let prev = 0;
+  for (let i = 1; i < filled.length; i++) {
+    if (observed[i] === null) continue;
+    for (let j = prev + 1; j < i; j++) {
+      filled[j] =
+        observed[prev] +
+        ((observed[i] - observed[prev]) * (j - prev)) / (i - prev);
+    }
+    prev = i;
+  }
+  return { values: filled, observed };
+}
+
+/**
+ * 平均値
+ * @private
+ */
+function calcSeriesMean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * 加法型 Holt-Winters（seasonLength = 0 の場合は Holt）で系列を平滑化
+ * @private
+ * @param {number[]} values - 等間隔の系列
+ * @param {number} seasonLength - 季節周期（0 = 季節性なし）
+ * @param {{alpha: number, beta: number, gamma: number}} params - 平滑化係数
+ * @returns {{level: number, trend: number, season: number[], sse: number, residualCount: number}}
+ */
+function smoothHoltWinters(values, seasonLength, { alpha, beta, gamma }) {
+  let level;
+  let trend;
+  let season = [];
+  let start;
+  if (seasonLength > 0) {
+    const first = calcSeriesMean(values.slice(0, seasonLength));
+    const second = calcSeriesMean(values.slice(seasonLength, seasonLength * 2));
+    level = first;
+    trend = (second - first) / seasonLength;
+    season = values.slice(0, seasonLength).map((value) => value - first);
+    start = seasonLength;
+  } else {
+    level = values[0];
+    trend = values[1] - values[0];
+    start = 1;
+  }
+
+  let sse = 0;
+  for (let t = start; t < values.length; t++) {
+    const seasonal = seasonLength > 0 ? season[t % seasonLength] : 0;
+    const error = values[t] - (level + trend + seasonal);
+    sse += error * error;
+
+    const nextLevel =
+      alpha * (values[t] - seasonal) + (1 - alpha) * (level + trend);
+    trend = beta * (nextLevel - level) + (1 - beta) * trend;
+    if (seasonLength > 0) {
+      season[t % seasonLength] =
+        gamma * (values[t] - nextLevel) + (1 - gamma) * seasonal;
+    }
+    level = nextLevel;
+  }
+  return { level, trend, season, sse, residualCount: values.length - start };
+}
+
+/**
+ * 平滑化係数をグリッド探索してモデルを当てはめ、将来の期間を予測
+ * @private
+ * @param {number[]} values - 等間隔の系列
+ * @param {number} seasonLength - 時間単位の季節周期
+ * @param {number} horizon - 予測する期間数
+ * @returns {{method: string, forecast: number[], lower: number[], upper: number[]}}
+ */
+function fitAndProject(values, seasonLength, horizon) {
+  // 季節性は2周期以上の系列がある場合のみ推定する
+  const m =
+    seasonLength > 0 && values.length >= seasonLength * 2 ? seasonLength : 0;
+  const grid = FORECAST_CONFIG.smoothingGrid;
+
+  let best = null;
+  for (const alpha of grid) {
+    for (const beta of grid) {
+      for (const gamma of m > 0 ? grid : [0]) {
+        const params = { alpha, beta, gamma };
+        const state = smoothHoltWinters(values, m, params);
+        if (!best || state.sse < best.state.sse) best = { params, state };
+      }
+    }
+  }
+
+  const { params, state } = best;
+  const sigma = Math.sqrt(state.sse / Math.max(state.residualCount, 1));
+  const forecast = [];
+  const lower = [];
+  const upper = [];
+  // h 期先の分散: σ² × (1 + Σ_{j<h} c_j²)
+  let varianceFactor = 1;
+  for (let h = 1; h <= horizon; h++) {
+    const seasonal = m > 0 ? state.season[(values.length - 1 + h) % m] : 0;
+    const point = state.level + h * state.trend + seasonal;
+    const margin =
+      FORECAST_CONFIG.intervalZ * sigma * Math.sqrt(varianceFactor);
+    forecast.push(Math.max(point, 0));
+    lower.push(Math.max(point - margin, 0));
+    upper.push(Math.max(point + margin, 0));
+
+    const c =
+      params.alpha * (1 + h * params.beta) +
+      (m > 0 && h % m === 0 ? params.gamma * (1 - params.alpha) : 0);
+    varianceFactor += c * c;
+  }
+  return { method: m > 0 ? "holtWinters" : "holt", forecast, lower, upper };
+}
+
+/**
+ * 直近の期間を除いて学習し、除いた期間の実績と比較
+ * @private
+ * @param {number[]} values - 等間隔の系列
+ * @param {Array<number|null>} observed - 発注のある期間の値
+ * @param {number} seasonLength - 時間単位の季節周期
+ * @param {number} horizon - 予測する期間数
+ * @returns {ForecastBacktest|null}
+ */
+function backtestForecast(values, observed, seasonLength, horizon) {
+  const holdout = Math.min(horizon, values.length - FORECAST_CONFIG.minPeriods);
+  if (holdout < 1) return null;
+
+  const trainLength = values.length - holdout;
+  const { forecast } = fitAndProject(
+    values.slice(0, trainLength),
+    seasonLength,
+    holdout
+  );
+  const errors = forecast
+    .map((predicted, i) => [observed[trainLength + i], predicted])
+    .filter(([actual]) => actual !== null && actual > 0);
+  if (errors.length === 0) return null;
+
+  return {
+    periods: errors.length,
+    mape:
+      calcSeriesMean(
+        errors.map(
+          ([actual, predicted]) => Math.abs(actual - predicted) / actual
+        )
+      ) * 100,
+    mae: calcSeriesMean(
+      errors.map(([actual, predicted]) => Math.abs(actual - predicted))
+    ),
+  };
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * 期間別の単価から将来の期間の単価を予測
+ * @param {Array<string>} labels - 期間のキー（groupByTimeUnit のキー、昇順）
+ * @param {Array<number>} values - 期間ごとの単価
+ * @param {Object} options
+ * @param {string} options.timeUnit - 'yearly' | 'monthly' | 'weekly' | 'daily'
+ * @param {number} [options.horizon] - 予測する期間数（3〜12）
+ * @returns {PriceForecast|null} 期間が不足する場合は null
+ */
+function forecastPriceSeries(
+  labels,
+  values,
+  { timeUnit, horizon = FORECAST_CONFIG.horizon }
+) {
+  if (labels.length < 2) return null;
+  const steps = Math.min(
+    Math.max(
+      Math.round(horizon) || FORECAST_CONFIG.horizon,
+      FORECAST_CONFIG.minHorizon
+    ),
+    FORECAST_CONFIG.maxHorizon
+  );
+
+  const series = fillPeriodGaps(labels, values, timeUnit);
+  const start = Math.max(series.values.length - FORECAST_CONFIG.maxPeriods, 0);
+  const filled = series.values.slice(start);
+  const observed = series.observed.slice(start);
+  if (filled.length < FORECAST_CONFIG.minPeriods) return null;
+
+  const seasonLength = FORECAST_CONFIG.seasonLength[timeUnit] || 0;
+  const { method, forecast, lower, upper } = fitAndProject(
+    filled,
+    seasonLength,
+    steps
+  );
+
+  const futureLabels = [];
+  let key = labels[labels.length - 1];
+  for (let h = 0; h < steps; h++) {
+    key = getNextPeriodKey(key, timeUnit);
+    futureLabels.push(key);
+  }
+
+  return {
+    method,
+    basePeriods: filled.length,
+    labels: futureLabels,
+    forecast: forecast.map(Math.round),
+    lower: lower.map(Math.round),
+    upper: upper.map(Math.round),
+    backtest: backtestForecast(filled, observed, seasonLength, steps),
+  };
+}
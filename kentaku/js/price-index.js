@@ -0,0 +1,432 @@
+/**
+ * =============================================================================
+ * price-index.js - 工事費指数と指数調整後の実行単価
+ * =============================================================================
+ *
+ * 概要:
+ *   資材高騰などの物価変動を除いて異なる時期の発注を比較するため、
+ *   大工事項目×月の工事費指数を求め、各レコードの実行単価を基準月の水準に換算する
+ *   - データから算出: 同じ小工事項目の発注単価（月の中央値）を直前の発注月と
+ *     比べた変化率を、大工事項目ごとに月単位で連鎖させる（連鎖指数）
+ *   - CSV取込: 外部の指数表（月, 大工事項目, 指数）を読み込んで使う
+ *     （CSV にない大工事項目は CSV の全体系列、なければデータから算出した指数）
+ *   - 調整後単価 = 実行単価 × 指数(基準月) ÷ 指数(発注月)
+ *
+ *   指数の形式 (PriceIndex):
+ *     { months: ["2024-01", ...], series: { [大工事項目 | "*"]: { [月]: 指数 } } }
+ *     "*" は全体（大工事項目のないレコード・CSV の全体系列）
+ *
+ * 依存: utils.js (groupRecordsBy), anomaly-detector.js (isAutoExcluded)
+ *
+ * 分類: ドメイン層 (Domain Layer)
+ *
+ * =============================================================================
+ */
+
+const PRICE_INDEX_CONFIG = {
+  // 設定（表示モード・基準月・指数の取得元・取込んだ指数）の保存先
+  storageKey: "kentaku_price_index",
+  // 同じ小工事項目を比べる発注月の間隔の上限（月）
+  maxGapMonths: 6,
+  // 月の指数を更新するのに必要な比較の数（未満の場合は前月の指数を据え置く）
+  minPairs: 3,
+  // 全体系列のキー
+  overallKey: "*",
+  // 指数の基準値（系列の最初の月）
+  baseValue: 100,
+};
+
+/** 単価の表示モード */
+const PRICE_MODE_LABELS = {
+  nominal: "名目",
+  adjusted: "指数調整後",
+};
+
+/** 指数の取得元 */
+const PRICE_INDEX_SOURCE_LABELS = {
+  derived: "データから算出",
+  csv: "CSV取込",
+};
+
+/** 指数表の CSV の列定義（table-export.js の ExportColumn） */
+const PRICE_INDEX_CSV_COLUMNS = [
+  { label: "月", value: "month" },
+  { label: "大工事項目", value: "majorCode" },
+  { label: "指数", value: "value" },
+];
+
+/**
+ * @typedef {Object} PriceIndex
+ * @property {Array<string>} months - 指数のある月（YYYY-MM、昇順）
+ * @property {Object<string, Object<string, number>>} series - 系列キー → 月 → 指数
+ */
+
+/**
+ * @typedef {Object} PriceIndexSettings
+ * @property {string} mode - 'nominal' | 'adjusted'
+ * @property {string} baseMonth - 基準月（YYYY-MM、空の場合はデータの最新月）
+ * @property {string} source - 'derived' | 'csv'
+ * @property {PriceIndex|null} imported - CSV から取込んだ指数
+ */
+
+// =============================================================================
+// Private Helpers
+// =============================================================================
+
+/**
+ * 年月の文字列を YYYY-MM に正規化（2024-01 / 2024/1 / 202401 に対応）
+ * @private
+ * @param {string} value - 年月
+ * @returns {string|null} 不正な場合は null
+ */
+function normalizeIndexMonth(value) {
+  const match = String(value)
+    .trim()
+    .match(/^(\d{4})(?:[-/](\d{1,2})|(\d{2}))(?:[-/]\d{1,2})?$/);
+  if (!match) return null;
+  const month = Number(match[2] || match[3]);
+  if (month < 1 || month > 12) return null;
+  return `${match[1]}-${String(month).padStart(2, "0")}`;
+}
+
+/**
+ * 2つの年月の差（月数）
+ * @private
+ */
+function diffIndexMonths(from, to) {
+  const [fromYear, fromMonth] = from.split("-").map(Number);
+  const [toYear, toMonth] = to.split("-").map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+}
+
+/**
+ * 開始月から終了月までの連続した年月
+ * @private
+ */
+function listIndexMonths(first, last) {
+  const months = [];
+  let [year, month] = first.split("-").map(Number);
+  for (let i = diffIndexMonths(first, last); i >= 0; i--) {
+    months.push(`${year}-${String(month).padStart(2, "0")}`);
+    if (++month > 12) {
+      month = 1;
+      year++;
+    }
+  }
+  return months;
+}
+
+/**
+ * 中央値（丸めなし）
+ * @private
+ */
+function medianOfValues(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 !== 0
+    ? sorted[mid]
+    : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * レコードから連鎖指数の系列を算出
+ * 各小工事項目について、月の中央値単価を直前の発注月（maxGapMonths 以内）と比べ、
+ * 「比較元の月の指数 × 単価の変化率」の中央値をその月の指数とする
+ * @private
+ * @param {Array} records - 対象レコード（orderMonth, item, price）
+ * @returns {Object<string, number>|null} 月 → 指数（対象がない場合は null）
+ */
+function buildChainedIndexSeries(records) {
+  const observations = []; // [item, month, 中央値単価]
+  const byItem = groupRecordsBy(records, (record) => record.item);
+  for (const [item, itemRecords] of Object.entries(byItem)) {
+    const byMonth = groupRecordsBy(itemRecords, (record) => record.orderMonth);
+    for (const [month, monthRecords] of Object.entries(byMonth)) {
+      observations.push([
+        item,
+        month,
+        medianOfValues(monthRecords.map((record) => record.price)),
+      ]);
+    }
+  }
+  if (observations.length === 0) return null;
+
+  // 月ごとの比較（比較元の月, 単価の対数変化率）
+  observations.sort(
+    (a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1])
+  );
+  const pairsByMonth = new Map();
+  for (let i = 1; i < observations.length; i++) {
+    const [prevItem, prevMonth, prevPrice] = observations[i - 1];
+    const [item, month, price] = observations[i];
+    if (
+      item !== prevItem ||
+      diffIndexMonths(prevMonth, month) > PRICE_INDEX_CONFIG.maxGapMonths
+    ) {
+      continue;
+    }
+    if (!pairsByMonth.has(month)) pairsByMonth.set(month, []);
+    pairsByMonth.get(month).push([prevMonth, Math.log(price / prevPrice)]);
+  }
+
+  const observedMonths = observations.map(([, month]) => month).sort();
+  const months = listIndexMonths(
+    observedMonths[0],
+    observedMonths[observedMonths.length - 1]
+  );
+  const logIndex = {};
+  let previous = 0;
+  for (const month of months) {
+    const pairs = pairsByMonth.get(month) || [];
+    logIndex[month] =
+      pairs.length >= PRICE_INDEX_CONFIG.minPairs
+        ? medianOfValues(pairs.map(([from, change]) => logIndex[from] + change))
+        : previous;
+    previous = logIndex[month];
+  }
+
+  return Object.fromEntries(
+    months.map((month) => [
+      month,
+      Math.round(
+        PRICE_INDEX_CONFIG.baseValue * Math.exp(logIndex[month]) * 10
+      ) / 10,
+    ])
+  );
+}
+
+/**
+ * 系列から指定月の指数を取得（系列にない月は直前の月、範囲外は端の月の指数）
+ * @private
+ * @param {Object<string, number>} series - 月 → 指数
+ * @param {string} month - 年月
+ * @returns {number}
+ */
+function lookupIndexValue(series, month) {
+  if (series[month] !== undefined) return series[month];
+  const months = Object.keys(series).sort();
+  const previous = months.filter((key) => key < month).pop();
+  return series[previous ?? months[0]];
+}
+
+/**
+ * 系列から指数表を作成（月の一覧を付与）
+ * @private
+ */
+function createPriceIndex(series) {
+  const months = new Set();
+  for (const values of Object.values(series)) {
+    Object.keys(values).forEach((month) => months.add(month));
+  }
+  return { months: [...months].sort(), series };
+}
+
+/**
+ * CSV の1行をセルに分割（ダブルクォートで囲んだセルに対応）
+ * @private
+ */
+function splitIndexCsvLine(line) {
+  const cells = [];
+  const pattern = /\s*("(?:[^"]|"")*"|[^,]*)\s*(?:,|$)/g;
+  let match;
+  while ((match = pattern.exec(line)) && match[0] !== "") {
+    const cell = match[1];
+    cells.push(
+      cell.startsWith('"') ? cell.slice(1, -1).replace(/""/g, '"') : cell
+    );
+  }
+  return cells;
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * レコードから大工事項目×月の連鎖指数を算出
+ * Note: 除外対象（カテゴリA）のレコードは指数の算出に使わない
+ * @param {Array} records - processData 済みのレコード（名目単価）
+ * @returns {PriceIndex}
+ */
+function buildPriceIndex(records) {
+  const targets = records.filter(
+    (record) => record.orderMonth && record.price > 0 && !isAutoExcluded(record)
+  );
+  const series = {};
+  const byMajorCode = groupRecordsBy(
+    targets,
+    (record) => record.majorCode || ""
+  );
+  for (const [majorCode, majorRecords] of Object.entries(byMajorCode)) {
+    if (!majorCode) continue;
+    const values = buildChainedIndexSeries(majorRecords);
+    if (values) series[majorCode] = values;
+  }
+  const overall = buildChainedIndexSeries(targets);
+  if (overall) series[PRICE_INDEX_CONFIG.overallKey] = overall;
+  return createPriceIndex(series);
+}
+
+/**
+ * 指数表の CSV を解析
+ * 列: 月, 大工事項目, 指数（大工事項目が空または "*" は全体系列）
+ *     2列の場合は 月, 指数（全体系列）。先頭行が見出しの場合は読み飛ばす
+ * @param {string} text - CSV テキスト
+ * @returns {PriceIndex}
+ * @throws {Error} 形式が不正な場合（行番号付き）
+ */
+function parsePriceIndexCsv(text) {
+  const series = {};
+  let isFirstLine = true;
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+  lines.forEach((line, i) => {
+    if (line.trim() === "") return;
+    const cells = splitIndexCsvLine(line).map((cell) => cell.trim());
+    const [monthCell, majorCell, valueCell] =
+      cells.length === 2 ? [cells[0], "", cells[1]] : cells;
+    const month = normalizeIndexMonth(monthCell);
+    const value = Number(String(valueCell ?? "").replace(/,/g, ""));
+    // 見出し行
+    if (isFirstLine && !month) {
+      isFirstLine = false;
+      return;
+    }
+    isFirstLine = false;
+
+    if (cells.length < 2) {
+      throw new Error(`${i + 1}行目: 列が不足しています`);
+    }
+    if (!month) {
+      throw new Error(`${i + 1}行目: 月の形式が不正です（${monthCell}）`);
+    }
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(
+        `${i + 1}行目: 指数は正の数にしてください（${valueCell}）`
+      );
+    }
+    const key = majorCell || PRICE_INDEX_CONFIG.overallKey;
+    series[key] = { ...series[key], [month]: value };
+  });
+
+  if (Object.keys(series).length === 0) {
+    throw new Error("指数のデータがありません");
+  }
+  return createPriceIndex(series);
+}
+
+/**
+ * 指数表を CSV 出力用の行に変換（parsePriceIndexCsv で読み込める形式、全体系列が先頭）
+ * @param {PriceIndex} index - 指数表
+ * @returns {Array<{month: string, majorCode: string, value: number}>}
+ */
+function getPriceIndexRows(index) {
+  const overallKey = PRICE_INDEX_CONFIG.overallKey;
+  const keys = Object.keys(index.series).sort((a, b) => {
+    if (a === overallKey) return -1;
+    if (b === overallKey) return 1;
+    return a.localeCompare(b);
+  });
+  return keys.flatMap((majorCode) =>
+    Object.keys(index.series[majorCode])
+      .sort()
+      .map((month) => ({
+        month,
+        majorCode,
+        value: index.series[majorCode][month],
+      }))
+  );
+}
+
+/**
+ * 各レコードに指数調整後の実行単価（adjustedPrice）を設定
+ * 系列の優先順: 取込んだ指数の大工事項目 → 取込んだ指数の全体 →
+ *              算出した指数の大工事項目 → 算出した指数の全体
+ * Note: レコードの price（名目単価）を基に計算し、price は変更しない
+ * @param {Array} records - processData 済みのレコード
+ * @param {Object} options
+ * @param {PriceIndex} options.derived - データから算出した指数
+ * @param {PriceIndex|null} [options.imported] - CSV から取込んだ指数
+ * @param {string} options.baseMonth - 基準月（YYYY-MM）
+ */
+function applyPriceIndex(records, { derived, imported = null, baseMonth }) {
+  const overallKey = PRICE_INDEX_CONFIG.overallKey;
+  const findSeries = (majorCode) =>
+    imported?.series[majorCode] ||
+    imported?.series[overallKey] ||
+    derived.series[majorCode] ||
+    derived.series[overallKey] ||
+    null;
+
+  // 大工事項目×月ごとに換算係数を計算（同じ組み合わせは再利用）
+  const ratios = new Map();
+  const getRatio = (majorCode, month) => {
+    const key = `${majorCode}\t${month}`;
+    if (!ratios.has(key)) {
+      const series = month ? findSeries(majorCode) : null;
+      ratios.set(
+        key,
+        series
+          ? lookupIndexValue(series, baseMonth) /
+              lookupIndexValue(series, month)
+          : 1
+      );
+    }
+    return ratios.get(key);
+  };
+
+  for (const record of records) {
+    const ratio = getRatio(record.majorCode || overallKey, record.orderMonth);
+    record.adjustedPrice = Math.round(record.price * ratio * 100) / 100;
+  }
+}
+
+/**
+ * 保存済みの設定を読み込む
+ * @returns {PriceIndexSettings}
+ */
+function loadPriceIndexSettings() {
+  const settings = {
+    mode: "nominal",
+    baseMonth: "",
+    source: "derived",
+    imported: null,
+  };
+  try {
+    const stored = JSON.parse(
+      localStorage.getItem(PRICE_INDEX_CONFIG.storageKey) || "null"
+    );
+    if (stored && typeof stored === "object") {
+      if (stored.mode in PRICE_MODE_LABELS) settings.mode = stored.mode;
+      if (normalizeIndexMonth(stored.baseMonth || "")) {
+        settings.baseMonth = stored.baseMonth;
+      }
+      if (stored.imported?.series) {
+        settings.imported = createPriceIndex(stored.imported.series);
+        if (stored.source === "csv") settings.source = "csv";
+      }
+    }
+  } catch (e) {
+    console.warn("Failed to load price index settings:", e);
+  }
+  return settings;
+}
+
+/**
+ * 設定を保存
+ * @param {PriceIndexSettings} settings
+ */
+function storePriceIndexSettings({ mode, baseMonth, source, imported }) {
+  try {
+    localStorage.setItem(
+      PRICE_INDEX_CONFIG.storageKey,
+      JSON.stringify({
+        mode,
+        baseMonth,
+        source,
+        imported: imported ? { series: imported.series } : null,
+      })
+    );
+  } catch (e) {
+    console.warn("localStorage not available:", e);
+  }
+}
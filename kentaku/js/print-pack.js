@@ -0,0 +1,375 @@
+/**
+ * =============================================================================
+ * print-pack.js - 購買会議用の印刷資料（PDF / 印刷）
+ * =============================================================================
+ *
+ * 概要:
+ *   多角分析の内容を品目ごとにまとめた印刷用レイアウトを生成する
+ *   - 表紙: 資料名・作成日時・検索条件・収録品目の一覧
+ *   - 品目ごと: 分析条件・KPI・3つの分析チャート・業者別サマリー・週次集計
+ *     （品目・表ごとに改ページ）
+ *   - 出力: PDF（html2pdf.js）またはブラウザの印刷
+ *
+ *   チャート画像・集計値の用意は呼び出し側（app.js）で行い、
+ *   本モジュールはレイアウトと出力のみを扱う
+ *
+ * 依存: utils.js (formatNumber), markdown-renderer.js (escapeHtml,
+ *       sanitizeFilename, exportReportToPdf)
+ *
+ * 分類: ユーティリティ層 (Utility Layer)
+ *
+ * =============================================================================
+ */
+
+const PRINT_PACK_CONFIG = {
+  title: "購買会議資料",
+  // 一度に出力できる品目数の上限（PDF 生成時のメモリ使用量を抑える）
+  maxItems: 30,
+  // PDF 出力時に一時的に配置する要素の ID
+  containerId: "print-pack-content",
+};
+
+/**
+ * 印刷レイアウトのスタイル
+ * Note: PDF 出力時はアプリの画面内に配置するため、.print-pack 配下に限定する
+ */
+const PRINT_PACK_STYLES = `
+.print-pack { font-family: "Noto Sans JP", sans-serif; color: #212529; font-size: 10.5pt; line-height: 1.5; }
+.print-pack .print-pack-page { break-before: page; page-break-before: always; }
+.print-pack .print-pack-cover { padding-top: 40mm; }
+.print-pack h1 { font-size: 24pt; font-weight: 700; margin: 0 0 4mm; }
+.print-pack h2 { font-size: 15pt; font-weight: 700; margin: 0 0 3mm; border-bottom: 2px solid #0d6efd; padding-bottom: 1mm; }
+.print-pack h3 { font-size: 12pt; font-weight: 700; margin: 5mm 0 2mm; }
+.print-pack .print-pack-muted { color: #6c757d; font-size: 9pt; }
+.print-pack table { width: 100%; border-collapse: collapse; margin-bottom: 3mm; }
+.print-pack th, .print-pack td { border: 1px solid #dee2e6; padding: 1mm 2mm; text-align: left; vertical-align: top; }
+.print-pack th { background: #f1f3f5; font-weight: 600; }
+.print-pack td.num, .print-pack th.num { text-align: right; font-variant-numeric: tabular-nums; white-space: nowrap; }
+.print-pack tr { break-inside: avoid; page-break-inside: avoid; }
+.print-pack .print-pack-kpi { display: flex; gap: 2mm; margin-bottom: 3mm; }
+.print-pack .print-pack-kpi > div { flex: 1; border: 1px solid #dee2e6; border-radius: 2mm; padding: 2mm; text-align: center; }
+.print-pack .print-pack-kpi strong { display: block; font-size: 13pt; }
+.print-pack .print-pack-chart { break-inside: avoid; page-break-inside: avoid; margin-bottom: 4mm; }
+.print-pack .print-pack-chart img { width: 100%; border: 1px solid #dee2e6; }
+`;
+
+/**
+ * @typedef {Object} PrintPackItem
+ * @property {string} itemName - 表示名（minorCode-item）
+ * @property {string} unit - 単位
+ * @property {Array<[string, string]>} conditions - 分析条件（項目名, 値）
+ * @property {Object} kpi - { count, minPrice, avgPrice, medianPrice, maxPrice }
+ * @property {Array<{title: string, description: string, image: string|null}>} charts
+ * @property {Array<{name: string, count: number, min: number, avg: number, max: number}>} vendors -
+ *   業者別サマリー
+ * @property {Array<Object>} weeks - 週次集計（prepareWeeklyTableData の戻り値）
+ */
+
+/**
+ * @typedef {Object} PrintPack
+ * @property {string} createdAt - 作成日時（表示用）
+ * @property {Array<[string, string]>} conditions - 検索条件（項目名, 値）
+ * @property {Array<PrintPackItem>} items - 収録する品目
+ */
+
+// =============================================================================
+// Private Helpers
+// =============================================================================
+
+/**
+ * 表を HTML に変換
+ * @private
+ * @param {Array<{label: string, value: Function, numeric?: boolean}>} columns - 列定義
+ * @param {Array<Object>} rows - 行データ
+ * @returns {string} HTML
+ */
+function renderPrintPackTable(columns, rows) {
+  const head = columns
+    .map(
+      (column) =>
+        `<th${column.numeric ? ' class="num"' : ""}>${escapeHtml(
+          column.label
+        )}</th>`
+    )
+    .join("");
+  const body = rows
+    .map(
+      (row) =>
+        `<tr>${columns
+          .map(
+            (column) =>
+              `<td${column.numeric ? ' class="num"' : ""}>${escapeHtml(
+                String(column.value(row))
+              )}</td>`
+          )
+          .join("")}</tr>`
+    )
+    .join("");
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+/**
+ * 項目名と値の一覧を HTML の表に変換
+ * @private
+ * @param {Array<[string, string]>} entries - （項目名, 値）
+ * @returns {string} HTML
+ */
+function renderPrintPackConditions(entries) {
+  return `<table>${entries
+    .map(
+      ([label, value]) =>
+        `<tr><th style="width: 30%">${escapeHtml(label)}</th><td>${escapeHtml(
+          String(value)
+        )}</td></tr>`
+    )
+    .join("")}</table>`;
+}
+
+/**
+ * 単価を表示用に整形
+ * @private
+ */
+function formatPrintPackPrice(value) {
+  return `¥${formatNumber(value)}`;
+}
+
+/**
+ * 品目の各ページを HTML に変換
+ * Note: 概要（条件・KPI・1つ目のチャート）/ 残りのチャート / 業者別 / 週次
+ *       の順に改ページする
+ * @private
+ * @param {PrintPackItem} item - 品目
+ * @returns {string} HTML
+ */
+function renderPrintPackItem(item) {
+  const { kpi } = item;
+  const perUnit = item.unit ? `（/${escapeHtml(item.unit)}）` : "";
+  const heading = `<h2>${escapeHtml(item.itemName)}</h2>`;
+  const kpiCards = [
+    ["件数", `${formatNumber(kpi.count)}件`],
+    ["最小", formatPrintPackPrice(kpi.minPrice)],
+    ["平均", formatPrintPackPrice(kpi.avgPrice)],
+    ["中央値", formatPrintPackPrice(kpi.medianPrice)],
+    ["最大", formatPrintPackPrice(kpi.maxPrice)],
+  ]
+    .map(
+      ([label, value]) =>
+        `<div><span class="print-pack-muted">${label}</span><strong>${escapeHtml(
+          value
+        )}</strong></div>`
+    )
+    .join("");
+  const charts = item.charts.map(
+    (chart) => `<div class="print-pack-chart">
+<h3>${escapeHtml(chart.title)}</h3>
+<p class="print-pack-muted">${escapeHtml(chart.description)}</p>
+${
+  chart.image
+    ? `<img src="${chart.image}" alt="${escapeHtml(chart.title)}">`
+    : '<p class="print-pack-muted">データなし</p>'
+}
+</div>`
+  );
+
+  const vendorTable =
+    item.vendors.length > 0
+      ? renderPrintPackTable(
+          [
+            { label: "業者", value: (row) => row.name },
+            { label: "件数", value: (row) => row.count, numeric: true },
+            {
+              label: "最小単価",
+              value: (row) => formatPrintPackPrice(row.min),
+              numeric: true,
+            },
+            {
+              label: "平均単価",
+              value: (row) => formatPrintPackPrice(row.avg),
+              numeric: true,
+            },
+            {
+              label: "最大単価",
+              value: (row) => formatPrintPackPrice(row.max),
+              numeric: true,
+            },
+          ],
+          item.vendors
+        )
+      : '<p class="print-pack-muted">データなし</p>';
+
+  const weeklyTable =
+    item.weeks.length > 0
+      ? renderPrintPackTable(
+          [
+            { label: "週（開始日）", value: (row) => row.weekStart },
+            { label: "件数", value: (row) => row.count, numeric: true },
+            {
+              label: "最小単価",
+              value: (row) => formatPrintPackPrice(row.minPrice),
+              numeric: true,
+            },
+            {
+              label: "平均単価",
+              value: (row) => formatPrintPackPrice(row.avgPrice),
+              numeric: true,
+            },
+            {
+              label: "中央値",
+              value: (row) => formatPrintPackPrice(row.medianPrice),
+              numeric: true,
+            },
+            {
+              label: "最大単価",
+              value: (row) => formatPrintPackPrice(row.maxPrice),
+              numeric: true,
+            },
+          ],
+          item.weeks
+        )
+      : '<p class="print-pack-muted">データなし</p>';
+
+  return `<section class="print-pack-page">
+${heading}
+<h3>分析条件</h3>
+${renderPrintPackConditions(item.conditions)}
+<h3>KPI${perUnit}</h3>
+<div class="print-pack-kpi">${kpiCards}</div>
+${charts[0] || ""}
+</section>
+${
+  charts.length > 1
+    ? `<section class="print-pack-page">
+${heading}
+${charts.slice(1).join("\n")}
+</section>`
+    : ""
+}
+<section class="print-pack-page">
+${heading}
+<h3>業者別サマリー${perUnit}</h3>
+${vendorTable}
+</section>
+<section class="print-pack-page">
+${heading}
+<h3>週次集計${perUnit}</h3>
+${weeklyTable}
+</section>`;
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * 印刷資料の HTML を生成（表紙 + 品目ごとのページ）
+ * @param {PrintPack} pack - 収録内容
+ * @returns {string} HTML（スタイルを含む）
+ */
+function buildPrintPackHtml(pack) {
+  const itemList = renderPrintPackTable(
+    [
+      { label: "#", value: (row) => row.index, numeric: true },
+      { label: "小工事項目", value: (row) => row.itemName },
+      { label: "件数", value: (row) => row.count, numeric: true },
+      { label: "中央値", value: (row) => row.median, numeric: true },
+    ],
+    pack.items.map((item, i) => ({
+      index: i + 1,
+      itemName: item.itemName,
+      count: formatNumber(item.kpi.count),
+      median: formatPrintPackPrice(item.kpi.medianPrice),
+    }))
+  );
+
+  return `<style>${PRINT_PACK_STYLES}</style>
+<div class="print-pack">
+<section class="print-pack-cover">
+<h1>${PRINT_PACK_CONFIG.title}</h1>
+<p class="print-pack-muted">作成日時: ${escapeHtml(pack.createdAt)}</p>
+<h3>検索条件</h3>
+${renderPrintPackConditions(pack.conditions)}
+<h3>収録品目（${pack.items.length}件）</h3>
+${itemList}
+</section>
+${pack.items.map(renderPrintPackItem).join("\n")}
+</div>`;
+}
+
+/**
+ * 印刷資料のファイル名を生成（拡張子なし）
+ * @param {PrintPack} pack - 収録内容
+ * @returns {string} ファイル名
+ */
+function getPrintPackFilename(pack) {
+  const timestamp = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+  const name =
+    pack.items.length === 1
+      ? sanitizeFilename(pack.items[0].itemName)
+      : `${pack.items.length}品目`;
+  return `${PRINT_PACK_CONFIG.title}_${name}_${timestamp}`;
+}
+
+/**
+ * 印刷資料を PDF に出力
+ * Note: html2pdf.js が要素を複製して描画するため、画面外に一時的に配置する
+ * @param {PrintPack} pack - 収録内容
+ * @returns {Promise<void>}
+ */
+async function exportPrintPackToPdf(pack) {
+  const container = document.createElement("div");
+  container.id = PRINT_PACK_CONFIG.containerId;
+  container.style.cssText =
+    "position: fixed; left: -10000px; top: 0; width: 180mm;";
+  container.innerHTML = buildPrintPackHtml(pack);
+  document.body.appendChild(container);
+  try {
+    await exportReportToPdf(
+      PRINT_PACK_CONFIG.containerId,
+      getPrintPackFilename(pack),
+      { pagebreak: { mode: ["css", "legacy"], avoid: ["tr", "img"] } }
+    );
+  } finally {
+    container.remove();
+  }
+}
+
+/**
+ * 印刷資料をブラウザの印刷ダイアログで印刷
+ * Note: 画面のレイアウトに影響しないよう、非表示の iframe に描画して印刷する
+ * @param {PrintPack} pack - 収録内容
+ * @returns {Promise<void>}
+ */
+async function printPrintPack(pack) {
+  const frame = document.createElement("iframe");
+  frame.style.cssText =
+    "position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;";
+  document.body.appendChild(frame);
+
+  const doc = frame.contentDocument;
+  doc.open();
+  doc.write(`<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(getPrintPackFilename(pack))}</title>
+<style>@page { size: A4; margin: 15mm; }</style>
+</head>
+<body>${buildPrintPackHtml(pack)}</body>
+</html>`);
+  doc.close();
+
+  // チャート画像の読み込みを待ってから印刷
+  await Promise.all(
+    Array.from(doc.images, (image) =>
+      image.complete
+        ? null
+        : new Promise((resolve) => {
+            image.onload = resolve;
+            image.onerror = resolve;
+          })
+    )
+  );
+  frame.contentWindow.addEventListener("afterprint", () => frame.remove());
+  frame.contentWindow.focus();
+  frame.contentWindow.print();
+}
@@ -0,0 +1,843 @@
+/**
+ * =============================================================================
+ * prompt-templates.js - AIレポートのプロンプトテンプレート
+ * =============================================================================
+ *
+ * 概要:
+ *   表示中のチャートを分析する AI レポートのプロンプトを、部署ごとの用途
+ *   （購買・積算・経営層向け等）に合わせて編集できるようにする
+ *   - 本文は Markdown。{{item}} {{kpi.medianPrice}} 等のプレースホルダーを
+ *     生成時に品目・KPI・フィルター・チャート情報で置き換える
+ *   - チャート種別ごとの読み取り手法（CHART_CONFIGS の readingGuide）も
+ *     テンプレート単位で差し替えられる（空欄は標準の内容）
+ *   - 組み込みテンプレートは編集不可（複製して編集する）
+ *   - JSON ファイルでエクスポート/インポートしてチーム内で共有できる
+ *   - API設定モーダル内のテンプレート編集コンポーネント
+ *
+ *   保存形式 (localStorage / エクスポートJSON 共通、組み込みは含まない):
+ *     { format: "kentaku-prompt-templates", version: 1, templates: [
+ *       { id, name, description, body,
+ *         readingGuides: { timeseries, comparison, trend },
+ *         createdAt, updatedAt } ] }
+ *
+ * 依存: ai-report.js (CHART_CONFIGS, buildPromptTemplateValues,
+ *       getChartDescription, getDefaultReadingGuideText, estimateTokenCount),
+ *       utils.js (downloadFile)
+ *
+ * 分類: ユーティリティ層 (Utility Layer)
+ *
+ * =============================================================================
+ */
+
+const PROMPT_TEMPLATE_CONFIG = {
+  storageKey: "kentaku_prompt_templates",
+  selectedKey: "kentaku_prompt_template_selected",
+  format: "kentaku-prompt-templates",
+  version: 1,
+  maxNameLength: 50,
+  defaultId: "builtin-standard",
+  // テンプレートの変更を多角分析モーダルのテンプレート選択に通知するイベント
+  changeEvent: "prompt-templates-changed",
+};
+
+/** 読み取り手法を差し替えられるチャート種別 */
+const PROMPT_TEMPLATE_TABS = ["timeseries", "comparison", "trend"];
+
+/**
+ * 使用できるプレースホルダー（エディターの一覧表示・未定義チェック用）
+ * Note: 金額は桁区切りのみ（¥ はテンプレート側で付ける）
+ */
+const PROMPT_TEMPLATE_PLACEHOLDERS = [
+  { name: "item", description: "品目名" },
+  { name: "unit", description: "単位" },
+  { name: "minorCode", description: "小工事項目コード" },
+  { name: "kpi.count", description: "データ件数" },
+  { name: "kpi.minPrice", description: "最小単価" },
+  { name: "kpi.avgPrice", description: "平均単価" },
+  { name: "kpi.medianPrice", description: "中央単価" },
+  { name: "kpi.maxPrice", description: "最大単価" },
+  { name: "kpi.priceRange", description: "価格レンジ（最大-最小）" },
+  { name: "filters", description: "適用フィルター（なしの場合は「なし」）" },
+  { name: "filters.period", description: "期間" },
+  { name: "filters.regions", description: "支店（未選択は「すべて」）" },
+  { name: "filters.vendors", description: "業者（未選択は「すべて」）" },
+  { name: "chart.tabName", description: "分析カテゴリ（時系列分析等）" },
+  { name: "chart.description", description: "チャートの表示内容" },
+  { name: "chart.analysisPoints", description: "分析の着眼点（番号付き）" },
+  { name: "chart.readingGuide", description: "チャート種別の読み取り手法" },
+  { name: "chartData", description: "チャートの集計データ（表）" },
+  { name: "section.role", description: "標準の役割・読み取りルール（§1）" },
+  { name: "section.data", description: "標準の分析対象データ（§2）" },
+  {
+    name: "section.readingGuide",
+    description: "標準の読み取り手法の節（§3.3、見出し付き）",
+  },
+  {
+    name: "section.negotiation",
+    description: "標準の価格交渉ガイド・リスクの出力形式",
+  },
+];
+
+/** プレースホルダーの記法: {{name}}（前後の空白可） */
+const PROMPT_PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * @typedef {Object} PromptTemplate
+ * @property {string} id - 一意なID（組み込みは builtin- で始まる）
+ * @property {string} name - 表示名
+ * @property {string} description - 用途の説明
+ * @property {string} body - プロンプト本文（プレースホルダーを含む Markdown）
+ * @property {Object<string, string>} readingGuides - チャート種別ごとの
+ *   読み取り手法（空文字は標準の内容）
+ * @property {boolean} [builtin] - 組み込みテンプレートか
+ */
+
+// =============================================================================
+// Built-in Templates
+// =============================================================================
+
+/** 出力の冒頭に必ず付ける注意書き（全テンプレート共通） */
+const PROMPT_TEMPLATE_DISCLAIMER =
+  "**重要**: 出力は必ず「⚠️注意：AIによる分析のため、不正確な情報を表示することがあります。」から開始すること。自己紹介や挨拶文は一切不要。";
+
+/**
+ * 組み込みテンプレート
+ * Note: 標準（購買）はテンプレート導入前のプロンプトと同じ内容
+ * @type {Array<PromptTemplate>}
+ */
+const BUILTIN_PROMPT_TEMPLATES = [
+  {
+    id: "builtin-standard",
+    name: "標準（購買）",
+    description: "チャートの読み取りと価格交渉ガイドを中心とした購買向け",
+    body: `{{section.role}}
+---
+
+{{section.data}}
+
+---
+
+## §3 チャート分析タスク
+
+### §3.1 チャート種別
+- **分析カテゴリ**: {{chart.tabName}}
+- **表示内容**: {{chart.description}}
+
+### §3.2 分析の着眼点
+{{chart.analysisPoints}}
+{{section.readingGuide}}
+---
+
+## §4 出力フォーマット
+
+${PROMPT_TEMPLATE_DISCLAIMER}
+
+### 📋 基本情報
+
+| 項目 | 内容 |
+|------|------|
+| 品目名 | {{item}} |
+| 単位 | {{unit}} |
+| 分析種別 | {{chart.tabName}} |
+| 時間軸 | {{chart.description}} |
+| 分析期間 | [チャートから読み取った期間を記載（例: 2023年4月〜2024年3月）] |
+| データ件数 | {{kpi.count}}件 |
+
+### 📊 チャート分析サマリー
+
+> チャート画像から読み取れる最も重要な発見を1〜2文で要約。
+> 「チャートを見ると...」「グラフ上で...が確認できる」のように視覚的特徴を起点に記述。
+
+### 📈 詳細分析（5項目）
+
+以下の形式で5つの分析を記述:
+
+**分析1: [発見したパターン名]**
+- **事実**: チャートから読み取れる客観的事実（傾向、位置、パターン）
+- **数値**: 具体的な金額や変化率
+- **解釈**: この傾向が意味すること
+- **価格交渉への影響**: この分析から導かれる交渉上のポイント（後述の交渉アクションの根拠となる）
+
+**分析2〜5**: 同様の形式で記述
+
+{{section.negotiation}}
+
+---
+
+## §5 品質チェックリスト
+
+- [ ] 各分析がチャートの視覚情報を引用している
+- [ ] 「高い/低い」には比較基準を明記
+- [ ] 推測は「〜と推測される」と明記
+- [ ] 統計データとチャートが整合している
+- [ ] 価格交渉アクションが詳細分析の「価格交渉への影響」と整合している
+`,
+    readingGuides: { timeseries: "", comparison: "", trend: "" },
+    builtin: true,
+  },
+  {
+    id: "builtin-estimating",
+    name: "積算向け",
+    description: "見積もりに使う推奨単価と、規模・支店による補正の根拠",
+    body: `{{section.role}}
+---
+
+{{section.data}}
+
+---
+
+## §3 チャート分析タスク
+
+積算担当者が見積もり単価を決めるための根拠を整理します。価格交渉の提案は不要です。
+
+### §3.1 チャート種別
+- **分析カテゴリ**: {{chart.tabName}}
+- **表示内容**: {{chart.description}}
+
+### §3.2 分析の着眼点
+{{chart.analysisPoints}}
+   6. 見積もりに採用できる単価帯と、その根拠となる件数
+   7. 規模・支店・時期による単価の補正が必要か
+{{section.readingGuide}}
+---
+
+## §4 出力フォーマット
+
+${PROMPT_TEMPLATE_DISCLAIMER}
+
+### 📋 基本情報
+
+| 項目 | 内容 |
+|------|------|
+| 品目名 | {{item}} |
+| 単位 | {{unit}} |
+| 分析種別 | {{chart.tabName}}（{{chart.description}}） |
+| 適用フィルター | {{filters}} |
+| データ件数 | {{kpi.count}}件 |
+
+### 🧮 推奨積算単価
+
+| 区分 | 単価 | 根拠 |
+|------|------|------|
+| 標準単価 | ¥[金額] | 中央値¥{{kpi.medianPrice}}と直近の傾向から判断 |
+| 安全側単価 | ¥[金額] | [上位の価格帯・変動幅] |
+| 下限の目安 | ¥[金額] | [最低価格帯の実績] |
+
+### 📈 単価の根拠（3〜5項目）
+
+**根拠1: [発見したパターン名]**
+- **事実**: チャートから読み取れる客観的事実
+- **数値**: 具体的な金額や変化率
+- **積算への反映**: 単価・補正への反映方法
+
+### 🔧 補正の要否
+
+| 要因 | 補正の要否 | 補正の目安 | 根拠 |
+|------|-----------|-----------|------|
+| 時期（物価変動） | [要/不要] | [±X%] | [根拠] |
+| 支店・地域 | [要/不要] | [±X%] | [根拠] |
+| 建物規模 | [要/不要] | [±X%] | [根拠] |
+
+### ⚠️ 採用時の注意
+
+- 件数が少ない・外れ値の影響が大きい等、単価の信頼性に関わる点を記述
+
+---
+
+## §5 品質チェックリスト
+
+- [ ] 推奨単価の根拠にチャートまたは§2の統計を引用している
+- [ ] 補正の目安は数値の根拠がある場合のみ記載し、ない場合は「判断不可」とする
+- [ ] 推測は「〜と推測される」と明記
+`,
+    readingGuides: { timeseries: "", comparison: "", trend: "" },
+    builtin: true,
+  },
+  {
+    id: "builtin-management",
+    name: "経営層向けサマリー",
+    description: "結論と金額影響を1ページにまとめた報告向け",
+    body: `# 建設資材購買分析サマリー
+
+あなたは建設会社の購買部門で経営層への報告を担当する専門家です。
+添付されたチャート画像と以下のデータから、経営判断に必要な結論だけを簡潔にまとめてください。
+
+- 専門用語は避け、数値は§1の統計から引用する（チャートからの目測値には「約」を付ける）
+- 推測は「〜と推測される」と明記し、データから判断できないことは書かない
+- 冒頭に自己紹介や挨拶文を出力しない
+
+---
+
+## §1 対象データ
+
+| 項目 | 値 |
+|------|-----|
+| 品目名 | {{item}}（{{unit}}） |
+| 適用フィルター | {{filters}} |
+| データ件数 | {{kpi.count}}件 |
+| 単価（最小 / 中央 / 平均 / 最大） | ¥{{kpi.minPrice}} / ¥{{kpi.medianPrice}} / ¥{{kpi.avgPrice}} / ¥{{kpi.maxPrice}} |
+
+チャート: {{chart.tabName}}（{{chart.description}}）
+
+{{chartData}}
+
+---
+
+## §2 出力フォーマット
+
+${PROMPT_TEMPLATE_DISCLAIMER}
+
+### 結論
+
+> 最も重要な発見と、推奨する対応を3行以内で記述。
+
+### 主要な数値
+
+| 指標 | 値 | 評価 |
+|------|-----|------|
+| [指標] | [値] | [良い/注意/要対応] |
+
+（3〜5行）
+
+### 推奨アクション
+
+| # | アクション | 期待効果 | 担当 |
+|---|----------|---------|------|
+| 1 | [アクション] | [効果（金額・割合）] | [購買/積算/現場] |
+
+（最大3行）
+
+### リスク
+
+- [リスクと影響]（最大3項目）
+`,
+    readingGuides: { timeseries: "", comparison: "", trend: "" },
+    builtin: true,
+  },
+];
+
+/**
+ * プレビュー用のサンプル値（API設定モーダルでは分析中のデータを参照できないため）
+ */
+const PROMPT_TEMPLATE_SAMPLE = {
+  group: { minorCode: "0135", item: "ＤＳ構造用くぎ（サンプル）", unit: "kg" },
+  kpi: {
+    count: 128,
+    minPrice: 820,
+    avgPrice: 1043,
+    medianPrice: 1010,
+    maxPrice: 1580,
+  },
+  filters: {
+    dateFrom: "2023-04-01",
+    dateTo: "2024-03-31",
+    regions: ["札幌"],
+    vendors: [],
+  },
+  settings: {
+    timeseries: { timeUnit: "monthly", chartType: "line" },
+    comparison: { groupBy: "vendor", metric: "avgPrice", chartType: "bar" },
+    trend: { xAxis: "resUnits", chartType: "scatter" },
+  },
+  chartSummary: `#### チャートの集計データ（サンプル）
+
+| 区分 | 件数 | 平均単価 | 中央単価 |
+|------|-----:|--------:|--------:|
+| 2023-04 | 12 | 1,020 | 1,000 |
+| 2023-05 | 9 | 1,045 | 1,030 |`,
+};
+
+// =============================================================================
+// Private Helpers
+// =============================================================================
+
+/**
+ * 一意なIDを生成
+ * @private
+ */
+function createPromptTemplateId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * 1件分のデータを検証して正規化（不正な場合は null）
+ * @private
+ */
+function normalizePromptTemplate(entry) {
+  if (entry === null || typeof entry !== "object" || Array.isArray(entry)) {
+    return null;
+  }
+  const name = typeof entry.name === "string" ? entry.name.trim() : "";
+  const body = typeof entry.body === "string" ? entry.body : "";
+  if (!name || !body.trim()) return null;
+
+  const guides =
+    entry.readingGuides && typeof entry.readingGuides === "object"
+      ? entry.readingGuides
+      : {};
+  const readingGuides = {};
+  for (const tab of PROMPT_TEMPLATE_TABS) {
+    readingGuides[tab] = typeof guides[tab] === "string" ? guides[tab] : "";
+  }
+
+  const now = new Date().toISOString();
+  return {
+    // 組み込みと同じIDは取り込まない（組み込みを上書きしない）
+    id:
+      typeof entry.id === "string" &&
+      entry.id &&
+      !isBuiltinPromptTemplate(entry)
+        ? entry.id
+        : createPromptTemplateId(),
+    name: name.slice(0, PROMPT_TEMPLATE_CONFIG.maxNameLength),
+    description:
+      typeof entry.description === "string" ? entry.description.trim() : "",
+    body,
+    readingGuides,
+    createdAt: typeof entry.createdAt === "string" ? entry.createdAt : now,
+    updatedAt: typeof entry.updatedAt === "string" ? entry.updatedAt : now,
+  };
+}
+
+/**
+ * テンプレートの変更を通知（多角分析モーダルのテンプレート選択を更新）
+ * @private
+ */
+function notifyPromptTemplatesChanged() {
+  window.dispatchEvent(new CustomEvent(PROMPT_TEMPLATE_CONFIG.changeEvent));
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * 組み込みテンプレートか
+ * @param {PromptTemplate|Object} template - テンプレート
+ * @returns {boolean}
+ */
+function isBuiltinPromptTemplate(template) {
+  return BUILTIN_PROMPT_TEMPLATES.some((builtin) => builtin.id === template.id);
+}
+
+/**
+ * テンプレート本文のプレースホルダーを置き換える
+ * Note: 未定義のプレースホルダーは {{...}} のまま残す（誤記に気付けるように）
+ * @param {string} body - テンプレート本文
+ * @param {Object<string, string>} values - プレースホルダー名 → 値
+ * @returns {string} プロンプト
+ */
+function renderPromptTemplate(body, values) {
+  return body.replace(PROMPT_PLACEHOLDER_PATTERN, (match, name) =>
+    Object.prototype.hasOwnProperty.call(values, name)
+      ? String(values[name])
+      : match
+  );
+}
+
+/**
+ * テンプレート本文中の未定義のプレースホルダーを抽出
+ * @param {string} body - テンプレート本文
+ * @returns {Array<string>} 未定義の名前（重複なし、出現順）
+ */
+function findUnknownPlaceholders(body) {
+  const known = new Set(PROMPT_TEMPLATE_PLACEHOLDERS.map((p) => p.name));
+  const unknown = new Set();
+  for (const [, name] of body.matchAll(PROMPT_PLACEHOLDER_PATTERN)) {
+    if (!known.has(name)) unknown.add(name);
+  }
+  return [...unknown];
+}
+
+/**
+ * ユーザー定義のテンプレートを読み込む
+ * @returns {Array<PromptTemplate>} 保存したテンプレート（保存順）
+ */
+function loadCustomPromptTemplates() {
+  try {
+    const json = localStorage.getItem(PROMPT_TEMPLATE_CONFIG.storageKey);
+    return json ? parsePromptTemplates(json) : [];
+  } catch (e) {
+    console.warn("Prompt templates not available:", e);
+    return [];
+  }
+}
+
+/**
+ * ユーザー定義のテンプレートを書き込み、変更を通知
+ * @param {Array<PromptTemplate>} templates - 保存するテンプレート一覧
+ */
+function storeCustomPromptTemplates(templates) {
+  try {
+    localStorage.setItem(
+      PROMPT_TEMPLATE_CONFIG.storageKey,
+      serializePromptTemplates(templates)
+    );
+  } catch (e) {
+    console.warn("localStorage not available:", e);
+  }
+  notifyPromptTemplatesChanged();
+}
+
+/**
+ * 選択できるテンプレート一覧（組み込み → ユーザー定義の順）
+ * @returns {Array<PromptTemplate>}
+ */
+function getPromptTemplates() {
+  return [...BUILTIN_PROMPT_TEMPLATES, ...loadCustomPromptTemplates()];
+}
+
+/**
+ * IDからテンプレートを取得（見つからない場合は標準テンプレート）
+ * @param {string} id - テンプレートID
+ * @returns {PromptTemplate}
+ */
+function getPromptTemplate(id) {
+  const templates = getPromptTemplates();
+  return (
+    templates.find((template) => template.id === id) ||
+    templates.find(
+      (template) => template.id === PROMPT_TEMPLATE_CONFIG.defaultId
+    )
+  );
+}
+
+/**
+ * レポート生成に使うテンプレートのIDを読み込む
+ * @returns {string} テンプレートID（未保存・削除済みの場合は標準）
+ */
+function loadSelectedPromptTemplateId() {
+  try {
+    const id = localStorage.getItem(PROMPT_TEMPLATE_CONFIG.selectedKey);
+    return getPromptTemplate(id).id;
+  } catch (e) {
+    return PROMPT_TEMPLATE_CONFIG.defaultId;
+  }
+}
+
+/**
+ * レポート生成に使うテンプレートのIDを保存
+ * @param {string} id - テンプレートID
+ */
+function storeSelectedPromptTemplateId(id) {
+  try {
+    localStorage.setItem(PROMPT_TEMPLATE_CONFIG.selectedKey, id);
+  } catch (e) {
+    console.warn("localStorage not available:", e);
+  }
+}
+
+/**
+ * 編集用のテンプレートを生成（組み込みの複製・新規作成）
+ * @param {PromptTemplate|null} source - 複製元（null は標準テンプレートの本文で新規作成）
+ * @param {string} name - 表示名
+ * @returns {PromptTemplate}
+ */
+function createPromptTemplate(source, name) {
+  const base = source || getPromptTemplate(PROMPT_TEMPLATE_CONFIG.defaultId);
+  // Alpine のリアクティブ値を切り離すため JSON 経由でコピー
+  return normalizePromptTemplate(
+    JSON.parse(
+      JSON.stringify({
+        name,
+        description: base.description,
+        body: base.body,
+        readingGuides: base.readingGuides,
+      })
+    )
+  );
+}
+
+/**
+ * テンプレート一覧を JSON 文字列に変換（保存・エクスポート共通）
+ * @param {Array<PromptTemplate>} templates - ユーザー定義のテンプレート一覧
+ * @returns {string}
+ */
+function serializePromptTemplates(templates) {
+  return JSON.stringify(
+    {
+      format: PROMPT_TEMPLATE_CONFIG.format,
+      version: PROMPT_TEMPLATE_CONFIG.version,
+      templates,
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * JSON 文字列からテンプレート一覧を復元
+ * @param {string} json - serializePromptTemplates の出力
+ * @returns {Array<PromptTemplate>} 検証済みのテンプレート一覧（不正な項目は除外）
+ * @throws {Error} JSON 形式・バージョンが不正な場合
+ */
+function parsePromptTemplates(json) {
+  const data = JSON.parse(json);
+  if (
+    data === null ||
+    typeof data !== "object" ||
+    data.format !== PROMPT_TEMPLATE_CONFIG.format
+  ) {
+    throw new Error("プロンプトテンプレートのファイルではありません");
+  }
+  if (data.version !== PROMPT_TEMPLATE_CONFIG.version) {
+    throw new Error(`未対応のバージョンです: ${data.version}`);
+  }
+  if (!Array.isArray(data.templates)) return [];
+  return data.templates.map(normalizePromptTemplate).filter(Boolean);
+}
+
+/**
+ * インポートしたテンプレートを既存の一覧に統合
+ * Note: 同名のテンプレートは上書き（IDは既存のものを維持）し、それ以外は末尾に追加
+ * @param {Array<PromptTemplate>} current - 既存のテンプレート一覧
+ * @param {Array<PromptTemplate>} imported - インポートしたテンプレート一覧
+ * @returns {{templates: Array<PromptTemplate>, added: number, updated: number}}
+ */
+function mergePromptTemplates(current, imported) {
+  const templates = [...current];
+  let added = 0;
+  let updated = 0;
+  for (const entry of imported) {
+    const idx = templates.findIndex((template) => template.name === entry.name);
+    if (idx === -1) {
+      templates.push({ ...entry, id: createPromptTemplateId() });
+      added++;
+    } else {
+      templates[idx] = { ...entry, id: templates[idx].id };
+      updated++;
+    }
+  }
+  return { templates, added, updated };
+}
+
+// =============================================================================
+// Alpine.js Component for Prompt Template Editor
+// =============================================================================
+
+/**
+ * Alpine.js component for the prompt template editor (API settings modal)
+ * @returns {Object} Alpine.js component
+ */
+function promptTemplateEditorData() {
+  return {
+    templates: getPromptTemplates(),
+    placeholders: PROMPT_TEMPLATE_PLACEHOLDERS,
+    tabs: PROMPT_TEMPLATE_TABS,
+    editingId: PROMPT_TEMPLATE_CONFIG.defaultId,
+    // 編集中の内容（保存するまで一覧には反映しない）
+    draft: JSON.parse(JSON.stringify(BUILTIN_PROMPT_TEMPLATES[0])),
+    guideTab: "timeseries",
+    previewTab: "timeseries",
+    showPreview: false,
+    isDirty: false,
+
+    init() {
+      this.selectTemplate(loadSelectedPromptTemplateId());
+    },
+
+    get editing() {
+      return this.templates.find((template) => template.id === this.editingId);
+    },
+
+    get isReadOnly() {
+      return !!this.editing?.builtin;
+    },
+
+    get hasCustomTemplates() {
+      return this.templates.some((template) => !template.builtin);
+    },
+
+    get unknownPlaceholders() {
+      return findUnknownPlaceholders(this.draft.body);
+    },
+
+    /**
+     * サンプル値でプロンプトを生成（プレビュー）
+     * @returns {{prompt: string, tokens: number}}
+     */
+    get preview() {
+      const sample = PROMPT_TEMPLATE_SAMPLE;
+      const tab = this.previewTab;
+      const values = buildPromptTemplateValues({
+        group: sample.group,
+        kpi: sample.kpi,
+        filters: sample.filters,
+        chartInfo: getChartDescription(tab, sample.settings[tab]),
+        chartSummary: sample.chartSummary,
+        template: this.draft,
+      });
+      const prompt = renderPromptTemplate(this.draft.body, values);
+      return { prompt, tokens: estimateTokenCount(prompt) };
+    },
+
+    /**
+     * チャート種別の表示名
+     * @param {string} tab - 'timeseries' | 'comparison' | 'trend'
+     * @returns {string}
+     */
+    tabLabel(tab) {
+      return CHART_CONFIGS[tab].tabName;
+    },
+
+    /**
+     * 編集するテンプレートを切り替え（未保存の変更は確認後に破棄）
+     * @param {string} id - テンプレートID
+     */
+    selectTemplate(id) {
+      if (
+        this.isDirty &&
+        !window.confirm("保存していない変更を破棄しますか？")
+      ) {
+        return;
+      }
+      const template = getPromptTemplate(id);
+      this.editingId = template.id;
+      this.draft = JSON.parse(JSON.stringify(template));
+      this.isDirty = false;
+    },
+
+    /**
+     * 編集中のテンプレートを複製して新しいテンプレートを作成
+     */
+    duplicateTemplate() {
+      const name = window
+        .prompt("新しいテンプレートの名前", `${this.draft.name}のコピー`)
+        ?.trim();
+      if (!name) return;
+      if (this.templates.some((template) => template.name === name)) {
+        alert(`「${name}」は既に存在します`);
+        return;
+      }
+      const template = createPromptTemplate(this.draft, name);
+      storeCustomPromptTemplates([...loadCustomPromptTemplates(), template]);
+      this.templates = getPromptTemplates();
+      this.isDirty = false;
+      this.selectTemplate(template.id);
+    },
+
+    /**
+     * 編集中のユーザー定義テンプレートを保存
+     */
+    saveTemplate() {
+      if (this.isReadOnly) return;
+      const name = this.draft.name.trim();
+      if (!name || !this.draft.body.trim()) {
+        alert("名前と本文を入力してください");
+        return;
+      }
+      if (
+        this.templates.some(
+          (template) => template.name === name && template.id !== this.editingId
+        )
+      ) {
+        alert(`「${name}」は既に存在します`);
+        return;
+      }
+      const templates = loadCustomPromptTemplates().map((template) =>
+        template.id === this.editingId
+          ? {
+              ...normalizePromptTemplate({ ...this.draft, name }),
+              id: template.id,
+              createdAt: template.createdAt,
+              updatedAt: new Date().toISOString(),
+            }
+          : template
+      );
+      storeCustomPromptTemplates(templates);
+      this.templates = getPromptTemplates();
+      this.isDirty = false;
+      this.selectTemplate(this.editingId);
+    },
+
+    /**
+     * 編集中のユーザー定義テンプレートを削除
+     */
+    deleteTemplate() {
+      if (
+        this.isReadOnly ||
+        !window.confirm(`「${this.editing.name}」を削除しますか？`)
+      ) {
+        return;
+      }
+      storeCustomPromptTemplates(
+        loadCustomPromptTemplates().filter(
+          (template) => template.id !== this.editingId
+        )
+      );
+      this.templates = getPromptTemplates();
+      this.isDirty = false;
+      this.selectTemplate(PROMPT_TEMPLATE_CONFIG.defaultId);
+    },
+
+    /**
+     * 本文のカーソル位置にプレースホルダーを挿入
+     * @param {string} name - プレースホルダー名
+     */
+    insertPlaceholder(name) {
+      if (this.isReadOnly) return;
+      const textarea = this.$refs.templateBody;
+      const text = `{{${name}}}`;
+      const start = textarea?.selectionStart ?? this.draft.body.length;
+      const end = textarea?.selectionEnd ?? start;
+      this.draft.body =
+        this.draft.body.slice(0, start) + text + this.draft.body.slice(end);
+      this.isDirty = true;
+      this.$nextTick(() => {
+        textarea?.focus();
+        textarea?.setSelectionRange(start + text.length, start + text.length);
+      });
+    },
+
+    /**
+     * 選択中のチャート種別の読み取り手法に標準の内容を入れる（編集の起点）
+     */
+    fillDefaultReadingGuide() {
+      if (this.isReadOnly) return;
+      this.draft.readingGuides[this.guideTab] = getDefaultReadingGuideText(
+        this.guideTab
+      );
+      this.isDirty = true;
+    },
+
+    /**
+     * ユーザー定義のテンプレートを JSON ファイルとしてダウンロード
+     */
+    exportTemplates() {
+      downloadFile(
+        serializePromptTemplates(loadCustomPromptTemplates()),
+        "kentaku-prompt-templates.json",
+        "application/json"
+      );
+    },
+
+    /**
+     * JSON ファイルからテンプレートを読み込み、既存の一覧に統合
+     * @param {Event} event - ファイル入力の change イベント
+     */
+    async importTemplates(event) {
+      const input = event.target;
+      const file = input.files?.[0];
+      if (!file) return;
+
+      try {
+        const imported = parsePromptTemplates(await file.text());
+        const { templates, added, updated } = mergePromptTemplates(
+          loadCustomPromptTemplates(),
+          imported
+        );
+        storeCustomPromptTemplates(templates);
+        this.templates = getPromptTemplates();
+        alert(
+          `テンプレートを読み込みました（追加 ${added}件、上書き ${updated}件）`
+        );
+      } catch (error) {
+        console.error("Prompt template import failed:", error);
+        alert("読み込みに失敗しました: " + error.message);
+      } finally {
+        // 同じファイルを再度選択できるようにリセット
+        input.value = "";
+      }
+    },
+  };
+}
@@ -0,0 +1,283 @@
+/**
+ * =============================================================================
+ * report-chat.js - AIレポートへの追加の質問（条件変更の判定）
+ * =============================================================================
+ *
+ * 概要:
+ *   AIレポートへの追加の質問のうち、共通フィルターの変更を依頼しているもの
+ *   （「業者Xを除外して再分析」「札幌だけで」「2024年以降で見直して」等）を
+ *   判定し、変更後の共通フィルターを生成する
+ *   - 支店・業者: 質問中の名称を選択肢と照合し、除外 / 限定の依頼で判定
+ *   - 期間: 年・年月・日付と「以降」「まで」「直近N年」等の表現で判定
+ *   - 解除: 「フィルターを解除」「全支店で」等で初期値に戻す
+ *   名称に言及しているだけの質問（「札幌が高いのはなぜ？」）や、
+ *   「だけ」「のみ」「以外」を含む理由の質問（「なぜ札幌だけ高い？」）は
+ *   変更しない。これらの語は「だけで再分析」「以外で集計」のように
+ *   やり直しの依頼を伴う場合のみ条件変更とみなす。
+ *   判定結果は呼び出し側でユーザーに確認してから適用すること。
+ *
+ * 分類: ユーティリティ層 (Utility Layer)
+ *
+ * =============================================================================
+ */
+
+/**
+ * 条件変更の判定に使う表現
+ * Note: 質問は NFKC 正規化（全角英数字→半角）してから照合する
+ */
+const REPORT_FILTER_INTENT_PATTERNS = {
+  // 除外 / 限定の依頼（単独で条件変更とみなす動詞）
+  exclude: /除外|除いて|除き|抜いて|外して|exclude|without/i,
+  only: /限定|絞って|絞り込んで|絞り込み|only/i,
+  // やり直しの依頼を伴う場合のみ除外 / 限定とみなす語（理由の質問でも使われるため）
+  excludeWord: /以外/,
+  onlyWord: /だけ|のみ/,
+  // やり直しの依頼（期間の指定も、この依頼を伴う場合のみ条件変更とみなす）
+  redo: /再分析|再集計|やり直|分析し直|見直|で(?:分析|集計|比較)|で見(?:て|せ)|redo|re-?run/i,
+  reset:
+    /(?:フィルター|絞り込み|条件)[^。、]*(?:解除|クリア|リセット|戻)|(?:すべて|全て|全)の?(?:支店|業者|期間)/,
+};
+
+/** 業者名の照合時に除く法人格 */
+const REPORT_CHAT_CORPORATE_PATTERN =
+  /株式会社|有限会社|合同会社|合資会社|\(株\)|\(有\)|㈱|㈲|\s+/g;
+
+/**
+ * @typedef {Object} ReportFilterIntent
+ * @property {Object} filters - 変更後の共通フィルター
+ *   { dateFrom, dateTo, regions, vendors }
+ * @property {Array<string>} changes - 変更内容（表示・プロンプト用）
+ */
+
+// =============================================================================
+// Private Helpers
+// =============================================================================
+
+/**
+ * 質問中に含まれる名称を抽出（長い名称を優先し、重なる短い名称は除く）
+ * 例: 「名古屋南」を含む質問で「名古屋」を重複して抽出しない
+ * @private
+ * @param {string} text - 照合対象の質問
+ * @param {Array<string>} options - 選択肢
+ * @param {Function} toKey - 選択肢を照合用の文字列に変換
+ * @param {number} minLength - 照合する名称の最小文字数（誤検出の防止）
+ * @returns {Array<string>} 抽出した選択肢（選択肢の順）
+ */
+function findMentionedOptions(text, options, toKey, minLength) {
+  const candidates = options
+    .map((option) => ({ option, key: toKey(option) }))
+    .filter(({ key }) => key.length >= minLength)
+    .sort((a, b) => b.key.length - a.key.length);
+
+  const used = new Array(text.length).fill(false);
+  const found = new Set();
+  for (const { option, key } of candidates) {
+    let index = text.indexOf(key);
+    while (index !== -1) {
+      const end = index + key.length;
+      if (!used.slice(index, end).some(Boolean)) {
+        used.fill(true, index, end);
+        found.add(option);
+      }
+      index = text.indexOf(key, end);
+    }
+  }
+  return options.filter((option) => found.has(option));
+}
+
+/**
+ * 業者名を照合用に正規化（法人格・空白を除く）
+ * @private
+ */
+function toVendorKey(vendor) {
+  return vendor.normalize("NFKC").replace(REPORT_CHAT_CORPORATE_PATTERN, "");
+}
+
+/**
+ * YYYY-MM-DD 形式に整形
+ * @private
+ */
+function toIsoDate(year, month, day) {
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(
+    2,
+    "0"
+  )}`;
+}
+
+/**
+ * 月末日を取得
+ * @private
+ */
+function lastDayOfMonth(year, month) {
+  return new Date(year, month, 0).getDate();
+}
+
+/**
+ * 質問から期間の指定を抽出
+ * @private
+ * @param {string} text - NFKC 正規化済みの質問
+ * @param {string} latestDate - データの最終日（直近N年の基準、YYYY-MM-DD）
+ * @returns {{dateFrom?: string, dateTo?: string}}
+ */
+function parseDateIntent(text, latestDate) {
+  const range = {};
+
+  // 直近N年 / 過去Nか月
+  const recent = text.match(
+    /(?:直近|過去|最近)\s*(\d+)\s*(年|か月|ヶ月|カ月|ヵ月|ケ月)/
+  );
+  if (recent && latestDate) {
+    const months = Number(recent[1]) * (recent[2] === "年" ? 12 : 1);
+    const end = new Date(`${latestDate}T00:00:00`);
+    const start = new Date(end.getFullYear(), end.getMonth() - months + 1, 1);
+    range.dateFrom = toIsoDate(start.getFullYear(), start.getMonth() + 1, 1);
+    range.dateTo = latestDate;
+    return range;
+  }
+
+  // 2024年度のみ（4月〜翌3月）/ 2024年のみ
+  const single = text.match(/(\d{4})\s*年(度)?\s*(?:のみ|だけ|に限定|に絞)/);
+  if (single) {
+    const year = Number(single[1]);
+    if (single[2]) {
+      range.dateFrom = toIsoDate(year, 4, 1);
+      range.dateTo = toIsoDate(year + 1, 3, 31);
+    } else {
+      range.dateFrom = toIsoDate(year, 1, 1);
+      range.dateTo = toIsoDate(year, 12, 31);
+    }
+    return range;
+  }
+
+  // 2024年4月以降 / 2024-04-01から / 2023年まで
+  const datePattern =
+    /(\d{4})\s*(?:年\s*(?:(\d{1,2})\s*月\s*(?:(\d{1,2})\s*日)?)?|[-/](\d{1,2})(?:[-/](\d{1,2}))?)\s*(以降|以後|から|より後|~|〜|まで|以前|より前)/g;
+  for (const match of text.matchAll(datePattern)) {
+    const year = Number(match[1]);
+    const month = Number(match[2] || match[4]) || null;
+    const day = Number(match[3] || match[5]) || null;
+    if (/まで|以前|より前/.test(match[6])) {
+      const endMonth = month || 12;
+      range.dateTo = toIsoDate(
+        year,
+        endMonth,
+        day || lastDayOfMonth(year, endMonth)
+      );
+    } else {
+      range.dateFrom = toIsoDate(year, month || 1, day || 1);
+    }
+  }
+  return range;
+}
+
+/**
+ * 配列の要素が同じか（順不同）
+ * @private
+ */
+function isSameSelection(a, b) {
+  return a.length === b.length && a.every((value) => b.includes(value));
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * 追加の質問から共通フィルターの変更依頼を判定
+ * @param {string} question - 追加の質問
+ * @param {Object} params - 判定に使う現在の状態
+ * @param {Object} params.commonFilters - 現在の共通フィルター
+ * @param {Object} params.initialFilters - 初期値 { dateFrom, dateTo }（データの期間）
+ * @param {Array<string>} params.regionOptions - 選択可能な支店
+ * @param {Array<string>} params.vendorOptions - 選択可能な業者
+ * @returns {ReportFilterIntent|null} 変更がない場合は null
+ */
+function detectReportFilterIntent(
+  question,
+  { commonFilters, initialFilters, regionOptions, vendorOptions }
+) {
+  const text = question.normalize("NFKC");
+  const compact = text.replace(/\s+/g, "");
+  const patterns = REPORT_FILTER_INTENT_PATTERNS;
+  const isRedo = patterns.redo.test(text);
+  const isExclude =
+    patterns.exclude.test(text) || (isRedo && patterns.excludeWord.test(text));
+  const isOnly =
+    !isExclude &&
+    (patterns.only.test(text) || (isRedo && patterns.onlyWord.test(text)));
+
+  const filters = {
+    dateFrom: commonFilters.dateFrom,
+    dateTo: commonFilters.dateTo,
+    regions: [...commonFilters.regions],
+    vendors: [...commonFilters.vendors],
+  };
+  const changes = [];
+
+  // 解除: 対象の指定（支店・業者・期間）がなければすべて初期値に戻す
+  if (patterns.reset.test(text)) {
+    const targets = ["支店", "業者", "期間"].filter((label) =>
+      text.includes(label)
+    );
+    const resetAll = targets.length === 0;
+    if (resetAll || targets.includes("支店")) filters.regions = [];
+    if (resetAll || targets.includes("業者")) filters.vendors = [];
+    if (resetAll || targets.includes("期間")) {
+      filters.dateFrom = initialFilters.dateFrom;
+      filters.dateTo = initialFilters.dateTo;
+    }
+    changes.push(
+      resetAll
+        ? "共通フィルターを解除"
+        : `${targets.join("・")}の絞り込みを解除`
+    );
+  } else {
+    const dimensions = [
+      {
+        key: "regions",
+        label: "支店",
+        mentioned: findMentionedOptions(
+          text,
+          regionOptions,
+          (region) => region.normalize("NFKC"),
+          1
+        ),
+        options: regionOptions,
+      },
+      {
+        key: "vendors",
+        label: "業者",
+        mentioned: findMentionedOptions(compact, vendorOptions, toVendorKey, 2),
+        options: vendorOptions,
+      },
+    ];
+    for (const { key, label, mentioned, options } of dimensions) {
+      if (mentioned.length === 0) continue;
+      if (isExclude) {
+        // 絞り込み中ならその中から、未選択なら全選択肢から除く
+        const base = filters[key].length > 0 ? filters[key] : options;
+        filters[key] = base.filter((option) => !mentioned.includes(option));
+        changes.push(`${label}: ${mentioned.join("、")} を除外`);
+      } else if (isOnly) {
+        filters[key] = mentioned;
+        changes.push(`${label}: ${mentioned.join("、")} のみ`);
+      }
+    }
+
+    if (isOnly || isRedo) {
+      const range = parseDateIntent(text, initialFilters.dateTo);
+      if (range.dateFrom || range.dateTo) {
+        filters.dateFrom = range.dateFrom || filters.dateFrom;
+        filters.dateTo = range.dateTo || filters.dateTo;
+        changes.push(`期間: ${filters.dateFrom} ~ ${filters.dateTo}`);
+      }
+    }
+  }
+
+  const changed =
+    filters.dateFrom !== commonFilters.dateFrom ||
+    filters.dateTo !== commonFilters.dateTo ||
+    !isSameSelection(filters.regions, commonFilters.regions) ||
+    !isSameSelection(filters.vendors, commonFilters.vendors);
+  return changed ? { filters, changes } : null;
+}
@@ -0,0 +1,389 @@
+/**
+ * =============================================================================
+ * report-fact-check.js - AIレポートの数値チェック
+ * =============================================================================
+ *
+ * 概要:
+ *   AIレポート（Markdown）に記載された金額（¥, 円）・割合（%）・件数（件）を
+ *   抽出し、多角分析モーダルの KPI サマリーとチャートの集計値に照合する
+ *   - 集計値そのもの、または関連する集計値の組（最初と最後の期間、KPI の
+ *     最小・平均・中央値・最大、比較分析のグループと全体平均など）の
+ *     差額・比率・変化率と一致すれば「一致」
+ *     （任意の2値の組み合わせを認めると、ほとんどの数値が一致してしまうため）
+ *   - 一致しない数値はレポート上で「要確認」バッジ付きで強調表示する
+ *   - 価格交渉ガイド（目標単価などの提案値）の配下は照合対象外
+ *
+ *   照合の許容誤差:
+ *     記載桁の丸め（例: "¥1,400" は ±0.5、"約50%" は ±0.5pt）に加えて
+ *     FACT_CHECK_CONFIG の誤差を許容する
+ *
+ * 分類: ユーティリティ層 (Utility Layer)
+ *
+ * 依存: utils.js (calcBoxplotStats, calcCorrelation),
+ *       ai-report.js (calcTrendRangeStats), markdown-renderer.js (escapeHtml)
+ *
+ * =============================================================================
+ */
+
+const FACT_CHECK_CONFIG = {
+  // 金額: 記載桁の丸めに加えて許容する相対誤差
+  yenRelativeTolerance: 0.005,
+  // 割合: 記載桁の丸めに加えて許容する誤差（ポイント）
+  percentTolerance: 0.1,
+  // 全体平均との差額・比率を照合する比較分析のグループ数（件数の多い順）
+  maxComparisonGroups: 3,
+  // 提案値を記載する見出し（配下の数値は照合しない）
+  proposalHeadings: ["価格交渉ガイド"],
+};
+
+/**
+ * レポート中の数値（金額 / 割合 / 件数）
+ * 1: ¥金額, 2: 万, 3: 金額円, 4: 万, 5: 割合, 6: 件数
+ */
+const FACT_CHECK_FIGURE_PATTERN =
+  /[¥￥]\s?(\d[\d,]*(?:\.\d+)?)(万)?|(\d[\d,]*(?:\.\d+)?)(万)?円|([+\-−]?\d[\d,]*(?:\.\d+)?)\s?[%％]|(\d[\d,]*)\s?件/g;
+
+/**
+ * @typedef {Object} ReportFigure
+ * @property {string} text - レポート上の表記
+ * @property {string} kind - 'yen' | 'percent' | 'count'
+ * @property {number} value - 数値
+ * @property {number} tolerance - 許容誤差
+ * @property {boolean} isProposal - 提案値（照合対象外）か
+ */
+
+/**
+ * @typedef {Object} FactCheckResult
+ * @property {number} checked - 照合した数値の件数
+ * @property {number} supported - 集計値と一致した件数
+ * @property {number} excluded - 照合対象外（提案値）の件数
+ * @property {string[]} unsupported - 一致しなかった数値の表記（重複なし、出現順）
+ */
+
+// =============================================================================
+// Private Helpers
+// =============================================================================
+
+/**
+ * 記載された数値文字列の丸め幅（"1,400" → 1, "49.5" → 0.1）
+ * @private
+ */
+function getFigurePrecision(numberText) {
+  const decimals = numberText.split(".")[1];
+  return decimals ? Math.pow(10, -decimals.length) : 1;
+}
+
+/**
+ * 正規表現の一致結果を ReportFigure に変換
+ * @private
+ */
+function toReportFigure(match, isProposal) {
+  const [text, yen1, man1, yen2, man2, percent, count] = match;
+  const parse = (numberText) => parseFloat(numberText.replace(/,/g, ""));
+
+  if (percent !== undefined) {
+    const numberText = percent.replace(/^[+\-−]/, "");
+    return {
+      text,
+      kind: "percent",
+      value: parse(numberText),
+      tolerance:
+        getFigurePrecision(numberText) / 2 + FACT_CHECK_CONFIG.percentTolerance,
+      isProposal,
+    };
+  }
+  if (count !== undefined) {
+    return {
+      text,
+      kind: "count",
+      value: parse(count),
+      tolerance: 0,
+      isProposal,
+    };
+  }
+
+  const numberText = yen1 !== undefined ? yen1 : yen2;
+  const scale = (yen1 !== undefined ? man1 : man2) ? 10000 : 1;
+  const value = parse(numberText) * scale;
+  return {
+    text,
+    kind: "yen",
+    value,
+    tolerance:
+      (getFigurePrecision(numberText) * scale) / 2 +
+      value * FACT_CHECK_CONFIG.yenRelativeTolerance,
+    isProposal,
+  };
+}
+
+/**
+ * 昇順配列に target ± tolerance の値があるか（二分探索）
+ * @private
+ */
+function hasNearValue(sorted, target, tolerance) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] < target - tolerance) low = mid + 1;
+    else high = mid;
+  }
+  return low < sorted.length && sorted[low] <= target + tolerance;
+}
+
+/**
+ * 重複を除いて昇順に並べる
+ * @private
+ */
+function toSortedUnique(values) {
+  return [...new Set(values.filter(Number.isFinite))].sort((a, b) => a - b);
+}
+
+/**
+ * 関連する2つの集計値の差額・変化率・比率を追加
+ * @private
+ * @param {number[]} yen - 金額の追加先
+ * @param {number[]} percents - 割合の追加先
+ * @param {number} from - 基準の値（変化率の分母）
+ * @param {number} to - 比べる値
+ */
+function addPairFigures(yen, percents, from, to) {
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from <= 0) return;
+  yen.push(to - from);
+  percents.push(((to - from) / from) * 100, (to / from) * 100);
+}
+
+/**
+ * 1件の数値が集計値で裏付けられるか
+ * @private
+ */
+function isFigureSupported(figure, reference) {
+  const { value, tolerance } = figure;
+
+  if (figure.kind === "count") {
+    return reference.counts.has(value);
+  }
+  if (figure.kind === "yen") {
+    return hasNearValue(reference.yen, value, tolerance);
+  }
+  return hasNearValue(reference.percents, value, tolerance);
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * レポートから数値を抽出
+ * @param {string} markdown - AIレポート
+ * @returns {Array<ReportFigure>} 出現順の数値
+ */
+function extractReportFigures(markdown) {
+  const figures = [];
+  // 提案値の見出しの配下か（より上位の見出しが現れるまで）
+  let proposalLevel = null;
+
+  for (const line of markdown.split("\n")) {
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      const level = heading[1].length;
+      if (proposalLevel !== null && level <= proposalLevel) {
+        proposalLevel = null;
+      }
+      if (
+        proposalLevel === null &&
+        FACT_CHECK_CONFIG.proposalHeadings.some((keyword) =>
+          heading[2].includes(keyword)
+        )
+      ) {
+        proposalLevel = level;
+      }
+    }
+
+    for (const match of line.matchAll(FACT_CHECK_FIGURE_PATTERN)) {
+      figures.push(toReportFigure(match, proposalLevel !== null));
+    }
+  }
+  return figures;
+}
+
+/**
+ * 照合に使う集計値を組み立てる
+ * @param {Object} params
+ * @param {Object} params.kpi - KPI サマリー（count, minPrice, avgPrice, medianPrice, maxPrice）
+ * @param {Array<{tab: string, settings: Object, data: Object|null}>} params.charts
+ *   レポートの対象チャート（data は prepareDetailChartData の結果）
+ * @returns {{yen: number[], percents: number[], counts: Set<number>}}
+ *   差額・変化率・比率は関連する集計値の組からのみ算出して含める
+ */
+function buildFactCheckReference({ kpi, charts }) {
+  const yen = [];
+  const percents = [];
+  const counts = new Set([kpi.count]);
+  const addPair = (from, to) => addPairFigures(yen, percents, from, to);
+
+  yen.push(kpi.minPrice, kpi.avgPrice, kpi.medianPrice, kpi.maxPrice);
+  addPair(kpi.minPrice, kpi.maxPrice);
+  addPair(kpi.avgPrice, kpi.maxPrice);
+  addPair(kpi.avgPrice, kpi.minPrice);
+  addPair(kpi.medianPrice, kpi.avgPrice);
+  if (kpi.avgPrice > 0) {
+    // プロンプトの §2.3 分布特性と同じ計算
+    percents.push(
+      ((kpi.maxPrice - kpi.minPrice) / kpi.avgPrice) * 100,
+      ((kpi.avgPrice - kpi.medianPrice) / kpi.avgPrice) * 100
+    );
+  }
+
+  for (const { tab, settings, data } of charts) {
+    if (!data) continue;
+
+    if (tab === "timeseries") {
+      const { minData, avgData, medianData, maxData } = data;
+      yen.push(...minData, ...avgData, ...medianData, ...maxData);
+      (data.counts || []).forEach((count) => counts.add(count));
+      counts.add(data.labels.length);
+      // 発注のない期間（null）を除いた平均単価の推移
+      const averages = avgData.filter(Number.isFinite);
+      if (averages.length > 1) {
+        const first = averages[0];
+        const last = averages[averages.length - 1];
+        addPair(first, last);
+        addPair(averages[averages.length - 2], last);
+        addPair(Math.min(...averages), Math.max(...averages));
+      }
+      if (data.forecast) {
+        const { forecast, lower, upper, backtest } = data.forecast;
+        yen.push(...forecast, ...lower, ...upper);
+        if (backtest) {
+          yen.push(backtest.mae);
+          percents.push(backtest.mape);
+        }
+      }
+    } else if (tab === "comparison") {
+      const isQtyMetric = settings.metric.includes("Qty");
+      counts.add(data.labels.length);
+      // 件数の多いグループを全体平均との比較対象として優先
+      const order = data.labels
+        .map((_, i) => i)
+        .sort(
+          (a, b) => data.boxplotData[b].length - data.boxplotData[a].length
+        );
+      order.forEach((i, rank) => {
+        const values = data.boxplotData[i];
+        const stats = calcBoxplotStats(values);
+        counts.add(values.length);
+        counts.add(stats.outliers.length);
+        if (isQtyMetric) return;
+        yen.push(
+          data.data[i],
+          stats.min,
+          stats.q1,
+          stats.median,
+          stats.q3,
+          stats.max
+        );
+        if (rank < FACT_CHECK_CONFIG.maxComparisonGroups) {
+          addPair(kpi.avgPrice, data.data[i]);
+        }
+      });
+      if (!isQtyMetric && data.data.length > 1) {
+        // 最も安いグループと最も高いグループ
+        addPair(Math.min(...data.data), Math.max(...data.data));
+      }
+    } else if (tab === "trend") {
+      const { scatterData, xRanges } = data;
+      counts.add(scatterData.length);
+      const rangeStats = calcTrendRangeStats(scatterData, xRanges);
+      for (const stats of rangeStats) {
+        counts.add(stats.count);
+        if (stats.count === 0) continue;
+        yen.push(stats.avg, stats.median);
+      }
+      // X軸の最初と最後の区間（規模による単価の差）
+      const filled = rangeStats.filter((stats) => stats.count > 0);
+      if (filled.length > 1) {
+        addPair(filled[0].avg, filled[filled.length - 1].avg);
+      }
+      const correlation = calcCorrelation(
+        scatterData.map((point) => point.x),
+        scatterData.map((point) => point.y)
+      );
+      if (correlation !== null) percents.push(correlation * 100);
+      if (data.scaleCurve) percents.push(data.scaleCurve.doublingChange);
+    }
+  }
+
+  return {
+    yen: toSortedUnique(yen.map((v) => Math.abs(Math.round(v)))),
+    percents: toSortedUnique(percents.map(Math.abs)),
+    counts,
+  };
+}
+
+/**
+ * レポートの数値を集計値と照合
+ * @param {string} markdown - AIレポート
+ * @param {Object} reference - buildFactCheckReference の結果
+ * @returns {FactCheckResult}
+ */
+function verifyReportFigures(markdown, reference) {
+  const result = { checked: 0, supported: 0, excluded: 0, unsupported: [] };
+
+  for (const figure of extractReportFigures(markdown)) {
+    if (figure.isProposal) {
+      result.excluded++;
+      continue;
+    }
+    result.checked++;
+    if (isFigureSupported(figure, reference)) {
+      result.supported++;
+    } else if (!result.unsupported.includes(figure.text)) {
+      result.unsupported.push(figure.text);
+    }
+  }
+  return result;
+}
+
+/**
+ * 照合結果の1行サマリー
+ * @param {FactCheckResult} result - verifyReportFigures の結果
+ * @returns {string}
+ */
+function formatFactCheckSummary(result) {
+  const excluded =
+    result.excluded > 0
+      ? `（価格交渉ガイドの提案値 ${result.excluded}件は対象外）`
+      : "";
+  if (result.checked === 0) {
+    return `数値チェック: 照合対象の数値はありません${excluded}`;
+  }
+  const failed = result.checked - result.supported;
+  const detail =
+    failed > 0
+      ? `${failed}件は集計値で確認できません（「要確認」を表示）`
+      : "すべて集計値と一致";
+  return `数値チェック: ${result.checked}件中 ${result.supported}件がダッシュボードの集計値と一致、${detail}${excluded}`;
+}
+
+/**
+ * 要確認の数値を強調表示する Markdown テキスト描画関数を生成
+ * @param {string[]} unsupported - 一致しなかった数値の表記
+ * @returns {Function} (text) => HTML（renderMarkdown の renderText オプション）
+ */
+function createFactCheckTextRenderer(unsupported) {
+  const flagged = new Set(unsupported);
+  return (text) => {
+    let html = "";
+    let last = 0;
+    for (const match of text.matchAll(FACT_CHECK_FIGURE_PATTERN)) {
+      if (!flagged.has(match[0])) continue;
+      html += escapeHtml(text.slice(last, match.index));
+      html += `<span class="fact-check-flag" title="ダッシュボードの集計値で確認できない数値です">${escapeHtml(
+        match[0]
+      )}<span class="badge text-bg-warning fact-check-badge">要確認</span></span>`;
+      last = match.index + match[0].length;
+    }
+    return html + escapeHtml(text.slice(last));
+  };
+}
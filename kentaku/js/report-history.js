@@ -0,0 +1,313 @@
+/**
+ * =============================================================================
+ * report-history.js - AIレポートの履歴（IndexedDB 保存・比較）
+ * =============================================================================
+ *
+ * 概要:
+ *   生成した AI レポートを IndexedDB に保存し、後から開き直せるようにする
+ *   - 保存内容: 小工事項目・検索条件・共通フィルター・タブ別設定・KPI・
+ *     プロバイダー/モデル・プロンプトテンプレート・生成日時・本文・
+ *     数値チェック結果・チャート画像
+ *   - チャート画像は容量が大きいため別ストアに保存し、一覧の読み込みを軽くする
+ *   - 2件のレポートを行単位で比較（四半期データ追加前後の分析の変化を確認）
+ *
+ *   ストア構成:
+ *     reports: { id, itemKey, itemName, mode, ..., content, createdAt }
+ *     images:  { id, images: [base64 PNG] }
+ *
+ * 分類: ユーティリティ層 (Utility Layer)
+ *
+ * =============================================================================
+ */
+
+const REPORT_HISTORY_CONFIG = {
+  dbName: "kentaku-ai-reports",
+  dbVersion: 1,
+  reportStore: "reports",
+  imageStore: "images",
+  // 上限を超えた場合は古い順に削除
+  maxEntries: 100,
+};
+
+/**
+ * @typedef {Object} ReportHistoryEntry
+ * @property {string} id - 一意なID
+ * @property {string} itemKey - 小工事項目（group.item）
+ * @property {string} itemName - 表示名（minorCode-item）
+ * @property {string} unit - 単位
+ * @property {string} mode - 'current' | 'full'
+ * @property {Object} detail - { activeTab, commonFilters, timeseries, comparison, trend }
+ * @property {Object} filters - 検索条件（DEFAULT_FILTERS 形式）
+ * @property {Array<[string, string]>} filterMeta - 表示用の条件（項目名, 値）
+ * @property {Object} kpi - KPI サマリー
+ * @property {{id: string, label: string}} provider - AIプロバイダー
+ * @property {string} model - モデル名
+ * @property {PromptTemplate} template - プロンプトテンプレート
+ * @property {StructuredReport|null} [structured] - 構造化出力（JSON）の内容
+ *   （Markdown で生成したレポートは null）
+ * @property {string} prompt - 送信したプロンプト
+ * @property {string} content - レポート本文（Markdown）
+ * @property {Object|null} factCheck - 数値チェック結果
+ * @property {number} imageCount - チャート画像の枚数
+ * @property {string} createdAt - 生成日時（ISO 8601）
+ */
+
+// =============================================================================
+// Private Helpers
+// =============================================================================
+
+/**
+ * 一意なIDを生成
+ * @private
+ */
+function createReportHistoryId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * IndexedDB を開く
+ * @private
+ * @returns {Promise<IDBDatabase>}
+ * @throws {Error} IndexedDB が利用できない場合
+ */
+function openReportHistoryDb() {
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(
+      new Error("このブラウザではレポート履歴を保存できません")
+    );
+  }
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(
+      REPORT_HISTORY_CONFIG.dbName,
+      REPORT_HISTORY_CONFIG.dbVersion
+    );
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(REPORT_HISTORY_CONFIG.reportStore)) {
+        const store = db.createObjectStore(REPORT_HISTORY_CONFIG.reportStore, {
+          keyPath: "id",
+        });
+        store.createIndex("createdAt", "createdAt");
+      }
+      if (!db.objectStoreNames.contains(REPORT_HISTORY_CONFIG.imageStore)) {
+        db.createObjectStore(REPORT_HISTORY_CONFIG.imageStore, {
+          keyPath: "id",
+        });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () =>
+      reject(new Error("レポート履歴のデータベースを開けませんでした"));
+  });
+}
+
+/**
+ * IDBRequest を Promise 化
+ * @private
+ */
+function promisifyHistoryRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * トランザクションの完了を待つ
+ * @private
+ */
+function waitHistoryTransaction(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * データベースを開いて処理を実行し、終了後に閉じる
+ * @private
+ * @param {Function} fn - (db) => Promise
+ */
+async function withReportHistoryDb(fn) {
+  const db = await openReportHistoryDb();
+  try {
+    return await fn(db);
+  } finally {
+    db.close();
+  }
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * 履歴に保存するエントリを生成
+ * Note: Alpine のリアクティブ値を切り離すため JSON 経由でコピー
+ * @param {Object} params - エントリの内容（ReportHistoryEntry から id・
+ *   imageCount・createdAt を除いたもの）
+ * @param {Array<string>} images - チャート画像（base64 PNG）
+ * @returns {{entry: ReportHistoryEntry, images: Array<string>}}
+ */
+function createReportHistoryEntry(params, images = []) {
+  const entry = JSON.parse(JSON.stringify(params));
+  return {
+    entry: {
+      ...entry,
+      id: createReportHistoryId(),
+      imageCount: images.length,
+      createdAt: new Date().toISOString(),
+    },
+    images: [...images],
+  };
+}
+
+/**
+ * レポートを履歴に保存（上限を超えた古いレポートは削除）
+ * @param {{entry: ReportHistoryEntry, images: Array<string>}} record -
+ *   createReportHistoryEntry の戻り値
+ * @returns {Promise<ReportHistoryEntry>} 保存したエントリ
+ * @throws {Error} 保存に失敗した場合（容量超過など）
+ */
+async function saveReportHistoryEntry({ entry, images }) {
+  const { reportStore, imageStore, maxEntries } = REPORT_HISTORY_CONFIG;
+  return withReportHistoryDb(async (db) => {
+    const tx = db.transaction([reportStore, imageStore], "readwrite");
+    const reports = tx.objectStore(reportStore);
+    const imageRecords = tx.objectStore(imageStore);
+    reports.put(entry);
+    imageRecords.put({ id: entry.id, images });
+
+    // createdAt の昇順（古い順）で上限を超えた分を削除
+    const keys = await promisifyHistoryRequest(
+      reports.index("createdAt").getAllKeys()
+    );
+    for (const key of keys.slice(0, Math.max(0, keys.length - maxEntries))) {
+      reports.delete(key);
+      imageRecords.delete(key);
+    }
+    await waitHistoryTransaction(tx);
+    return entry;
+  });
+}
+
+/**
+ * 履歴を新しい順に取得（チャート画像は含まない）
+ * @param {string|null} [itemKey] - 指定した場合はその小工事項目のみ
+ * @returns {Promise<Array<ReportHistoryEntry>>}
+ */
+async function listReportHistory(itemKey = null) {
+  return withReportHistoryDb(async (db) => {
+    const store = db
+      .transaction(REPORT_HISTORY_CONFIG.reportStore, "readonly")
+      .objectStore(REPORT_HISTORY_CONFIG.reportStore);
+    const entries = await promisifyHistoryRequest(
+      store.index("createdAt").getAll()
+    );
+    return entries
+      .filter((entry) => itemKey === null || entry.itemKey === itemKey)
+      .reverse();
+  });
+}
+
+/**
+ * 履歴のチャート画像を取得
+ * @param {string} id - エントリID
+ * @returns {Promise<Array<string>>} base64 PNG（未保存の場合は空配列）
+ */
+async function loadReportHistoryImages(id) {
+  return withReportHistoryDb(async (db) => {
+    const store = db
+      .transaction(REPORT_HISTORY_CONFIG.imageStore, "readonly")
+      .objectStore(REPORT_HISTORY_CONFIG.imageStore);
+    const record = await promisifyHistoryRequest(store.get(id));
+    return record?.images || [];
+  });
+}
+
+/**
+ * 履歴からレポートを削除
+ * @param {string} id - エントリID
+ * @returns {Promise<void>}
+ */
+async function deleteReportHistoryEntry(id) {
+  const { reportStore, imageStore } = REPORT_HISTORY_CONFIG;
+  return withReportHistoryDb(async (db) => {
+    const tx = db.transaction([reportStore, imageStore], "readwrite");
+    tx.objectStore(reportStore).delete(id);
+    tx.objectStore(imageStore).delete(id);
+    await waitHistoryTransaction(tx);
+  });
+}
+
+/**
+ * 2件のレポートを行単位で比較し、左右に並べる行を生成
+ * Note: 空行は比較対象外。連続する削除・追加は「変更」として同じ行に並べる
+ * @param {string} oldText - 比較元（左）
+ * @param {string} newText - 比較先（右）
+ * @returns {Array<{type: string, left: string|null, right: string|null}>}
+ *   type: 'same' | 'changed' | 'removed' | 'added'
+ */
+function diffReportLines(oldText, newText) {
+  const toLines = (text) =>
+    text
+      .split("\n")
+      .map((line) => line.trimEnd())
+      .filter((line) => line.trim() !== "");
+  const a = toLines(oldText);
+  const b = toLines(newText);
+
+  // 最長共通部分列（LCS）の長さ表を末尾から作成
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const rows = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    const length = Math.max(removed.length, added.length);
+    for (let k = 0; k < length; k++) {
+      const left = removed[k] ?? null;
+      const right = added[k] ?? null;
+      let type = "changed";
+      if (left === null) type = "added";
+      else if (right === null) type = "removed";
+      rows.push({ type, left, right });
+    }
+    removed = [];
+    added = [];
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      flush();
+      rows.push({ type: "same", left: a[i], right: b[j] });
+      i++;
+      j++;
+    } else if (
+      j >= b.length ||
+      (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])
+    ) {
+      removed.push(a[i]);
+      i++;
+    } else {
+      added.push(b[j]);
+      j++;
+    }
+  }
+  flush();
+  return rows;
+}
@@ -0,0 +1,276 @@
+/**
+ * =============================================================================
+ * saved-searches.js - 保存した検索（名前付きプリセット）
+ * =============================================================================
+ *
+ * 概要:
+ *   検索条件 (filters)・単価の基準と多角分析モーダルのタブ別設定に
+ *   名前を付けて localStorage に保存する
+ *   - 一覧・名前変更・削除・適用はサイドバーから行う
+ *   - JSON ファイルでエクスポート/インポートしてチーム内で共有できる
+ *
+ *   保存形式 (localStorage / エクスポートJSON 共通):
+ *     { format: "kentaku-saved-searches", version: 1, searches: [
+ *       { id, name, filters, detail: { activeTab, timeseries, comparison, trend },
+ *         priceBasis: { mode, baseMonth } | null, createdAt, updatedAt } ] }
+ *   priceBasis は単価の表示モードと基準月（null の場合は適用時の設定のまま）
+ *
+ *   読み込み時は検索条件・タブ別設定の型と選択肢を検証し、不正な項目は
+ *   破棄する（手で編集した JSON のインポートに備える）
+ *
+ * 依存: url-state.js (URL_STATE_FILTER_PARAMS, URL_STATE_DETAIL_TABS,
+ *       URL_STATE_DETAIL_SETTINGS, URL_STATE_DATE_PATTERN)
+ *
+ * 分類: ユーティリティ層 (Utility Layer)
+ *
+ * =============================================================================
+ */
+
+const SAVED_SEARCH_CONFIG = {
+  storageKey: "kentaku_saved_searches",
+  format: "kentaku-saved-searches",
+  version: 1,
+  maxNameLength: 50,
+};
+
+// =============================================================================
+// Private Helpers
+// =============================================================================
+
+/**
+ * 一意なIDを生成
+ * @private
+ */
+function createSavedSearchId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * プレーンオブジェクトか
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * 単価の基準を検証して正規化（未指定・不正な場合は null）
+ * @private
+ */
+function normalizeSavedPriceBasis(basis) {
+  if (!isPlainObject(basis)) return null;
+  if (basis.mode !== "nominal" && basis.mode !== "adjusted") return null;
+  const baseMonth =
+    typeof basis.baseMonth === "string" && /^\d{4}-\d{2}$/.test(basis.baseMonth)
+      ? basis.baseMonth
+      : "";
+  return { mode: basis.mode, baseMonth };
+}
+
+/**
+ * 検索条件の値が型に合うか
+ * Note: 型は URL_STATE_FILTER_PARAMS（DEFAULT_FILTERS と同じキー）を使用。
+ *   数値の条件は未入力 (null / 空文字) も可
+ * @private
+ * @param {*} value - 検証する値
+ * @param {string} type - "string" | "list" | "date" | "number"
+ * @returns {boolean}
+ */
+function isValidSavedFilterValue(value, type) {
+  if (type === "list") {
+    return (
+      Array.isArray(value) && value.every((entry) => typeof entry === "string")
+    );
+  }
+  if (type === "number") {
+    return (
+      value === null ||
+      value === "" ||
+      (typeof value === "number" && Number.isFinite(value))
+    );
+  }
+  if (type === "date") {
+    return (
+      value === "" ||
+      (typeof value === "string" && URL_STATE_DATE_PATTERN.test(value))
+    );
+  }
+  return typeof value === "string";
+}
+
+/**
+ * 検索条件を検証して正規化（未知のキー・型の合わない値は除外）
+ * @private
+ */
+function normalizeSavedFilters(filters) {
+  const normalized = {};
+  for (const [key, type] of Object.entries(URL_STATE_FILTER_PARAMS)) {
+    if (key in filters && isValidSavedFilterValue(filters[key], type)) {
+      normalized[key] = filters[key];
+    }
+  }
+  return normalized;
+}
+
+/**
+ * 多角分析モーダルのタブ別設定を検証して正規化
+ * Note: 選択肢にない値・数値でない値は除外（適用時は既定値のまま）
+ * @private
+ */
+function normalizeSavedDetail(detail) {
+  const normalized = {
+    activeTab: URL_STATE_DETAIL_TABS.includes(detail.activeTab)
+      ? detail.activeTab
+      : undefined,
+  };
+  for (const [section, { fields }] of Object.entries(
+    URL_STATE_DETAIL_SETTINGS
+  )) {
+    const values = isPlainObject(detail[section]) ? detail[section] : {};
+    normalized[section] = {};
+    for (const [field, type] of Object.entries(fields)) {
+      const value = values[field];
+      const valid =
+        type === "number"
+          ? typeof value === "number" && Number.isFinite(value)
+          : type.includes(value);
+      if (valid) normalized[section][field] = value;
+    }
+  }
+  return normalized;
+}
+
+/**
+ * 1件分のデータを検証して正規化（不正な場合は null）
+ * @private
+ */
+function normalizeSavedSearch(entry) {
+  if (!isPlainObject(entry) || !isPlainObject(entry.filters)) return null;
+  const name = typeof entry.name === "string" ? entry.name.trim() : "";
+  if (!name) return null;
+
+  const now = new Date().toISOString();
+  return {
+    id:
+      typeof entry.id === "string" && entry.id
+        ? entry.id
+        : createSavedSearchId(),
+    name: name.slice(0, SAVED_SEARCH_CONFIG.maxNameLength),
+    filters: normalizeSavedFilters(entry.filters),
+    detail: normalizeSavedDetail(
+      isPlainObject(entry.detail) ? entry.detail : {}
+    ),
+    priceBasis: normalizeSavedPriceBasis(entry.priceBasis),
+    createdAt: typeof entry.createdAt === "string" ? entry.createdAt : now,
+    updatedAt: typeof entry.updatedAt === "string" ? entry.updatedAt : now,
+  };
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * 保存済みの検索を読み込む
+ * @returns {Array<Object>} 保存した検索（保存順）
+ */
+function loadSavedSearches() {
+  try {
+    const json = localStorage.getItem(SAVED_SEARCH_CONFIG.storageKey);
+    return json ? parseSavedSearches(json) : [];
+  } catch (e) {
+    console.warn("Saved searches not available:", e);
+    return [];
+  }
+}
+
+/**
+ * 保存した検索を書き込む
+ * @param {Array<Object>} searches - 保存する検索一覧
+ */
+function storeSavedSearches(searches) {
+  try {
+    localStorage.setItem(
+      SAVED_SEARCH_CONFIG.storageKey,
+      serializeSavedSearches(searches)
+    );
+  } catch (e) {
+    console.warn("localStorage not available:", e);
+  }
+}
+
+/**
+ * 保存する検索を生成
+ * @param {string} name - 表示名
+ * @param {Object} filters - 検索条件（DEFAULT_FILTERS 形式）
+ * @param {Object} detail - 多角分析モーダルの設定
+ *   { activeTab, timeseries, comparison, trend }
+ * @param {Object} [priceBasis] - 単価の基準 { mode, baseMonth }
+ * @returns {Object|null} 保存する検索（名前が空の場合は null）
+ */
+function createSavedSearch(name, filters, detail, priceBasis = null) {
+  // Alpine のリアクティブ値を切り離すため JSON 経由でコピー
+  return normalizeSavedSearch(
+    JSON.parse(JSON.stringify({ name, filters, detail, priceBasis }))
+  );
+}
+
+/**
+ * 検索一覧を JSON 文字列に変換（保存・エクスポート共通）
+ * @param {Array<Object>} searches - 検索一覧
+ * @returns {string}
+ */
+function serializeSavedSearches(searches) {
+  return JSON.stringify(
+    {
+      format: SAVED_SEARCH_CONFIG.format,
+      version: SAVED_SEARCH_CONFIG.version,
+      searches,
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * JSON 文字列から検索一覧を復元
+ * @param {string} json - serializeSavedSearches の出力
+ * @returns {Array<Object>} 検証済みの検索一覧（不正な項目は除外）
+ * @throws {Error} JSON 形式・バージョンが不正な場合
+ */
+function parseSavedSearches(json) {
+  const data = JSON.parse(json);
+  if (!isPlainObject(data) || data.format !== SAVED_SEARCH_CONFIG.format) {
+    throw new Error("保存した検索のファイルではありません");
+  }
+  if (data.version !== SAVED_SEARCH_CONFIG.version) {
+    throw new Error(`未対応のバージョンです: ${data.version}`);
+  }
+  if (!Array.isArray(data.searches)) return [];
+  return data.searches.map(normalizeSavedSearch).filter(Boolean);
+}
+
+/**
+ * インポートした検索を既存の一覧に統合
+ * Note: 同名の検索は上書き（IDは既存のものを維持）し、それ以外は末尾に追加
+ * @param {Array<Object>} current - 既存の検索一覧
+ * @param {Array<Object>} imported - インポートした検索一覧
+ * @returns {{searches: Array<Object>, added: number, updated: number}}
+ */
+function mergeSavedSearches(current, imported) {
+  const searches = [...current];
+  let added = 0;
+  let updated = 0;
+  for (const entry of imported) {
+    const idx = searches.findIndex((search) => search.name === entry.name);
+    if (idx === -1) {
+      // 別ライブラリとIDが衝突しないよう採番し直す
+      searches.push({ ...entry, id: createSavedSearchId() });
+      added++;
+    } else {
+      searches[idx] = { ...entry, id: searches[idx].id };
+      updated++;
+    }
+  }
+  return { searches, added, updated };
+}
@@ -0,0 +1,359 @@
+/**
+ * =============================================================================
+ * structured-report.js - AIレポートの構造化出力（JSON）
+ * =============================================================================
+ *
+ * 概要:
+ *   AIレポートを自由記述の Markdown ではなく、JSON スキーマに沿った
+ *   構造化データとして生成するための定義と処理
+ *   - スキーマ: サマリー・主な発見（根拠付き）・交渉ポイント・リスク・
+ *     推奨ターゲット単価レンジ
+ *   - 応答の解析と検証（スキーマ不一致の内容は再試行の指示に使う）
+ *   - 構造化データを決まったレイアウトの Markdown に整形
+ *     （表示・PDF・数値チェック・履歴は通常のレポートと共通）
+ *
+ *   プロバイダーには LlmRequest.responseSchema としてスキーマを渡す
+ *   （Gemini: responseJsonSchema / OpenAI互換: response_format）
+ *
+ * 依存: utils.js (formatNumber)
+ *
+ * 分類: ユーティリティ層 (Utility Layer)
+ *
+ * =============================================================================
+ */
+
+const STRUCTURED_REPORT_CONFIG = {
+  // スキーマ不一致時の再試行回数（初回を含まない）
+  maxRetries: 2,
+  // 出力形式（'markdown' | 'json'）の保存先
+  formatStorageKey: "kentaku_ai_report_format",
+};
+
+/**
+ * 構造化レポートの JSON スキーマ
+ * Note: OpenAI の strict モードに合わせ、すべてのプロパティを必須とし
+ *       additionalProperties: false を指定する
+ */
+const STRUCTURED_REPORT_SCHEMA = {
+  type: "object",
+  properties: {
+    summary: {
+      type: "string",
+      description: "チャートから読み取れる最も重要な発見の要約（1〜2文）",
+    },
+    keyFindings: {
+      type: "array",
+      description: "主な発見（3〜5項目）",
+      minItems: 1,
+      items: {
+        type: "object",
+        properties: {
+          title: { type: "string", description: "発見したパターン名" },
+          finding: {
+            type: "string",
+            description: "チャートから読み取れる客観的事実と解釈",
+          },
+          evidence: {
+            type: "string",
+            description: "根拠となる数値（集計データ・統計から引用）",
+          },
+          impact: { type: "string", description: "価格交渉への影響" },
+        },
+        required: ["title", "finding", "evidence", "impact"],
+        additionalProperties: false,
+      },
+    },
+    negotiationPoints: {
+      type: "array",
+      description: "価格交渉のアクション（優先順、最大3項目）",
+      minItems: 1,
+      items: {
+        type: "object",
+        properties: {
+          action: { type: "string", description: "アクション" },
+          rationale: {
+            type: "string",
+            description: "根拠（対応する主な発見）",
+          },
+          expectedEffect: { type: "string", description: "期待効果" },
+        },
+        required: ["action", "rationale", "expectedEffect"],
+        additionalProperties: false,
+      },
+    },
+    risks: {
+      type: "array",
+      description: "リスク・注意事項",
+      items: {
+        type: "object",
+        properties: {
+          risk: { type: "string", description: "リスクの内容" },
+          mitigation: { type: "string", description: "対応策" },
+        },
+        required: ["risk", "mitigation"],
+        additionalProperties: false,
+      },
+    },
+    targetPriceRange: {
+      type: "object",
+      description: "推奨ターゲット単価のレンジ（税抜単価、円）",
+      properties: {
+        min: { type: "number", description: "目標単価の下限（円）" },
+        max: { type: "number", description: "目標単価の上限（円）" },
+        rationale: { type: "string", description: "レンジの根拠" },
+      },
+      required: ["min", "max", "rationale"],
+      additionalProperties: false,
+    },
+  },
+  required: [
+    "summary",
+    "keyFindings",
+    "negotiationPoints",
+    "risks",
+    "targetPriceRange",
+  ],
+  additionalProperties: false,
+};
+
+/**
+ * @typedef {Object} StructuredReport
+ * @property {string} summary - サマリー
+ * @property {Array<{title: string, finding: string, evidence: string, impact: string}>} keyFindings
+ * @property {Array<{action: string, rationale: string, expectedEffect: string}>} negotiationPoints
+ * @property {Array<{risk: string, mitigation: string}>} risks
+ * @property {{min: number, max: number, rationale: string}} targetPriceRange
+ */
+
+/**
+ * @typedef {Object} StructuredReportResult
+ * @property {StructuredReport|null} report - 検証済みのレポート（不一致の場合 null）
+ * @property {Array<string>} errors - 不一致の内容（一致した場合は空）
+ */
+
+// =============================================================================
+// Private Helpers
+// =============================================================================
+
+/**
+ * JSON スキーマ（本モジュールで使う範囲）で値を検証
+ * 対応: type / properties / required / additionalProperties / items / minItems
+ * @private
+ * @param {*} value - 検証する値
+ * @param {Object} schema - JSON スキーマ
+ * @param {string} path - エラー表示用のパス
+ * @param {Array<string>} errors - 不一致の内容を追加する配列
+ */
+function validateJsonSchema(value, schema, path, errors) {
+  const typeOf = (v) => {
+    if (v === null) return "null";
+    if (Array.isArray(v)) return "array";
+    return typeof v;
+  };
+  const actual = typeOf(value);
+  const isNumber = actual === "number" && Number.isFinite(value);
+  if (
+    (schema.type === "number" && !isNumber) ||
+    (schema.type !== "number" && schema.type !== actual)
+  ) {
+    errors.push(`${path}: ${schema.type} ではありません（${actual}）`);
+    return;
+  }
+
+  if (schema.type === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value))
+        errors.push(`${path}.${key}: 必須の項目がありません`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.properties?.[key]) {
+        validateJsonSchema(
+          child,
+          schema.properties[key],
+          `${path}.${key}`,
+          errors
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: 定義されていない項目です`);
+      }
+    }
+  } else if (schema.type === "array") {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${path}: ${schema.minItems}件以上必要です`);
+    }
+    value.forEach((item, i) =>
+      validateJsonSchema(item, schema.items, `${path}[${i}]`, errors)
+    );
+  } else if (schema.type === "string" && value.trim() === "") {
+    errors.push(`${path}: 空の文字列です`);
+  }
+}
+
+/**
+ * 応答テキストから JSON を取り出す（コードブロックや前後の文章を除く）
+ * @private
+ * @param {string} text - 応答テキスト
+ * @returns {*} 解析した値
+ * @throws {SyntaxError} JSON として解析できない場合
+ */
+function extractJsonValue(text) {
+  const trimmed = text
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "");
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    const start = trimmed.indexOf("{");
+    const end = trimmed.lastIndexOf("}");
+    if (start === -1 || end <= start) throw error;
+    return JSON.parse(trimmed.slice(start, end + 1));
+  }
+}
+
+/**
+ * Markdown の表のセルに使える文字列に変換
+ * @private
+ */
+function toMarkdownTableCell(text) {
+  return String(text)
+    .replace(/\|/g, "\\|")
+    .replace(/\s*\n\s*/g, " ");
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * 保存済みのレポート出力形式を読み込む
+ * @returns {string} 'markdown' | 'json'
+ */
+function loadAiReportFormat() {
+  try {
+    return localStorage.getItem(STRUCTURED_REPORT_CONFIG.formatStorageKey) ===
+      "json"
+      ? "json"
+      : "markdown";
+  } catch (e) {
+    return "markdown";
+  }
+}
+
+/**
+ * レポート出力形式を保存
+ * @param {string} format - 'markdown' | 'json'
+ */
+function storeAiReportFormat(format) {
+  try {
+    localStorage.setItem(STRUCTURED_REPORT_CONFIG.formatStorageKey, format);
+  } catch (e) {
+    console.warn("localStorage not available:", e);
+  }
+}
+
+/**
+ * 応答テキストを解析してスキーマで検証
+ * @param {string} text - プロバイダーの応答
+ * @returns {StructuredReportResult}
+ */
+function parseStructuredReport(text) {
+  let value;
+  try {
+    value = extractJsonValue(text);
+  } catch (error) {
+    return {
+      report: null,
+      errors: [`JSON として解析できません: ${error.message}`],
+    };
+  }
+
+  const errors = [];
+  validateJsonSchema(value, STRUCTURED_REPORT_SCHEMA, "$", errors);
+  if (errors.length === 0) {
+    const { min, max } = value.targetPriceRange;
+    if (min < 0 || min > max) {
+      errors.push(
+        "$.targetPriceRange: min は 0 以上かつ max 以下にしてください"
+      );
+    }
+  }
+  return errors.length === 0
+    ? { report: value, errors }
+    : { report: null, errors };
+}
+
+/**
+ * 構造化レポートを決まったレイアウトの Markdown に整形
+ * Note: 交渉ポイントとターゲット単価は「価格交渉ガイド」配下に置く
+ *       （提案値のため数値チェックの対象外になる）
+ * @param {StructuredReport} report - 検証済みのレポート
+ * @param {Object} [options]
+ * @param {string} [options.unit] - 単価の単位
+ * @returns {string} Markdown
+ */
+function formatStructuredReportMarkdown(report, { unit = "" } = {}) {
+  const perUnit = unit ? `/${unit}` : "";
+  const { min, max, rationale } = report.targetPriceRange;
+
+  const findings = report.keyFindings
+    .map(
+      (finding, i) => `**分析${i + 1}: ${finding.title}**
+- **事実**: ${finding.finding}
+- **根拠**: ${finding.evidence}
+- **価格交渉への影響**: ${finding.impact}`
+    )
+    .join("\n\n");
+
+  const actions = report.negotiationPoints
+    .map(
+      (point, i) =>
+        `| ${i + 1} | ${toMarkdownTableCell(point.action)} | ${toMarkdownTableCell(
+          point.rationale
+        )} | ${toMarkdownTableCell(point.expectedEffect)} |`
+    )
+    .join("\n");
+
+  const risks =
+    report.risks.length > 0
+      ? `| リスク | 対応策 |
+|------|--------|
+${report.risks
+  .map(
+    (risk) =>
+      `| ${toMarkdownTableCell(risk.risk)} | ${toMarkdownTableCell(
+        risk.mitigation
+      )} |`
+  )
+  .join("\n")}`
+      : "特記事項なし";
+
+  return `⚠️注意：AIによる分析のため、不正確な情報を表示することがあります。
+
+### 📊 サマリー
+
+> ${report.summary.replace(/\n+/g, " ")}
+
+### 📈 主な発見
+
+${findings}
+
+### 💼 価格交渉ガイド
+
+#### 推奨ターゲット単価
+| 項目 | 値 |
+|------|-----|
+| 目標単価レンジ | ¥${formatNumber(min)} 〜 ¥${formatNumber(max)}${perUnit} |
+| 根拠 | ${toMarkdownTableCell(rationale)} |
+
+#### 価格交渉アクション（優先順）
+
+| # | アクション | 根拠 | 期待効果 |
+|---|----------|------|---------|
+${actions}
+
+### ⚠️ リスク・注意事項
+
+${risks}
+`;
+}
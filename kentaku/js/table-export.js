@@ -0,0 +1,212 @@
+/**
+ * =============================================================================
+ * table-export.js - CSV / Excel (.xlsx) エクスポート
+ * =============================================================================
+ *
+ * 概要:
+ *   検索結果・多角分析テーブル・業者別サマリーをファイルとして出力する
+ *   - CSV: Excel で文字化けしないよう BOM 付き UTF-8、改行は CRLF
+ *   - xlsx: SheetJS で生成（複数シート可）
+ *   各シートの先頭には出力条件（検索条件・共通フィルター等）のヘッダーブロックを
+ *   付与し、出力ファイルから元の検索を辿れるようにする。
+ *
+ *   シート構成:
+ *     出力日時, 2026/10/19 12:00
+ *     検索条件, 支店名: 札幌, 旭川
+ *     (空行)
+ *     列見出し
+ *     データ行...
+ *
+ * 分類: ユーティリティ層 (Utility Layer)
+ *
+ * 依存: SheetJS (CDN, xlsx 出力時のみ), utils.js (downloadFile)
+ *
+ * =============================================================================
+ */
+
+/**
+ * @typedef {Object} ExportColumn
+ * @property {string} label - 列見出し
+ * @property {string|Function} value - フィールド名、または行から値を取り出す関数
+ */
+
+/**
+ * @typedef {Object} ExportSheet
+ * @property {string} name - シート名（xlsx のみ使用）
+ * @property {Array<[string, string]>} meta - ヘッダーブロック（項目名, 値）
+ * @property {Array<ExportColumn>} columns - 列定義
+ * @property {Array<Object>} rows - データ行
+ */
+
+/** レコード明細の列定義 */
+const EXPORT_RECORD_COLUMNS = [
+  { label: "発注日", value: "orderDateFormatted" },
+  { label: "支店", value: "region" },
+  { label: "大工事", value: "majorCode" },
+  { label: "小工事", value: "minorCode" },
+  { label: "小工事項目名称", value: "item" },
+  { label: "摘要", value: "spec" },
+  { label: "工事名称", value: "projectName" },
+  { label: "業者", value: "vendor" },
+  { label: "実行数量", value: "qty" },
+  { label: "単位", value: "unit" },
+  // 単価の表示モードによらず名目の単価・金額を出力（price-index.js）
+  { label: "実行単価", value: "price" },
+  // 数量×単価の浮動小数点誤差を丸める
+  {
+    label: "実行金額",
+    value: (record) => Math.round(record.qty * record.price * 100) / 100,
+  },
+  { label: "指数調整後単価", value: "adjustedPrice" },
+  { label: "階数", value: "floors" },
+  { label: "戸並", value: "unitRow" },
+  { label: "戸数", value: "resUnits" },
+  { label: "施工面積", value: "constArea" },
+  { label: "延床面積", value: "totalArea" },
+  { label: "異常値", value: (record) => (record.anomalies || []).join(" ") },
+];
+
+/** Excel のシート名の制約（31文字以内、一部記号不可） */
+const EXPORT_SHEET_NAME_MAX = 31;
+const EXPORT_SHEET_NAME_INVALID = /[\\/?*[\]:]/g;
+
+// =============================================================================
+// Private Helpers
+// =============================================================================
+
+/**
+ * 列定義に従って行から値を取り出す
+ * @private
+ */
+function readExportValue(row, column) {
+  const value =
+    typeof column.value === "function" ? column.value(row) : row[column.value];
+  return value === null || value === undefined ? "" : value;
+}
+
+/**
+ * CSV の1セルをエスケープ（RFC 4180）
+ * @private
+ */
+function escapeCsvCell(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * シート名を Excel の制約に合わせて整形
+ * @private
+ */
+function toSheetName(name, usedNames) {
+  const base =
+    String(name).replace(EXPORT_SHEET_NAME_INVALID, "_").trim() || "Sheet";
+  let sheetName = base.slice(0, EXPORT_SHEET_NAME_MAX);
+  // 同名シートは連番を付与
+  for (let i = 2; usedNames.has(sheetName); i++) {
+    const suffix = `(${i})`;
+    sheetName = base.slice(0, EXPORT_SHEET_NAME_MAX - suffix.length) + suffix;
+  }
+  usedNames.add(sheetName);
+  return sheetName;
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * シートを2次元配列に変換（ヘッダーブロック・空行・列見出し・データ行）
+ * @param {ExportSheet} sheet - 出力シート
+ * @returns {Array<Array<string|number>>}
+ */
+function exportSheetToRows(sheet) {
+  const rows = sheet.meta.map(([label, value]) => [label, value]);
+  if (rows.length > 0) rows.push([]);
+  rows.push(sheet.columns.map((column) => column.label));
+  for (const row of sheet.rows) {
+    rows.push(sheet.columns.map((column) => readExportValue(row, column)));
+  }
+  return rows;
+}
+
+/**
+ * シートを CSV 文字列に変換（BOM 付き、CRLF 改行）
+ * @param {ExportSheet} sheet - 出力シート
+ * @returns {string}
+ */
+function exportSheetToCsv(sheet) {
+  const lines = exportSheetToRows(sheet).map((row) =>
+    row.map(escapeCsvCell).join(",")
+  );
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * シートを CSV ファイルとしてダウンロード
+ * @param {ExportSheet} sheet - 出力シート
+ * @param {string} filename - ファイル名（拡張子なし）
+ */
+function downloadCsv(sheet, filename) {
+  downloadFile(
+    exportSheetToCsv(sheet),
+    `${filename}.csv`,
+    "text/csv;charset=utf-8"
+  );
+}
+
+/**
+ * 複数シートを xlsx ファイルとしてダウンロード
+ * @param {Array<ExportSheet>} sheets - 出力シート
+ * @param {string} filename - ファイル名（拡張子なし）
+ */
+function downloadXlsx(sheets, filename) {
+  if (typeof XLSX === "undefined") {
+    console.error("SheetJS not loaded");
+    alert("Excel出力ライブラリが読み込まれていません");
+    return;
+  }
+
+  const workbook = XLSX.utils.book_new();
+  const usedNames = new Set();
+  for (const sheet of sheets) {
+    const rows = exportSheetToRows(sheet);
+    const worksheet = XLSX.utils.aoa_to_sheet(rows);
+    // 列見出し以降をフィルター可能にする
+    const headerRow = sheet.meta.length > 0 ? sheet.meta.length + 1 : 0;
+    if (sheet.columns.length > 0) {
+      worksheet["!autofilter"] = {
+        ref: XLSX.utils.encode_range({
+          s: { r: headerRow, c: 0 },
+          e: { r: rows.length - 1, c: sheet.columns.length - 1 },
+        }),
+      };
+    }
+    XLSX.utils.book_append_sheet(
+      workbook,
+      worksheet,
+      toSheetName(sheet.name, usedNames)
+    );
+  }
+
+  const bytes = XLSX.write(workbook, { bookType: "xlsx", type: "array" });
+  downloadFile(
+    bytes,
+    `${filename}.xlsx`,
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+}
+
+/**
+ * シートを指定形式でダウンロード
+ * Note: CSV は1シートのみのため、複数シートの場合は先頭シートを出力
+ * @param {Array<ExportSheet>} sheets - 出力シート
+ * @param {string} filename - ファイル名（拡張子なし）
+ * @param {string} format - 'csv' | 'xlsx'
+ */
+function downloadExportSheets(sheets, filename, format) {
+  if (format === "xlsx") {
+    downloadXlsx(sheets, filename);
+  } else {
+    downloadCsv(sheets[0], filename);
+  }
+}
@@ -0,0 +1,296 @@
+/**
+ * =============================================================================
+ * url-state.js - URL 状態の直列化・復元
+ * =============================================================================
+ *
+ * 概要:
+ *   検索条件 (filters)・単価の基準（表示モード・基準月）と多角分析モーダルの
+ *   状態をクエリ文字列に変換し、リンク共有・再読み込み時に同じ画面を再現する
+ *   - 既定値と同じ項目は出力しない（URL を短く保つ）
+ *   - 複数選択は同名パラメータの繰り返し (regions=A&regions=B)
+ *   - 復元時は型・選択肢を検証し、不正な値は無視する
+ *
+ *   パラメータ例:
+ *     ?item=金属&price=adjusted&priceBase=2024-12&detail=金属パネル加工
+ *     &tab=comparison&dFrom=2024-01-01&dTo=2024-12-31
+ *     &cmp.groupBy=vendor&cmp.chartType=boxplot
+ *
+ * 分類: ユーティリティ層 (Utility Layer)
+ *
+ * =============================================================================
+ */
+
+/**
+ * 検索条件のパラメータ定義（キーは DEFAULT_FILTERS と同名）
+ * "string" | "list" | "date" | "number"
+ */
+const URL_STATE_FILTER_PARAMS = {
+  project: "string",
+  regions: "list",
+  majorCodes: "list",
+  dateFrom: "date",
+  dateTo: "date",
+  floorMin: "number",
+  floorMax: "number",
+  unitRowMin: "number",
+  unitRowMax: "number",
+  resUnitMin: "number",
+  resUnitMax: "number",
+  constAreaMin: "number",
+  constAreaMax: "number",
+  totalAreaMin: "number",
+  totalAreaMax: "number",
+  item: "string",
+  vendor: "string",
+};
+
+/**
+ * 単価の基準のパラメータ名（キーは PriceIndexSettings と同名）
+ * Note: 名目（既定）の場合は出力しない。基準月は指数調整後の場合のみ出力
+ */
+const URL_STATE_PRICE_PARAMS = {
+  mode: { key: "price", type: ["nominal", "adjusted"] },
+  baseMonth: { key: "priceBase", type: "month" },
+};
+
+/** 多角分析モーダルの共通フィルターのパラメータ名 */
+const URL_STATE_DETAIL_COMMON_PARAMS = {
+  dateFrom: { key: "dFrom", type: "date" },
+  dateTo: { key: "dTo", type: "date" },
+  regions: { key: "dRegions", type: "list" },
+  vendors: { key: "dVendors", type: "list" },
+};
+
+/** 多角分析モーダルのタブ */
+const URL_STATE_DETAIL_TABS = ["timeseries", "comparison", "trend"];
+
+/**
+ * 多角分析モーダルのタブ別設定（prefix.field=value）
+ * 配列は選択肢、"number" は数値
+ */
+const URL_STATE_DETAIL_SETTINGS = {
+  timeseries: {
+    prefix: "ts",
+    fields: {
+      metric: ["price", "movingAvg", "forecast"],
+      timeUnit: ["yearly", "monthly", "weekly", "daily"],
+      chartType: ["line", "area", "bar", "table"],
+      movingAvgWindow: "number",
+      forecastHorizon: "number",
+    },
+  },
+  comparison: {
+    prefix: "cmp",
+    fields: {
+      groupBy: ["region", "vendor", "majorCode", "building"],
+      metric: [
+        "avgPrice",
+        "medianPrice",
+        "minPrice",
+        "maxPrice",
+        "sumQty",
+        "avgQty",
+        "medianQty",
+      ],
+      chartType: ["bar", "boxplot", "radar", "table"],
+      sortOrder: ["default", "asc", "desc"],
+    },
+  },
+  trend: {
+    prefix: "tr",
+    fields: {
+      xAxis: ["resUnits", "floors", "totalArea", "constArea", "qty"],
+      chartType: ["scatter", "bubble", "heatmap", "table"],
+      bubbleSize: ["qty", "amount"],
+      xScale: ["linear", "log"],
+    },
+  },
+};
+
+const URL_STATE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const URL_STATE_MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+// =============================================================================
+// Private Helpers
+// =============================================================================
+
+/**
+ * 値が未指定（既定値）か
+ * @private
+ */
+function isEmptyUrlValue(value) {
+  return (
+    value === null ||
+    value === undefined ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+/**
+ * 1項目をパラメータに追加
+ * @private
+ */
+function appendUrlParam(params, key, value) {
+  if (isEmptyUrlValue(value)) return;
+  if (Array.isArray(value)) {
+    for (const entry of value) params.append(key, entry);
+  } else {
+    params.set(key, String(value));
+  }
+}
+
+/**
+ * 1項目をパラメータから読み取り、型を検証
+ * @private
+ * @returns {*} 値（未指定・不正な場合は undefined）
+ */
+function readUrlParam(params, key, type) {
+  if (type === "list") {
+    const values = params.getAll(key).filter((v) => v !== "");
+    return values.length > 0 ? values : undefined;
+  }
+
+  const raw = params.get(key);
+  if (raw === null || raw === "") return undefined;
+
+  if (type === "number") {
+    const number = Number(raw);
+    return Number.isFinite(number) ? number : undefined;
+  }
+  if (type === "date") {
+    return URL_STATE_DATE_PATTERN.test(raw) ? raw : undefined;
+  }
+  if (type === "month") {
+    return URL_STATE_MONTH_PATTERN.test(raw) ? raw : undefined;
+  }
+  if (Array.isArray(type)) {
+    return type.includes(raw) ? raw : undefined;
+  }
+  return raw;
+}
+
+/**
+ * 共有リンクの状態（検索条件・単価の基準・多角分析）を含むか
+ * Note: utm_source など無関係なパラメータだけの URL は含まないとみなす
+ * @private
+ */
+function hasUrlStateParam(params) {
+  const keys = [
+    ...Object.keys(URL_STATE_FILTER_PARAMS),
+    ...Object.values(URL_STATE_PRICE_PARAMS).map(({ key }) => key),
+    "detail",
+  ];
+  return keys.some((key) => params.has(key));
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * 画面状態をクエリ文字列に変換
+ * @param {Object} state
+ * @param {Object} state.filters - 検索条件（DEFAULT_FILTERS 形式）
+ * @param {Object} [state.priceBasis] - 単価の基準 { mode, baseMonth }
+ *   （baseMonth は適用中の基準月）
+ * @param {Object|null} state.detail - 多角分析モーダルの状態（閉じている場合 null）
+ *   { item, activeTab, commonFilters, timeseries, comparison, trend }
+ * @param {Object} [detailDefaults] - タブ別設定の既定値（同値は出力しない）
+ * @returns {string} "?" を含まないクエリ文字列
+ */
+function encodeUrlState({ filters, priceBasis, detail }, detailDefaults = {}) {
+  const params = new URLSearchParams();
+
+  for (const key of Object.keys(URL_STATE_FILTER_PARAMS)) {
+    appendUrlParam(params, key, filters[key]);
+  }
+
+  if (priceBasis && priceBasis.mode === "adjusted") {
+    const { mode, baseMonth } = URL_STATE_PRICE_PARAMS;
+    params.set(mode.key, priceBasis.mode);
+    appendUrlParam(params, baseMonth.key, priceBasis.baseMonth);
+  }
+
+  if (detail && detail.item) {
+    params.set("detail", detail.item);
+    if (detail.activeTab && detail.activeTab !== URL_STATE_DETAIL_TABS[0]) {
+      params.set("tab", detail.activeTab);
+    }
+
+    const common = detail.commonFilters || {};
+    for (const [field, { key }] of Object.entries(
+      URL_STATE_DETAIL_COMMON_PARAMS
+    )) {
+      appendUrlParam(params, key, common[field]);
+    }
+
+    for (const [section, { prefix, fields }] of Object.entries(
+      URL_STATE_DETAIL_SETTINGS
+    )) {
+      const settings = detail[section] || {};
+      const defaults = detailDefaults[section] || {};
+      for (const field of Object.keys(fields)) {
+        if (settings[field] === defaults[field]) continue;
+        appendUrlParam(params, `${prefix}.${field}`, settings[field]);
+      }
+    }
+  }
+
+  return params.toString();
+}
+
+/**
+ * クエリ文字列から画面状態を復元
+ * @param {string} search - location.search（先頭の "?" は任意）
+ * @returns {{filters: Object, priceBasis: Object|null, detail: Object|null}}
+ *   filters / detail の各項目は URL に指定されたものだけを含む。
+ *   priceBasis { mode, baseMonth } は検索条件・単価・多角分析のパラメータが
+ *   ある場合のみ返し、単価の指定がなければ名目（共有元の既定）とする
+ */
+function decodeUrlState(search) {
+  const params = new URLSearchParams(search);
+
+  const filters = {};
+  for (const [key, type] of Object.entries(URL_STATE_FILTER_PARAMS)) {
+    const value = readUrlParam(params, key, type);
+    if (value !== undefined) filters[key] = value;
+  }
+
+  let priceBasis = null;
+  if (hasUrlStateParam(params)) {
+    const { mode, baseMonth } = URL_STATE_PRICE_PARAMS;
+    priceBasis = {
+      mode: readUrlParam(params, mode.key, mode.type) || "nominal",
+      baseMonth: readUrlParam(params, baseMonth.key, baseMonth.type) || "",
+    };
+  }
+
+  const item = params.get("detail");
+  if (!item) {
+    return { filters, priceBasis, detail: null };
+  }
+
+  const detail = {
+    item,
+    activeTab: readUrlParam(params, "tab", URL_STATE_DETAIL_TABS),
+    commonFilters: {},
+  };
+  for (const [field, { key, type }] of Object.entries(
+    URL_STATE_DETAIL_COMMON_PARAMS
+  )) {
+    const value = readUrlParam(params, key, type);
+    if (value !== undefined) detail.commonFilters[field] = value;
+  }
+  for (const [section, { prefix, fields }] of Object.entries(
+    URL_STATE_DETAIL_SETTINGS
+  )) {
+    detail[section] = {};
+    for (const [field, type] of Object.entries(fields)) {
+      const value = readUrlParam(params, `${prefix}.${field}`, type);
+      if (value !== undefined) detail[section][field] = value;
+    }
+  }
+
+  return { filters, priceBasis, detail };
+}
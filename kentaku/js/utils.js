@@ -334,6 +334,61 @@ function calcCorrelation(x, y) {
   return numerator / denominator;
 }
 
+/**
+ * Fit a power-law curve y = coefficient * x^exponent by least squares on
+ * log-log values (points with non-positive x or y are ignored)
+ * @param {number[]} x - Explanatory values (e.g. order quantity)
+ * @param {number[]} y - Response values (e.g. unit price)
+ * @returns {{coefficient: number, exponent: number, standardError: number, rSquared: number, doublingChange: number, n: number}|null}
+ *   exponent is the elasticity of y with respect to x, doublingChange is the
+ *   % change of y when x doubles; null if fewer than 3 valid points or x has no spread
+ */
+function calcPowerLawFit(x, y) {
+  if (!x || !y || y.length !== x.length) {
+    return null;
+  }
+
+  const logX = [];
+  const logY = [];
+  for (let i = 0; i < x.length; i++) {
+    if (x[i] > 0 && y[i] > 0) {
+      logX.push(Math.log(x[i]));
+      logY.push(Math.log(y[i]));
+    }
+  }
+  const n = logX.length;
+  if (n < 3) {
+    return null;
+  }
+
+  const meanX = logX.reduce((sum, val) => sum + val, 0) / n;
+  const meanY = logY.reduce((sum, val) => sum + val, 0) / n;
+  let sumXY = 0;
+  let sumXX = 0;
+  let sumYY = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = logX[i] - meanX;
+    const dy = logY[i] - meanY;
+    sumXY += dx * dy;
+    sumXX += dx * dx;
+    sumYY += dy * dy;
+  }
+  if (sumXX === 0) {
+    return null;
+  }
+
+  const exponent = sumXY / sumXX;
+  const residual = Math.max(sumYY - exponent * sumXY, 0);
+  return {
+    coefficient: Math.exp(meanY - exponent * meanX),
+    exponent,
+    standardError: Math.sqrt(residual / (n - 2) / sumXX),
+    rSquared: sumYY === 0 ? 0 : 1 - residual / sumYY,
+    doublingChange: (2 ** exponent - 1) * 100,
+    n,
+  };
+}
+
 // =============================================================================
 // Range Checking
 // =============================================================================
@@ -416,3 +471,27 @@ function createDistribution(values, bucketCount = 10) {
 
   return { labels, counts: buckets };
 }
+
+// =============================================================================
+// File Download
+// =============================================================================
+
+/**
+ * Download content as a file from the browser
+ * @param {string|Blob|ArrayBuffer|Uint8Array} content - File content
+ * @param {string} filename - Download file name
+ * @param {string} mimeType - MIME type (ignored when content is a Blob)
+ */
+function downloadFile(content, filename, mimeType) {
+  const blob =
+    content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke after the click has been dispatched
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,323 @@
+/**
+ * =============================================================================
+ * vendor-scorecard.js - 業者スコアカード（業者別の価格水準）
+ * =============================================================================
+ *
+ * 概要:
+ *   品目横断で業者ごとの価格水準を集計し、業者との交渉資料に使う
+ *   - 価格指数: 各発注の単価 ÷ 同じ小工事項目の市場単価（全業者の中央値）× 100
+ *     の中央値。100 = 市場並み、110 = 市場より 10% 高い
+ *   - 市場単価は業者が2社以上の小工事項目のみ算出し、1社のみの品目は比較対象外
+ *   - スコアカード: 品目別の指数、期間別の発注件数と指数の推移、
+ *     支店別の発注件数・シェア（支店の発注金額に占める割合）
+ *   - ランキング: 価格指数で業者を並べ替え（比較できる発注が少ない業者は参考扱い）
+ *
+ *   集計対象のレコード（検索条件・異常値の除外）は呼び出し側（app.js）で決める
+ *   単価・金額は表示モードの値（record.displayPrice / displayAmount）を使う
+ *
+ * 依存: utils.js (calcMedian, groupRecordsBy, groupByTimeUnit)
+ *
+ * 分類: ドメイン層 (Domain Layer)
+ *
+ * =============================================================================
+ */
+
+const VENDOR_SCORECARD_CONFIG = {
+  // 市場単価を算出するのに必要な業者数（小工事項目ごと）
+  minItemVendors: 2,
+  // ランキングの対象とする比較可能な発注件数の下限（未満は参考扱い）
+  minRankOrders: 5,
+  // 市場並みとみなす価格指数の幅（100 ± pt）
+  neutralBand: 5,
+  // 推移の傾きを求めるのに必要な期間数
+  minTrendPeriods: 3,
+};
+
+/** ランキングの並び順 */
+const VENDOR_RANKING_SORTS = {
+  above: "割高順",
+  below: "割安順",
+  orders: "発注件数順",
+  amount: "発注金額順",
+};
+
+/** 価格水準の表示名と表示色（getVendorPriceLevel の戻り値ごと） */
+const VENDOR_PRICE_LEVELS = {
+  above: { label: "割高", className: "text-danger" },
+  neutral: { label: "市場並み", className: "text-secondary" },
+  below: { label: "割安", className: "text-success" },
+};
+
+/** 推移の時間単位 */
+const VENDOR_SCORECARD_TIME_UNITS = {
+  monthly: "月別",
+  yearly: "年別",
+};
+
+/**
+ * @typedef {Object} VendorRank
+ * @property {string} vendor - 業者名（record.vendor）
+ * @property {string} name - 表示名（法人格を除いた名称）
+ * @property {number} orders - 発注件数
+ * @property {number} comparableOrders - 市場単価と比較できた発注件数
+ * @property {number} items - 小工事項目数
+ * @property {number} regions - 支店数
+ * @property {number} amount - 発注金額
+ * @property {number|null} priceIndex - 価格指数（比較できる発注がない場合 null）
+ * @property {boolean} ranked - ランキングの対象か（比較できる発注が minRankOrders 以上）
+ */
+
+/**
+ * @typedef {Object} VendorScorecard
+ * @property {string} vendor - 業者名
+ * @property {string} name - 表示名
+ * @property {Object} summary - { orders, comparableOrders, items, regions, amount, priceIndex }
+ * @property {number|null} trend - 価格指数の推移の傾き（pt/期間、期間不足の場合 null）
+ * @property {Array<Object>} items - 品目別 { item, minorCode, unit, orders, amount,
+ *   vendorMedian, marketMedian, vendorCount, priceIndex }
+ * @property {Array<Object>} regions - 支店別 { region, orders, amount, share, priceIndex }
+ * @property {Array<Object>} timeline - 期間別 { period, orders, amount, priceIndex }
+ */
+
+// =============================================================================
+// Private Helpers
+// =============================================================================
+
+/**
+ * 小工事項目ごとの市場単価（全業者の単価の中央値）と業者数
+ * @private
+ * @param {Array} records - 集計対象のレコード
+ * @returns {Map<string, {median: number, vendorCount: number}>}
+ */
+function buildItemMarkets(records) {
+  const markets = new Map();
+  const byItem = groupRecordsBy(records, (record) => record.item);
+  for (const [item, itemRecords] of Object.entries(byItem)) {
+    markets.set(item, {
+      median: calcMedian(itemRecords.map((record) => record.displayPrice)),
+      vendorCount: new Set(itemRecords.map((record) => record.vendor)).size,
+    });
+  }
+  return markets;
+}
+
+/**
+ * 発注の単価を市場単価に対する比率 (%) に変換
+ * @private
+ * @returns {number|null} 比較できない品目の場合は null
+ */
+function getRelativePrice(record, markets) {
+  const market = markets.get(record.item);
+  if (
+    !market ||
+    market.vendorCount < VENDOR_SCORECARD_CONFIG.minItemVendors ||
+    market.median <= 0
+  ) {
+    return null;
+  }
+  return (record.displayPrice / market.median) * 100;
+}
+
+/**
+ * 比率の中央値（小数第1位に丸める）
+ * Note: calcMedian は偶数件の中央値を整数に丸めるため使わない
+ * @private
+ * @param {Array<number|null>} values - 比率（null は除外）
+ * @returns {number|null}
+ */
+function calcRelativeMedian(values) {
+  const sorted = values.filter((value) => value !== null).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const mid = Math.floor(sorted.length / 2);
+  const median =
+    sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  return Math.round(median * 10) / 10;
+}
+
+/**
+ * 発注金額の合計
+ * @private
+ */
+function sumAmount(records) {
+  return Math.round(
+    records.reduce((sum, record) => sum + record.displayAmount, 0)
+  );
+}
+
+/**
+ * 価格指数の推移の傾き（最小二乗法、pt/期間）
+ * @private
+ * @param {Array<{priceIndex: number|null}>} timeline - 期間別の集計（昇順）
+ * @returns {number|null} 指数のある期間が minTrendPeriods 未満の場合は null
+ */
+function calcIndexTrend(timeline) {
+  const points = timeline
+    .map((entry, i) => [i, entry.priceIndex])
+    .filter(([, value]) => value !== null);
+  if (points.length < VENDOR_SCORECARD_CONFIG.minTrendPeriods) return null;
+
+  const meanX = points.reduce((sum, [x]) => sum + x, 0) / points.length;
+  const meanY = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+  let covariance = 0;
+  let variance = 0;
+  for (const [x, y] of points) {
+    covariance += (x - meanX) * (y - meanY);
+    variance += (x - meanX) ** 2;
+  }
+  return Math.round((covariance / variance) * 100) / 100;
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * 業者ごとの価格指数と発注実績を集計
+ * @param {Array} records - 集計対象のレコード（全業者）
+ * @returns {Array<VendorRank>} 並び順は不定（sortVendorRanking で並べ替える）
+ */
+function summarizeVendors(records) {
+  const markets = buildItemMarkets(records);
+  const byVendor = groupRecordsBy(records, (record) => record.vendor);
+
+  return Object.entries(byVendor).map(([vendor, vendorRecords]) => {
+    const relative = vendorRecords.map((record) =>
+      getRelativePrice(record, markets)
+    );
+    const comparableOrders = relative.filter((value) => value !== null).length;
+    return {
+      vendor,
+      name: vendorRecords[0].vendorNameClean,
+      orders: vendorRecords.length,
+      comparableOrders,
+      items: new Set(vendorRecords.map((record) => record.item)).size,
+      regions: new Set(vendorRecords.map((record) => record.region)).size,
+      amount: sumAmount(vendorRecords),
+      priceIndex: calcRelativeMedian(relative),
+      ranked: comparableOrders >= VENDOR_SCORECARD_CONFIG.minRankOrders,
+    };
+  });
+}
+
+/**
+ * 業者の一覧を並べ替え（ランキングの対象外の業者は末尾）
+ * @param {Array<VendorRank>} vendors - summarizeVendors の戻り値
+ * @param {string} sortBy - VENDOR_RANKING_SORTS のキー
+ * @returns {Array<VendorRank>} 並べ替えた新しい配列
+ */
+function sortVendorRanking(vendors, sortBy) {
+  const compare = {
+    above: (a, b) => b.priceIndex - a.priceIndex,
+    below: (a, b) => a.priceIndex - b.priceIndex,
+    orders: (a, b) => b.orders - a.orders,
+    amount: (a, b) => b.amount - a.amount,
+  }[sortBy];
+  return [...vendors].sort(
+    (a, b) =>
+      Number(b.ranked) - Number(a.ranked) ||
+      (a.ranked ? compare(a, b) : b.comparableOrders - a.comparableOrders) ||
+      b.orders - a.orders
+  );
+}
+
+/**
+ * 価格指数の水準（割高 / 市場並み / 割安）
+ * @param {number|null} priceIndex - 価格指数
+ * @returns {string|null} 'above' | 'neutral' | 'below'（指数がない場合は null）
+ */
+function getVendorPriceLevel(priceIndex) {
+  if (priceIndex === null) return null;
+  const band = VENDOR_SCORECARD_CONFIG.neutralBand;
+  if (priceIndex > 100 + band) return "above";
+  if (priceIndex < 100 - band) return "below";
+  return "neutral";
+}
+
+/**
+ * 業者のスコアカードを作成
+ * @param {Array} records - 集計対象のレコード（全業者、市場単価・シェアの算出に使用）
+ * @param {string} vendor - 業者名（record.vendor）
+ * @param {Object} [options]
+ * @param {string} [options.timeUnit] - 推移の時間単位（'monthly' | 'yearly'）
+ * @returns {VendorScorecard|null} 業者の発注がない場合は null
+ */
+function buildVendorScorecard(records, vendor, { timeUnit = "monthly" } = {}) {
+  const vendorRecords = records.filter((record) => record.vendor === vendor);
+  if (vendorRecords.length === 0) return null;
+
+  const markets = buildItemMarkets(records);
+  const relativeOf = new Map(
+    vendorRecords.map((record) => [record, getRelativePrice(record, markets)])
+  );
+  const indexOf = (group) =>
+    calcRelativeMedian(group.map((record) => relativeOf.get(record)));
+
+  const items = Object.values(
+    groupRecordsBy(vendorRecords, (record) => record.item)
+  )
+    .map((itemRecords) => {
+      const { item, minorCode, unit } = itemRecords[0];
+      const market = markets.get(item);
+      return {
+        item,
+        minorCode,
+        unit,
+        orders: itemRecords.length,
+        amount: sumAmount(itemRecords),
+        vendorMedian: calcMedian(
+          itemRecords.map((record) => record.displayPrice)
+        ),
+        marketMedian: market.median,
+        vendorCount: market.vendorCount,
+        priceIndex: indexOf(itemRecords),
+      };
+    })
+    .sort((a, b) => b.amount - a.amount);
+
+  // 支店のシェアは、同じ支店の全業者の発注金額に占める割合
+  const regionTotals = groupRecordsBy(records, (record) => record.region);
+  const regions = Object.entries(
+    groupRecordsBy(vendorRecords, (record) => record.region)
+  )
+    .map(([region, regionRecords]) => {
+      const amount = sumAmount(regionRecords);
+      const total = sumAmount(regionTotals[region]);
+      return {
+        region,
+        orders: regionRecords.length,
+        amount,
+        share: total > 0 ? Math.round((amount / total) * 1000) / 10 : 0,
+        priceIndex: indexOf(regionRecords),
+      };
+    })
+    .sort((a, b) => b.amount - a.amount);
+
+  const byPeriod = groupByTimeUnit(vendorRecords, timeUnit);
+  const timeline = Object.keys(byPeriod)
+    .sort()
+    .map((period) => ({
+      period,
+      orders: byPeriod[period].length,
+      amount: sumAmount(byPeriod[period]),
+      priceIndex: indexOf(byPeriod[period]),
+    }));
+
+  return {
+    vendor,
+    name: vendorRecords[0].vendorNameClean,
+    summary: {
+      orders: vendorRecords.length,
+      comparableOrders: [...relativeOf.values()].filter(
+        (value) => value !== null
+      ).length,
+      items: items.length,
+      regions: regions.length,
+      amount: sumAmount(vendorRecords),
+      priceIndex: indexOf(vendorRecords),
+    },
+    trend: calcIndexTrend(timeline),
+    items,
+    regions,
+    timeline,
+  };
+}
@@ -23,6 +23,7 @@ import {
   transformToOutput,
 } from "./pipeline/transformer.js";
 import {
+  writeDataColumnarGz,
   writeDataJs,
   writeDataJsonGz,
   writeRejectedRecords,
@@ -69,6 +70,7 @@ async function main(): Promise<void> {
 
   const outputFile = resolve(outputDir, "data.js");
   const outputJsonGzFile = resolve(outputDir, "data.json.gz");
+  const outputColumnarFile = resolve(outputDir, "data.bin.gz");
   const rejectedFile = resolve(outputDir, "rejected_records.json");
   const reportFile = resolve(outputDir, "conversion_report.md");
 
@@ -121,6 +123,9 @@ async function main(): Promise<void> {
   await writeDataJsonGz(outputJsonGzFile, sorted);
   console.log(`  data.json.gz を出力しました (gzip圧縮・高速読み込み用)`);
 
+  await writeDataColumnarGz(outputColumnarFile, sorted);
+  console.log(`  data.bin.gz を出力しました (カラム型・辞書エンコード)`);
+
   if (rejected.length > 0) {
     await writeRejectedRecords(rejectedFile, rejected);
     console.log(`  rejected_records.json を出力しました`);
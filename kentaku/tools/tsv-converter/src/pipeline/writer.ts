@@ -108,3 +108,252 @@ export async function writeDataJsonGz(
   const compressed = gzipSync(Buffer.from(content, "utf-8"));
   await writeFile(outputPath, compressed);
 }
+
+// ============================================
+// カラム型バイナリ形式（data.bin.gz）
+// ============================================
+
+/**
+ * カラム型バイナリ形式のマジックナンバー
+ *
+ * レイアウト（gzip展開後、リトルエンディアン）:
+ *   [0..3]   マジック "KTC1"
+ *   [4..7]   ヘッダーJSONのバイト長（uint32）
+ *   [8..]    ヘッダーJSON（UTF-8）
+ *   以降     行ブロックごとの各カラムデータ（8バイト境界に整列）
+ *
+ * 行を blockSize 件ずつのブロックに分け、ブロック内でカラムを連続配置する。
+ * 辞書はヘッダーに全ブロック共通で格納するため、ブラウザは展開途中でも
+ * 受信済みのブロックから順に行を復元できる（先行表示用）。
+ * ブロックの byteOffset / offsets はデータ部先頭（ヘッダー末尾を8バイト境界に
+ * 切り上げた位置）からの相対値。
+ *
+ * 文字列カラムは辞書（string[]）+ インデックス配列、
+ * 数値カラムは TypedArray としてそのまま格納する。
+ * 読み込み側: kentaku/js/columnar-format.js
+ */
+export const COLUMNAR_MAGIC = "KTC1";
+
+/** 現在のフォーマットバージョン */
+export const COLUMNAR_VERSION = 1;
+
+/** 1ブロックあたりの既定行数 */
+export const COLUMNAR_BLOCK_SIZE = 500;
+
+/** カラムの格納型 */
+export type ColumnType = "dict" | "float64" | "int32";
+
+/** 辞書インデックスの格納型 */
+export type DictIndexType = "uint8" | "uint16" | "uint32";
+
+/** ヘッダーに記録するカラム情報 */
+export interface ColumnHeader {
+  name: keyof OutputRecord;
+  type: ColumnType;
+  /** 値が null / undefined の行は辞書上も null */
+  dictionary?: Array<string | null>;
+  indexType?: DictIndexType;
+}
+
+/** ヘッダーに記録する行ブロック情報 */
+export interface ColumnarBlock {
+  count: number;
+  byteOffset: number;
+  byteLength: number;
+  /** columns と同順の各カラムデータの位置 */
+  offsets: number[];
+}
+
+/** カラム型バイナリのヘッダー */
+export interface ColumnarHeader {
+  version: typeof COLUMNAR_VERSION;
+  count: number;
+  columns: ColumnHeader[];
+  blocks: ColumnarBlock[];
+}
+
+/** encodeColumnar のオプション */
+export interface ColumnarOptions {
+  /** 1ブロックあたりの行数 */
+  blockSize?: number;
+}
+
+/** 出力カラム定義（OutputRecord の全フィールド） */
+const COLUMNAR_SCHEMA: ReadonlyArray<{
+  name: keyof OutputRecord;
+  type: ColumnType;
+}> = [
+  { name: "region", type: "dict" },
+  { name: "projectName", type: "dict" },
+  { name: "majorCode", type: "dict" },
+  { name: "minorCode", type: "dict" },
+  { name: "item", type: "dict" },
+  { name: "spec", type: "dict" },
+  { name: "unit", type: "dict" },
+  { name: "qty", type: "float64" },
+  { name: "price", type: "float64" },
+  { name: "amount", type: "float64" },
+  { name: "vendor", type: "dict" },
+  { name: "orderDate", type: "dict" },
+  { name: "floors", type: "int32" },
+  { name: "unitRow", type: "int32" },
+  { name: "resUnits", type: "int32" },
+  { name: "constArea", type: "float64" },
+  { name: "totalArea", type: "float64" },
+];
+
+/** TypedArray の境界整列（Float64Array のため8バイト） */
+const COLUMN_ALIGNMENT = 8;
+
+/**
+ * 辞書サイズに応じた最小のインデックス型を選択
+ */
+function selectIndexType(dictionarySize: number): DictIndexType {
+  if (dictionarySize <= 0x100) return "uint8";
+  if (dictionarySize <= 0x10000) return "uint16";
+  return "uint32";
+}
+
+/**
+ * 1カラム分の全行の値を TypedArray に変換
+ * 文字列カラムは出現順の辞書を構築してインデックスに置き換える
+ */
+function encodeColumn(
+  records: OutputRecord[],
+  name: keyof OutputRecord,
+  type: ColumnType
+): {
+  values: Uint8Array | Uint16Array | Uint32Array | Float64Array | Int32Array;
+  dictionary?: Array<string | null>;
+  indexType?: DictIndexType;
+} {
+  const count = records.length;
+
+  if (type === "dict") {
+    const lookup = new Map<string | null, number>();
+    const dictionary: Array<string | null> = [];
+    const indices = new Uint32Array(count);
+    for (let i = 0; i < count; i++) {
+      // 欠損値は文字列 "null" にせず、JSON 形式と同じく null のまま復元させる
+      const raw = records[i][name];
+      const value = raw === null || raw === undefined ? null : String(raw);
+      let index = lookup.get(value);
+      if (index === undefined) {
+        index = dictionary.length;
+        lookup.set(value, index);
+        dictionary.push(value);
+      }
+      indices[i] = index;
+    }
+
+    const indexType = selectIndexType(dictionary.length);
+    const values =
+      indexType === "uint8"
+        ? Uint8Array.from(indices)
+        : indexType === "uint16"
+          ? Uint16Array.from(indices)
+          : indices;
+    return { values, dictionary, indexType };
+  }
+
+  const values =
+    type === "float64" ? new Float64Array(count) : new Int32Array(count);
+  for (let i = 0; i < count; i++) {
+    values[i] = Number(records[i][name]);
+  }
+  return { values };
+}
+
+/**
+ * レコード配列をカラム型バイナリにエンコード（gzip圧縮前）
+ */
+export function encodeColumnar(
+  records: OutputRecord[],
+  options: ColumnarOptions = {}
+): Buffer {
+  const blockSize = options.blockSize ?? COLUMNAR_BLOCK_SIZE;
+  if (!Number.isInteger(blockSize) || blockSize <= 0) {
+    throw new Error(`Invalid block size: ${blockSize}`);
+  }
+
+  const encoded = COLUMNAR_SCHEMA.map((column) => ({
+    ...column,
+    ...encodeColumn(records, column.name, column.type),
+  }));
+
+  const columns: ColumnHeader[] = encoded.map((column) => {
+    const header: ColumnHeader = { name: column.name, type: column.type };
+    if (column.dictionary) {
+      header.dictionary = column.dictionary;
+      header.indexType = column.indexType;
+    }
+    return header;
+  });
+
+  // ブロックごとに各カラムの位置を割り当て
+  const blocks: ColumnarBlock[] = [];
+  let dataLength = 0;
+  for (let start = 0; start < records.length; start += blockSize) {
+    const count = Math.min(blockSize, records.length - start);
+    const byteOffset = dataLength;
+    const offsets = encoded.map((column) => {
+      const offset = dataLength;
+      dataLength += alignTo(
+        count * column.values.BYTES_PER_ELEMENT,
+        COLUMN_ALIGNMENT
+      );
+      return offset;
+    });
+    blocks.push({
+      count,
+      byteOffset,
+      byteLength: dataLength - byteOffset,
+      offsets,
+    });
+  }
+
+  const header: ColumnarHeader = {
+    version: COLUMNAR_VERSION,
+    count: records.length,
+    columns,
+    blocks,
+  };
+  const headerBytes = Buffer.from(JSON.stringify(header), "utf-8");
+  const dataStart = alignTo(8 + headerBytes.byteLength, COLUMN_ALIGNMENT);
+
+  const output = Buffer.alloc(dataStart + dataLength);
+  output.write(COLUMNAR_MAGIC, 0, "ascii");
+  output.writeUInt32LE(headerBytes.byteLength, 4);
+  headerBytes.copy(output, 8);
+  blocks.forEach((block, b) => {
+    const start = b * blockSize;
+    encoded.forEach(({ values }, i) => {
+      const slice = values.subarray(start, start + block.count);
+      output.set(
+        new Uint8Array(slice.buffer, slice.byteOffset, slice.byteLength),
+        dataStart + block.offsets[i]
+      );
+    });
+  });
+  return output;
+}
+
+/**
+ * バイト数を境界に切り上げ
+ */
+function alignTo(value: number, alignment: number): number {
+  return Math.ceil(value / alignment) * alignment;
+}
+
+/**
+ * data.bin.gzファイルを出力（カラム型・辞書エンコード・gzip圧縮）
+ * - キー名の繰り返しがなく、文字列は辞書で共有されるため小さく高速
+ * - 読み込み失敗時のため data.json.gz も併せて出力すること
+ */
+export async function writeDataColumnarGz(
+  outputPath: string,
+  records: OutputRecord[]
+): Promise<void> {
+  const compressed = gzipSync(encodeColumnar(records));
+  await writeFile(outputPath, compressed);
+}
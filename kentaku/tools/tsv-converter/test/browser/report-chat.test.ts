@@ -0,0 +1,105 @@
+/**
+ * report-chat.js のテスト
+ *
+ * AIレポートへの追加の質問（kentaku/js/report-chat.js）のうち、
+ * 共通フィルターの変更依頼の判定を検証する
+ */
+import { describe, it, expect } from "vitest";
+import { loadBrowserScripts } from "../helpers/browser-scripts";
+
+/** 共通フィルター */
+interface CommonFilters {
+  dateFrom: string;
+  dateTo: string;
+  regions: string[];
+  vendors: string[];
+}
+
+/** report-chat.js が公開する関数 */
+interface BrowserReportChat {
+  detectReportFilterIntent(
+    question: string,
+    params: {
+      commonFilters: CommonFilters;
+      initialFilters: { dateFrom: string; dateTo: string };
+      regionOptions: string[];
+      vendorOptions: string[];
+    }
+  ): { filters: CommonFilters; changes: string[] } | null;
+}
+
+const reportChat = loadBrowserScripts([
+  "report-chat.js",
+]) as unknown as BrowserReportChat;
+
+/** テストデータ: 初期状態の共通フィルターと選択肢 */
+const PARAMS = {
+  commonFilters: {
+    dateFrom: "2022-01-01",
+    dateTo: "2024-12-31",
+    regions: [],
+    vendors: [],
+  },
+  initialFilters: { dateFrom: "2022-01-01", dateTo: "2024-12-31" },
+  regionOptions: ["札幌", "旭川", "仙台"],
+  vendorOptions: ["株式会社山田建工", "鈴木工業"],
+};
+
+/**
+ * 質問から変更後の共通フィルターを判定
+ */
+function detect(question: string) {
+  return reportChat.detectReportFilterIntent(question, PARAMS);
+}
+
+describe("report-chat", () => {
+  describe("detectReportFilterIntent", () => {
+    describe("正常系", () => {
+      it("「除外して」は支店・業者を除外する", () => {
+        // 実行
+        const intent = detect("山田建工を除外して再分析して");
+
+        // 検証
+        expect(intent?.filters.vendors).toEqual(["鈴木工業"]);
+      });
+
+      it("「だけで再分析」は支店を限定する", () => {
+        // 実行
+        const intent = detect("札幌と旭川だけで再分析して");
+
+        // 検証
+        expect(intent?.filters.regions).toEqual(["札幌", "旭川"]);
+      });
+
+      it("「以外で再集計」は支店を除外する", () => {
+        // 実行
+        const intent = detect("札幌以外で再集計して");
+
+        // 検証
+        expect(intent?.filters.regions).toEqual(["旭川", "仙台"]);
+      });
+
+      it("「絞って」は期間を限定する", () => {
+        // 実行
+        const intent = detect("2024年に絞って");
+
+        // 検証
+        expect(intent?.filters.dateFrom).toBe("2024-01-01");
+        expect(intent?.filters.dateTo).toBe("2024-12-31");
+      });
+    });
+
+    describe("条件を変更しない質問", () => {
+      it.each([
+        "札幌が高いのはなぜ？",
+        "なぜ札幌だけ高いのですか？",
+        "札幌以外の支店と比べて高い理由は？",
+        "山田建工のみ単価が高いのはなぜ？",
+        "2024年だけ単価が上がったのはなぜ？",
+      ])("%s", (question) => {
+        // 実行・検証
+        expect(detect(question)).toBeNull();
+      });
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * report-fact-check.js のテスト
+ *
+ * AIレポートの数値チェック（kentaku/js/report-fact-check.js）を
+ * ブラウザと同じスクリプトで読み込み、集計値で裏付けられない数値が
+ * 「要確認」になることを検証する
+ */
+import { describe, it, expect } from "vitest";
+import { loadBrowserScripts } from "../helpers/browser-scripts";
+
+/** KPI サマリー */
+interface Kpi {
+  count: number;
+  minPrice: number;
+  avgPrice: number;
+  medianPrice: number;
+  maxPrice: number;
+}
+
+/** buildFactCheckReference に渡すチャート */
+interface Chart {
+  tab: string;
+  settings: Record<string, unknown>;
+  data: Record<string, unknown> | null;
+}
+
+/** report-fact-check.js が公開する関数 */
+interface BrowserFactCheck {
+  buildFactCheckReference(params: { kpi: Kpi; charts: Chart[] }): unknown;
+  verifyReportFigures(
+    markdown: string,
+    reference: unknown
+  ): {
+    checked: number;
+    supported: number;
+    excluded: number;
+    unsupported: string[];
+  };
+}
+
+const factCheck = loadBrowserScripts([
+  "utils.js",
+  "markdown-renderer.js",
+  "report-fact-check.js",
+]) as unknown as BrowserFactCheck;
+
+/** テストデータ: KPI */
+const KPI: Kpi = {
+  count: 120,
+  minPrice: 3000,
+  avgPrice: 7000,
+  medianPrice: 6800,
+  maxPrice: 12000,
+};
+
+/**
+ * 時系列分析のチャート（平均単価の推移）
+ */
+function buildTimeseriesChart(averages: number[]): Chart {
+  return {
+    tab: "timeseries",
+    settings: { metric: "price" },
+    data: {
+      labels: averages.map((_, i) => `2024-0${i + 1}`),
+      minData: averages,
+      avgData: averages,
+      medianData: averages,
+      maxData: averages,
+      counts: averages.map(() => 10),
+    },
+  };
+}
+
+/**
+ * 比較分析のチャート（グループごとに values[i] の値だけの発注）
+ * 件数は先頭のグループほど多い
+ */
+function buildComparisonChart(values: number[]): Chart {
+  return {
+    tab: "comparison",
+    settings: { metric: "avgPrice" },
+    data: {
+      labels: values.map((_, i) => `グループ${i + 1}`),
+      data: values,
+      boxplotData: values.map((value, i) =>
+        Array.from({ length: values.length - i + 1 }, () => value)
+      ),
+    },
+  };
+}
+
+/**
+ * レポートの1文を照合し、一致したかを返す
+ */
+function isSupported(sentence: string, charts: Chart[]): boolean {
+  const reference = factCheck.buildFactCheckReference({ kpi: KPI, charts });
+  return factCheck.verifyReportFigures(sentence, reference).supported === 1;
+}
+
+describe("report-fact-check", () => {
+  describe("verifyReportFigures", () => {
+    describe("正常系", () => {
+      it("KPI の値と KPI どうしの差額・変化率は一致する", () => {
+        // 検証: 最大 - 最小 = 9,000円、(最大 - 平均) / 平均 = 71.4%
+        expect(isSupported("最高値は ¥12,000 です", [])).toBe(true);
+        expect(isSupported("最高値と最安値の差は ¥9,000", [])).toBe(true);
+        expect(isSupported("最高値は平均より 71.4% 高い", [])).toBe(true);
+        expect(isSupported("発注は 120件 です", [])).toBe(true);
+      });
+
+      it("最初と最後の期間の差額・変化率は一致する", () => {
+        // テストデータ: 平均単価 5,000 → 5,500 円
+        const charts = [buildTimeseriesChart([5000, 5300, 5200, 5500])];
+
+        // 検証
+        expect(isSupported("期間中に ¥500 上昇", charts)).toBe(true);
+        expect(isSupported("期間中に 10% 上昇", charts)).toBe(true);
+      });
+
+      it("件数の多いグループと全体平均の差は一致する", () => {
+        // テストデータ: 最も件数の多いグループが 8,400 円（全体平均 7,000 円）
+        const charts = [buildComparisonChart([8400, 7700, 6300])];
+
+        // 検証: (8,400 - 7,000) / 7,000 = 20%
+        expect(isSupported("グループ1は全体平均より 20% 高い", charts)).toBe(
+          true
+        );
+        expect(isSupported("全体平均との差は ¥1,400", charts)).toBe(true);
+      });
+    });
+
+    describe("異常系", () => {
+      it("関連のない2つの期間の差額・変化率は要確認になる", () => {
+        // テストデータ: 2番目と3番目の期間（5,300 → 5,200 円）
+        const charts = [buildTimeseriesChart([5000, 5300, 5200, 5500])];
+
+        // 検証: 差額 100円・変化率 1.9% はどの組にも当てはまらない
+        expect(isSupported("3月は ¥100 下落", charts)).toBe(false);
+        expect(isSupported("3月は 1.9% 下落", charts)).toBe(false);
+      });
+
+      it("任意のグループどうしの差額・変化率は要確認になる", () => {
+        // テストデータ: 件数の少ないグループどうし（4,100 円と 5,300 円）
+        const charts = [
+          buildComparisonChart([7100, 6900, 7050, 4100, 5300, 3100, 11800]),
+        ];
+
+        // 検証: 差額 1,200円・変化率 29.3% は比較の対象にしない
+        expect(
+          isSupported("グループ5はグループ4より ¥1,200 高い", charts)
+        ).toBe(false);
+        expect(isSupported("グループ5はグループ4より 29.3% 高い", charts)).toBe(
+          false
+        );
+      });
+
+      it("60グループの単価があっても作り話の割合のほとんどは要確認になる", () => {
+        // テストデータ: 3,000〜12,000 円の60グループ（決まった並び）
+        const values = Array.from(
+          { length: 60 },
+          (_, i) => 3000 + ((i * 7919) % 9001)
+        );
+        const reference = factCheck.buildFactCheckReference({
+          kpi: KPI,
+          charts: [buildComparisonChart(values)],
+        });
+
+        // 実行: 1〜60% の整数の割合を照合
+        const markdown = Array.from(
+          { length: 60 },
+          (_, i) => `- 差は ${i + 1}% です`
+        ).join("\n");
+        const result = factCheck.verifyReportFigures(markdown, reference);
+
+        // 検証: 関連する組の数（数件）しか一致しない
+        expect(result.checked).toBe(60);
+        expect(result.supported).toBeLessThanOrEqual(10);
+      });
+    });
+  });
+});
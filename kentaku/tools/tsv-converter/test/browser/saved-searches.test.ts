@@ -0,0 +1,120 @@
+/**
+ * saved-searches.js のテスト
+ *
+ * 保存した検索（kentaku/js/saved-searches.js）のうち、
+ * インポートした JSON の検証を確認する
+ */
+import { describe, it, expect } from "vitest";
+import { loadBrowserScripts } from "../helpers/browser-scripts";
+
+/** 保存した検索（検証後） */
+interface SavedSearch {
+  name: string;
+  filters: Record<string, unknown>;
+  detail: {
+    activeTab?: string;
+    timeseries: Record<string, unknown>;
+    comparison: Record<string, unknown>;
+    trend: Record<string, unknown>;
+  };
+}
+
+/** saved-searches.js が公開する関数 */
+interface BrowserSavedSearches {
+  parseSavedSearches(json: string): SavedSearch[];
+}
+
+const savedSearches = loadBrowserScripts([
+  "url-state.js",
+  "saved-searches.js",
+]) as unknown as BrowserSavedSearches;
+
+/**
+ * 1件分の検索をエクスポート形式の JSON にして読み込む
+ */
+function parseOne(entry: Record<string, unknown>): SavedSearch {
+  const [search] = savedSearches.parseSavedSearches(
+    JSON.stringify({
+      format: "kentaku-saved-searches",
+      version: 1,
+      searches: [{ name: "検索", ...entry }],
+    })
+  );
+  return search;
+}
+
+describe("saved-searches", () => {
+  describe("parseSavedSearches", () => {
+    describe("正常系", () => {
+      it("型の合う検索条件・タブ別設定はそのまま読み込む", () => {
+        // テストデータ
+        const filters = {
+          project: "",
+          regions: ["札幌", "旭川"],
+          majorCodes: [],
+          dateFrom: "2024-01-01",
+          dateTo: "",
+          floorMin: 3,
+          floorMax: null,
+          item: "金属",
+          vendor: "",
+        };
+        const detail = {
+          activeTab: "comparison",
+          timeseries: { metric: "forecast", movingAvgWindow: 6 },
+          comparison: { groupBy: "vendor", chartType: "boxplot" },
+          trend: { xAxis: "floors", xScale: "log" },
+        };
+
+        // 実行
+        const search = parseOne({ filters, detail });
+
+        // 検証
+        expect(search.filters).toEqual(filters);
+        expect(search.detail).toEqual(detail);
+      });
+    });
+
+    describe("異常系", () => {
+      it("型の合わない検索条件・未知のキーは除外する", () => {
+        // 実行
+        const search = parseOne({
+          filters: {
+            regions: "札幌",
+            majorCodes: ["A", 1],
+            dateFrom: "2024/01/01",
+            floorMin: "3",
+            floorMax: true,
+            item: 123,
+            vendor: "山田",
+            unknown: "x",
+          },
+        });
+
+        // 検証
+        expect(search.filters).toEqual({ vendor: "山田" });
+      });
+
+      it("選択肢にないタブ別設定・数値でない設定は除外する", () => {
+        // 実行
+        const search = parseOne({
+          filters: {},
+          detail: {
+            activeTab: "summary",
+            timeseries: { metric: "total", movingAvgWindow: "4" },
+            comparison: { groupBy: "vendor", metric: { name: "avgPrice" } },
+            trend: "scatter",
+          },
+        });
+
+        // 検証
+        expect(search.detail).toEqual({
+          activeTab: undefined,
+          timeseries: {},
+          comparison: { groupBy: "vendor" },
+          trend: {},
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * url-state.js のテスト
+ *
+ * URL 状態の復元（kentaku/js/url-state.js）のうち、
+ * 単価の基準を共有リンクとして扱う条件を検証する
+ */
+import { describe, it, expect } from "vitest";
+import { loadBrowserScripts } from "../helpers/browser-scripts";
+
+/** 単価の基準 */
+interface PriceBasis {
+  mode: string;
+  baseMonth: string;
+}
+
+/** url-state.js が公開する関数 */
+interface BrowserUrlState {
+  decodeUrlState(search: string): {
+    filters: Record<string, unknown>;
+    priceBasis: PriceBasis | null;
+    detail: Record<string, unknown> | null;
+  };
+}
+
+const urlState = loadBrowserScripts(["url-state.js"], {
+  URLSearchParams,
+}) as unknown as BrowserUrlState;
+
+describe("url-state", () => {
+  describe("decodeUrlState", () => {
+    describe("正常系", () => {
+      it("単価の指定は指数調整後と基準月を返す", () => {
+        // 実行
+        const { priceBasis } = urlState.decodeUrlState(
+          "?price=adjusted&priceBase=2024-12"
+        );
+
+        // 検証
+        expect(priceBasis).toEqual({ mode: "adjusted", baseMonth: "2024-12" });
+      });
+
+      it.each(["?item=金属", "?regions=札幌", "?detail=金属パネル加工"])(
+        "%s は単価の指定がなければ名目を返す",
+        (search) => {
+          // 実行
+          const { priceBasis } = urlState.decodeUrlState(search);
+
+          // 検証
+          expect(priceBasis).toEqual({ mode: "nominal", baseMonth: "" });
+        }
+      );
+    });
+
+    describe("共有リンクの状態を含まない URL", () => {
+      it.each(["", "?utm_source=mail&utm_medium=email", "?tab=comparison"])(
+        "%s は単価の基準を返さない",
+        (search) => {
+          // 実行
+          const { priceBasis } = urlState.decodeUrlState(search);
+
+          // 検証
+          expect(priceBasis).toBeNull();
+        }
+      );
+    });
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * ブラウザ側のスクリプト（kentaku/js/*.js）を node:vm で読み込むテストヘルパー
+ *
+ * ブラウザと同じ処理を検証するため、スクリプトをそのまま実行して
+ * トップレベルの関数宣言・定数をコンテキストから取り出す。
+ */
+import { readFileSync } from "node:fs";
+import { createContext, runInContext } from "node:vm";
+
+const SCRIPT_DIR_URL = new URL("../../../../js/", import.meta.url);
+
+/**
+ * スクリプトを新しいコンテキストで順に実行してコンテキストを返す
+ * @param names - kentaku/js 配下のファイル名（依存される側から順に）
+ * @param globals - スクリプトが参照するグローバル（fetch, pako など）
+ */
+export function loadBrowserScripts(
+  names: string[],
+  globals: Record<string, unknown> = {}
+): Record<string, unknown> {
+  const context = createContext({ TextDecoder, ...globals });
+  for (const name of names) {
+    const url = new URL(name, SCRIPT_DIR_URL);
+    runInContext(readFileSync(url, "utf-8"), context, {
+      filename: url.pathname,
+    });
+  }
+  return context;
+}
@@ -0,0 +1,165 @@
+/**
+ * ブラウザ側のカラム型デコーダー（kentaku/js/columnar-format.js）と
+ * ストリーミング読み込み（kentaku/js/data-stream.js）を読み込むテストヘルパー
+ *
+ * ブラウザと同じデコード処理で writer の出力を検証する。
+ */
+import { constants, gunzipSync } from "node:zlib";
+import { loadBrowserScripts } from "./browser-scripts";
+
+/** readColumnarLayout の戻り値 */
+export interface ColumnarLayout {
+  count: number;
+  byteLength: number;
+  columns: Array<{ name: string; type: string; dictionary?: string[] }>;
+  blocks: Array<{
+    start: number;
+    count: number;
+    end: number;
+    offsets: number[];
+  }>;
+}
+
+/** decodeColumnar / decodeColumnarBlock の戻り値 */
+export interface ColumnarTable {
+  count: number;
+  columns: Record<
+    string,
+    {
+      type: string;
+      dictionary?: Array<string | null>;
+      indices?: ArrayLike<number>;
+      values?: ArrayLike<number>;
+    }
+  >;
+}
+
+/** columnar-format.js が公開する関数 */
+export interface BrowserColumnarFormat {
+  isColumnarData(bytes: Uint8Array): boolean;
+  readColumnarLayout(bytes: Uint8Array): ColumnarLayout | null;
+  decodeColumnarBlock(
+    bytes: Uint8Array,
+    layout: ColumnarLayout,
+    index: number
+  ): ColumnarTable;
+  decodeColumnar(bytes: Uint8Array): ColumnarTable;
+  columnarToRecords(table: ColumnarTable): Array<Record<string, unknown>>;
+}
+
+/** streamGzipColumnar の onChunk に渡される進捗 */
+export interface StreamChunk {
+  records: Array<Record<string, unknown>>;
+  loadedBytes: number;
+  totalBytes: number;
+  recordCount: number;
+}
+
+/** data-stream.js が公開する関数 */
+export interface BrowserDataStream {
+  streamGzipColumnar(
+    url: string,
+    options: { onChunk?: (chunk: StreamChunk) => void | Promise<void> }
+  ): Promise<{
+    compressedBytes: number;
+    rawBytes: number;
+    recordCount: number;
+  }>;
+}
+
+/** pako.Inflate が onData を呼ぶ単位（既定の chunkSize） */
+const INFLATE_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * pako.Inflate と同じ呼び出し方の展開器（node:zlib で実装）
+ * 受信済みの入力を展開し、INFLATE_CHUNK_BYTES 単位で onData に渡す
+ */
+class TestInflate {
+  onData: (chunk: Uint8Array) => void = () => {};
+  err = 0;
+  msg = "";
+  private input: Buffer[] = [];
+  private emitted = 0;
+
+  push(bytes: Uint8Array, isLast: boolean): void {
+    this.input.push(Buffer.from(bytes));
+    const inflated = gunzipSync(Buffer.concat(this.input), {
+      finishFlush: constants.Z_SYNC_FLUSH,
+    });
+    const end = isLast
+      ? inflated.byteLength
+      : Math.floor(inflated.byteLength / INFLATE_CHUNK_BYTES) *
+        INFLATE_CHUNK_BYTES;
+    while (this.emitted < end) {
+      const size = Math.min(INFLATE_CHUNK_BYTES, end - this.emitted);
+      this.onData(
+        toAlignedBytes(inflated.subarray(this.emitted, this.emitted + size))
+      );
+      this.emitted += size;
+    }
+  }
+}
+
+/**
+ * 圧縮データを chunkBytes ずつ返す fetch（Content-Length 付き）
+ */
+function createChunkedFetch(compressed: Uint8Array, chunkBytes: number) {
+  return async () => ({
+    ok: true,
+    status: 200,
+    headers: {
+      get: (name: string) =>
+        name === "Content-Length" ? String(compressed.byteLength) : null,
+    },
+    body: {
+      getReader() {
+        let offset = 0;
+        return {
+          async read() {
+            if (offset >= compressed.byteLength) return { done: true };
+            const value = toAlignedBytes(
+              compressed.subarray(offset, offset + chunkBytes)
+            );
+            offset += chunkBytes;
+            return { done: false, value };
+          },
+        };
+      },
+    },
+  });
+}
+
+/**
+ * columnar-format.js を新しいコンテキストで実行して関数を返す
+ */
+export function loadBrowserColumnarFormat(): BrowserColumnarFormat {
+  return loadBrowserScripts([
+    "columnar-format.js",
+  ]) as unknown as BrowserColumnarFormat;
+}
+
+/**
+ * columnar-format.js と data-stream.js を新しいコンテキストで実行して関数を返す
+ * fetch は compressed を chunkBytes ずつ受信するレスポンスを返す
+ * @param compressed - 配信する gzip データ
+ * @param chunkBytes - ネットワークの1チャンクの大きさ
+ */
+export function loadBrowserDataStream(
+  compressed: Uint8Array,
+  chunkBytes: number
+): BrowserDataStream {
+  return loadBrowserScripts(["columnar-format.js", "data-stream.js"], {
+    pako: { Inflate: TestInflate },
+    fetch: createChunkedFetch(compressed, chunkBytes),
+  }) as unknown as BrowserDataStream;
+}
+
+/**
+ * Buffer を 8 バイト境界の新規バッファにコピー
+ * （ブラウザでは展開済みチャンクを新規バッファへ連結するため）
+ */
+export function toAlignedBytes(buffer: Uint8Array): Uint8Array {
+  const bytes = new Uint8Array(buffer.byteLength);
+  bytes.set(buffer);
+  return bytes;
+}
@@ -0,0 +1,79 @@
+/**
+ * Shipped Data Tests
+ *
+ * 配布データ（kentaku/data/data.bin.gz）をブラウザと同じデコーダーで読み込み、
+ * data-stream.js のストリーミング読み込みで受信途中の先行表示が成立することを
+ * 検証する
+ */
+import { describe, it, expect } from "vitest";
+import { readFileSync } from "node:fs";
+import { gunzipSync } from "node:zlib";
+import {
+  loadBrowserColumnarFormat,
+  loadBrowserDataStream,
+  toAlignedBytes,
+  type StreamChunk,
+} from "../helpers/columnar-format";
+
+const DATA_BIN_URL = new URL("../../../../data/data.bin.gz", import.meta.url);
+const DATA_JSON_URL = new URL("../../../../data/data.json.gz", import.meta.url);
+
+/** ネットワークの1チャンクの大きさ（想定） */
+const NETWORK_CHUNK_BYTES = 16 * 1024;
+
+/** 先行表示の受信率の閾値（%）。アプリの既定値と同程度の想定 */
+const EARLY_RENDER_MIN_PERCENT = 20;
+
+describe("shipped data", () => {
+  const compressed = readFileSync(DATA_BIN_URL);
+  const expected = JSON.parse(
+    gunzipSync(readFileSync(DATA_JSON_URL)).toString("utf-8")
+  ) as Array<Record<string, unknown>>;
+
+  describe("data.bin.gz", () => {
+    it("data.json.gz と同じレコードに復元できる", () => {
+      // テストデータ
+      const columnar = loadBrowserColumnarFormat();
+
+      // 実行
+      const records = columnar.columnarToRecords(
+        columnar.decodeColumnar(toAlignedBytes(gunzipSync(compressed)))
+      );
+
+      // 検証
+      expect(records).toEqual(expected);
+    });
+
+    it("受信率が閾値に達した時点で受信済みの行ブロックのレコードが届く", async () => {
+      // テストデータ
+      const stream = loadBrowserDataStream(compressed, NETWORK_CHUNK_BYTES);
+      const chunks: StreamChunk[] = [];
+
+      // 実行
+      const result = await stream.streamGzipColumnar("data/data.bin.gz", {
+        onChunk: (chunk) => {
+          chunks.push(chunk);
+        },
+      });
+
+      // 検証: 全体の受信完了前に、閾値以上の受信率でレコードが揃っている
+      const preview = chunks.find((chunk) => {
+        const percent = Math.round(
+          (chunk.loadedBytes / chunk.totalBytes) * 100
+        );
+        return (
+          percent >= EARLY_RENDER_MIN_PERCENT &&
+          percent < 100 &&
+          chunk.recordCount > 0
+        );
+      });
+      expect(preview).toBeDefined();
+      expect(preview!.recordCount).toBeLessThan(expected.length);
+
+      // 検証: 届いたレコードは先頭から順に元データと一致し、全件そろう
+      const records = chunks.flatMap((chunk) => chunk.records);
+      expect(records).toEqual(expected);
+      expect(result.recordCount).toBe(expected.length);
+    });
+  });
+});
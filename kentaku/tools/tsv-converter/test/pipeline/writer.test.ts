@@ -0,0 +1,279 @@
+/**
+ * Writer Tests
+ *
+ * encodeColumnar関数（カラム型バイナリ形式）のテスト
+ * 復元はブラウザ側のデコーダー（kentaku/js/columnar-format.js）で行う
+ */
+import { describe, it, expect, beforeEach } from "vitest";
+import { transformToOutput } from "../../src/pipeline/transformer";
+import {
+  COLUMNAR_MAGIC,
+  COLUMNAR_VERSION,
+  encodeColumnar,
+  type ColumnarHeader,
+} from "../../src/pipeline/writer";
+import type { OutputRecord } from "../../src/types/output";
+import { CleanedRecordFactory, resetAllFactories } from "../factories";
+import {
+  loadBrowserColumnarFormat,
+  toAlignedBytes,
+} from "../helpers/columnar-format";
+
+/**
+ * バイナリからヘッダーとデータ部先頭位置を取り出す
+ */
+function readHeader(buffer: Buffer): {
+  header: ColumnarHeader;
+  dataStart: number;
+} {
+  const headerLength = buffer.readUInt32LE(4);
+  const header = JSON.parse(
+    buffer.subarray(8, 8 + headerLength).toString("utf-8")
+  ) as ColumnarHeader;
+  return { header, dataStart: Math.ceil((8 + headerLength) / 8) * 8 };
+}
+
+/** ブラウザ側のデコーダー（kentaku/js/columnar-format.js） */
+const browser = loadBrowserColumnarFormat();
+
+/**
+ * バイナリをブラウザと同じ処理でレコード配列に復元
+ */
+function decode(buffer: Buffer): OutputRecord[] {
+  const table = browser.decodeColumnar(toAlignedBytes(buffer));
+  return browser.columnarToRecords(table) as unknown as OutputRecord[];
+}
+
+describe("writer", () => {
+  beforeEach(() => {
+    resetAllFactories(CleanedRecordFactory);
+  });
+
+  describe("encodeColumnar", () => {
+    describe("正常系", () => {
+      it("マジックナンバーとレコード件数がヘッダーに記録される", () => {
+        // テストデータ: 3件
+        const records = transformToOutput(CleanedRecordFactory.buildList(3));
+
+        // 実行
+        const buffer = encodeColumnar(records);
+
+        // 検証: 先頭4バイトがマジック、ヘッダーに件数と全カラム
+        expect(buffer.subarray(0, 4).toString("ascii")).toBe(COLUMNAR_MAGIC);
+        const { header } = readHeader(buffer);
+        expect(header.version).toBe(COLUMNAR_VERSION);
+        expect(header.count).toBe(3);
+        expect(header.columns.map((c) => c.name).sort()).toEqual(
+          Object.keys(records[0]).sort()
+        );
+      });
+
+      it("全フィールドを欠損なく復元できる", () => {
+        // テストデータ: 小数を含む数値と複数の文字列
+        const records = transformToOutput([
+          CleanedRecordFactory.build({
+            region: "厚木",
+            vendor: "業者X",
+            qty: 12.5,
+            price: 1000,
+            constArea: 123.45,
+          }),
+          CleanedRecordFactory.build({
+            region: "横浜",
+            vendor: "業者Y",
+            qty: 3,
+            price: 2500,
+            floors: 5,
+          }),
+        ]);
+
+        // 実行
+        const decoded = decode(encodeColumnar(records));
+
+        // 検証: 元のレコードと一致
+        expect(decoded).toEqual(records);
+      });
+
+      it("文字列カラムは重複なしの辞書として格納される", () => {
+        // テストデータ: 同一支店が繰り返される4件
+        const records = transformToOutput([
+          CleanedRecordFactory.build({ region: "厚木" }),
+          CleanedRecordFactory.build({ region: "横浜" }),
+          CleanedRecordFactory.build({ region: "厚木" }),
+          CleanedRecordFactory.build({ region: "厚木" }),
+        ]);
+
+        // 実行
+        const { header } = readHeader(encodeColumnar(records));
+        const region = header.columns.find((c) => c.name === "region")!;
+
+        // 検証: 出現順の辞書と最小のインデックス型
+        expect(region.type).toBe("dict");
+        expect(region.dictionary).toEqual(["厚木", "横浜"]);
+        expect(region.indexType).toBe("uint8");
+      });
+
+      it("辞書が256件を超えるとインデックスはuint16になる", () => {
+        // テストデータ: 全件異なる業者名
+        const records = transformToOutput(
+          Array.from({ length: 300 }, (_, i) =>
+            CleanedRecordFactory.build({ vendor: `業者${i}` })
+          )
+        );
+
+        // 実行
+        const buffer = encodeColumnar(records);
+        const { header } = readHeader(buffer);
+        const vendor = header.columns.find((c) => c.name === "vendor")!;
+
+        // 検証
+        expect(vendor.indexType).toBe("uint16");
+        expect(decode(buffer).map((r) => r.vendor)).toEqual(
+          records.map((r) => r.vendor)
+        );
+      });
+
+      it("カラムのデータは8バイト境界に整列される", () => {
+        // テストデータ: 奇数件（uint8カラムの長さが8の倍数にならない）
+        const records = transformToOutput(CleanedRecordFactory.buildList(5));
+
+        // 実行
+        const buffer = encodeColumnar(records);
+        const { header, dataStart } = readHeader(buffer);
+
+        // 検証
+        expect(dataStart % 8).toBe(0);
+        for (const block of header.blocks) {
+          expect(block.byteOffset % 8).toBe(0);
+          for (const offset of block.offsets) {
+            expect(offset % 8).toBe(0);
+          }
+        }
+      });
+
+      it("blockSize件ずつの行ブロックに分けて格納される", () => {
+        // テストデータ: 5件をブロックサイズ2で分割
+        const records = transformToOutput(CleanedRecordFactory.buildList(5));
+
+        // 実行
+        const buffer = encodeColumnar(records, { blockSize: 2 });
+        const { header } = readHeader(buffer);
+
+        // 検証: 各ブロックが前のブロックの直後に並び、辞書は全体で共有
+        expect(header.blocks.map((b) => b.count)).toEqual([2, 2, 1]);
+        expect(header.blocks[1].byteOffset).toBe(
+          header.blocks[0].byteOffset + header.blocks[0].byteLength
+        );
+        expect(decode(buffer)).toEqual(records);
+      });
+    });
+
+    describe("ブラウザでの読み込み", () => {
+      it("辞書・欠損値・日付の各カラムを元の値のまま復元できる", () => {
+        // テストデータ: 空文字・null の仕様、先頭ゼロを含む日付
+        const records = transformToOutput([
+          CleanedRecordFactory.build({ spec: "", orderDate: "20240105" }),
+          CleanedRecordFactory.build({ spec: "W900", orderDate: "20231231" }),
+          CleanedRecordFactory.build({ spec: "", orderDate: "20240105" }),
+        ]);
+        records[1] = { ...records[1], spec: null as unknown as string };
+
+        // 実行
+        const buffer = encodeColumnar(records);
+        const table = browser.decodeColumnar(toAlignedBytes(buffer));
+
+        // 検証: 辞書は出現順・重複なし、null は文字列にならない
+        expect(Array.from(table.columns.spec.dictionary!)).toEqual(["", null]);
+        expect(Array.from(table.columns.spec.indices!)).toEqual([0, 1, 0]);
+        expect(Array.from(table.columns.orderDate.dictionary!)).toEqual([
+          "20240105",
+          "20231231",
+        ]);
+        const decoded = browser.columnarToRecords(table);
+        expect(decoded.map((r) => r.spec)).toEqual(["", null, ""]);
+        expect(decoded.map((r) => r.orderDate)).toEqual([
+          "20240105",
+          "20231231",
+          "20240105",
+        ]);
+      });
+
+      it("ヘッダーが揃うまでは配置を返さず、受信済みのブロックから復元できる", () => {
+        // テストデータ: 3ブロック
+        const records = transformToOutput(CleanedRecordFactory.buildList(5));
+        const bytes = toAlignedBytes(encodeColumnar(records, { blockSize: 2 }));
+        const headerEnd = 8 + Buffer.from(bytes).readUInt32LE(4);
+
+        // 実行: ヘッダー途中と先頭ブロック末尾までを読み込む
+        const partialHeader = browser.readColumnarLayout(
+          bytes.subarray(0, headerEnd - 1)
+        );
+        const layout = browser.readColumnarLayout(
+          bytes.subarray(0, headerEnd)
+        )!;
+        const firstBlock = bytes.subarray(0, layout.blocks[0].end);
+
+        // 検証
+        expect(partialHeader).toBeNull();
+        expect(layout.blocks.map((b) => [b.start, b.count])).toEqual([
+          [0, 2],
+          [2, 2],
+          [4, 1],
+        ]);
+        expect(layout.byteLength).toBe(bytes.byteLength);
+        expect(
+          browser.columnarToRecords(
+            browser.decodeColumnarBlock(firstBlock, layout, 0)
+          )
+        ).toEqual(records.slice(0, 2));
+        expect(() =>
+          browser.decodeColumnarBlock(firstBlock, layout, 1)
+        ).toThrow("incomplete");
+      });
+
+      it("対応していないバージョンのバイナリはエラー", () => {
+        // テストデータ: ヘッダーのバージョンだけを書き換える
+        const records = transformToOutput(CleanedRecordFactory.buildList(1));
+        const buffer = Buffer.from(encodeColumnar(records));
+        const { header } = readHeader(buffer);
+        const patched = JSON.stringify({ ...header, version: 9 });
+        buffer.write(patched, 8, "utf-8");
+
+        // 実行・検証
+        expect(() => decode(buffer)).toThrow("Unsupported columnar version: 9");
+      });
+
+      it("マジックナンバーが異なるバイナリはエラー", () => {
+        // テストデータ
+        const buffer = Buffer.from(encodeColumnar([]));
+        buffer.write("XXXX", 0, "ascii");
+
+        // 実行・検証
+        expect(() => decode(buffer)).toThrow("magic number mismatch");
+      });
+    });
+
+    describe("境界値", () => {
+      it("0件でもヘッダーのみのバイナリを生成する", () => {
+        // 実行
+        const buffer = encodeColumnar([]);
+
+        // 検証
+        const { header } = readHeader(buffer);
+        expect(header.count).toBe(0);
+        expect(header.blocks).toEqual([]);
+        expect(decode(buffer)).toEqual([]);
+      });
+
+      it("ブロックサイズが正の整数でなければエラー", () => {
+        // テストデータ
+        const records = transformToOutput(CleanedRecordFactory.buildList(1));
+
+        // 実行・検証
+        expect(() => encodeColumnar(records, { blockSize: 0 })).toThrow(
+          "Invalid block size"
+        );
+      });
+    });
+  });
+});